@@ -10,6 +10,74 @@
 // DSU TEMPLATE CONFIGURATION
 // =================================================================
 
+const { ButtonStyle, ComponentType } = require('discord.js');
+
+// Answer sections asked by each DSU template, used to parse replies into structured fields.
+// Headings are matched by emoji prefix or by any alias followed by ":" (case-insensitive).
+// question/required drive the "Submit my update" form fields.
+const DSU_SECTIONS = {
+    morning: [
+        {
+            key: 'yesterday',
+            label: 'Yesterday',
+            emoji: '🔙',
+            question: 'What did you do yesterday?',
+            required: false,
+            aliases: ['yesterday', 'what did you do yesterday', 'kemarin']
+        },
+        {
+            key: 'today',
+            label: 'Today',
+            emoji: '🎯',
+            question: 'What will you do today?',
+            required: true,
+            aliases: ['today', 'what will you do today', 'plan', 'plans', 'hari ini']
+        },
+        {
+            key: 'blockers',
+            label: 'Blockers',
+            emoji: '🚧',
+            question: 'Any blockers or challenges?',
+            required: false,
+            aliases: ['blockers', 'blocker', 'any blockers or challenges', 'challenges', 'impediments', 'kendala']
+        }
+    ],
+    evening: [
+        {
+            key: 'completed',
+            label: 'Completed',
+            emoji: '✅',
+            question: 'What did you complete today?',
+            required: true,
+            aliases: ['completed', 'what did you complete today', 'done', 'selesai']
+        },
+        {
+            key: 'inProgress',
+            label: 'In progress',
+            emoji: '🔄',
+            question: "What's still in progress?",
+            required: false,
+            aliases: ['in progress', "what's still in progress", 'wip', 'ongoing', 'progress']
+        },
+        {
+            key: 'tomorrow',
+            label: 'Tomorrow',
+            emoji: '📋',
+            question: "What's planned for tomorrow?",
+            required: false,
+            aliases: ['tomorrow', "what's planned for tomorrow", 'next', 'besok']
+        },
+        {
+            key: 'reflections',
+            label: 'Reflections',
+            emoji: '💭',
+            question: 'Any reflections or learnings?',
+            required: false,
+            aliases: ['reflections', 'reflection', 'any reflections or learnings', 'learnings', 'refleksi']
+        }
+    ]
+};
+
 // Template configuration - easily customizable
 const DSU_CONFIG = {
     timezone: process.env.TIMEZONE || 'Asia/Jakarta',
@@ -30,20 +98,43 @@ const DSU_CONFIG = {
         warning: parseInt(process.env.WARNING_COLOR || 'f39c12', 16), // Orange
     },
     
+    // Questions asked for each section (defaults come from DSU_SECTIONS)
+    questions: {
+        morning: Object.fromEntries(DSU_SECTIONS.morning.map(section => [section.key, section.question])),
+        evening: Object.fromEntries(DSU_SECTIONS.evening.map(section => [section.key, section.question]))
+    },
+    
     // Custom messages
     messages: {
         morningGreeting: process.env.MORNING_GREETING || 'Good morning team! Time for our morning DSU check-in.',
         eveningGreeting: process.env.EVENING_GREETING || 'Good evening team! Let\'s wrap up the day with our evening reflection.',
         morningFooter: process.env.MORNING_FOOTER || '💡 Reply to this message with your updates | Automated DSU Bot',
         eveningFooter: process.env.EVENING_FOOTER || '🌙 Have a great evening! | Automated DSU Bot'
+    },
+    
+    // "Submit my update" button under the morning and evening embeds
+    submitButton: process.env.ENABLE_SUBMIT_BUTTON !== 'false',
+    
+    // Default template format: full, compact or text
+    templateFormat: process.env.TEMPLATE_FORMAT || 'full',
+    
+    // Thread titles ([Day] and [Date] are replaced with the local date, [Time] with the local time and zone)
+    threadTitles: {
+        morning: process.env.MORNING_THREAD_TITLE || '🌅 Daily Standup Update - Morning (📅 [Day], [Date] • 🕘 [Time])',
+        evening: process.env.EVENING_THREAD_TITLE || '🌆 Daily Standup Update - Evening (📅 [Day], [Date] • 🕘 [Time])'
     }
 };
 
+const TEMPLATE_FORMATS = ['full', 'compact', 'text'];
+
+// Custom ID prefix of the submit button ("dsu-submit:morning") and its form ("dsu-submit-modal:<threadId>")
+const SUBMIT_BUTTON_PREFIX = 'dsu-submit';
+
 // Helper functions
-const getCurrentDate = () => {
+const getCurrentDate = (config = DSU_CONFIG) => {
     const now = new Date();
     const options = { 
-        timeZone: DSU_CONFIG.timezone,
+        timeZone: config.timezone,
         weekday: 'long',
         year: 'numeric',
         month: 'long',
@@ -52,10 +143,10 @@ const getCurrentDate = () => {
     return now.toLocaleDateString('en-US', options);
 };
 
-const getCurrentTime = () => {
+const getCurrentTime = (config = DSU_CONFIG) => {
     const now = new Date();
     const options = {
-        timeZone: DSU_CONFIG.timezone,
+        timeZone: config.timezone,
         hour: '2-digit',
         minute: '2-digit',
         hour12: true
@@ -63,26 +154,48 @@ const getCurrentTime = () => {
     return now.toLocaleTimeString('en-US', options);
 };
 
-const buildMentionString = () => {
+// Indonesian zones keep their local abbreviations; Intl only knows them as GMT+7/8/9
+const TIME_ZONE_LABELS = {
+    'Asia/Jakarta': 'WIB',
+    'Asia/Pontianak': 'WIB',
+    'Asia/Makassar': 'WITA',
+    'Asia/Jayapura': 'WIT'
+};
+
+/**
+ * Short label of the configured timezone shown next to times, e.g. "WIB", "BST" or "GMT+9"
+ */
+const getTimeZoneLabel = (config = DSU_CONFIG, date = new Date()) => {
+    if (TIME_ZONE_LABELS[config.timezone]) {
+        return TIME_ZONE_LABELS[config.timezone];
+    }
+    // en-US names American zones (EST), en-GB European ones (BST, CET); elsewhere both give "GMT+9"
+    const labels = ['en-US', 'en-GB'].map(locale => new Intl.DateTimeFormat(locale, { timeZone: config.timezone, timeZoneName: 'short' })
+        .formatToParts(date)
+        .find(entry => entry.type === 'timeZoneName').value);
+    return labels.find(label => !/^GMT[+-]/.test(label)) || labels[0];
+};
+
+const buildMentionString = (config = DSU_CONFIG) => {
     let mentions = [];
     
-    if (DSU_CONFIG.mentions.everyone) {
+    if (config.mentions.everyone) {
         mentions.push('@everyone');
     }
     
-    if (DSU_CONFIG.mentions.here) {
+    if (config.mentions.here) {
         mentions.push('@here');
     }
     
     // Add role mentions
-    DSU_CONFIG.mentions.roles.forEach(roleId => {
+    config.mentions.roles.forEach(roleId => {
         if (roleId.trim()) {
             mentions.push(`<@&${roleId.trim()}>`);
         }
     });
     
     // Add user mentions
-    DSU_CONFIG.mentions.users.forEach(userId => {
+    config.mentions.users.forEach(userId => {
         if (userId.trim()) {
             mentions.push(`<@${userId.trim()}>`);
         }
@@ -91,44 +204,45 @@ const buildMentionString = () => {
     return mentions.length > 0 ? mentions.join(' ') + ' ' : '';
 };
 
+/**
+ * Build the "Submit my update" button row for a DSU embed
+ * @param {string} type - 'morning' or 'evening'
+ * @returns {Array<Object>} Message components (empty when the button is disabled)
+ */
+const buildSubmitComponents = (type, config = DSU_CONFIG) => {
+    if (!config.submitButton) {
+        return [];
+    }
+    
+    return [{
+        type: ComponentType.ActionRow,
+        components: [{
+            type: ComponentType.Button,
+            style: ButtonStyle.Primary,
+            custom_id: `${SUBMIT_BUTTON_PREFIX}:${type}`,
+            label: 'Submit my update',
+            emoji: { name: '📝' }
+        }]
+    }];
+};
+
 // =================================================================
 // THREAD TITLE GENERATION
 // =================================================================
 
-const generateThreadTitle = (type) => {
+const generateThreadTitle = (type, config = DSU_CONFIG) => {
     const now = new Date();
-    const options = {
-        timeZone: DSU_CONFIG.timezone,
-        weekday: 'long',
-        year: 'numeric',
-        month: 'long', 
-        day: 'numeric'
-    };
+    const title = config.threadTitles[type];
     
-    const dateStr = now.toLocaleDateString('en-US', options);
-    
-    if (type === 'morning') {
-        const title = process.env.MORNING_THREAD_TITLE || 
-            '🌅 Daily Standup Update - Morning (📅 [Day], [Date] • 🕘 09:00 AM WIB)';
-        
-        return title
-            .replace('[Day]', now.toLocaleDateString('en-US', { timeZone: DSU_CONFIG.timezone, weekday: 'long' }))
-            .replace('[Date]', now.toLocaleDateString('en-US', { 
-                timeZone: DSU_CONFIG.timezone, 
-                month: 'long', 
-                day: 'numeric' 
-            }));
-    } else if (type === 'evening') {
-        const title = process.env.EVENING_THREAD_TITLE || 
-            '🌆 Daily Standup Update - Evening (📅 [Day], [Date] • 🕘 05:00 PM WIB)';
-        
+    if (title) {
         return title
-            .replace('[Day]', now.toLocaleDateString('en-US', { timeZone: DSU_CONFIG.timezone, weekday: 'long' }))
+            .replace('[Day]', now.toLocaleDateString('en-US', { timeZone: config.timezone, weekday: 'long' }))
             .replace('[Date]', now.toLocaleDateString('en-US', { 
-                timeZone: DSU_CONFIG.timezone, 
+                timeZone: config.timezone, 
                 month: 'long', 
                 day: 'numeric' 
-            }));
+            }))
+            .replace('[Time]', `${getCurrentTime(config)} ${getTimeZoneLabel(config, now)}`);
     }
     
     return 'DSU Discussion Thread';
@@ -138,20 +252,20 @@ const generateThreadTitle = (type) => {
 // MORNING DSU TEMPLATE (Yesterday/Today/Blockers)
 // =================================================================
 
-const getMorningTemplate = () => {
-    const currentDate = getCurrentDate();
-    const currentTime = getCurrentTime();
-    const mentions = buildMentionString();
+const getMorningTemplate = (config = DSU_CONFIG) => {
+    const currentDate = getCurrentDate(config);
+    const currentTime = getCurrentTime(config);
+    const mentions = buildMentionString(config);
     
     return {
         content: mentions, // Mentions go in content, not embed
         embeds: [{
             title: "🌅 **Daily Standup Update - Morning**",
-            description: `${DSU_CONFIG.messages.morningGreeting}\n\n**📅 ${currentDate}** • **🕘 ${currentTime} WIB**`,
-            color: DSU_CONFIG.colors.morning,
+            description: `${config.messages.morningGreeting}\n\n**📅 ${currentDate}** • **🕘 ${currentTime} ${getTimeZoneLabel(config)}**`,
+            color: config.colors.morning,
             fields: [
                 {
-                    name: "🔙 **What did you do yesterday?**",
+                    name: `🔙 **${config.questions.morning.yesterday}**`,
                     value: `> *Share your accomplishments and completed tasks from yesterday*\n\n` +
                            `**Examples:**\n` +
                            `• ✅ Completed feature XYZ implementation\n` +
@@ -162,7 +276,7 @@ const getMorningTemplate = () => {
                     inline: false
                 },
                 {
-                    name: "🎯 **What will you do today?**", 
+                    name: `🎯 **${config.questions.morning.today}**`, 
                     value: `> *Outline your goals and planned tasks for today*\n\n` +
                            `**Examples:**\n` +
                            `• 🚀 Deploy new feature to staging\n` +
@@ -173,7 +287,7 @@ const getMorningTemplate = () => {
                     inline: false
                 },
                 {
-                    name: "🚧 **Any blockers or challenges?**",
+                    name: `🚧 **${config.questions.morning.blockers}**`,
                     value: `> *Identify obstacles that need team support or attention*\n\n` +
                            `**Examples:**\n` +
                            `• ⏳ Waiting for API documentation from backend team\n` +
@@ -185,11 +299,12 @@ const getMorningTemplate = () => {
                 }
             ],
             footer: {
-                text: DSU_CONFIG.messages.morningFooter,
+                text: config.messages.morningFooter,
                 icon_url: null
             },
             timestamp: new Date().toISOString()
-        }]
+        }],
+        components: buildSubmitComponents('morning', config)
     };
 };
 
@@ -197,20 +312,20 @@ const getMorningTemplate = () => {
 // EVENING DSU TEMPLATE (Completed/Tomorrow/Reflection)
 // =================================================================
 
-const getEveningTemplate = () => {
-    const currentDate = getCurrentDate();
-    const currentTime = getCurrentTime();
-    const mentions = buildMentionString();
+const getEveningTemplate = (config = DSU_CONFIG) => {
+    const currentDate = getCurrentDate(config);
+    const currentTime = getCurrentTime(config);
+    const mentions = buildMentionString(config);
     
     return {
         content: mentions, // Mentions go in content, not embed
         embeds: [{
             title: "🌆 **Daily Standup Update - Evening**",
-            description: `${DSU_CONFIG.messages.eveningGreeting}\n\n**📅 ${currentDate}** • **🕘 ${currentTime} WIB**`,
-            color: DSU_CONFIG.colors.evening,
+            description: `${config.messages.eveningGreeting}\n\n**📅 ${currentDate}** • **🕘 ${currentTime} ${getTimeZoneLabel(config)}**`,
+            color: config.colors.evening,
             fields: [
                 {
-                    name: "✅ **What did you complete today?**",
+                    name: `✅ **${config.questions.evening.completed}**`,
                     value: `> *Celebrate your accomplishments and finished tasks*\n\n` +
                            `**Examples:**\n` +
                            `• 🎉 Successfully deployed v2.1 to production\n` +
@@ -221,7 +336,7 @@ const getEveningTemplate = () => {
                     inline: false
                 },
                 {
-                    name: "🔄 **What's still in progress?**",
+                    name: `🔄 **${config.questions.evening.inProgress}**`,
                     value: `> *Update the team on ongoing work and partial completions*\n\n` +
                            `**Examples:**\n` +
                            `• 🔨 Database migration 70% complete\n` +
@@ -232,7 +347,7 @@ const getEveningTemplate = () => {
                     inline: false
                 },
                 {
-                    name: "📋 **What's planned for tomorrow?**",
+                    name: `📋 **${config.questions.evening.tomorrow}**`,
                     value: `> *Share your priorities and goals for the next day*\n\n` +
                            `**Examples:**\n` +
                            `• 🚀 Start implementing user notification system\n` +
@@ -243,7 +358,7 @@ const getEveningTemplate = () => {
                     inline: false
                 },
                 {
-                    name: "💭 **Any reflections or learnings?**",
+                    name: `💭 **${config.questions.evening.reflections}**`,
                     value: `> *Share insights, lessons learned, or suggestions for improvement*\n\n` +
                            `**Examples:**\n` +
                            `• 💡 Learned new debugging technique for async issues\n` +
@@ -255,11 +370,12 @@ const getEveningTemplate = () => {
                 }
             ],
             footer: {
-                text: DSU_CONFIG.messages.eveningFooter,
+                text: config.messages.eveningFooter,
                 icon_url: null
             },
             timestamp: new Date().toISOString()
-        }]
+        }],
+        components: buildSubmitComponents('evening', config)
     };
 };
 
@@ -268,95 +384,95 @@ const getEveningTemplate = () => {
 // =================================================================
 
 // Simple text versions (fallback for servers that don't support embeds)
-const getMorningTemplateText = () => {
-    const currentDate = getCurrentDate();
-    const currentTime = getCurrentTime();
-    const mentions = buildMentionString();
+const getMorningTemplateText = (config = DSU_CONFIG) => {
+    const currentDate = getCurrentDate(config);
+    const currentTime = getCurrentTime(config);
+    const mentions = buildMentionString(config);
     
     return `${mentions}🌅 **Daily Standup Update - Morning** 
-📅 ${currentDate} • 🕘 ${currentTime} WIB
+📅 ${currentDate} • 🕘 ${currentTime} ${getTimeZoneLabel(config)}
 
-${DSU_CONFIG.messages.morningGreeting}
+${config.messages.morningGreeting}
 
-**🔙 What did you do yesterday?**
+**🔙 ${config.questions.morning.yesterday}**
 • ✅ [Your accomplishments from yesterday]
 • 🎯 [Tasks you completed]
 • 🐛 [Issues you resolved]
 
-**🎯 What will you do today?**
+**🎯 ${config.questions.morning.today}**
 • 🚀 [Today's main goals]
 • 📋 [Planned tasks and priorities]
 • 🔨 [Projects you'll work on]
 
-**🚧 Any blockers or challenges?**
+**🚧 ${config.questions.morning.blockers}**
 • ⏳ [Current blockers or dependencies]
 • 🆘 [Help needed from team]
 • ❓ [Questions or unclear requirements]
 
-${DSU_CONFIG.messages.morningFooter}`;
+${config.messages.morningFooter}`;
 };
 
-const getEveningTemplateText = () => {
-    const currentDate = getCurrentDate();
-    const currentTime = getCurrentTime();
-    const mentions = buildMentionString();
+const getEveningTemplateText = (config = DSU_CONFIG) => {
+    const currentDate = getCurrentDate(config);
+    const currentTime = getCurrentTime(config);
+    const mentions = buildMentionString(config);
     
     return `${mentions}🌆 **Daily Standup Update - Evening**
-📅 ${currentDate} • 🕘 ${currentTime} WIB
+📅 ${currentDate} • 🕘 ${currentTime} ${getTimeZoneLabel(config)}
 
-${DSU_CONFIG.messages.eveningGreeting}
+${config.messages.eveningGreeting}
 
-**✅ What did you complete today?**
+**✅ ${config.questions.evening.completed}**
 • 🎉 [Tasks you finished]
 • ⭐ [Goals you achieved]
 • 🐛 [Issues you resolved]
 
-**🔄 What's still in progress?**
+**🔄 ${config.questions.evening.inProgress}**
 • 🔨 [Ongoing tasks]
 • 📋 [Work in progress]
 • 🧪 [Testing or reviews pending]
 
-**📋 What's planned for tomorrow?**
+**📋 ${config.questions.evening.tomorrow}**
 • 🚀 [Tomorrow's priorities]
 • 🎯 [Next day goals]
 • 📞 [Scheduled meetings or activities]
 
-**💭 Any reflections or learnings?**
+**💭 ${config.questions.evening.reflections}**
 • 💡 [What went well today]
 • 🔄 [What could be improved]
 • 📚 [Key learnings or insights]
 
-${DSU_CONFIG.messages.eveningFooter}`;
+${config.messages.eveningFooter}`;
 };
 
 // =================================================================
 // COMPACT TEMPLATES (for teams preferring shorter messages)
 // =================================================================
 
-const getMorningTemplateCompact = () => {
-    const currentDate = getCurrentDate();
-    const mentions = buildMentionString();
+const getMorningTemplateCompact = (config = DSU_CONFIG) => {
+    const currentDate = getCurrentDate(config);
+    const mentions = buildMentionString(config);
     
     return {
         content: mentions,
         embeds: [{
             title: "🌅 Morning DSU",
             description: `**${currentDate}** - Share your updates!`,
-            color: DSU_CONFIG.colors.morning,
+            color: config.colors.morning,
             fields: [
                 {
                     name: "🔙 Yesterday",
-                    value: "*What did you accomplish?*",
+                    value: `*${config.questions.morning.yesterday}*`,
                     inline: true
                 },
                 {
                     name: "🎯 Today", 
-                    value: "*What are your goals?*",
+                    value: `*${config.questions.morning.today}*`,
                     inline: true
                 },
                 {
                     name: "🚧 Blockers",
-                    value: "*Any obstacles?*",
+                    value: `*${config.questions.morning.blockers}*`,
                     inline: true
                 }
             ],
@@ -365,34 +481,35 @@ const getMorningTemplateCompact = () => {
                 icon_url: null
             },
             timestamp: new Date().toISOString()
-        }]
+        }],
+        components: buildSubmitComponents('morning', config)
     };
 };
 
-const getEveningTemplateCompact = () => {
-    const currentDate = getCurrentDate();
-    const mentions = buildMentionString();
+const getEveningTemplateCompact = (config = DSU_CONFIG) => {
+    const currentDate = getCurrentDate(config);
+    const mentions = buildMentionString(config);
     
     return {
         content: mentions,
         embeds: [{
             title: "🌆 Evening DSU",
             description: `**${currentDate}** - Wrap up your day!`,
-            color: DSU_CONFIG.colors.evening,
+            color: config.colors.evening,
             fields: [
                 {
                     name: "✅ Completed",
-                    value: "*What did you finish?*",
+                    value: `*${config.questions.evening.completed}*`,
                     inline: true
                 },
                 {
                     name: "📋 Tomorrow",
-                    value: "*What's planned?*", 
+                    value: `*${config.questions.evening.tomorrow}*`, 
                     inline: true
                 },
                 {
                     name: "💭 Reflections",
-                    value: "*Any learnings?*",
+                    value: `*${config.questions.evening.reflections}*`,
                     inline: true
                 }
             ],
@@ -401,6 +518,209 @@ const getEveningTemplateCompact = () => {
                 icon_url: null
             },
             timestamp: new Date().toISOString()
+        }],
+        components: buildSubmitComponents('evening', config)
+    };
+};
+
+// =================================================================
+// END-OF-DAY SUMMARY TEMPLATE
+// =================================================================
+
+// Discord embed limits
+const EMBED_FIELD_VALUE_LIMIT = 1024;
+const EMBED_MAX_FIELDS = 25;
+const EMBED_TOTAL_LIMIT = 6000; // title, description, field names and values, footer and author combined
+
+// Smallest person field worth showing once the embed is nearly full
+const MIN_PERSON_FIELD_VALUE = 100;
+
+// Reporters mentioned in the summary description before "…and N more"
+const MAX_REPORTER_MENTIONS = 50;
+
+const formatItemList = (label, items) => {
+    if (!items || items.length === 0) {
+        return '';
+    }
+    return `**${label}**\n` + items.map(item => `• ${item}`).join('\n');
+};
+
+const truncateFieldValue = (value, limit = EMBED_FIELD_VALUE_LIMIT) => {
+    if (value.length <= limit) {
+        return value;
+    }
+    return value.slice(0, limit - 2) + ' …';
+};
+
+/**
+ * Build the end-of-day summary embed
+ * @param {Object} summary - Summary data from DailySummary.buildSummary()
+ * @param {string} summary.displayDate - Human readable date
+ * @param {string|null} summary.morningThreadUrl - Link to the morning thread
+ * @param {string|null} summary.eveningThreadUrl - Link to the evening thread
+ * @param {Array<Object>} summary.people - Per-person { authorId, authorTag, completed, blockers, tomorrow, unstructured }
+ * @returns {Object} Discord message payload
+ */
+const getSummaryTemplate = (summary, config = DSU_CONFIG) => {
+    const totals = summary.people.reduce((result, person) => {
+        result.completed += person.completed.length;
+        result.blockers += person.blockers.length;
+        result.tomorrow += person.tomorrow.length;
+        return result;
+    }, { completed: 0, blockers: 0, tomorrow: 0 });
+
+    const threadLinks = [
+        summary.morningThreadUrl ? `🌅 [Morning thread](${summary.morningThreadUrl})` : '🌅 Morning thread: —',
+        summary.eveningThreadUrl ? `🌆 [Evening thread](${summary.eveningThreadUrl})` : '🌆 Evening thread: —'
+    ].join(' • ');
+
+    // Mentions are ~22 characters each: cap them so the description stays well inside its 4096 limit
+    const mentioned = summary.people.slice(0, MAX_REPORTER_MENTIONS).map(person => `<@${person.authorId}>`);
+    const hidden = summary.people.length - mentioned.length;
+    const reporters = summary.people.length > 0
+        ? mentioned.join(' ') + (hidden > 0 ? ` …and ${hidden} more` : '')
+        : '*No one reported today*';
+
+    const title = "📊 **Daily Standup Summary**";
+    const description = `**📅 ${summary.displayDate}**\n${threadLinks}\n\n**👥 Reported (${summary.people.length}):** ${reporters}`;
+    const overview = {
+        name: "📈 **Overview**",
+        value: `✅ ${totals.completed} completed • 🚧 ${totals.blockers} blocker(s) • 📋 ${totals.tomorrow} planned for tomorrow`,
+        inline: false
+    };
+    const footerText = (shown) => summary.people.length > shown
+        ? `Showing ${shown} of ${summary.people.length} people | Automated DSU Bot`
+        : '🌙 See you tomorrow! | Automated DSU Bot';
+
+    // Discord rejects the whole embed past 6000 characters: add people while they fit,
+    // shortening the last one, and leave room for the longest footer
+    let budget = EMBED_TOTAL_LIMIT - title.length - description.length - overview.name.length - overview.value.length -
+        Math.max(footerText(0).length, footerText(summary.people.length).length);
+
+    // Keep one slot for the overview field
+    const personFields = [];
+    for (const person of summary.people.slice(0, EMBED_MAX_FIELDS - 1)) {
+        const name = `👤 ${person.authorTag}`;
+        const room = Math.min(EMBED_FIELD_VALUE_LIMIT, budget - name.length);
+        if (room < MIN_PERSON_FIELD_VALUE) {
+            break;
+        }
+
+        const value = [
+            formatItemList('✅ Completed today', person.completed),
+            formatItemList('🚧 Outstanding blockers', person.blockers),
+            formatItemList('📋 Tomorrow', person.tomorrow),
+            person.unstructured ? '📝 *Posted an update without the template headings*' : ''
+        ].filter(Boolean).join('\n\n');
+
+        const field = { name, value: truncateFieldValue(value || '*No details shared*', room), inline: false };
+        personFields.push(field);
+        budget -= field.name.length + field.value.length;
+    }
+
+    return {
+        embeds: [{
+            title,
+            description,
+            color: totals.blockers > 0 ? config.colors.warning : config.colors.success,
+            fields: [overview, ...personFields],
+            footer: {
+                text: footerText(personFields.length),
+                icon_url: null
+            },
+            timestamp: new Date().toISOString()
+        }]
+    };
+};
+
+// =================================================================
+// PLAN VS DONE TEMPLATE
+// =================================================================
+
+/**
+ * Build the per-person plan-vs-done embed
+ * @param {Object} review - Review data
+ * @param {string} review.authorId - Discord user ID
+ * @param {string} review.displayDate - Human readable date
+ * @param {Object} review.diff - Result of comparePlan(): { done, inProgress, carriedOver, unplanned }
+ * @returns {Object} Discord message payload
+ */
+const getPlanDiffTemplate = (review, config = DSU_CONFIG) => {
+    const { diff } = review;
+    const pairs = (entries) => entries.map(entry => `• ${entry.planned}`);
+    const items = (entries) => entries.map(entry => `• ${entry}`);
+
+    const fields = [
+        { name: `✅ **Done as planned (${diff.done.length})**`, lines: pairs(diff.done) },
+        { name: `🔄 **Still in progress (${diff.inProgress.length})**`, lines: pairs(diff.inProgress) },
+        { name: `↪️ **Carried over (${diff.carriedOver.length})**`, lines: items(diff.carriedOver) },
+        { name: `➕ **Unplanned work (${diff.unplanned.length})**`, lines: items(diff.unplanned) }
+    ]
+        .filter(field => field.lines.length > 0)
+        .map(field => ({
+            name: field.name,
+            value: truncateFieldValue(field.lines.join('\n')),
+            inline: false
+        }));
+
+    const planned = diff.done.length + diff.inProgress.length + diff.carriedOver.length;
+
+    return {
+        content: `<@${review.authorId}>`,
+        embeds: [{
+            title: "🎯 **Plan vs Done**",
+            description: `**📅 ${review.displayDate}**\n${diff.done.length} of ${planned} planned item(s) completed`,
+            color: config.colors.evening,
+            fields,
+            footer: {
+                text: 'Compared your morning plan with your evening update | Automated DSU Bot',
+                icon_url: null
+            },
+            timestamp: new Date().toISOString()
+        }]
+    };
+};
+
+// =================================================================
+// FORM SUBMISSION TEMPLATE
+// =================================================================
+
+/**
+ * Build the per-person embed posted when someone submits the DSU form
+ * @param {Object} submission - Submission data
+ * @param {string} submission.type - 'morning' or 'evening'
+ * @param {string} submission.authorTag - Discord user tag
+ * @param {string|null} submission.avatarUrl - Author avatar
+ * @param {string} submission.displayDate - Human readable date
+ * @param {Object} submission.sections - Items per section key
+ * @returns {Object} Discord message payload
+ */
+const getSubmissionTemplate = (submission, config = DSU_CONFIG) => {
+    const isMorning = submission.type === 'morning';
+    const fields = DSU_SECTIONS[submission.type].map(section => {
+        const items = submission.sections[section.key] || [];
+        return {
+            name: `${section.emoji} **${section.label}**`,
+            value: truncateFieldValue(items.length > 0 ? items.map(item => `• ${item}`).join('\n') : '*None*'),
+            inline: false
+        };
+    });
+
+    return {
+        embeds: [{
+            author: {
+                name: submission.authorTag,
+                icon_url: submission.avatarUrl || null
+            },
+            title: isMorning ? "🌅 **Morning Update**" : "🌆 **Evening Update**",
+            description: `**📅 ${submission.displayDate}**`,
+            color: isMorning ? config.colors.morning : config.colors.evening,
+            fields,
+            footer: {
+                text: '📝 Submitted with the DSU form | Automated DSU Bot',
+                icon_url: null
+            },
+            timestamp: new Date().toISOString()
         }]
     };
 };
@@ -409,21 +729,95 @@ const getEveningTemplateCompact = () => {
 // TEMPLATE CUSTOMIZATION FUNCTIONS
 // =================================================================
 
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Colors may be given as numbers or hex strings ("2ecc71" / "#2ecc71")
+const normalizeColor = (color) => {
+    if (typeof color === 'number') {
+        return color;
+    }
+    if (typeof color === 'string' && /^#?[0-9A-Fa-f]{6}$/.test(color.trim())) {
+        return parseInt(color.trim().replace('#', ''), 16);
+    }
+    throw new Error(`Invalid color: ${color}`);
+};
+
+// Mention lists may be given as arrays or comma-separated strings
+const normalizeIdList = (ids) => {
+    const list = typeof ids === 'string' ? ids.split(',') : ids;
+    return (list || []).map(id => String(id).trim()).filter(Boolean);
+};
+
+/**
+ * Build a template configuration from overrides. Nested sections (mentions, colors,
+ * messages, questions) are merged key by key, so { colors: { morning: '2ecc71' } }
+ * only changes the morning color.
+ * @param {Object} overrides - Partial configuration
+ * @param {Object} base - Configuration to start from (defaults to DSU_CONFIG)
+ * @returns {Object} Complete template configuration
+ */
+const mergeConfig = (overrides = {}, base = DSU_CONFIG) => {
+    const merge = (target, source) => {
+        const result = { ...target };
+        for (const [key, value] of Object.entries(source)) {
+            if (value === undefined) {
+                continue;
+            }
+            result[key] = isPlainObject(value) && isPlainObject(target[key]) ? merge(target[key], value) : value;
+        }
+        return result;
+    };
+    
+    const config = merge(base, overrides || {});
+    config.colors = Object.fromEntries(Object.entries(config.colors).map(([key, color]) => [key, normalizeColor(color)]));
+    config.mentions = {
+        ...config.mentions,
+        roles: normalizeIdList(config.mentions.roles),
+        users: normalizeIdList(config.mentions.users)
+    };
+    
+    return config;
+};
+
+/**
+ * Get a template with configuration overrides applied
+ * @param {string} templateType - morning, evening, morning-compact, evening-compact, morning-text or evening-text
+ * @param {Object} customConfig - Overrides for colors, messages, mentions, questions, timezone...
+ * @returns {Object|string} Message payload
+ */
 const getCustomTemplate = (templateType, customConfig = {}) => {
     // Merge custom config with defaults
-    const config = { ...DSU_CONFIG, ...customConfig };
-    
-    if (templateType === 'morning') {
-        return getMorningTemplate();
-    } else if (templateType === 'evening') {
-        return getEveningTemplate();
-    } else if (templateType === 'morning-compact') {
-        return getMorningTemplateCompact();
-    } else if (templateType === 'evening-compact') {
-        return getEveningTemplateCompact();
+    const config = mergeConfig(customConfig);
+    const [type, format = 'full'] = String(templateType).split('-');
+    
+    if (!['morning', 'evening'].includes(type) || !TEMPLATE_FORMATS.includes(format)) {
+        throw new Error(`Unknown template type: ${templateType}`);
+    }
+    
+    return getTemplate(type, format, config);
+};
+
+/**
+ * Get a DSU template in the requested format
+ * @param {string} type - 'morning' or 'evening'
+ * @param {string} format - 'full', 'compact' or 'text' (defaults to the configured format)
+ * @param {Object} config - Template configuration (see mergeConfig)
+ * @returns {Object|string} Message payload (text format returns a plain string)
+ */
+const getTemplate = (type, format = DSU_CONFIG.templateFormat, config = DSU_CONFIG) => {
+    const templates = {
+        morning: { full: getMorningTemplate, compact: getMorningTemplateCompact, text: getMorningTemplateText },
+        evening: { full: getEveningTemplate, compact: getEveningTemplateCompact, text: getEveningTemplateText }
+    };
+    
+    if (!templates[type]) {
+        throw new Error(`Unknown template type: ${type}`);
+    }
+    if (!TEMPLATE_FORMATS.includes(format)) {
+        throw new Error(`Unknown template format: ${format}`);
     }
     
-    throw new Error(`Unknown template type: ${templateType}`);
+    return templates[type][format](config);
 };
 
 // Template validation function
@@ -463,13 +857,25 @@ module.exports = {
     // Utility functions
     getCurrentDate,
     getCurrentTime,
+    getTimeZoneLabel,
     buildMentionString,
     getCustomTemplate,
+    getTemplate,
+    mergeConfig,
     validateTemplate,
     
+    // Summary templates
+    getSummaryTemplate,
+    getPlanDiffTemplate,
+    getSubmissionTemplate,
+    buildSubmitComponents,
+    
     // Thread functions
     generateThreadTitle,
     
     // Configuration access
-    DSU_CONFIG
+    DSU_CONFIG,
+    DSU_SECTIONS,
+    SUBMIT_BUTTON_PREFIX,
+    TEMPLATE_FORMATS
 };
\ No newline at end of file
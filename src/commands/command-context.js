@@ -0,0 +1,161 @@
+/**
+ * Command Context
+ *
+ * @author opisboy29
+ * @repository git@github.com:opisboy29/discord-dsu-bot.git
+ * @description Uniform wrapper around slash command interactions and legacy !dsu-* messages
+ */
+
+const { MessageFlags, PermissionFlagsBits } = require('discord.js');
+
+class CommandContext {
+    /**
+     * @param {Object} source - Normalized command source
+     * @param {ChatInputCommandInteraction} [source.interaction] - Slash command interaction
+     * @param {Message} [source.message] - Legacy prefix command message
+     * @param {string} source.subcommand - Subcommand name (e.g. 'morning')
+     * @param {string|null} source.subcommandGroup - Subcommand group name (e.g. 'schedule')
+     * @param {Object} source.options - Legacy options parsed from the message
+     */
+    constructor({ interaction = null, message = null, subcommand, subcommandGroup = null, options = {} }) {
+        this.interaction = interaction;
+        this.message = message;
+        this.subcommand = subcommand;
+        this.subcommandGroup = subcommandGroup;
+        this.legacyOptions = options;
+
+        const source = interaction || message;
+        this.client = source.client;
+        this.channel = source.channel;
+        this.guild = source.guild;
+        this.member = source.member;
+        this.user = interaction ? interaction.user : message.author;
+    }
+
+    static fromInteraction(interaction) {
+        return new CommandContext({
+            interaction,
+            subcommand: interaction.options.getSubcommand(),
+            subcommandGroup: interaction.options.getSubcommandGroup(false)
+        });
+    }
+
+    static fromMessage(message, subcommand, options = {}, subcommandGroup = null) {
+        return new CommandContext({ message, subcommand, subcommandGroup, options });
+    }
+
+    get isSlash() {
+        return Boolean(this.interaction);
+    }
+
+    /**
+     * Name used in logs, e.g. "/dsu morning", "!dsu-morning" or "!dsu-holiday add"
+     */
+    get commandName() {
+        if (!this.isSlash) {
+            return this.subcommandGroup ? `!dsu-${this.subcommandGroup} ${this.subcommand}` : `!dsu-${this.subcommand}`;
+        }
+        return ['/dsu', this.subcommandGroup, this.subcommand].filter(Boolean).join(' ');
+    }
+
+    getString(name) {
+        if (this.isSlash) {
+            return this.interaction.options.getString(name);
+        }
+        return this.legacyOptions[name] !== undefined ? String(this.legacyOptions[name]) : null;
+    }
+
+    /**
+     * Free-text option. Legacy commands also accept the unnamed words,
+     * e.g. "!dsu-holiday add date:2025-08-17 Independence Day"
+     * @param {string} name - Option name
+     * @param {number} fromIndex - First unnamed word to use (earlier words belong to other options)
+     * @returns {string|null} Option value
+     */
+    getText(name, fromIndex = 0) {
+        const value = this.getString(name);
+        if (value !== null || this.isSlash) {
+            return value;
+        }
+
+        const words = Object.keys(this.legacyOptions)
+            .filter(key => /^arg\d+$/.test(key) && Number(key.slice(3)) >= fromIndex)
+            .sort((a, b) => Number(a.slice(3)) - Number(b.slice(3)))
+            .map(key => this.legacyOptions[key]);
+        return words.length > 0 ? words.join(' ') : null;
+    }
+
+    getBoolean(name) {
+        if (this.isSlash) {
+            return this.interaction.options.getBoolean(name);
+        }
+        if (this.legacyOptions[name] === undefined) {
+            return null;
+        }
+        return ['true', 'yes', 'on', '1'].includes(String(this.legacyOptions[name]).toLowerCase());
+    }
+
+    getChannel(name) {
+        if (this.isSlash) {
+            return this.interaction.options.getChannel(name);
+        }
+        return null;
+    }
+
+    /**
+     * Check a guild permission of the invoking member
+     * @param {bigint} permission - PermissionFlagsBits value
+     * @returns {boolean} True if the member has the permission
+     */
+    hasPermission(permission = PermissionFlagsBits.ManageGuild) {
+        const permissions = this.isSlash ? this.interaction.memberPermissions : (this.member && this.member.permissions);
+        return Boolean(permissions && permissions.has(permission));
+    }
+
+    /**
+     * Acknowledge a slow command so Discord doesn't time out the interaction
+     * @param {Object} options
+     * @param {boolean} options.ephemeral - Only show the reply to the invoking user
+     */
+    async defer({ ephemeral = false } = {}) {
+        if (this.isSlash && !this.interaction.deferred && !this.interaction.replied) {
+            await this.interaction.deferReply(ephemeral ? { flags: MessageFlags.Ephemeral } : {});
+        }
+    }
+
+    /**
+     * Reply to the command. Legacy commands post in the channel, like the original prefix handlers.
+     * @param {Object|string} payload - Message payload
+     * @param {Object} options
+     * @param {boolean} options.ephemeral - Only show the reply to the invoking user (slash only)
+     * @returns {Promise<Message|InteractionResponse>}
+     */
+    async reply(payload, { ephemeral = false } = {}) {
+        const body = typeof payload === 'string' ? { content: payload } : payload;
+
+        if (!this.isSlash) {
+            return this.channel.send(body);
+        }
+
+        if (this.interaction.deferred) {
+            return this.interaction.editReply(body);
+        }
+        if (this.interaction.replied) {
+            return this.interaction.followUp({ ...body, flags: ephemeral ? MessageFlags.Ephemeral : undefined });
+        }
+        return this.interaction.reply({ ...body, flags: ephemeral ? MessageFlags.Ephemeral : undefined });
+    }
+
+    /**
+     * Report a problem to the invoking user (ephemeral for slash commands)
+     * @param {string} text - Error text
+     */
+    async replyError(text) {
+        if (!this.isSlash) {
+            return this.message.reply(text);
+        }
+        return this.reply({ content: text }, { ephemeral: true });
+    }
+}
+
+module.exports = CommandContext;
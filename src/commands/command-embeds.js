@@ -0,0 +1,285 @@
+/**
+ * Command Embeds
+ *
+ * @author opisboy29
+ * @repository git@github.com:opisboy29/discord-dsu-bot.git
+ * @description Status and help embeds shared by slash and legacy commands
+ */
+
+const { formatDateKey } = require('../utils/time-utils');
+
+// Embeds allow 25 fields; the status embed uses 8 before the team list
+const MAX_TEAM_FIELDS = 15;
+
+// Keeps the holiday list well inside the 4096-character description limit
+const MAX_HOLIDAY_LINES = 20;
+
+/**
+ * @param {Object} run - Entry of a status nextRuns list
+ * @returns {string} e.g. "🌅 Mon, Aug 18, 9:00 AM"
+ */
+const formatRun = (run) => `${run.type === 'morning' ? '🌅' : '🌆'} ${run.localTime}`;
+
+/**
+ * @param {Object} pause - Status paused entry
+ * @returns {string} e.g. "Paused until Monday, October 26, 2026"
+ */
+const formatPause = (pause) => (pause.until ? `Paused until ${formatDateKey(pause.until)}` : 'Paused until /dsu resume');
+
+/**
+ * @param {Object} skip - Entry of a status skips list
+ * @returns {string} e.g. "🌅 Monday, August 18, 2025"
+ */
+const formatSkip = (skip) => `${{ morning: '🌅 ', evening: '🌆 ' }[skip.type] || ''}${skip.displayDate}`;
+
+/**
+ * One status field per team (used when more than one team is configured)
+ * @param {Array<Object>} teams - Team statuses from dsuScheduler.getStatus()
+ * @returns {Array<Object>} Embed fields
+ */
+const buildTeamFields = (teams) => {
+    const fields = teams.slice(0, MAX_TEAM_FIELDS).map(team => ({
+        name: `👥 ${team.name} (${team.id})`,
+        value: `Channel: <#${team.channelId}>\n` +
+            `🌅 ${team.morningJobRunning ? '✅' : '❌'} ${team.schedule.morning}\n` +
+            `🌆 ${team.eveningJobRunning ? '✅' : '❌'} ${team.schedule.evening}\n` +
+            `🌏 ${team.timezone} • ${team.templateFormat} • Threads ${team.threadConfig.enabled ? '✅' : '❌'}` +
+            (team.paused ? `\n⏸️ ${formatPause(team.paused)}` : '') +
+            (team.nextRuns && team.nextRuns.length > 0 ? `\n⏭️ Next: ${formatRun(team.nextRuns[0])}` : '') +
+            (team.nextSkip ? `\n🏖️ Next skipped: ${team.nextSkip.name} (${team.nextSkip.displayDate})` : ''),
+        inline: true
+    }));
+
+    if (teams.length > MAX_TEAM_FIELDS) {
+        fields.push({
+            name: '👥 More teams',
+            value: `…and ${teams.length - MAX_TEAM_FIELDS} more (use \`/dsu status team:<id>\`)`,
+            inline: false
+        });
+    }
+
+    return fields;
+};
+
+/**
+ * Build the bot status embed
+ * @param {Object} status - Result of dsuScheduler.getStatus(); top-level fields describe the default team
+ * @returns {Object} Discord embed
+ */
+const buildStatusEmbed = (status) => {
+    const teams = status.teams || [];
+    const teamFields = teams.length > 1 ? buildTeamFields(teams) : [];
+    const singleTeam = teams.length === 1 ? teams[0] : null;
+
+    return {
+        title: '🤖 DSU Bot Status',
+        description: singleTeam && singleTeam.name !== singleTeam.id
+            ? `👥 ${singleTeam.name} (\`${singleTeam.id}\`) • <#${singleTeam.channelId}>`
+            : undefined,
+        color: 0x00ff00, // Green
+        fields: [
+            {
+                name: '🔄 Scheduler Status',
+                value: (status.schedulingConfig && !status.schedulingConfig.enabled ? '⏹️ Scheduling disabled - manual commands only\n' : '') +
+                    `Morning: ${status.morningJobRunning ? '✅ Running' : '❌ Stopped'}\nEvening: ${status.eveningJobRunning ? '✅ Running' : '❌ Stopped'}` +
+                    (status.catchUpConfig ? `\nMissed DSUs: ${status.catchUpConfig.graceMinutes > 0 ? `sent up to ${status.catchUpConfig.graceMinutes} min late` : '❌ Not caught up'}` : '') +
+                    (status.dryRunConfig && status.dryRunConfig.enabled ? `\n🧪 Dry run: ${status.dryRunConfig.recorded} payload(s) logged, nothing posted` : ''),
+                inline: true
+            },
+            {
+                name: '🌏 Timezone & Time',
+                value: `${status.timezone}\n${status.currentTime}`,
+                inline: true
+            },
+            {
+                name: '📅 Schedule',
+                value: `Morning: ${status.schedule.morning}\nEvening: ${status.schedule.evening}`,
+                inline: false
+            },
+            {
+                name: '⏭️ Next DSUs',
+                value: status.nextRuns && status.nextRuns.length > 0
+                    ? status.nextRuns.map(formatRun).join('\n')
+                    : (status.schedulingConfig && !status.schedulingConfig.enabled ? 'None - scheduling disabled' : 'None scheduled'),
+                inline: false
+            },
+            {
+                name: '📊 Current Status',
+                value: `Weekday: ${status.isWeekday ? '✅ Yes' : '❌ No (Weekend)'}\n` +
+                    (status.holidayToday ? `Holiday today: 🏖️ ${status.holidayToday.name}\n` : '') +
+                    (status.nextSkip ? `Next DSU skipped: ${status.nextSkip.name} (${status.nextSkip.displayDate})\n` : '') +
+                    (status.paused ? `⏸️ ${formatPause(status.paused)}\n` : '') +
+                    (status.skips && status.skips.length > 0 ? `⏭️ Skipped: ${status.skips.map(formatSkip).join(', ')}\n` : '') +
+                    `Template format: ${status.templateFormat}\nBot Ready: ✅ Yes`,
+                inline: false
+            },
+            {
+                name: '🧵 Thread Configuration',
+                value: `Auto-threads: ${status.threadConfig.enabled ? '✅ Enabled' : '❌ Disabled'}\nAuto-archive: ${status.threadConfig.autoArchiveDurationHours}h\nInitial message: ${status.threadConfig.sendInitialMessage ? '✅' : '❌'}`,
+                inline: false
+            },
+            {
+                name: '📨 Follow-ups',
+                value: `Missing-responder nudges: ${status.followUpConfig.enabled ? '✅ Enabled' : '❌ Disabled'}\nMode: ${status.followUpConfig.mode === 'dm' ? 'Direct message' : 'Ping in thread'}\nNudge after: ${status.followUpConfig.delayMinutes} min\nPending: ${status.followUpConfig.pending}`,
+                inline: false
+            },
+            {
+                name: '📊 Daily Summary',
+                value: `End-of-day summary: ${status.summaryConfig.enabled ? '✅ Enabled' : '❌ Disabled'}\nPosted: ${status.summaryConfig.delayMinutes} min after evening DSU`,
+                inline: false
+            },
+            {
+                name: '📮 Retry Queue',
+                value: `Failed posts retried: up to ${status.outboxConfig.maxAttempts} attempts\nAlerts: ${status.outboxConfig.alerts.length > 0 ? status.outboxConfig.alerts.join(', ') : '❌ Not configured'}\nWaiting for retry: ${status.outboxConfig.pending}`,
+                inline: false
+            },
+            ...teamFields
+        ],
+        footer: {
+            text: 'DSU Bot • Built by opisboy29',
+            icon_url: null
+        },
+        timestamp: new Date().toISOString()
+    };
+};
+
+/**
+ * Build the help embed
+ * @param {Object} options
+ * @param {Array<Object>} options.commands - Registered command definitions
+ * @param {boolean} options.legacyEnabled - Whether !dsu-* prefix commands are accepted
+ * @param {Object} [options.status] - Result of dsuScheduler.getStatus(), for the schedule field
+ * @returns {Object} Discord embed
+ */
+const buildHelpEmbed = ({ commands, legacyEnabled, status = null }) => {
+    const slashList = commands
+        .map(command => `\`${command.usage || `/dsu ${command.name}`}\` - ${command.description}`)
+        .join('\n');
+
+    const fields = [
+        {
+            name: '📋 Slash Commands',
+            value: slashList,
+            inline: false
+        }
+    ];
+
+    if (legacyEnabled) {
+        const legacyList = commands
+            .filter(command => command.legacy)
+            .map(command => (command.group ? `\`!dsu-${command.group} ${command.name}\`` : `\`!dsu-${command.name}\``))
+            .join(' • ');
+
+        fields.push({
+            name: '⌨️ Legacy Commands',
+            value: legacyList,
+            inline: false
+        });
+    }
+
+    fields.push(
+        {
+            name: '📅 Automatic Schedule',
+            value: status
+                ? `🌅 Morning DSU: ${status.schedule.morning}\n🌆 Evening DSU: ${status.schedule.evening}\n🌏 ${status.timezone}` +
+                    ((status.teams || []).length > 1 ? `\n👥 ${status.teams.length} teams - see \`/dsu status\`` : '')
+                : '⏸️ Scheduler not running - the morning and evening schedules show here once it starts',
+            inline: false
+        },
+        {
+            name: '🔧 Features',
+            value: '• Rich Discord embeds\n• Timezone-aware scheduling\n• Weekday-only automation\n• Manual trigger commands\n• Auto-thread creation for discussions\n• Comprehensive error handling',
+            inline: false
+        }
+    );
+
+    return {
+        title: '🤖 DSU Bot Commands & Information',
+        description: 'Automated Daily Standup Updates for your team',
+        color: 0x3498db, // Blue
+        fields,
+        footer: {
+            text: '👤 Built by opisboy29 • 🔗 github.com/opisboy29/discord-dsu-bot',
+            icon_url: null
+        },
+        timestamp: new Date().toISOString()
+    };
+};
+
+/**
+ * Build the holiday list embed
+ * @param {Array<Object>} holidays - Result of holidayCalendar.list()
+ * @returns {Object} Discord embed
+ */
+const buildHolidayListEmbed = (holidays) => {
+    const lines = holidays.slice(0, MAX_HOLIDAY_LINES).map(holiday => {
+        const range = holiday.next.end !== holiday.next.start
+            ? `${formatDateKey(holiday.next.start)} → ${formatDateKey(holiday.next.end)}`
+            : formatDateKey(holiday.next.start);
+        const details = [
+            holiday.recurring === 'yearly' ? 'yearly' : null,
+            holiday.teams ? `teams: ${holiday.teams.join(', ')}` : null,
+            holiday.source === 'file' ? 'from file' : null
+        ].filter(Boolean);
+        return `🏖️ **${holiday.name}** — ${range}${details.length ? ` (${details.join(', ')})` : ''}\n\u2003\`${holiday.id}\``;
+    });
+
+    if (holidays.length > MAX_HOLIDAY_LINES) {
+        lines.push(`…and ${holidays.length - MAX_HOLIDAY_LINES} more`);
+    }
+
+    return {
+        title: '🏖️ Upcoming Holidays',
+        description: lines.length > 0 ? lines.join('\n') : 'No upcoming holidays. Add one with `/dsu holiday add`.',
+        color: 0xf39c12, // Orange
+        footer: {
+            text: 'Scheduled DSUs are skipped on these days',
+            icon_url: null
+        },
+        timestamp: new Date().toISOString()
+    };
+};
+
+/**
+ * Build the schedule embed of a team
+ * @param {Object} teamStatus - Team status from dsuScheduler.getStatus().teams
+ * @returns {Object} Discord embed
+ */
+const buildScheduleEmbed = (teamStatus) => {
+    const overrides = teamStatus.scheduleOverrides || {};
+    const typeField = (type, label) => ({
+        name: label,
+        value: `\`${teamStatus.cronExpressions[type]}\` ${overrides[type] ? '(set with `/dsu schedule set`)' : '(from configuration)'}\n` +
+            teamStatus.schedule[type],
+        inline: false
+    });
+
+    return {
+        title: '📅 DSU Schedule',
+        description: `👥 ${teamStatus.name} (\`${teamStatus.id}\`) • 🌏 ${teamStatus.timezone}`,
+        color: 0x3498db, // Blue
+        fields: [
+            typeField('morning', '🌅 Morning DSU'),
+            typeField('evening', '🌆 Evening DSU'),
+            {
+                name: '⏭️ Next DSUs',
+                value: teamStatus.nextRuns && teamStatus.nextRuns.length > 0
+                    ? teamStatus.nextRuns.map(formatRun).join('\n')
+                    : 'None scheduled',
+                inline: false
+            }
+        ],
+        footer: {
+            text: 'Weekends and holidays are skipped',
+            icon_url: null
+        },
+        timestamp: new Date().toISOString()
+    };
+};
+
+module.exports = {
+    buildStatusEmbed,
+    buildHelpEmbed,
+    buildHolidayListEmbed,
+    buildScheduleEmbed
+};
@@ -0,0 +1,254 @@
+/**
+ * Command Registry
+ *
+ * @author opisboy29
+ * @repository git@github.com:opisboy29/discord-dsu-bot.git
+ * @description Registers /dsu slash commands per guild and routes slash and legacy commands
+ */
+
+const { SlashCommandBuilder, PermissionFlagsBits, InteractionContextType } = require('discord.js');
+const logger = require('../utils/logger');
+const CommandContext = require('./command-context');
+const dsuCommands = require('./dsu-commands');
+
+const LEGACY_PREFIX = '!dsu-';
+
+class CommandRegistry {
+    /**
+     * @param {Object} services - Shared bot services passed to every command (dsuScheduler, dsuDispatcher, ...)
+     * @param {Array<Object>} commands - Command definitions (defaults to the built-in /dsu subcommands)
+     */
+    constructor(services = {}, commands = dsuCommands) {
+        this.services = { ...services, registry: this };
+        this.commands = [];
+        this.legacyEnabled = process.env.ENABLE_LEGACY_COMMANDS === 'true';
+
+        commands.forEach(command => this.register(command));
+    }
+
+    /**
+     * Add a subcommand definition
+     * @param {Object} command - Command definition (see dsu-commands.js)
+     */
+    register(command) {
+        if (!command.name || !command.description || typeof command.execute !== 'function') {
+            throw new Error(`Invalid command definition: ${command.name || 'unnamed'}`);
+        }
+        if (this.findCommand(command.name, command.group)) {
+            throw new Error(`Duplicate command: ${[command.group, command.name].filter(Boolean).join(' ')}`);
+        }
+        this.commands.push(command);
+    }
+
+    getCommands() {
+        return [...this.commands];
+    }
+
+    findCommand(name, group = null) {
+        return this.commands.find(command => command.name === name && (command.group || null) === (group || null));
+    }
+
+    /**
+     * Build the /dsu command payload for the Discord API
+     * @returns {Object} Slash command JSON
+     */
+    buildCommandData() {
+        const builder = new SlashCommandBuilder()
+            .setName('dsu')
+            .setDescription('Daily Standup Update commands')
+            .setContexts(InteractionContextType.Guild);
+
+        const applyCommand = (subcommand, command) => {
+            subcommand.setName(command.name).setDescription(command.description);
+            return command.build ? command.build(subcommand) : subcommand;
+        };
+
+        const groups = new Map();
+        for (const command of this.commands) {
+            if (!command.group) {
+                builder.addSubcommand(subcommand => applyCommand(subcommand, command));
+                continue;
+            }
+            if (!groups.has(command.group)) {
+                groups.set(command.group, []);
+            }
+            groups.get(command.group).push(command);
+        }
+
+        for (const [group, commands] of groups) {
+            builder.addSubcommandGroup(subcommandGroup => {
+                subcommandGroup.setName(group).setDescription(`DSU ${group} commands`);
+                commands.forEach(command => subcommandGroup.addSubcommand(subcommand => applyCommand(subcommand, command)));
+                return subcommandGroup;
+            });
+        }
+
+        return builder.toJSON();
+    }
+
+    /**
+     * Register /dsu in every guild the bot is in. Guild commands update instantly,
+     * unlike global commands which can take up to an hour to propagate.
+     * @param {Client} client - Discord client
+     * @returns {Promise<number>} Number of guilds registered
+     */
+    async registerGuildCommands(client) {
+        const data = this.buildCommandData();
+        let registered = 0;
+
+        for (const guild of client.guilds.cache.values()) {
+            if (await this.registerGuild(guild, data)) {
+                registered++;
+            }
+        }
+
+        logger.info(`⌨️ Slash commands registered in ${registered}/${client.guilds.cache.size} server(s)`);
+        return registered;
+    }
+
+    /**
+     * Register /dsu in a single guild (also used when the bot joins a new server)
+     * @param {Guild} guild - Discord guild
+     * @param {Object} data - Prebuilt command JSON
+     * @returns {Promise<boolean>} True if registration succeeded
+     */
+    async registerGuild(guild, data = this.buildCommandData()) {
+        try {
+            await guild.commands.set([data]);
+            logger.debug(`⌨️ Registered /dsu in ${guild.name}`);
+            return true;
+        } catch (error) {
+            logger.warn(`⚠️ Failed to register slash commands in ${guild.name}:`, error.message);
+            if (error.code === 50001) {
+                logger.warn('💡 Re-invite the bot with the applications.commands scope');
+            }
+            return false;
+        }
+    }
+
+    /**
+     * Handle an interactionCreate event
+     * @param {Interaction} interaction - Discord interaction
+     * @returns {Promise<boolean>} True if the interaction was a /dsu command
+     */
+    async handleInteraction(interaction) {
+        if (!interaction.isChatInputCommand() || interaction.commandName !== 'dsu') {
+            return false;
+        }
+
+        const ctx = CommandContext.fromInteraction(interaction);
+        const command = this.findCommand(ctx.subcommand, ctx.subcommandGroup);
+        if (!command) {
+            await ctx.replyError(`❌ Unknown command: ${ctx.commandName}`);
+            return true;
+        }
+
+        await this.execute(command, ctx);
+        return true;
+    }
+
+    /**
+     * Handle a legacy !dsu-* prefix command, if legacy mode is enabled
+     * @param {Message} message - Discord message
+     * @returns {Promise<boolean>} True if the message was a legacy command
+     */
+    async handleLegacyMessage(message) {
+        if (!this.legacyEnabled) {
+            return false;
+        }
+
+        const [head, ...args] = message.content.trim().split(/\s+/);
+        if (!head || !head.toLowerCase().startsWith(LEGACY_PREFIX)) {
+            return false;
+        }
+
+        const name = head.toLowerCase().slice(LEGACY_PREFIX.length);
+        let group = null;
+        let command = this.commands.find(candidate => candidate.legacy && !candidate.group && candidate.name === name);
+
+        // Grouped commands take the subcommand as the first word, e.g. "!dsu-holiday add ..."
+        if (!command && args.length > 0 && this.commands.some(candidate => candidate.group === name)) {
+            const subcommand = args[0].toLowerCase();
+            command = this.commands.find(candidate => candidate.legacy && candidate.group === name && candidate.name === subcommand);
+            if (command) {
+                group = name;
+                args.shift();
+            }
+        }
+        if (!command) {
+            return false;
+        }
+
+        // Legacy commands always answer in the channel, so check we can post there first
+        const permissions = message.channel.permissionsFor(message.client.user);
+        if (!permissions || !permissions.has('SendMessages') || !permissions.has('EmbedLinks')) {
+            logger.warn(`❌ Missing permissions for command ${head} in #${message.channel.name}`);
+            try {
+                await message.reply('❌ I need SendMessages and EmbedLinks permissions to work properly.');
+            } catch (permError) {
+                logger.error('Cannot even send permission error message:', permError);
+            }
+            return true;
+        }
+
+        const ctx = CommandContext.fromMessage(message, command.name, this.parseLegacyOptions(args), group);
+        await this.execute(command, ctx);
+        return true;
+    }
+
+    /**
+     * Parse "key:value" or "key=value" arguments of a legacy command
+     * @param {Array<string>} args - Whitespace-separated arguments
+     * @returns {Object} Options keyed by name
+     */
+    parseLegacyOptions(args) {
+        const options = {};
+        args.forEach((arg, index) => {
+            const match = arg.match(/^([a-z][\w-]*)[:=](.+)$/i);
+            if (match) {
+                options[match[1].toLowerCase()] = match[2];
+            } else {
+                options[`arg${index}`] = arg;
+            }
+        });
+        return options;
+    }
+
+    /**
+     * Run a command with the shared permission check and error mapping
+     * @param {Object} command - Command definition
+     * @param {CommandContext} ctx - Command context
+     */
+    async execute(command, ctx) {
+        if (command.adminOnly && !ctx.hasPermission(PermissionFlagsBits.ManageGuild)) {
+            logger.warn(`🔒 ${ctx.user.tag} tried ${ctx.commandName} without Manage Server permission`);
+            await ctx.replyError('🔒 You need the Manage Server permission to use this command.');
+            return;
+        }
+
+        try {
+            await command.execute(ctx, this.services);
+        } catch (error) {
+            logger.error(`❌ Error handling command '${ctx.commandName}':`, error);
+
+            // Enhanced error reporting to user
+            try {
+                let errorMessage = '❌ Something went wrong executing that command.';
+
+                if (error.code === 50013) {
+                    errorMessage = '❌ I don\'t have permission to send messages or embeds here.';
+                } else if (error.code === 10008) {
+                    errorMessage = '❌ This message was deleted before I could respond.';
+                } else if (error.code === 50035) {
+                    errorMessage = '❌ Invalid message format. Please try again.';
+                }
+
+                await ctx.replyError(errorMessage);
+            } catch (replyError) {
+                logger.error('Failed to send error message to user:', replyError);
+            }
+        }
+    }
+}
+
+module.exports = CommandRegistry;
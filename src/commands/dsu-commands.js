@@ -0,0 +1,549 @@
+/**
+ * DSU Command Definitions
+ *
+ * @author opisboy29
+ * @repository git@github.com:opisboy29/discord-dsu-bot.git
+ * @description /dsu subcommands (morning, evening, status, help, holiday, schedule, pause, resume, scheduling, skip) shared by slash and legacy handlers
+ */
+
+const { ChannelType } = require('discord.js');
+const logger = require('../utils/logger');
+const { TEMPLATE_FORMATS } = require('../../config/dsu-templates');
+const { getDSUType, getDSUTypes } = require('../utils/dsu-types');
+const defaultTeamRegistry = require('../utils/team-registry');
+const defaultHolidayCalendar = require('../utils/holiday-calendar');
+const { formatDateKey, getLocalDateKey } = require('../utils/time-utils');
+const { buildStatusEmbed, buildHelpEmbed, buildHolidayListEmbed, buildScheduleEmbed } = require('./command-embeds');
+
+// DSU types with a cron schedule per team (/dsu schedule, /dsu skip)
+const SCHEDULED_TYPES = ['morning', 'evening'];
+
+/**
+ * Look up the team named by the "team" option
+ * @param {CommandContext} ctx - Command context
+ * @param {TeamRegistry} teamRegistry - Registered teams
+ * @returns {{team: Object|null, error: string|null}} Requested team (null when the option is not set)
+ */
+function getRequestedTeam(ctx, teamRegistry) {
+    const teamId = ctx.getString('team');
+    if (!teamId) {
+        return { team: null, error: null };
+    }
+
+    const team = teamRegistry.getTeam(teamId);
+    if (!team) {
+        const known = teamRegistry.getTeams().map(candidate => candidate.id).join(', ');
+        return { team: null, error: `❌ Unknown team "${teamId}". Known teams: ${known || 'none'}` };
+    }
+    return { team, error: null };
+}
+
+/**
+ * Team a command applies to: the "team" option, else the team that owns the channel, else the default team
+ * @param {CommandContext} ctx - Command context
+ * @param {TeamRegistry} teamRegistry - Registered teams
+ * @returns {{team: Object|null, error: string|null}} Target team
+ */
+function getTargetTeam(ctx, teamRegistry) {
+    const requested = getRequestedTeam(ctx, teamRegistry);
+    if (requested.error || requested.team) {
+        return requested;
+    }
+
+    const team = teamRegistry.findByChannel(ctx.channel.id) || teamRegistry.getDefaultTeam();
+    return team ? { team, error: null } : { team: null, error: '❌ No team is configured' };
+}
+
+/**
+ * Send a DSU manually to the invoking (or chosen) channel and open its thread.
+ * The team's template and thread settings apply when the channel belongs to a team.
+ * In a team's own channel the DSU counts as the team's DSU for the day: the send ledger refuses a
+ * second one of the same type unless "force" is set, and follow-ups are scheduled as for a scheduled DSU.
+ * @param {CommandContext} ctx - Command context
+ * @param {string} type - Registered DSU type
+ * @param {Object} services - Shared bot services
+ */
+async function sendManualDSU(ctx, type, { dsuDispatcher, teamRegistry = defaultTeamRegistry }) {
+    const { emoji, label } = getDSUType(type);
+    await ctx.defer({ ephemeral: true });
+
+    const requested = getRequestedTeam(ctx, teamRegistry);
+    if (requested.error) {
+        await ctx.replyError(requested.error);
+        return;
+    }
+
+    // Explicit channel > the requested team's channel > the channel the command was used in
+    let channel = ctx.getChannel('channel');
+    if (!channel && requested.team) {
+        channel = await ctx.client.channels.fetch(requested.team.channelId);
+    }
+    channel = channel || ctx.channel;
+
+    const team = requested.team || teamRegistry.findByChannel(channel.id);
+    const requestedFormat = ctx.getString('format');
+
+    logger.info(`${emoji} Manual ${type} DSU triggered by ${ctx.user.tag} in #${channel.name}${team ? ` (team ${team.id})` : ''}`);
+
+    // Enhanced permission checking for manual commands (missing EmbedLinks falls back to text)
+    const permissions = channel.permissionsFor(ctx.client.user);
+    if (!permissions || !permissions.has('SendMessages')) {
+        logger.warn(`❌ Missing permissions for ${ctx.commandName} in #${channel.name}`);
+        await ctx.replyError('❌ I need the SendMessages permission to post DSUs here.');
+        return;
+    }
+
+    if (requestedFormat && !TEMPLATE_FORMATS.includes(requestedFormat)) {
+        await ctx.replyError(`❌ Unknown format "${requestedFormat}". Use one of: ${TEMPLATE_FORMATS.join(', ')}`);
+        return;
+    }
+
+    try {
+        dsuDispatcher.render(type, { channel, clientUser: ctx.client.user, team, format: requestedFormat });
+    } catch (error) {
+        logger.error(`❌ ${label} template validation failed:`, error.message);
+        await ctx.replyError(`❌ Error: Invalid ${type} template format`);
+        return;
+    }
+
+    // Only DSUs in the team's own channel count; test posts elsewhere don't block the scheduled one
+    const ledgerTeam = team && team.channelId === channel.id ? team : null;
+    const dateKey = ledgerTeam ? getLocalDateKey(ledgerTeam.timezone) : null;
+    if (ledgerTeam) {
+        const claim = await dsuDispatcher.claim(type, ledgerTeam, dateKey, { source: 'manual', by: ctx.user.tag },
+            { force: ctx.getBoolean('force') === true });
+        if (!claim.claimed) {
+            await ctx.replyError(`⚠️ The ${type} DSU for **${ledgerTeam.name}** was already ` +
+                `${claim.entry.status === 'sent' ? 'posted' : 'being posted'} today (${claim.entry.source}). Use \`force:true\` to post it again.`);
+            return;
+        }
+    }
+
+    const { message, thread, fallback } = await dsuDispatcher.dispatch(type, { channel, clientUser: ctx.client.user, team },
+        { format: requestedFormat, dateKey, source: 'manual', followUps: Boolean(ledgerTeam) });
+
+    if (message.dryRun) {
+        await ctx.reply({ content: `🧪 Dry run: ${label} DSU for <#${channel.id}> was logged, not posted` }, { ephemeral: true });
+    } else if (ctx.isSlash) {
+        await ctx.reply({
+            content: `✅ ${label} DSU posted in <#${channel.id}>${thread ? ` with thread <#${thread.id}>` : ''}` +
+                (fallback ? '\n⚠️ Sent as plain text because I lack the Embed Links permission there.' : '')
+        }, { ephemeral: true });
+    }
+}
+
+const addTeamOption = (option) => option
+    .setName('team')
+    .setDescription('Team ID from the team registry')
+    .setRequired(false);
+
+const addTypeOption = (required) => (option) => option
+    .setName('type')
+    .setDescription('Which DSU')
+    .addChoices(...SCHEDULED_TYPES.map(type => ({ name: getDSUType(type).label, value: type })))
+    .setRequired(required);
+
+const addManualDSUOptions = (subcommand) => subcommand
+    .addChannelOption(option => option
+        .setName('channel')
+        .setDescription('Channel to post in (defaults to this channel)')
+        .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+        .setRequired(false))
+    .addStringOption(option => option
+        .setName('format')
+        .setDescription('Template format (defaults to TEMPLATE_FORMAT)')
+        .addChoices(...TEMPLATE_FORMATS.map(format => ({ name: format, value: format })))
+        .setRequired(false))
+    .addStringOption(addTeamOption)
+    .addBooleanOption(option => option
+        .setName('force')
+        .setDescription('Post even if this DSU was already posted today')
+        .setRequired(false));
+
+/**
+ * Subcommand definitions. Add new entries here to extend /dsu.
+ *  - name / description: slash subcommand metadata
+ *  - group: optional subcommand group (e.g. 'schedule' for /dsu schedule set)
+ *  - usage: how the command is shown in help
+ *  - legacy: also available as !dsu-<name> when legacy commands are enabled
+ *  - adminOnly: requires the Manage Server permission
+ *  - build(subcommand): add slash options
+ *  - execute(ctx, services): run the command
+ */
+const dsuCommands = [
+    // One manual command per registered DSU type (/dsu morning, /dsu evening, ...)
+    ...getDSUTypes().map(({ type }) => ({
+        name: type,
+        description: `Trigger the ${type} DSU`,
+        usage: `/dsu ${type} [channel] [format] [team] [force]`,
+        legacy: true,
+        build: addManualDSUOptions,
+        execute: (ctx, services) => sendManualDSU(ctx, type, services)
+    })),
+    {
+        name: 'status',
+        description: 'Show bot status',
+        usage: '/dsu status [team]',
+        legacy: true,
+        build: (subcommand) => subcommand.addStringOption(addTeamOption),
+        execute: async (ctx, { dsuScheduler, teamRegistry = defaultTeamRegistry }) => {
+            logger.info(`📊 Status command requested by ${ctx.user.tag} in #${ctx.channel.name}`);
+            const requested = getRequestedTeam(ctx, teamRegistry);
+            if (requested.error) {
+                await ctx.replyError(requested.error);
+                return;
+            }
+
+            const status = dsuScheduler.getStatus();
+            const teamStatus = requested.team && status.teams.find(team => team.id === requested.team.id);
+            const embed = teamStatus
+                ? buildStatusEmbed({ ...status, ...teamStatus, teams: [teamStatus] })
+                : buildStatusEmbed(status);
+            await ctx.reply({ embeds: [embed] }, { ephemeral: true });
+        }
+    },
+    {
+        name: 'add',
+        group: 'holiday',
+        description: 'Add a holiday or day off (scheduled DSUs are skipped)',
+        usage: '/dsu holiday add <date> <name> [end] [yearly] [team]',
+        legacy: true,
+        adminOnly: true,
+        build: (subcommand) => subcommand
+            .addStringOption(option => option
+                .setName('date')
+                .setDescription('First day off (YYYY-MM-DD)')
+                .setRequired(true))
+            .addStringOption(option => option
+                .setName('name')
+                .setDescription('e.g. Independence Day')
+                .setMaxLength(100)
+                .setRequired(true))
+            .addStringOption(option => option
+                .setName('end')
+                .setDescription('Last day off for a range (YYYY-MM-DD)')
+                .setRequired(false))
+            .addBooleanOption(option => option
+                .setName('yearly')
+                .setDescription('Repeat every year on the same date')
+                .setRequired(false))
+            .addStringOption(addTeamOption),
+        execute: async (ctx, { holidayCalendar = defaultHolidayCalendar, teamRegistry = defaultTeamRegistry }) => {
+            const requested = getRequestedTeam(ctx, teamRegistry);
+            if (requested.error) {
+                await ctx.replyError(requested.error);
+                return;
+            }
+
+            let holiday;
+            try {
+                holiday = await holidayCalendar.add({
+                    date: ctx.getString('date'),
+                    end: ctx.getString('end'),
+                    name: ctx.getText('name'),
+                    recurring: ctx.getBoolean('yearly') === true,
+                    teams: requested.team ? [requested.team.id] : null
+                });
+            } catch (error) {
+                await ctx.replyError(`❌ ${error.message}`);
+                return;
+            }
+
+            logger.info(`🏖️ Holiday ${holiday.id} added by ${ctx.user.tag}`);
+            const range = holiday.end !== holiday.start
+                ? `${formatDateKey(holiday.start)} → ${formatDateKey(holiday.end)}`
+                : formatDateKey(holiday.start);
+            await ctx.reply({
+                content: `🏖️ Added **${holiday.name}** (${range}${holiday.recurring ? ', every year' : ''})` +
+                    `${requested.team ? ` for team ${requested.team.id}` : ''}. ID: \`${holiday.id}\``
+            }, { ephemeral: true });
+        }
+    },
+    {
+        name: 'remove',
+        group: 'holiday',
+        description: 'Remove a holiday added with /dsu holiday add',
+        usage: '/dsu holiday remove <id>',
+        legacy: true,
+        adminOnly: true,
+        build: (subcommand) => subcommand
+            .addStringOption(option => option
+                .setName('id')
+                .setDescription('Holiday ID from /dsu holiday list')
+                .setRequired(true)),
+        execute: async (ctx, { holidayCalendar = defaultHolidayCalendar }) => {
+            let holiday;
+            try {
+                holiday = await holidayCalendar.remove(ctx.getString('id') || ctx.getString('arg0'));
+            } catch (error) {
+                await ctx.replyError(`❌ ${error.message}`);
+                return;
+            }
+
+            logger.info(`🏖️ Holiday ${holiday.id} removed by ${ctx.user.tag}`);
+            await ctx.reply({ content: `🗑️ Removed **${holiday.name}**` }, { ephemeral: true });
+        }
+    },
+    {
+        name: 'list',
+        group: 'holiday',
+        description: 'List upcoming holidays and days off',
+        usage: '/dsu holiday list [team]',
+        legacy: true,
+        build: (subcommand) => subcommand.addStringOption(addTeamOption),
+        execute: async (ctx, { holidayCalendar = defaultHolidayCalendar, teamRegistry = defaultTeamRegistry }) => {
+            const requested = getRequestedTeam(ctx, teamRegistry);
+            if (requested.error) {
+                await ctx.replyError(requested.error);
+                return;
+            }
+
+            const holidays = holidayCalendar.list({ teamId: requested.team ? requested.team.id : null });
+            await ctx.reply({ embeds: [buildHolidayListEmbed(holidays)] }, { ephemeral: true });
+        }
+    },
+    {
+        name: 'set',
+        group: 'schedule',
+        description: 'Change when the morning or evening DSU is posted',
+        usage: '/dsu schedule set <type> <cron> [team]',
+        legacy: true,
+        adminOnly: true,
+        build: (subcommand) => subcommand
+            .addStringOption(addTypeOption(true))
+            .addStringOption(option => option
+                .setName('cron')
+                .setDescription('Cron expression, e.g. 30 8 * * 1-5')
+                .setMaxLength(100)
+                .setRequired(true))
+            .addStringOption(addTeamOption),
+        execute: async (ctx, { dsuScheduler, teamRegistry = defaultTeamRegistry }) => {
+            const target = getTargetTeam(ctx, teamRegistry);
+            if (target.error) {
+                await ctx.replyError(target.error);
+                return;
+            }
+
+            // Legacy: "!dsu-schedule set morning 30 8 * * 1-5"
+            const type = (ctx.getString('type') || ctx.getString('arg0') || '').toLowerCase();
+            const expression = ctx.getText('cron', ctx.getString('type') ? 0 : 1);
+
+            try {
+                await dsuScheduler.setSchedule(target.team, type, expression || '');
+            } catch (error) {
+                await ctx.replyError(`❌ ${error.message}`);
+                return;
+            }
+
+            logger.info(`📅 [${target.team.id}] ${type} schedule set to "${expression}" by ${ctx.user.tag}`);
+            const teamStatus = dsuScheduler.getTeamStatus(target.team);
+            const nextRun = teamStatus.nextRuns.find(run => run.type === type);
+            await ctx.reply({
+                content: `${getDSUType(type).emoji} ${getDSUType(type).label} DSU for **${target.team.name}** is now ` +
+                    `\`${teamStatus.cronExpressions[type]}\` - ${teamStatus.schedule[type]} (${teamStatus.timezone})\n` +
+                    (nextRun ? `⏭️ Next: ${nextRun.localTime}` : dsuScheduler.schedulingConfig.enabled
+                    ? '⚠️ This schedule has no upcoming working-day runs'
+                    : '⏹️ Scheduling is disabled - it applies once `/dsu scheduling on` is used')
+            }, { ephemeral: true });
+        }
+    },
+    {
+        name: 'show',
+        group: 'schedule',
+        description: 'Show the DSU schedule and next runs',
+        usage: '/dsu schedule show [team]',
+        legacy: true,
+        build: (subcommand) => subcommand.addStringOption(addTeamOption),
+        execute: async (ctx, { dsuScheduler, teamRegistry = defaultTeamRegistry }) => {
+            const target = getTargetTeam(ctx, teamRegistry);
+            if (target.error) {
+                await ctx.replyError(target.error);
+                return;
+            }
+
+            await ctx.reply({ embeds: [buildScheduleEmbed(dsuScheduler.getTeamStatus(target.team))] }, { ephemeral: true });
+        }
+    },
+    {
+        name: 'reset',
+        group: 'schedule',
+        description: 'Go back to the configured DSU schedule',
+        usage: '/dsu schedule reset [type] [team]',
+        legacy: true,
+        adminOnly: true,
+        build: (subcommand) => subcommand
+            .addStringOption(addTypeOption(false))
+            .addStringOption(addTeamOption),
+        execute: async (ctx, { dsuScheduler, teamRegistry = defaultTeamRegistry }) => {
+            const target = getTargetTeam(ctx, teamRegistry);
+            if (target.error) {
+                await ctx.replyError(target.error);
+                return;
+            }
+
+            const type = (ctx.getString('type') || ctx.getString('arg0') || '').toLowerCase() || null;
+            if (type && !SCHEDULED_TYPES.includes(type)) {
+                await ctx.replyError(`❌ Unknown DSU type "${type}" (use morning or evening)`);
+                return;
+            }
+
+            await dsuScheduler.resetSchedule(target.team, type);
+            logger.info(`📅 [${target.team.id}] ${type || 'morning and evening'} schedule reset by ${ctx.user.tag}`);
+            await ctx.reply({ embeds: [buildScheduleEmbed(dsuScheduler.getTeamStatus(target.team))] }, { ephemeral: true });
+        }
+    },
+    {
+        name: 'pause',
+        description: 'Pause scheduled DSUs (manual commands keep working)',
+        usage: '/dsu pause [until] [team]',
+        legacy: true,
+        adminOnly: true,
+        build: (subcommand) => subcommand
+            .addStringOption(option => option
+                .setName('until')
+                .setDescription('Date scheduled DSUs resume (YYYY-MM-DD); leave empty to pause until /dsu resume')
+                .setRequired(false))
+            .addStringOption(addTeamOption),
+        execute: async (ctx, { dsuScheduler, teamRegistry = defaultTeamRegistry }) => {
+            const target = getTargetTeam(ctx, teamRegistry);
+            if (target.error) {
+                await ctx.replyError(target.error);
+                return;
+            }
+
+            let pause;
+            try {
+                pause = await dsuScheduler.pause(target.team, {
+                    until: ctx.getString('until') || ctx.getString('arg0'),
+                    by: ctx.user.tag
+                });
+            } catch (error) {
+                await ctx.replyError(`❌ ${error.message}`);
+                return;
+            }
+
+            logger.info(`⏸️ [${target.team.id}] Scheduled DSUs paused${pause.until ? ` until ${pause.until}` : ''} by ${ctx.user.tag}`);
+            await ctx.reply({
+                content: `⏸️ Scheduled DSUs for **${target.team.name}** are paused ` +
+                    (pause.until ? `until ${formatDateKey(pause.until)}` : 'until `/dsu resume`')
+            }, { ephemeral: true });
+        }
+    },
+    {
+        name: 'resume',
+        description: 'Resume paused scheduled DSUs',
+        usage: '/dsu resume [team]',
+        legacy: true,
+        adminOnly: true,
+        build: (subcommand) => subcommand.addStringOption(addTeamOption),
+        execute: async (ctx, { dsuScheduler, teamRegistry = defaultTeamRegistry }) => {
+            const target = getTargetTeam(ctx, teamRegistry);
+            if (target.error) {
+                await ctx.replyError(target.error);
+                return;
+            }
+
+            const wasPaused = await dsuScheduler.resume(target.team);
+            if (wasPaused) {
+                logger.info(`▶️ [${target.team.id}] Scheduled DSUs resumed by ${ctx.user.tag}`);
+            }
+
+            const [nextRun] = dsuScheduler.getNextRuns(target.team, 1);
+            await ctx.reply({
+                content: (wasPaused
+                    ? `▶️ Scheduled DSUs for **${target.team.name}** resumed`
+                    : `ℹ️ Scheduled DSUs for **${target.team.name}** were not paused`) +
+                    (nextRun ? `\n⏭️ Next: ${getDSUType(nextRun.type).emoji} ${nextRun.localTime}` : '')
+            }, { ephemeral: true });
+        }
+    },
+    {
+        name: 'scheduling',
+        description: 'Turn scheduled DSUs on or off for every team (manual commands keep working)',
+        usage: '/dsu scheduling <on|off>',
+        legacy: true,
+        adminOnly: true,
+        build: (subcommand) => subcommand
+            .addStringOption(option => option
+                .setName('state')
+                .setDescription('on or off')
+                .setRequired(true)
+                .addChoices({ name: 'On', value: 'on' }, { name: 'Off', value: 'off' })),
+        execute: async (ctx, { dsuScheduler }) => {
+            const state = (ctx.getString('state') || ctx.getString('arg0') || '').toLowerCase();
+            if (!['on', 'off'].includes(state)) {
+                await ctx.replyError('❌ Use `on` or `off`');
+                return;
+            }
+
+            let changed;
+            try {
+                changed = dsuScheduler.setSchedulingEnabled(state === 'on', { by: ctx.user.tag });
+            } catch (error) {
+                await ctx.replyError(`❌ ${error.message}`);
+                return;
+            }
+
+            const content = state === 'on'
+                ? (changed ? '▶️ Scheduling enabled - scheduled DSUs will be posted again' : 'ℹ️ Scheduling is already enabled')
+                : (changed ? '⏹️ Scheduling disabled - only manual commands will post DSUs' : 'ℹ️ Scheduling is already disabled');
+            await ctx.reply({ content }, { ephemeral: true });
+        }
+    },
+    {
+        name: 'skip',
+        description: 'Skip the next scheduled DSU or every DSU on a date',
+        usage: '/dsu skip <when> [team]',
+        legacy: true,
+        adminOnly: true,
+        build: (subcommand) => subcommand
+            .addStringOption(option => option
+                .setName('when')
+                .setDescription('"next" or a date (YYYY-MM-DD)')
+                .setRequired(true))
+            .addStringOption(addTeamOption),
+        execute: async (ctx, { dsuScheduler, teamRegistry = defaultTeamRegistry }) => {
+            const target = getTargetTeam(ctx, teamRegistry);
+            if (target.error) {
+                await ctx.replyError(target.error);
+                return;
+            }
+
+            const when = (ctx.getString('when') || ctx.getString('arg0') || '').toLowerCase();
+            if (!when) {
+                await ctx.replyError('❌ Say which DSU to skip: "next" or a date (YYYY-MM-DD)');
+                return;
+            }
+
+            let skip;
+            try {
+                skip = await dsuScheduler.skip(target.team, when === 'next' ? null : when);
+            } catch (error) {
+                await ctx.replyError(`❌ ${error.message}`);
+                return;
+            }
+
+            logger.info(`⏭️ [${target.team.id}] ${skip.type ? `${skip.type} DSU` : 'DSUs'} on ${skip.date} skipped by ${ctx.user.tag}`);
+            const skipped = skip.type
+                ? `${getDSUType(skip.type).emoji} ${getDSUType(skip.type).label} DSU on ${formatDateKey(skip.date)}`
+                : `All scheduled DSUs on ${formatDateKey(skip.date)}`;
+            await ctx.reply({ content: `⏭️ ${skipped} will be skipped for **${target.team.name}**` }, { ephemeral: true });
+        }
+    },
+    {
+        name: 'help',
+        description: 'Show this help',
+        legacy: true,
+        execute: async (ctx, { registry, dsuScheduler }) => {
+            logger.info(`❓ Help command requested by ${ctx.user.tag} in #${ctx.channel.name}`);
+            const helpEmbed = buildHelpEmbed({
+                commands: registry.getCommands(),
+                legacyEnabled: registry.legacyEnabled,
+                status: dsuScheduler ? dsuScheduler.getStatus() : null
+            });
+            await ctx.reply({ embeds: [helpEmbed] }, { ephemeral: true });
+        }
+    }
+];
+
+module.exports = dsuCommands;
@@ -4,8 +4,16 @@ const express = require('express');
 const dsuScheduler = require('./schedulers/dsu-scheduler');
 const logger = require('./utils/logger');
 const ConfigValidator = require('./utils/config-validator');
-const { generateThreadTitle } = require('../config/dsu-templates');
-const ThreadManager = require('./utils/thread-manager');
+const ResponseCollector = require('./utils/response-collector');
+const DSUSubmission = require('./utils/dsu-submission');
+const dsuRepository = require('./storage/dsu-repository');
+const CommandRegistry = require('./commands/command-registry');
+const templateLoader = require('./utils/template-loader');
+const teamRegistry = require('./utils/team-registry');
+const holidayCalendar = require('./utils/holiday-calendar');
+const JsonStore = require('./storage/json-store');
+const InstanceLock = require('./utils/instance-lock');
+const dryRun = require('./utils/dry-run');
 
 // Get package info for startup logs
 const packageInfo = require('../package.json');
@@ -13,10 +21,9 @@ const packageInfo = require('../package.json');
 // Enhanced channel access validation using comprehensive validator
 const ChannelValidator = require('./utils/channel-validator');
 
-async function validateChannelAccess(client) {
+async function validateChannelAccess(client, channelId = process.env.DSU_CHANNEL_ID) {
     try {
-        const channelId = process.env.DSU_CHANNEL_ID;
-        logger.info('🔍 Starting comprehensive channel validation...');
+        logger.info(`🔍 Starting comprehensive channel validation for ${channelId}...`);
         
         const validator = new ChannelValidator(client);
         const results = await validator.validateChannel(channelId);
@@ -50,7 +57,7 @@ async function validateChannelAccess(client) {
             const errorCodes = results.errors.map(e => e.code);
             
             if (errorCodes.includes('MISSING_CHANNEL_ID')) {
-                logger.error('💡 Add DSU_CHANNEL_ID="your_channel_id" to your .env file');
+                logger.error('💡 Add DSU_CHANNEL_ID="your_channel_id" to your .env file (or channelId to the team file)');
             }
             if (errorCodes.includes('INVALID_CHANNEL_ID_FORMAT')) {
                 logger.error('💡 Ensure channel ID is 17-19 digits (right-click channel → Copy ID)');
@@ -73,27 +80,62 @@ async function validateChannelAccess(client) {
     }
 }
 
-const client = new Client({
-    intents: [
-        GatewayIntentBits.Guilds,
-        GatewayIntentBits.GuildMessages,
-        GatewayIntentBits.MessageContent // needed for commands to work
-    ]
-});
+const intents = [
+    GatewayIntentBits.Guilds,
+    GatewayIntentBits.GuildMessages,
+    GatewayIntentBits.MessageContent // needed to capture DSU thread replies and legacy !dsu-* commands
+];
+
+// Server Members is privileged: only request it when follow-ups expand MENTION_ROLES into a roster
+const membersIntent = dsuScheduler.attendanceTracker.needsMembersIntent(teamRegistry.getTeams());
+if (membersIntent) {
+    intents.push(GatewayIntentBits.GuildMembers);
+}
+
+const client = new Client({ intents });
+
+// With teams in several timezones, their log lines also show the team's local time
+logger.setTeamTimezones(teamRegistry.getTeams());
+
+// Captures replies posted in DSU threads
+const responseCollector = new ResponseCollector();
 
-// Create thread manager instance
-const threadManager = new ThreadManager();
+// Handles the "Submit my update" button and form on DSU messages
+const dsuSubmission = new DSUSubmission(dsuRepository, responseCollector.planReview);
+
+// Routes /dsu slash commands (and legacy !dsu-* commands when enabled)
+const commandRegistry = new CommandRegistry({ dsuScheduler, dsuDispatcher: dsuScheduler.dispatcher, teamRegistry, holidayCalendar });
+
+// Only one process (e.g. PM2 or npm run dev) may schedule DSUs from the same data directory
+const schedulerLock = new InstanceLock(JsonStore.resolvePath('scheduler.lock'));
 
 client.once('ready', async () => {
     logger.startup('DSU Discord Bot', packageInfo.version);
     logger.success(`Bot is ready! Logged in as ${client.user.tag}`);
     logger.info(`Connected to ${client.guilds.cache.size} server(s)`);
+    if (dryRun.enabled) {
+        logger.warn(`🧪 DRY RUN: DSUs, threads, thread messages and DMs are logged${dryRun.outputFile ? ` and written to ${dryRun.outputFile}` : ''}, not sent`);
+    }
+    
+    // Register /dsu slash commands per server so they are available immediately
+    await commandRegistry.registerGuildCommands(client);
+    if (commandRegistry.legacyEnabled) {
+        logger.info('⌨️ Legacy !dsu-* prefix commands enabled');
+    }
     
-    // Check if we can actually access the channel before starting scheduler
-    const isChannelValid = await validateChannelAccess(client);
-    if (!isChannelValid) {
+    // Check if we can actually access each team's channel before scheduling it
+    const teams = [];
+    for (const team of teamRegistry.getTeams()) {
+        if (await validateChannelAccess(client, team.channelId)) {
+            teams.push(team);
+        } else {
+            logger.error(`❌ Channel validation failed for team ${team.id}. Its DSUs will not be scheduled.`);
+        }
+    }
+    
+    if (teams.length === 0) {
         logger.error('❌ Channel validation failed. Scheduler will not start.');
-        logger.error('💡 Please check DSU_CHANNEL_ID in your .env file');
+        logger.error('💡 Please check DSU_CHANNEL_ID in your .env file (or the channel IDs in your team file)');
         logger.error('💡 Make sure the bot has proper permissions in the target channel');
         
         // Don't exit - allow manual commands to still work
@@ -101,16 +143,20 @@ client.once('ready', async () => {
         return;
     }
     
-    logger.info(`Bot will send DSU reminders at 9:00 AM and 5:00 PM WIB (weekdays only)`);
-    
-    // Start the scheduler with enhanced error handling
+    // Start the scheduler with enhanced error handling (it takes the scheduler lock and
+    // does nothing when ENABLE_SCHEDULING=false, so /dsu scheduling on can start it later)
     try {
-        dsuScheduler.start(client);
+        if (!dsuScheduler.start(client, teams, schedulerLock)) {
+            logger.warn('⚠️ Bot will continue running for manual commands only');
+            return;
+        }
         logger.success('✅ DSU Scheduler initialized successfully');
+        logger.info(`Bot will send DSU reminders for ${teams.length} team(s) (weekdays only)`);
         
         // Validate scheduler status
         const status = dsuScheduler.getStatus();
-        if (!status.morningJobRunning || !status.eveningJobRunning) {
+        const scheduled = status.teams.filter(team => teams.some(candidate => candidate.id === team.id));
+        if (scheduled.some(team => !team.morningJobRunning || !team.eveningJobRunning)) {
             logger.warn('⚠️ Some scheduler jobs may not be running properly');
             logger.warn('💡 Check your cron expressions in .env file');
         }
@@ -118,191 +164,68 @@ client.once('ready', async () => {
         logger.error('❌ Failed to start DSU scheduler:', error);
         
         if (error.message.includes('cron')) {
-            logger.error('💡 Invalid cron expression - check MORNING_SCHEDULE and EVENING_SCHEDULE in .env');
+            logger.error('💡 Invalid cron expression - check MORNING_SCHEDULE and EVENING_SCHEDULE in .env (or the team file)');
         } else if (error.message.includes('timezone')) {
-            logger.error('💡 Invalid timezone - check TIMEZONE in .env (e.g., Asia/Jakarta)');
+            logger.error('💡 Invalid timezone - check TIMEZONE in .env or the team file (e.g., Asia/Jakarta)');
         }
         
         logger.error('💀 Scheduler is critical for bot functionality, exiting...');
         process.exit(1);
     }
+    
+    // Post DSUs whose scheduled time passed while the bot was offline
+    await catchUpMissedDSUs();
 });
 
+/**
+ * Send scheduled DSUs missed while the bot was offline or disconnected
+ */
+async function catchUpMissedDSUs() {
+    try {
+        const caughtUp = await dsuScheduler.catchUpMissedRuns();
+        if (caughtUp.length > 0) {
+            logger.info(`⏰ Sent ${caughtUp.length} missed DSU(s) late`);
+        }
+    } catch (error) {
+        logger.error('❌ Missed DSU catch-up failed:', error);
+    }
+}
+
 client.on('messageCreate', async (message) => {
     if (message.author.bot) return; // ignore other bots
     
-    const command = message.content.toLowerCase();
-    const validCommands = ['!dsu-morning', '!dsu-evening', '!dsu-help', '!dsu-status'];
-    
-    if (!validCommands.includes(command)) return;
+    // Replies inside DSU threads are stored as DSU responses
+    if (await responseCollector.handleMessage(message)) return;
     
+    // Legacy !dsu-* prefix commands (only when ENABLE_LEGACY_COMMANDS=true)
+    await commandRegistry.handleLegacyMessage(message);
+});
+
+// /dsu slash commands and the DSU submission form
+client.on('interactionCreate', async (interaction) => {
     try {
-        // Enhanced permission checking for manual commands
-        const permissions = message.channel.permissionsFor(client.user);
-        if (!permissions.has('SendMessages') || !permissions.has('EmbedLinks')) {
-            logger.warn(`❌ Missing permissions for command ${command} in #${message.channel.name}`);
-            try {
-                await message.reply('❌ I need SendMessages and EmbedLinks permissions to work properly.');
-            } catch (permError) {
-                logger.error('Cannot even send permission error message:', permError);
-            }
-            return;
-        }
-        
-        // Manual morning DSU trigger
-        if (command === '!dsu-morning') {
-            logger.info(`🌅 Manual morning DSU triggered by ${message.author.tag} in #${message.channel.name}`);
-            const { getMorningTemplate, validateTemplate } = require('../config/dsu-templates');
-            
-            const template = getMorningTemplate();
-            if (!validateTemplate(template)) {
-                logger.error('❌ Morning template validation failed');
-                await message.reply('❌ Error: Invalid morning template format');
-                return;
-            }
-            
-            const sentMessage = await message.channel.send(template);
-            logger.dsu(`✅ Morning DSU sent manually to #${message.channel.name} (ID: ${sentMessage.id})`);
-            
-            // Create thread for manual morning DSU
-            try {
-                const threadTitle = generateThreadTitle('morning');
-                const thread = await threadManager.createDSUThread(sentMessage, threadTitle, 'morning');
-                if (thread) {
-                    logger.success(`🧵 Manual morning DSU thread created: #${thread.name}`);
-                }
-            } catch (threadError) {
-                logger.warn('⚠️ Failed to create thread for manual morning DSU:', threadError.message);
-            }
-        }
-        
-        // Manual evening DSU trigger  
-        else if (command === '!dsu-evening') {
-            logger.info(`🌆 Manual evening DSU triggered by ${message.author.tag} in #${message.channel.name}`);
-            const { getEveningTemplate, validateTemplate } = require('../config/dsu-templates');
-            
-            const template = getEveningTemplate();
-            if (!validateTemplate(template)) {
-                logger.error('❌ Evening template validation failed');
-                await message.reply('❌ Error: Invalid evening template format');
-                return;
-            }
-            
-            const sentMessage = await message.channel.send(template);
-            logger.dsu(`✅ Evening DSU sent manually to #${message.channel.name} (ID: ${sentMessage.id})`);
-            
-            // Create thread for manual evening DSU
-            try {
-                const threadTitle = generateThreadTitle('evening');
-                const thread = await threadManager.createDSUThread(sentMessage, threadTitle, 'evening');
-                if (thread) {
-                    logger.success(`🧵 Manual evening DSU thread created: #${thread.name}`);
-                }
-            } catch (threadError) {
-                logger.warn('⚠️ Failed to create thread for manual evening DSU:', threadError.message);
-            }
-        }
-        
-        // Status command - new enhanced command
-        else if (command === '!dsu-status') {
-            logger.info(`📊 Status command requested by ${message.author.tag} in #${message.channel.name}`);
-            const status = dsuScheduler.getStatus();
-            
-            const statusEmbed = {
-                title: '🤖 DSU Bot Status',
-                color: 0x00ff00, // Green
-                fields: [
-                    {
-                        name: '🔄 Scheduler Status',
-                        value: `Morning: ${status.morningJobRunning ? '✅ Running' : '❌ Stopped'}\nEvening: ${status.eveningJobRunning ? '✅ Running' : '❌ Stopped'}`,
-                        inline: true
-                    },
-                    {
-                        name: '🌏 Timezone & Time',
-                        value: `${status.timezone}\n${status.currentTime}`,
-                        inline: true
-                    },
-                    {
-                        name: '📅 Schedule',
-                        value: `Morning: ${status.schedule.morning}\nEvening: ${status.schedule.evening}`,
-                        inline: false
-                    },
-                    {
-                        name: '📊 Current Status',
-                        value: `Weekday: ${status.isWeekday ? '✅ Yes' : '❌ No (Weekend)'}\nBot Ready: ✅ Yes`,
-                        inline: false
-                    },
-                    {
-                        name: '🧵 Thread Configuration',
-                        value: `Auto-threads: ${status.threadConfig.enabled ? '✅ Enabled' : '❌ Disabled'}\nAuto-archive: ${status.threadConfig.autoArchiveDurationHours}h\nInitial message: ${status.threadConfig.sendInitialMessage ? '✅' : '❌'}`,
-                        inline: false
-                    }
-                ],
-                footer: {
-                    text: 'DSU Bot • Built by opisboy29',
-                    icon_url: null
-                },
-                timestamp: new Date().toISOString()
-            };
-            
-            await message.channel.send({ embeds: [statusEmbed] });
-        }
-        
-        // Help command
-        else if (command === '!dsu-help') {
-            logger.info(`❓ Help command requested by ${message.author.tag} in #${message.channel.name}`);
-            const helpEmbed = {
-                title: '🤖 DSU Bot Commands & Information',
-                description: 'Automated Daily Standup Updates for your team',
-                color: 0x3498db, // Blue
-                fields: [
-                    {
-                        name: '📋 Manual Commands',
-                        value: '`!dsu-morning` - Trigger morning DSU\n`!dsu-evening` - Trigger evening DSU\n`!dsu-status` - Show bot status\n`!dsu-help` - Show this help',
-                        inline: false
-                    },
-                    {
-                        name: '📅 Automatic Schedule',
-                        value: '🌅 Morning DSU: 9:00 AM WIB (Mon-Fri)\n🌆 Evening DSU: 5:00 PM WIB (Mon-Fri)',
-                        inline: false
-                    },
-                    {
-                        name: '🔧 Features',
-                        value: '• Rich Discord embeds\n• Timezone-aware scheduling\n• Weekday-only automation\n• Manual trigger commands\n• Auto-thread creation for discussions\n• Comprehensive error handling',
-                        inline: false
-                    }
-                ],
-                footer: {
-                    text: '👤 Built by opisboy29 • 🔗 github.com/opisboy29/discord-dsu-bot',
-                    icon_url: null
-                },
-                timestamp: new Date().toISOString()
-            };
-            
-            await message.channel.send({ embeds: [helpEmbed] });
-        }
+        if (await dsuSubmission.handleInteraction(interaction)) return;
+        await commandRegistry.handleInteraction(interaction);
     } catch (error) {
-        logger.error(`❌ Error handling command '${command}':`, error);
-        
-        // Enhanced error reporting to user
-        try {
-            let errorMessage = '❌ Something went wrong executing that command.';
-            
-            if (error.code === 50013) {
-                errorMessage = '❌ I don\'t have permission to send messages or embeds here.';
-            } else if (error.code === 10008) {
-                errorMessage = '❌ This message was deleted before I could respond.';
-            } else if (error.code === 50035) {
-                errorMessage = '❌ Invalid message format. Please try again.';
-            }
-            
-            await message.reply(errorMessage);
-        } catch (replyError) {
-            logger.error('Failed to send error message to user:', replyError);
-        }
+        logger.error('❌ Error handling interaction:', error);
     }
 });
 
+// Register /dsu when the bot joins a new server
+client.on('guildCreate', async (guild) => {
+    logger.info(`➕ Joined server: ${guild.name}`);
+    await commandRegistry.registerGuild(guild);
+});
+
+// Keep stored DSU responses in sync with edits and deletions
+client.on('messageUpdate', async (oldMessage, newMessage) => {
+    await responseCollector.handleMessageUpdate(newMessage);
+});
+
+client.on('messageDelete', async (message) => {
+    await responseCollector.handleMessageDelete(message);
+});
+
 // Enhanced Discord client error handling
 client.on('error', (error) => {
     logger.error('❌ Discord client error:', error);
@@ -328,6 +251,11 @@ client.on('resume', () => {
     logger.success('✅ Discord connection resumed');
 });
 
+client.on('shardResume', () => {
+    logger.info('🔄 Gateway session resumed, checking for missed DSUs');
+    catchUpMissedDSUs();
+});
+
 client.on('warn', (warning) => {
     logger.warn('⚠️ Discord client warning:', warning);
 });
@@ -375,6 +303,7 @@ process.on('uncaughtException', (error) => {
         if (dsuScheduler) {
             dsuScheduler.stop();
         }
+        schedulerLock.release();
         if (client) {
             client.destroy();
         }
@@ -419,6 +348,13 @@ function gracefulShutdown(signal) {
                 logger.info('🛑 Stopping DSU scheduler...');
                 dsuScheduler.stop();
             }
+            schedulerLock.release();
+            templateLoader.stop();
+        })
+        .then(() => {
+            // Make sure pending DSU responses reach disk
+            logger.info('💾 Flushing DSU response store...');
+            return Promise.all([dsuRepository.flush(), holidayCalendar.flush(), dsuScheduler.flush(), logger.flush()]);
         })
         .then(() => {
             // Close HTTP server
@@ -453,6 +389,9 @@ function gracefulShutdown(signal) {
         });
 }
 
+// Also covers process.exit() paths that skip the graceful shutdown
+process.on('exit', () => schedulerLock.release());
+
 process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
 
@@ -463,6 +402,8 @@ app.get('/health', (req, res) => {
     res.json({
         status: 'healthy',
         uptime: process.uptime(),
+        dry_run: dryRun.enabled,
+        scheduling: schedulerStatus && schedulerStatus.schedulingConfig.enabled ? 'enabled' : 'disabled',
         discord: {
             ready: client.readyAt ? true : false,
             readyAt: client.readyAt,
@@ -470,10 +411,24 @@ app.get('/health', (req, res) => {
             user: client.user ? client.user.tag : null
         },
         scheduler: schedulerStatus ? {
+            scheduling_enabled: schedulerStatus.schedulingConfig.enabled,
             morning_running: schedulerStatus.morningJobRunning,
             evening_running: schedulerStatus.eveningJobRunning,
             timezone: schedulerStatus.timezone,
-            is_weekday: schedulerStatus.isWeekday
+            is_weekday: schedulerStatus.isWeekday,
+            holiday_today: schedulerStatus.holidayToday ? schedulerStatus.holidayToday.name : null,
+            next_skip: schedulerStatus.nextSkip,
+            paused: schedulerStatus.paused,
+            next_run: schedulerStatus.nextRuns[0] || null,
+            outbox_pending: schedulerStatus.outboxConfig.pending,
+            teams: schedulerStatus.teams.map(team => ({
+                id: team.id,
+                morning_running: team.morningJobRunning,
+                evening_running: team.eveningJobRunning,
+                timezone: team.timezone,
+                paused: team.paused,
+                next_run: team.nextRuns[0] || null
+            }))
         } : null,
         environment: {
             node_version: process.version,
@@ -496,6 +451,27 @@ app.get('/status', (req, res) => {
     res.json(dsuScheduler.getStatus());
 });
 
+// Turn scheduled DSUs on or off: POST /scheduling {"enabled": false} with "Authorization: Bearer <ADMIN_API_TOKEN>"
+app.post('/scheduling', express.json(), (req, res) => {
+    const token = process.env.ADMIN_API_TOKEN;
+    if (!token) {
+        return res.status(404).json({ error: 'Set ADMIN_API_TOKEN to change scheduling over HTTP' });
+    }
+    if (req.get('authorization') !== `Bearer ${token}`) {
+        return res.status(401).json({ error: 'Invalid or missing admin token' });
+    }
+    if (!req.body || typeof req.body.enabled !== 'boolean') {
+        return res.status(400).json({ error: 'Body must be {"enabled": true} or {"enabled": false}' });
+    }
+
+    try {
+        const changed = dsuScheduler.setSchedulingEnabled(req.body.enabled, { by: `HTTP (${req.ip})` });
+        res.json({ changed, ...dsuScheduler.getStatus().schedulingConfig });
+    } catch (error) {
+        res.status(409).json({ error: error.message });
+    }
+});
+
 // ✅ START HTTP SERVER WITH ERROR HANDLING
 httpServer = app.listen(PORT, () => {
     logger.info(`Health check server running on port ${PORT}`);
@@ -534,6 +510,15 @@ async function initializeBot() {
         logger.warn(`⚠️ ${configResults.warnings.length} configuration warnings found (see above)`);
     }
     
+    // Load template files from config/templates/ and pick up edits without a redeploy
+    templateLoader.load();
+    if (process.env.TEMPLATE_HOT_RELOAD !== 'false') {
+        templateLoader.watch();
+    }
+    
+    // Holidays and days off that skip scheduled DSUs
+    holidayCalendar.load();
+    
     // Step 2: Connect to Discord
     logger.info('📋 Step 2: Discord Connection');
     await connectToDiscord();
@@ -558,6 +543,9 @@ function connectToDiscord() {
                 logger.error('💡 Make sure you copied the full token from Discord Developer Portal');
             } else if (error.code === 'DISALLOWED_INTENTS') {
                 logger.error('💡 Bot missing required intents - enable Message Content Intent in Discord Developer Portal');
+                if (membersIntent) {
+                    logger.error('💡 Follow-ups with MENTION_ROLES also need Server Members Intent (or set ENABLE_FOLLOWUPS=false)');
+                }
             } else if (error.message.includes('getaddrinfo ENOTFOUND')) {
                 logger.error('💡 Network connectivity issue - check internet connection');
             }
@@ -7,216 +7,699 @@
  */
 
 const cron = require('node-cron');
-const { getMorningTemplate, getEveningTemplate, generateThreadTitle } = require('../../config/dsu-templates');
 const logger = require('../utils/logger');
 const ThreadManager = require('../utils/thread-manager');
+const AttendanceTracker = require('../utils/attendance-tracker');
+const DailySummary = require('../utils/daily-summary');
+const { getLocalDateKey, getDayOfWeek, formatDateKey, isDateKey } = require('../utils/time-utils');
+const { getNextRuns } = require('../utils/cron-schedule');
+const { describeCron } = require('../utils/cron-description');
+const teamRegistry = require('../utils/team-registry');
+const holidayCalendar = require('../utils/holiday-calendar');
+const ConfigValidator = require('../utils/config-validator');
+const JsonStore = require('../storage/json-store');
+const sendLedger = require('../storage/send-ledger');
+const DSUOutbox = require('../utils/dsu-outbox');
+const DSUDispatcher = require('../utils/dsu-dispatcher');
+const { getDSUType } = require('../utils/dsu-types');
+const { DEFAULT_SCHEDULE } = require('../utils/team-registry');
+
+// Upcoming DSUs reported per team in the status
+const NEXT_RUN_COUNT = 5;
+
+// How late a cron callback may fire and still be matched to its scheduled time
+const JOB_LATENESS_MS = 60 * 1000;
+
+// Upper bound of scheduled times looked at when searching the catch-up window
+const MAX_CATCH_UP_RUNS = 1000;
 
 class DSUScheduler {
-    constructor() {
-        this.morningJob = null;
-        this.eveningJob = null;
+    /**
+     * @param {TeamRegistry} registry - Teams to schedule DSUs for
+     * @param {HolidayCalendar} calendar - Holidays and days off that skip scheduled DSUs
+     * @param {string} storePath - Store for schedules, pauses and skips (defaults to DATA_DIR/schedule-store.json)
+     * @param {SendLedger} ledger - DSUs already sent per team, type and day
+     * @param {string} outboxPath - Outbox of DSU posts and threads waiting for a retry (defaults to DATA_DIR/outbox.json)
+     */
+    constructor(registry = teamRegistry, calendar = holidayCalendar, storePath = JsonStore.resolvePath('schedule-store.json'), ledger = sendLedger,
+        outboxPath = JsonStore.resolvePath('outbox.json')) {
+        this.teamRegistry = registry;
+        this.holidayCalendar = calendar;
+        // teams: team ID -> { morning?, evening? } crons set with /dsu schedule
+        // pauses: team ID -> { until, by, at } from /dsu pause
+        // skips: team ID -> [{ date, type }] from /dsu skip
+        this.scheduleStore = new JsonStore(storePath, { teams: {}, pauses: {}, skips: {} });
+        this.sendLedger = ledger;
+        this.jobs = new Map(); // team ID -> { team, morning, evening }
         this.client = null;
-        this.timezone = process.env.TIMEZONE || 'Asia/Jakarta';
-        this.morningCron = process.env.MORNING_SCHEDULE || '0 9 * * 1-5';
-        this.eveningCron = process.env.EVENING_SCHEDULE || '0 17 * * 1-5';
+        this.teams = []; // Teams passed to start(), scheduled again when scheduling is turned back on
+        this.lock = null;
+        // ENABLE_SCHEDULING=false runs the bot for manual commands only; /dsu scheduling and
+        // POST /scheduling turn it on and off at runtime
+        this.schedulingConfig = {
+            enabled: process.env.ENABLE_SCHEDULING !== 'false',
+            changedBy: null,
+            changedAt: null
+        };
         this.threadManager = new ThreadManager();
+        this.attendanceTracker = new AttendanceTracker();
+        this.dailySummary = new DailySummary();
+        this.dispatcher = new DSUDispatcher({
+            threadManager: this.threadManager,
+            attendanceTracker: this.attendanceTracker,
+            dailySummary: this.dailySummary,
+            sendLedger: this.sendLedger
+        });
+        this.outbox = new DSUOutbox(outboxPath, {
+            'dsu-post': {
+                run: (payload, context) => this.postDSU(payload, context),
+                describe: ({ teamId, type, dateKey }) => `[${teamId}] ${type} DSU for ${dateKey}`,
+                // Keep the claim while retrying, drop it once the outbox gives up
+                onRetry: ({ teamId, type, dateKey }) => this.sendLedger.markQueued(teamId, type, dateKey),
+                onGiveUp: ({ teamId, type, dateKey }) => this.sendLedger.release(teamId, type, dateKey)
+            },
+            'dsu-thread': {
+                run: (payload, context) => this.openDSUThread(payload, context),
+                describe: ({ teamId, type }) => `[${teamId}] ${type} DSU thread`
+            }
+        });
+
+        const graceMinutes = parseInt(process.env.CATCH_UP_GRACE_MINUTES);
+        this.catchUpConfig = {
+            // 0 turns catch-up off
+            graceMinutes: isNaN(graceMinutes) ? 60 : Math.max(0, graceMinutes)
+        };
     }
 
-    start(discordClient) {
+    /**
+     * Start the morning and evening jobs of every team, unless scheduling is disabled
+     * @param {Client} discordClient - Discord client
+     * @param {Array<Object>} teams - Teams to schedule (defaults to every registered team)
+     * @param {InstanceLock|null} lock - Taken before scheduling so only one process sends scheduled DSUs
+     * @returns {boolean} True if the jobs were started
+     */
+    start(discordClient, teams = this.teamRegistry.getTeams(), lock = null) {
         this.client = discordClient;
+        this.teams = teams;
+        this.lock = lock;
+
+        if (!this.schedulingConfig.enabled) {
+            logger.warn('⏹️ Scheduling is disabled (ENABLE_SCHEDULING=false) - only manual commands will post DSUs');
+            return false;
+        }
+        return this.startJobs();
+    }
+
+    /**
+     * Take the scheduler lock, then schedule every team and start retrying queued posts
+     * @returns {boolean} False if another process holds the lock
+     */
+    startJobs() {
+        if (this.lock && !this.lock.acquire()) {
+            const owner = this.lock.getOwner();
+            logger.error(`🔒 Another bot process${owner ? ` (PID ${owner.pid})` : ''} is already scheduling DSUs - this one will not`);
+            logger.error(`💡 Stop the other process or remove ${this.lock.lockPath} if it is no longer running`);
+            return false;
+        }
+
+        this.teams.forEach(team => this.scheduleTeam(team));
+        this.outbox.start(this.client);
+        
+        logger.success(`✅ DSU Scheduler initialized successfully (${this.jobs.size} team(s))`);
+        this.jobs.forEach(({ team }) => {
+            logger.info(`   👥 ${team.name} → #${team.channelId}`);
+            logger.info(`      🌅 Morning DSU: ${describeCron(team.schedule.morning)} (${team.timezone})`);
+            logger.info(`      🌆 Evening DSU: ${describeCron(team.schedule.evening)} (${team.timezone})`);
+        });
+        return true;
+    }
+
+    /**
+     * Turn scheduled DSUs on or off at runtime (until the next restart, which reads ENABLE_SCHEDULING again).
+     * Turning it off stops the cron jobs and retries and releases the scheduler lock; follow-ups and
+     * summaries of DSUs already posted still go out. DSUs missed while it was off are not caught up.
+     * @param {boolean} enabled - New state
+     * @param {Object} options
+     * @param {string|null} options.by - Who changed it (for logs and status)
+     * @returns {boolean} False if scheduling was already in that state
+     */
+    setSchedulingEnabled(enabled, { by = null } = {}) {
+        if (enabled === this.schedulingConfig.enabled) {
+            return false;
+        }
+
+        if (enabled) {
+            if (!this.client) {
+                throw new Error('The scheduler was not started (check the startup logs for channel validation errors)');
+            }
+            if (!this.startJobs()) {
+                throw new Error('Another bot process is already scheduling DSUs');
+            }
+        } else {
+            this.jobs.forEach(({ team }) => this.unscheduleTeam(team.id));
+            this.outbox.stop();
+            if (this.lock) {
+                this.lock.release();
+            }
+        }
+
+        this.schedulingConfig = { enabled, changedBy: by, changedAt: new Date().toISOString() };
+        logger.info(`${enabled ? '▶️ Scheduling enabled' : '⏹️ Scheduling disabled'}${by ? ` by ${by}` : ''}`);
+        return true;
+    }
+
+    /**
+     * Create (or recreate) the cron jobs of a team
+     * @param {Object} team - Team from the team registry
+     */
+    scheduleTeam(team) {
+        this.unscheduleTeam(team.id);
+        team = { ...team, schedule: this.getSchedule(team) };
         
         // Validate cron expressions
-        if (!this.validateCronExpressions()) {
-            logger.error('Invalid cron expressions provided, using defaults');
-            this.morningCron = '0 9 * * 1-5';
-            this.eveningCron = '0 17 * * 1-5';
+        if (!this.validateCronExpressions(team)) {
+            logger.error(`Invalid cron expressions provided for team ${team.id}, using defaults`);
+            team = { ...team, schedule: { ...DEFAULT_SCHEDULE } };
         }
         
         // Log current timezone and schedule
-        this.logTimezoneInfo();
+        this.logTimezoneInfo(team);
         
-        // Schedule morning DSU with configurable cron and timezone
-        logger.info(`🌅 Setting up morning DSU with cron: ${this.morningCron}`);
-        this.morningJob = cron.schedule(this.morningCron, async () => {
-            if (this.isWeekday()) {
-                await this.sendMorningDSU();
-            } else {
-                logger.info('🚫 Skipping morning DSU - Weekend detected');
-            }
-        }, {
-            scheduled: false,  // ← Change to false, start manually
-            timezone: this.timezone
-        });
-
-        // Schedule evening DSU with configurable cron and timezone
-        logger.info(`🌆 Setting up evening DSU with cron: ${this.eveningCron}`);
-        this.eveningJob = cron.schedule(this.eveningCron, async () => {
-            if (this.isWeekday()) {
-                await this.sendEveningDSU();
-            } else {
-                logger.info('🚫 Skipping evening DSU - Weekend detected');
-            }
-        }, {
-            scheduled: false,  // ← Change to false, start manually
-            timezone: this.timezone
-        });
+        const jobs = {
+            team,
+            morning: this.createJob(team, 'morning'),
+            evening: this.createJob(team, 'evening')
+        };
 
         // Start jobs manually with error handling
         try {
             // Explicitly start the cron jobs to ensure .running = true
-            this.morningJob.start();
-            this.eveningJob.start();
-            
-            // Multiple verification methods for job status
-            const morningRunning = this.morningJob.running !== false && this.morningJob.running !== undefined;
-            const eveningRunning = this.eveningJob.running !== false && this.eveningJob.running !== undefined;
+            jobs.morning.start();
+            jobs.evening.start();
             
-            // Alternative: Check if jobs exist and have necessary methods
-            const morningValid = this.morningJob && typeof this.morningJob.start === 'function';
-            const eveningValid = this.eveningJob && typeof this.eveningJob.start === 'function';
-            
-            logger.info(`🔄 Morning job running: ${this.morningJob.running} (valid: ${morningValid})`);
-            logger.info(`🔄 Evening job running: ${this.eveningJob.running} (valid: ${eveningValid})`);
+            logger.info(`🔄 [${team.id}] Morning job running: ${jobs.morning.running}, Evening job running: ${jobs.evening.running}`);
             
             // Force set a custom running flag for status tracking
-            this.morningJob._customRunning = true;
-            this.eveningJob._customRunning = true;
-            
-            // Double-check with a delay to ensure jobs are fully started
-            setTimeout(() => {
-                logger.info(`🔄 Final status check - Morning: ${this.morningJob.running}, Evening: ${this.eveningJob.running}`);
-            }, 100);
-            
+            jobs.morning._customRunning = true;
+            jobs.evening._customRunning = true;
         } catch (error) {
-            logger.error('❌ Failed to start cron jobs:', error);
+            logger.error(`❌ Failed to start cron jobs for team ${team.id}:`, error);
             throw error;
         }
         
-        // Log next scheduled times
-        this.logNextScheduledTimes();
+        this.jobs.set(team.id, jobs);
         
-        logger.success('✅ DSU Scheduler initialized successfully');
-        logger.info(`   🌅 Morning DSU: ${this.getReadableSchedule(this.morningCron)} ${this.timezone}`);
-        logger.info(`   🌆 Evening DSU: ${this.getReadableSchedule(this.eveningCron)} ${this.timezone}`);
+        // Log next scheduled times
+        this.logNextScheduledTimes(team);
     }
 
-    async sendMorningDSU() {
-        try {
-            const currentTime = new Date().toLocaleString('en-US', {
-                timeZone: this.timezone,
-                weekday: 'long',
-                year: 'numeric',
-                month: 'long', 
-                day: 'numeric',
-                hour: '2-digit',
-                minute: '2-digit'
-            });
-            
-            logger.info(`🌅 Attempting to send morning DSU at ${currentTime}`);
-            
-            const channelId = process.env.DSU_CHANNEL_ID;
-            if (!channelId) {
-                logger.error('DSU_CHANNEL_ID not configured in environment variables');
-                return;
+    /**
+     * Effective schedule of a team: the configured crons with any /dsu schedule overrides applied
+     * @param {Object} team - Team from the team registry
+     * @returns {Object} { morning, evening } cron expressions
+     */
+    getSchedule(team) {
+        return { ...team.schedule, ...this.getScheduleOverrides(team.id) };
+    }
+
+    /**
+     * @param {string} teamId - Team ID
+     * @returns {Object} Cron expressions set with /dsu schedule ({ morning?, evening? })
+     */
+    getScheduleOverrides(teamId) {
+        return { ...this.scheduleStore.get().teams[teamId] };
+    }
+
+    /**
+     * Change a team's morning or evening cron, persist it and reschedule the team's jobs if they are running
+     * @param {Object} team - Team from the team registry
+     * @param {string} type - 'morning' or 'evening'
+     * @param {string} expression - Cron expression
+     * @returns {Promise<Object>} New effective schedule
+     * @throws {Error} If the type or cron expression is invalid
+     */
+    async setSchedule(team, type, expression) {
+        if (!['morning', 'evening'].includes(type)) {
+            throw new Error(`Unknown DSU type "${type}" (use morning or evening)`);
+        }
+        const problem = ConfigValidator.validateCronExpression(expression);
+        if (problem) {
+            throw new Error(problem);
+        }
+
+        const data = this.scheduleStore.get();
+        data.teams[team.id] = { ...data.teams[team.id], [type]: expression.trim().replace(/\s+/g, ' ') };
+        await this.scheduleStore.save();
+        logger.info(`📅 [${team.id}] ${type} schedule changed to ${data.teams[team.id][type]}`);
+
+        this.rescheduleTeam(team);
+        return this.getSchedule(team);
+    }
+
+    /**
+     * Drop /dsu schedule overrides so the configured crons apply again
+     * @param {Object} team - Team from the team registry
+     * @param {string|null} type - 'morning', 'evening' or null for both
+     * @returns {Promise<Object>} New effective schedule
+     */
+    async resetSchedule(team, type = null) {
+        const data = this.scheduleStore.get();
+        const overrides = { ...data.teams[team.id] };
+        (type ? [type] : ['morning', 'evening']).forEach(key => delete overrides[key]);
+
+        if (Object.keys(overrides).length > 0) {
+            data.teams[team.id] = overrides;
+        } else {
+            delete data.teams[team.id];
+        }
+        await this.scheduleStore.save();
+        logger.info(`📅 [${team.id}] ${type || 'morning and evening'} schedule reset to the configured cron`);
+
+        this.rescheduleTeam(team);
+        return this.getSchedule(team);
+    }
+
+    /**
+     * Recreate a team's jobs with its current schedule (only if the team is scheduled)
+     * @param {Object} team - Team from the team registry
+     */
+    rescheduleTeam(team) {
+        if (this.jobs.has(team.id)) {
+            this.scheduleTeam(team);
+        }
+    }
+
+    /**
+     * Pause a team's scheduled DSUs
+     * @param {Object} team - Team from the team registry
+     * @param {Object} options
+     * @param {string|null} options.until - Date (YYYY-MM-DD) scheduled DSUs resume on; null pauses until /dsu resume
+     * @param {string|null} options.by - Who paused
+     * @returns {Promise<Object>} Pause { until, by, at }
+     * @throws {Error} If the date is invalid or not in the future
+     */
+    async pause(team, { until = null, by = null } = {}) {
+        if (until !== null && (!isDateKey(until) || until <= getLocalDateKey(team.timezone))) {
+            throw new Error('Pause end must be a future date (YYYY-MM-DD)');
+        }
+
+        const pause = { until, by, at: new Date().toISOString() };
+        this.scheduleStore.get().pauses[team.id] = pause;
+        await this.scheduleStore.save();
+        return pause;
+    }
+
+    /**
+     * Resume a paused team
+     * @param {Object} team - Team from the team registry
+     * @returns {Promise<boolean>} False if the team was not paused
+     */
+    async resume(team) {
+        const wasPaused = Boolean(this.getPause(team));
+        delete this.scheduleStore.get().pauses[team.id];
+        await this.scheduleStore.save();
+
+        return wasPaused;
+    }
+
+    /**
+     * Skip the next scheduled DSU, or every DSU on a date
+     * @param {Object} team - Team from the team registry
+     * @param {string|null} date - Date to skip (YYYY-MM-DD); null skips the next scheduled DSU
+     * @returns {Promise<Object>} Skip { date, type } (type is null when the whole day is skipped)
+     * @throws {Error} If the date is invalid, in the past or already skipped, or nothing is scheduled
+     */
+    async skip(team, date = null) {
+        let entry;
+        if (date === null) {
+            const [nextRun] = this.getNextRuns(team, 1);
+            if (!nextRun) {
+                throw new Error('There is no upcoming scheduled DSU to skip');
             }
+            entry = { date: nextRun.date, type: nextRun.type };
+        } else {
+            if (!isDateKey(date) || date < getLocalDateKey(team.timezone)) {
+                throw new Error('Skip date must be today or a future date (YYYY-MM-DD)');
+            }
+            entry = { date, type: null };
+        }
 
-            const channel = await this.client.channels.fetch(channelId);
-            if (!channel) {
-                logger.error(`Could not find channel with ID: ${channelId}`);
-                return;
+        const skips = this.scheduleStore.get().skips;
+        const existing = skips[team.id] || [];
+        if (existing.some(skip => skip.date === entry.date && (skip.type === null || skip.type === entry.type))) {
+            throw new Error(`DSUs on ${formatDateKey(entry.date)} are already skipped`);
+        }
+
+        skips[team.id] = [...existing, entry].sort((a, b) => a.date.localeCompare(b.date));
+        await this.scheduleStore.save();
+        return entry;
+    }
+
+    /**
+     * Active pause of a team. Pauses end on their "until" date.
+     * @param {Object} team - Team from the team registry
+     * @returns {Object|null} Pause { until, by, at } or null
+     */
+    getPause(team) {
+        const pause = this.scheduleStore.get().pauses[team.id];
+        if (!pause || (pause.until && pause.until <= getLocalDateKey(team.timezone))) {
+            return null;
+        }
+        return pause;
+    }
+
+    /**
+     * Skips of today and later
+     * @param {Object} team - Team from the team registry
+     * @returns {Array<Object>} Skips { date, type }, soonest first
+     */
+    getSkips(team) {
+        const today = getLocalDateKey(team.timezone);
+        return (this.scheduleStore.get().skips[team.id] || []).filter(skip => skip.date >= today);
+    }
+
+    /**
+     * Drop an expired pause and past skips from the store
+     * @param {Object} team - Team from the team registry
+     * @returns {Promise<void>}
+     */
+    async pruneControls(team) {
+        const data = this.scheduleStore.get();
+        let changed = false;
+
+        if (data.pauses[team.id] && !this.getPause(team)) {
+            logger.info(`▶️ [${team.id}] Pause ended, scheduled DSUs resume`);
+            delete data.pauses[team.id];
+            changed = true;
+        }
+
+        const skips = this.getSkips(team);
+        if (data.skips[team.id] && skips.length !== data.skips[team.id].length) {
+            if (skips.length > 0) {
+                data.skips[team.id] = skips;
+            } else {
+                delete data.skips[team.id];
             }
+            changed = true;
+        }
 
-            const template = getMorningTemplate();
-            const message = await channel.send(template);
-            
-            logger.dsu(`Morning DSU reminder sent successfully to #${channel.name} at ${currentTime}`);
-            logger.debug(`Message ID: ${message.id}`);
-            
-            // Create thread for morning DSU discussion
-            await this.createDSUThread(message, 'morning');
-            
-            // Log rotation check
-            logger.rotateLogIfNeeded('dsu.log');
-        } catch (error) {
-            logger.error('Error sending morning DSU:', error);
+        if (changed) {
+            await this.scheduleStore.save();
         }
     }
 
-    async sendEveningDSU() {
-        try {
-            const currentTime = new Date().toLocaleString('en-US', {
-                timeZone: this.timezone,
-                weekday: 'long',
-                year: 'numeric',
-                month: 'long', 
-                day: 'numeric',
-                hour: '2-digit',
-                minute: '2-digit'
-            });
-            
-            logger.info(`🌆 Attempting to send evening DSU at ${currentTime}`);
-            
-            const channelId = process.env.DSU_CHANNEL_ID;
-            if (!channelId) {
-                logger.error('DSU_CHANNEL_ID not configured in environment variables');
+    /**
+     * Wait for pending schedule, send ledger and outbox writes (used during graceful shutdown)
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        await Promise.all([this.scheduleStore.flush(), this.sendLedger.flush(), this.outbox.flush()]);
+    }
+
+    /**
+     * Stop and forget the cron jobs of a team
+     * @param {string} teamId - Team ID
+     */
+    unscheduleTeam(teamId) {
+        const jobs = this.jobs.get(teamId);
+        if (!jobs) {
+            return;
+        }
+        
+        jobs.morning.stop();
+        jobs.evening.stop();
+        this.jobs.delete(teamId);
+    }
+
+    /**
+     * Create a stopped cron job that sends one DSU type for a team on working days
+     * @param {Object} team - Team from the team registry
+     * @param {string} type - 'morning' or 'evening'
+     * @returns {ScheduledTask} Cron job
+     */
+    createJob(team, type) {
+        const { emoji } = getDSUType(type);
+        logger.info(`${emoji} [${team.id}] Setting up ${type} DSU with cron: ${team.schedule[type]} (${describeCron(team.schedule[type])})`, null,
+            { team: team.id });
+        
+        return cron.schedule(team.schedule[type], async () => {
+            await this.pruneControls(team);
+            const skipReason = this.getSkipReason(team, type);
+            if (skipReason) {
+                logger.info(`🚫 [${team.id}] Skipping ${type} DSU - ${skipReason}`, null, { event: 'dsu.skipped', team: team.id });
                 return;
             }
+            const now = new Date();
+            await this.sendDSU(team, type, { scheduledFor: this.getLastScheduledRun(team, type, now, JOB_LATENESS_MS) || now });
+        }, {
+            scheduled: false,  // started manually in scheduleTeam
+            timezone: team.timezone
+        });
+    }
 
-            const channel = await this.client.channels.fetch(channelId);
-            if (!channel) {
-                logger.error(`Could not find channel with ID: ${channelId}`);
-                return;
+    async sendMorningDSU(team = this.teamRegistry.getDefaultTeam()) {
+        return this.sendDSU(team, 'morning');
+    }
+
+    async sendEveningDSU(team = this.teamRegistry.getDefaultTeam()) {
+        return this.sendDSU(team, 'evening');
+    }
+
+    /**
+     * Post a DSU to a team's channel, open its thread and schedule follow-ups. Posts that
+     * fail with a transient error are retried from the outbox.
+     * @param {Object} team - Team from the team registry
+     * @param {string} type - 'morning' or 'evening'
+     * @param {Object} options
+     * @param {Date|null} options.scheduledFor - Scheduled time this send is for (defaults to now)
+     * @param {boolean} options.delayed - Add a note that the DSU is late (missed-run catch-up)
+     * @returns {Promise<Message|null>} Posted message, or null if nothing was sent right away (including
+     *          when the send ledger shows this DSU already went out today, or the post was queued for a retry)
+     */
+    async sendDSU(team, type, { scheduledFor = null, delayed = false } = {}) {
+        if (!team) {
+            logger.error('No DSU team configured - set DSU_CHANNEL_ID or add a team file');
+            return null;
+        }
+        
+        const dateKey = getLocalDateKey(team.timezone, scheduledFor || new Date());
+        const claim = await this.dispatcher.claim(type, team, dateKey, {
+            source: delayed ? 'catch-up' : 'scheduled',
+            scheduledFor: scheduledFor ? scheduledFor.toISOString() : null
+        });
+        if (!claim.claimed) {
+            return null;
+        }
+        
+        return this.outbox.enqueue('dsu-post', {
+            teamId: team.id,
+            type,
+            dateKey,
+            scheduledFor: scheduledFor ? scheduledFor.toISOString() : null,
+            delayed
+        }, { team });
+    }
+
+    /**
+     * Outbox job: post a claimed DSU, then queue its thread
+     * @param {Object} payload - { teamId, type, dateKey, scheduledFor, delayed }
+     * @param {Object} context - { team } on the first attempt
+     * @returns {Promise<Message|null>} Posted message
+     */
+    async postDSU({ teamId, type, dateKey, scheduledFor, delayed }, { team = this.findTeam(teamId) } = {}) {
+        const { emoji, label } = getDSUType(type);
+        
+        if (!team) {
+            throw new Error(`Team ${teamId} no longer exists`);
+        }
+        // A retry may find the DSU already posted, e.g. by a forced manual send
+        const entry = this.sendLedger.get(teamId, type, dateKey);
+        if (entry && entry.status === 'sent') {
+            logger.info(`⏭️ [${teamId}] ${label} DSU for ${dateKey} was sent meanwhile (${entry.source}) - dropping the retry`);
+            return null;
+        }
+        
+        const currentTime = new Date().toLocaleString('en-US', {
+            timeZone: team.timezone,
+            weekday: 'long',
+            year: 'numeric',
+            month: 'long', 
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+        
+        logger.info(`${emoji} [${team.id}] Attempting to send ${type} DSU at ${currentTime}`, null, { event: 'dsu.sending', team: team.id });
+
+        const channel = await this.client.channels.fetch(team.channelId);
+        if (!channel) {
+            throw new Error(`Could not find channel with ID: ${team.channelId}`);
+        }
+
+        const note = delayed
+            ? `⏰ Delayed: this ${type} DSU was scheduled for ${this.formatLocalTime(team, scheduledFor ? new Date(scheduledFor) : new Date())} but the bot was offline.`
+            : null;
+        const { message } = await this.dispatcher.post(type, { channel, clientUser: this.client.user, team },
+            { note, dateKey, source: delayed ? 'catch-up' : 'scheduled' });
+        
+        // Thread creation is retried on its own so a failure there never reposts the DSU
+        await this.outbox.enqueue('dsu-thread', { teamId: team.id, type, channelId: channel.id, messageId: message.id },
+            { team, channel, message });
+        return message;
+    }
+
+    /**
+     * Outbox job: open the thread of a posted DSU and schedule follow-ups
+     * @param {Object} payload - { teamId, type, channelId, messageId }
+     * @param {Object} context - { team, channel, message } on the first attempt
+     * @returns {Promise<Thread|null>} Created thread
+     */
+    async openDSUThread({ teamId, type, channelId, messageId }, { team = this.findTeam(teamId), channel = null, message = null } = {}) {
+        if (!team) {
+            throw new Error(`Team ${teamId} no longer exists`);
+        }
+        channel = channel || await this.client.channels.fetch(channelId);
+        message = message || await channel.messages.fetch(messageId);
+        return this.dispatcher.openThread(type, message, { team, followUps: true, throwRetryable: true });
+    }
+
+    /**
+     * @param {string} teamId - Team ID
+     * @returns {Object|null} Scheduled team (with its effective schedule), or the registered team
+     */
+    findTeam(teamId) {
+        const jobs = this.jobs.get(teamId);
+        return jobs ? jobs.team : (this.teamRegistry.getTeam(teamId) || null);
+    }
+
+    /**
+     * Send scheduled DSUs that were missed while the bot was offline or disconnected.
+     * Only the latest scheduled time within the grace window counts; it is skipped if the
+     * send ledger has it or the bot posted that DSU in the team's channel since that time.
+     * @param {Date} now - Current time
+     * @returns {Promise<Array<Object>>} DSUs sent late { teamId, type, scheduledFor }
+     */
+    async catchUpMissedRuns(now = new Date()) {
+        const { graceMinutes } = this.catchUpConfig;
+        const caughtUp = [];
+        if (graceMinutes === 0 || !this.client) {
+            return caughtUp;
+        }
+
+        for (const { team } of [...this.jobs.values()]) {
+            await this.pruneControls(team);
+
+            for (const type of ['morning', 'evening']) {
+                const scheduledFor = this.getLastScheduledRun(team, type, now, graceMinutes * 60 * 1000);
+                if (!scheduledFor || this.wasSent(team, type, scheduledFor)) {
+                    continue;
+                }
+
+                // The send may have gone out without being recorded (e.g. a crash right after posting)
+                if (await this.hasPostedBetween(team, type, scheduledFor, now)) {
+                    logger.info(`⏭️ [${team.id}] ${type} DSU scheduled for ${scheduledFor.toISOString()} already posted, not catching up`);
+                    const dateKey = getLocalDateKey(team.timezone, scheduledFor);
+                    await this.sendLedger.claim(team.id, type, dateKey, { source: 'channel-history', scheduledFor: scheduledFor.toISOString() });
+                    await this.sendLedger.complete(team.id, type, dateKey);
+                    continue;
+                }
+
+                logger.warn(`⏰ [${team.id}] Missed ${type} DSU scheduled for ${this.formatLocalTime(team, scheduledFor)} - sending it now`, null,
+                    { event: 'dsu.catch-up', team: team.id, channelId: team.channelId });
+                const message = await this.sendDSU(team, type, { scheduledFor, delayed: true });
+                if (message) {
+                    caughtUp.push({ teamId: team.id, type, scheduledFor: scheduledFor.toISOString() });
+                }
             }
+        }
 
-            const template = getEveningTemplate();
-            const message = await channel.send(template);
-            
-            logger.dsu(`Evening DSU reminder sent successfully to #${channel.name} at ${currentTime}`);
-            logger.debug(`Message ID: ${message.id}`);
-            
-            // Create thread for evening DSU discussion
-            await this.createDSUThread(message, 'evening');
-            
-            // Log rotation check
-            logger.rotateLogIfNeeded('dsu.log');
+        return caughtUp;
+    }
+
+    /**
+     * Latest scheduled time of a DSU within a window, ignoring skipped days
+     * @param {Object} team - Team from the team registry
+     * @param {string} type - 'morning' or 'evening'
+     * @param {Date} now - End of the window
+     * @param {number} windowMs - Window length in milliseconds
+     * @returns {Date|null} Scheduled time, or null if none fell in the window
+     */
+    getLastScheduledRun(team, type, now, windowMs) {
+        const jobs = this.jobs.get(team.id);
+        const schedule = jobs ? jobs.team.schedule : this.getSchedule(team);
+        
+        try {
+            const runs = getNextRuns(schedule[type], {
+                timezone: team.timezone,
+                count: MAX_CATCH_UP_RUNS,
+                from: new Date(now.getTime() - windowMs),
+                skipDate: (dateKey) => this.isSkippedDate(team, dateKey, type),
+                maxDays: Math.ceil(windowMs / (24 * 60 * 60 * 1000)) + 1
+            }).filter(run => run <= now);
+            return runs.length > 0 ? runs[runs.length - 1] : null;
         } catch (error) {
-            logger.error('Error sending evening DSU:', error);
+            logger.debug(`[${team.id}] Could not compute last ${type} run: ${error.message}`);
+            return null;
         }
     }
 
     /**
-     * Create a discussion thread for DSU message
-     * @param {Message} message - The DSU message to create thread from
+     * @param {Object} team - Team from the team registry
+     * @param {string} type - 'morning' or 'evening'
+     * @param {Date} scheduledFor - Scheduled time
+     * @returns {boolean} True if the DSU of that day was sent (or is being sent)
+     */
+    wasSent(team, type, scheduledFor) {
+        return Boolean(this.sendLedger.get(team.id, type, getLocalDateKey(team.timezone, scheduledFor)));
+    }
+
+    /**
+     * Whether the bot posted a DSU of a type in a team's channel between two times (recent history only).
+     * Other bot messages - summaries, alerts, test posts or the other DSU type - don't count.
+     * @param {Object} team - Team from the team registry
      * @param {string} type - 'morning' or 'evening'
+     * @param {Date} from - Start (inclusive)
+     * @param {Date} to - End (exclusive), so DSUs sent by the current catch-up don't count
+     * @returns {Promise<boolean>} True if that DSU was found; false if none or history can't be read
      */
-    async createDSUThread(message, type) {
+    async hasPostedBetween(team, type, from, to) {
         try {
-            // Generate thread title using template function
-            const threadTitle = generateThreadTitle(type);
-            
-            // Create thread using thread manager
-            const thread = await this.threadManager.createDSUThread(message, threadTitle, type);
-            
-            if (thread) {
-                logger.success(`🧵 ${type} DSU thread created: #${thread.name}`);
-            }
-            
+            const channel = await this.client.channels.fetch(team.channelId);
+            const messages = await channel.messages.fetch({ limit: 20 });
+            return [...messages.values()].some(message => message.author.id === this.client.user.id &&
+                message.createdTimestamp >= from.getTime() && message.createdTimestamp < to.getTime() &&
+                this.dispatcher.isDSUMessage(message, type, team));
         } catch (error) {
-            logger.error(`Failed to create ${type} DSU thread:`, error);
-            // Don't throw error - thread creation failure shouldn't stop DSU posting
+            logger.debug(`[${team.id}] Could not read channel history: ${error.message}`);
+            return false;
         }
     }
 
+    /**
+     * @param {Object} team - Team from the team registry
+     * @param {Date} date - Instant
+     * @returns {string} e.g. "Mon, Aug 18, 9:00 AM" in the team's timezone
+     */
+    formatLocalTime(team, date) {
+        return date.toLocaleString('en-US', {
+            timeZone: team.timezone,
+            weekday: 'short',
+            month: 'short',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit'
+        });
+    }
+
     stop() {
-        if (this.morningJob) {
-            this.morningJob.stop();
-            logger.info('Morning DSU scheduler stopped');
-        }
+        this.jobs.forEach(({ team }) => {
+            this.unscheduleTeam(team.id);
+            logger.info(`[${team.id}] Morning and evening DSU schedulers stopped`);
+        });
         
-        if (this.eveningJob) {
-            this.eveningJob.stop();
-            logger.info('Evening DSU scheduler stopped');
-        }
+        this.attendanceTracker.cancelAll();
+        this.dailySummary.cancelAll();
+        this.outbox.stop();
         
         logger.info('All DSU schedulers stopped successfully');
     }
@@ -225,31 +708,92 @@ class DSUScheduler {
     
     /**
      * Check if current day is a weekday (Monday-Friday)
-     * Uses the configured timezone for accurate day detection
+     * Uses the team's timezone for accurate day detection
+     * @param {string} timezone - IANA timezone (defaults to the default team's timezone)
      */
-    isWeekday() {
+    isWeekday(timezone = this.getDefaultTimezone()) {
         const now = new Date();
-        const localTime = new Date(now.toLocaleString('en-US', { timeZone: this.timezone }));
+        const localTime = new Date(now.toLocaleString('en-US', { timeZone: timezone }));
         const dayOfWeek = localTime.getDay(); // 0 = Sunday, 1 = Monday, ..., 6 = Saturday
         const isWeekday = dayOfWeek >= 1 && dayOfWeek <= 5;
         
-        logger.debug(`Current day: ${dayOfWeek} (${['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'][dayOfWeek]}), Is weekday: ${isWeekday}`);
+        logger.debug(`Current day in ${timezone}: ${dayOfWeek} (${['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'][dayOfWeek]}), Is weekday: ${isWeekday}`);
         return isWeekday;
     }
     
+    /**
+     * Why a team's scheduled DSU is skipped today, if it is
+     * @param {Object} team - Team from the team registry
+     * @param {string|null} type - 'morning' or 'evening' (null checks the whole day)
+     * @returns {string|null} 'Weekend detected', 'Holiday: <name>', 'Paused ...', 'Skipped ...' or null when the DSU is sent
+     */
+    getSkipReason(team, type = null) {
+        if (!this.isWeekday(team.timezone)) {
+            return 'Weekend detected';
+        }
+        
+        const today = getLocalDateKey(team.timezone);
+        const holiday = this.holidayCalendar.getHoliday(today, team.id);
+        if (holiday) {
+            return `Holiday: ${holiday.name}`;
+        }
+        
+        const pause = this.getPause(team);
+        if (pause) {
+            return pause.until ? `Paused until ${pause.until}` : 'Paused';
+        }
+        
+        return this.isSkippedByCommand(team, today, type) ? 'Skipped with /dsu skip' : null;
+    }
+    
+    /**
+     * Whether scheduled DSUs are skipped on a future local date (weekend, holiday, pause or /dsu skip)
+     * @param {Object} team - Team from the team registry
+     * @param {string} dateKey - Local date (YYYY-MM-DD)
+     * @param {string|null} type - 'morning' or 'evening' (null checks the whole day)
+     * @returns {boolean} True if the DSU is not sent that day
+     */
+    isSkippedDate(team, dateKey, type = null) {
+        const pause = this.getPause(team);
+        if (pause && (!pause.until || dateKey < pause.until)) {
+            return true;
+        }
+        
+        const dayOfWeek = getDayOfWeek(dateKey);
+        return dayOfWeek === 0 || dayOfWeek === 6 || Boolean(this.holidayCalendar.getHoliday(dateKey, team.id)) ||
+            this.isSkippedByCommand(team, dateKey, type);
+    }
+    
+    /**
+     * @param {Object} team - Team from the team registry
+     * @param {string} dateKey - Local date (YYYY-MM-DD)
+     * @param {string|null} type - 'morning' or 'evening' (null only matches whole-day skips)
+     * @returns {boolean} True if /dsu skip covers the DSU
+     */
+    isSkippedByCommand(team, dateKey, type) {
+        return (this.scheduleStore.get().skips[team.id] || [])
+            .some(skip => skip.date === dateKey && (skip.type === null || skip.type === type));
+    }
+    
+    getDefaultTimezone() {
+        const team = this.teamRegistry.getDefaultTeam();
+        return team ? team.timezone : (process.env.TIMEZONE || 'Asia/Jakarta');
+    }
+    
     /**
      * Validate cron expressions format
+     * @param {Object} team - Team whose schedule to validate
      */
-    validateCronExpressions() {
+    validateCronExpressions(team) {
         try {
-            const morningValid = cron.validate(this.morningCron);
-            const eveningValid = cron.validate(this.eveningCron);
+            const morningValid = cron.validate(team.schedule.morning);
+            const eveningValid = cron.validate(team.schedule.evening);
             
             if (!morningValid) {
-                logger.error(`Invalid morning cron expression: ${this.morningCron}`);
+                logger.error(`Invalid morning cron expression for team ${team.id}: ${team.schedule.morning}`);
             }
             if (!eveningValid) {
-                logger.error(`Invalid evening cron expression: ${this.eveningCron}`);
+                logger.error(`Invalid evening cron expression for team ${team.id}: ${team.schedule.evening}`);
             }
             
             return morningValid && eveningValid;
@@ -261,11 +805,12 @@ class DSUScheduler {
     
     /**
      * Log timezone and current time information
+     * @param {Object} team - Team to log
      */
-    logTimezoneInfo() {
+    logTimezoneInfo(team) {
         const now = new Date();
         const localTime = now.toLocaleString('en-US', {
-            timeZone: this.timezone,
+            timeZone: team.timezone,
             weekday: 'long',
             year: 'numeric',
             month: 'long',
@@ -275,108 +820,161 @@ class DSUScheduler {
             second: '2-digit'
         });
         
-        logger.info('🌏 Timezone Configuration:');
-        logger.info(`   Timezone: ${this.timezone}`);
+        logger.info(`🌏 Timezone Configuration (${team.name}):`);
+        logger.info(`   Timezone: ${team.timezone}`);
         logger.info(`   Current time: ${localTime}`);
-        logger.info(`   Is weekday: ${this.isWeekday() ? 'Yes' : 'No'}`);
+        logger.info(`   Is weekday: ${this.isWeekday(team.timezone) ? 'Yes' : 'No'}`);
     }
     
     /**
-     * Convert cron expression to human-readable format
+     * Next scheduled DSUs of a team, leaving out weekends and holidays
+     * @param {Object} team - Team from the team registry
+     * @param {number} count - Number of DSUs to return
+     * @param {Date} from - Start instant (defaults to now)
+     * @returns {Array<Object>} { type, date (local YYYY-MM-DD), time (ISO), localTime } soonest first
      */
-    getReadableSchedule(cronExpression) {
-        try {
-            const parts = cronExpression.split(' ');
-            if (parts.length >= 5) {
-                const minute = parts[0];
-                const hour = parts[1];
-                const dayOfWeek = parts[4];
-                
-                let timeStr = '';
-                if (hour !== '*' && minute !== '*') {
-                    const hourNum = parseInt(hour);
-                    const minNum = parseInt(minute);
-                    const ampm = hourNum >= 12 ? 'PM' : 'AM';
-                    const displayHour = hourNum > 12 ? hourNum - 12 : (hourNum === 0 ? 12 : hourNum);
-                    timeStr = `${displayHour}:${minNum.toString().padStart(2, '0')} ${ampm}`;
-                }
-                
-                let dayStr = '';
-                if (dayOfWeek === '1-5') {
-                    dayStr = ' (Mon-Fri)';
-                } else if (dayOfWeek === '*') {
-                    dayStr = ' (Daily)';
-                } else {
-                    dayStr = ` (DOW: ${dayOfWeek})`;
+    getNextRuns(team, count = NEXT_RUN_COUNT, from = new Date()) {
+        const jobs = this.jobs.get(team.id);
+        const schedule = jobs ? jobs.team.schedule : this.getSchedule(team);
+        return ['morning', 'evening']
+            .flatMap(type => {
+                const skipDate = (dateKey) => this.isSkippedDate(team, dateKey, type);
+                try {
+                    return getNextRuns(schedule[type], { timezone: team.timezone, count, from, skipDate })
+                        .map(time => ({ type, time }));
+                } catch (error) {
+                    logger.debug(`[${team.id}] Could not compute next ${type} runs: ${error.message}`);
+                    return [];
                 }
-                
-                return timeStr + dayStr;
-            }
-            return cronExpression;
-        } catch (error) {
-            return cronExpression;
-        }
+            })
+            .sort((a, b) => a.time - b.time)
+            .slice(0, count)
+            .map(({ type, time }) => ({
+                type,
+                date: getLocalDateKey(team.timezone, time),
+                time: time.toISOString(),
+                localTime: this.formatLocalTime(team, time)
+            }));
     }
     
     /**
      * Log next scheduled execution times
+     * @param {Object} team - Team to log
      */
-    logNextScheduledTimes() {
-        try {
-            // This is approximate - actual next execution depends on node-cron internal logic
-            const now = new Date();
-            const today = new Date(now.toLocaleString('en-US', { timeZone: this.timezone }));
-            
-            logger.info('📅 Next scheduled executions (approximate):');
-            
-            // Find next weekday
-            let nextWeekday = new Date(today);
-            while (nextWeekday.getDay() === 0 || nextWeekday.getDay() === 6) {
-                nextWeekday.setDate(nextWeekday.getDate() + 1);
-            }
-            
-            const nextWeekdayStr = nextWeekday.toLocaleDateString('en-US', {
-                timeZone: this.timezone,
-                weekday: 'long',
-                month: 'short',
-                day: 'numeric'
-            });
-            
-            logger.info(`   🌅 Next morning DSU: ${this.getReadableSchedule(this.morningCron)} on ${nextWeekdayStr}`);
-            logger.info(`   🌆 Next evening DSU: ${this.getReadableSchedule(this.eveningCron)} on ${nextWeekdayStr}`);
-        } catch (error) {
-            logger.debug('Could not calculate next scheduled times:', error);
+    logNextScheduledTimes(team) {
+        const runs = this.getNextRuns(team);
+        if (runs.length === 0) {
+            logger.warn(`⚠️ No DSU scheduled for ${team.name} in the next year - check the cron expressions`);
+            return;
         }
+        
+        logger.info(`📅 Next scheduled executions for ${team.name}:`);
+        runs.forEach(run => {
+            logger.info(`   ${getDSUType(run.type).emoji} ${run.type} DSU: ${run.localTime} (${team.timezone})`);
+        });
     }
     
-    // Get current schedule status
-    getStatus() {
+    /**
+     * Schedule status of a single team
+     * @param {Object} team - Team from the team registry
+     * @returns {Object} Team status
+     */
+    getTeamStatus(team) {
+        const jobs = this.jobs.get(team.id);
+        const isRunning = (job) => Boolean(job) && (job._customRunning || job.running === true);
+        const schedule = jobs ? jobs.team.schedule : this.getSchedule(team);
+        
         return {
-            morningJobRunning: this.morningJob ? (this.morningJob._customRunning || this.morningJob.running === true) : false,
-            eveningJobRunning: this.eveningJob ? (this.eveningJob._customRunning || this.eveningJob.running === true) : false,
-            timezone: `${this.timezone} (WIB)`,
+            id: team.id,
+            name: team.name,
+            channelId: team.channelId,
+            morningJobRunning: isRunning(jobs && jobs.morning),
+            eveningJobRunning: isRunning(jobs && jobs.evening),
+            timezone: team.timezone,
             cronExpressions: {
-                morning: this.morningCron,
-                evening: this.eveningCron
+                morning: schedule.morning,
+                evening: schedule.evening
+            },
+            schedule: {
+                morning: describeCron(schedule.morning),
+                evening: describeCron(schedule.evening)
             },
+            scheduleOverrides: this.getScheduleOverrides(team.id),
+            sentToday: this.sendLedger.getDay(team.id, getLocalDateKey(team.timezone)),
+            currentTime: this.getCurrentTime(team.timezone),
+            isWeekday: this.isWeekday(team.timezone),
+            holidayToday: this.holidayCalendar.getHoliday(getLocalDateKey(team.timezone), team.id),
+            nextSkip: this.holidayCalendar.getNextSkip({ timezone: team.timezone, teamId: team.id }),
+            paused: this.getPause(team),
+            skips: this.getSkips(team).map(skip => ({ ...skip, displayDate: formatDateKey(skip.date) })),
+            nextRuns: this.schedulingConfig.enabled ? this.getNextRuns(team) : [],
+            templateFormat: team.config.templateFormat,
+            threadConfig: this.threadManager.getThreadConfig(team)
+        };
+    }
+    
+    getCurrentTime(timezone) {
+        return new Date().toLocaleString('en-US', {
+            timeZone: timezone,
+            weekday: 'long',
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+    
+    // Get current schedule status (top-level fields describe the default team)
+    getStatus() {
+        const teams = this.teamRegistry.getTeams().map(team => this.getTeamStatus(team));
+        const primary = teams[0] || {
+            morningJobRunning: false,
+            eveningJobRunning: false,
+            timezone: this.getDefaultTimezone(),
+            cronExpressions: { ...DEFAULT_SCHEDULE },
             schedule: {
-                morning: this.getReadableSchedule(this.morningCron),
-                evening: this.getReadableSchedule(this.eveningCron)
+                morning: describeCron(DEFAULT_SCHEDULE.morning),
+                evening: describeCron(DEFAULT_SCHEDULE.evening)
             },
-            currentTime: new Date().toLocaleString('en-US', {
-                timeZone: this.timezone,
-                weekday: 'long',
-                year: 'numeric',
-                month: 'long',
-                day: 'numeric',
-                hour: '2-digit',
-                minute: '2-digit'
-            }),
+            currentTime: this.getCurrentTime(this.getDefaultTimezone()),
             isWeekday: this.isWeekday(),
+            holidayToday: this.holidayCalendar.getHoliday(getLocalDateKey(this.getDefaultTimezone())),
+            nextSkip: this.holidayCalendar.getNextSkip({ timezone: this.getDefaultTimezone() }),
+            paused: null,
+            skips: [],
+            nextRuns: [],
+            templateFormat: process.env.TEMPLATE_FORMAT || 'full',
             threadConfig: this.threadManager.getThreadConfig()
         };
+        
+        return {
+            morningJobRunning: primary.morningJobRunning,
+            eveningJobRunning: primary.eveningJobRunning,
+            timezone: primary.timezone,
+            cronExpressions: primary.cronExpressions,
+            schedule: primary.schedule,
+            currentTime: primary.currentTime,
+            isWeekday: primary.isWeekday,
+            holidayToday: primary.holidayToday,
+            nextSkip: primary.nextSkip,
+            paused: primary.paused,
+            skips: primary.skips,
+            nextRuns: primary.nextRuns,
+            holidays: this.holidayCalendar.getCalendarStatus(),
+            templateFormat: primary.templateFormat,
+            threadConfig: primary.threadConfig,
+            schedulingConfig: { ...this.schedulingConfig, running: this.jobs.size > 0 },
+            catchUpConfig: this.catchUpConfig,
+            followUpConfig: this.attendanceTracker.getFollowUpConfig(),
+            summaryConfig: this.dailySummary.getSummaryConfig(),
+            outboxConfig: this.outbox.getOutboxConfig(),
+            dryRunConfig: this.dispatcher.dryRun.getDryRunConfig(),
+            teams
+        };
     }
 }
 
-// Export singleton instance
-module.exports = new DSUScheduler();
\ No newline at end of file
+// Export singleton instance (class exposed for tests)
+module.exports = new DSUScheduler();
+module.exports.DSUScheduler = DSUScheduler;
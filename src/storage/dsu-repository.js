@@ -0,0 +1,229 @@
+/**
+ * DSU Response Repository
+ *
+ * @author opisboy29
+ * @repository git@github.com:opisboy29/discord-dsu-bot.git
+ * @description Persistent history of DSU threads created by the bot and the replies posted in them
+ */
+
+const JsonStore = require('./json-store');
+
+class DSURepository {
+    /**
+     * @param {string} filePath - Store file (defaults to DATA_DIR/dsu-store.json)
+     */
+    constructor(filePath = JsonStore.resolvePath('dsu-store.json')) {
+        this.store = new JsonStore(filePath, {
+            threads: {},
+            responses: {}
+        });
+        this.replyCounts = null; // threadId -> number of stored replies, built on first use
+    }
+
+    // =================================================================
+    // THREADS
+    // =================================================================
+
+    /**
+     * Remember a DSU thread created by the bot
+     * @param {Object} thread - Thread record
+     * @param {string} thread.threadId - Discord thread ID
+     * @param {string} thread.messageId - DSU message the thread was started from
+     * @param {string} thread.channelId - Parent channel ID
+     * @param {string} thread.guildId - Guild ID
+     * @param {string} thread.type - 'morning' or 'evening'
+     * @param {string} thread.date - Local DSU date (YYYY-MM-DD)
+     * @returns {Promise<Object>} Stored thread record
+     */
+    async registerThread(thread) {
+        const data = this.store.get();
+        const record = {
+            ...thread,
+            createdAt: thread.createdAt || new Date().toISOString()
+        };
+
+        data.threads[record.threadId] = record;
+        await this.store.save();
+        return record;
+    }
+
+    /**
+     * @param {string} threadId - Discord thread ID
+     * @returns {Object|null} Thread record or null if the thread is not a DSU thread
+     */
+    getThread(threadId) {
+        return this.store.get().threads[threadId] || null;
+    }
+
+    /**
+     * @param {string} threadId - Discord thread ID
+     * @returns {boolean} True if the bot created this thread for a DSU
+     */
+    isDSUThread(threadId) {
+        return Boolean(this.getThread(threadId));
+    }
+
+    /**
+     * Find DSU threads matching every provided filter field
+     * @param {Object} filter - e.g. { date: '2025-08-18', type: 'morning' }
+     * @returns {Array<Object>} Matching thread records, oldest first
+     */
+    findThreads(filter = {}) {
+        return Object.values(this.store.get().threads)
+            .filter(thread => this.matches(thread, filter))
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    // =================================================================
+    // RESPONSES
+    // =================================================================
+
+    /**
+     * Insert or update a reply. Responses are keyed by Discord message ID so edits overwrite.
+     * @param {Object} response - Response record
+     * @param {string} response.messageId - Discord message ID of the reply
+     * @param {string} response.threadId - DSU thread ID
+     * @param {string} response.authorId - Discord user ID
+     * @param {string} response.type - 'morning' or 'evening'
+     * @param {string} response.date - Local DSU date (YYYY-MM-DD)
+     * @param {string} response.content - Raw reply text
+     * @returns {Promise<Object>} Stored response record
+     */
+    async saveResponse(response) {
+        const data = this.store.get();
+        const existing = data.responses[response.messageId];
+        const record = existing
+            ? { ...existing, ...response, createdAt: existing.createdAt, editedAt: new Date().toISOString() }
+            : { ...response, createdAt: response.createdAt || new Date().toISOString() };
+
+        data.responses[record.messageId] = record;
+        if (!existing) {
+            this.countReply(record.threadId, 1);
+        }
+        await this.store.save();
+        return record;
+    }
+
+    /**
+     * Set bookkeeping fields on a stored response without treating it as an edit
+     * @param {string} messageId - Discord message ID
+     * @param {Object} fields - Fields to merge into the record
+     * @returns {Promise<Object|null>} Updated record or null if it does not exist
+     */
+    async updateResponse(messageId, fields) {
+        const data = this.store.get();
+        if (!data.responses[messageId]) {
+            return null;
+        }
+
+        data.responses[messageId] = { ...data.responses[messageId], ...fields };
+        await this.store.save();
+        return data.responses[messageId];
+    }
+
+    /**
+     * @param {string} messageId - Discord message ID
+     * @returns {Object|null} Response record
+     */
+    getResponse(messageId) {
+        return this.store.get().responses[messageId] || null;
+    }
+
+    /**
+     * Remove a reply (e.g. the author deleted the message)
+     * @param {string} messageId - Discord message ID
+     * @returns {Promise<boolean>} True if a response was removed
+     */
+    async deleteResponse(messageId) {
+        const data = this.store.get();
+        if (!data.responses[messageId]) {
+            return false;
+        }
+
+        this.countReply(data.responses[messageId].threadId, -1);
+        delete data.responses[messageId];
+        await this.store.save();
+        return true;
+    }
+
+    /**
+     * Find responses matching every provided filter field
+     * @param {Object} filter - e.g. { threadId }, { date, type }, { authorId }
+     * @returns {Array<Object>} Matching responses, oldest first
+     */
+    getResponses(filter = {}) {
+        return Object.values(this.store.get().responses)
+            .filter(response => this.matches(response, filter))
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    /**
+     * @param {string} threadId - DSU thread ID
+     * @returns {Set<string>} IDs of users who replied in the thread
+     */
+    getRespondents(threadId) {
+        return new Set(this.getResponses({ threadId }).map(response => response.authorId));
+    }
+
+    /**
+     * Count the most recent consecutive DSU dates of a type that received at least one reply
+     * @param {string} type - 'morning' or 'evening'
+     * @param {string} [teamId] - Only count this team's threads (all threads when omitted)
+     * @returns {number} Streak length (0 if the latest DSU had no replies)
+     */
+    getResponseStreak(type, teamId) {
+        const threads = this.findThreads({ type, teamId });
+        const replyCounts = this.getReplyCounts();
+        const dates = [...new Set(threads.map(thread => thread.date))].sort().reverse();
+        const answered = new Set(threads.filter(thread => replyCounts.get(thread.threadId) > 0).map(thread => thread.date));
+
+        let streak = 0;
+        for (const date of dates) {
+            if (!answered.has(date)) {
+                break;
+            }
+            streak++;
+        }
+        return streak;
+    }
+
+    // =================================================================
+    // HELPERS
+    // =================================================================
+
+    /**
+     * Replies per thread, kept in memory so streaks don't rescan every response
+     * @returns {Map<string, number>} threadId -> reply count
+     */
+    getReplyCounts() {
+        if (!this.replyCounts) {
+            this.replyCounts = new Map();
+            Object.values(this.store.get().responses).forEach(response => this.countReply(response.threadId, 1));
+        }
+        return this.replyCounts;
+    }
+
+    countReply(threadId, delta) {
+        if (this.replyCounts) {
+            this.replyCounts.set(threadId, (this.replyCounts.get(threadId) || 0) + delta);
+        }
+    }
+
+    matches(record, filter) {
+        return Object.entries(filter)
+            .filter(([, value]) => value !== undefined)
+            .every(([key, value]) => record[key] === value);
+    }
+
+    /**
+     * Wait for pending writes (used during graceful shutdown)
+     * @returns {Promise<void>}
+     */
+    flush() {
+        return this.store.flush();
+    }
+}
+
+// Export singleton instance (class exposed for tests and custom store locations)
+module.exports = new DSURepository();
+module.exports.DSURepository = DSURepository;
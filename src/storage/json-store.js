@@ -0,0 +1,121 @@
+/**
+ * JSON File Store
+ *
+ * @author opisboy29
+ * @repository git@github.com:opisboy29/discord-dsu-bot.git
+ * @description Embedded JSON-file persistence with serialized, atomic writes
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+class JsonStore {
+    /**
+     * @param {string} filePath - Absolute path of the JSON file
+     * @param {Object} defaults - Initial data used when the file does not exist yet
+     */
+    constructor(filePath, defaults = {}) {
+        this.filePath = filePath;
+        this.defaults = defaults;
+        this.data = null;
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Load data from disk (once). A corrupt file is moved aside so the bot can keep running.
+     * @returns {Object} Loaded data
+     */
+    load() {
+        if (this.data) {
+            return this.data;
+        }
+
+        try {
+            if (fs.existsSync(this.filePath)) {
+                const raw = fs.readFileSync(this.filePath, 'utf8');
+                this.data = { ...JSON.parse(JSON.stringify(this.defaults)), ...JSON.parse(raw) };
+                logger.debug(`💾 Loaded store: ${this.filePath}`);
+                return this.data;
+            }
+        } catch (error) {
+            const corruptPath = `${this.filePath}.corrupt-${Date.now()}`;
+            logger.error(`❌ Failed to read store ${path.basename(this.filePath)}, starting fresh:`, error);
+            try {
+                fs.renameSync(this.filePath, corruptPath);
+                logger.warn(`⚠️ Corrupt store moved to ${path.basename(corruptPath)}`);
+            } catch (renameError) {
+                logger.error('Failed to move corrupt store aside:', renameError);
+            }
+        }
+
+        this.data = JSON.parse(JSON.stringify(this.defaults));
+        return this.data;
+    }
+
+    /**
+     * Drop the in-memory copy and read the file again (picks up writes from other processes)
+     * @returns {Object} Loaded data
+     */
+    reload() {
+        this.data = null;
+        return this.load();
+    }
+
+    /**
+     * Get the in-memory data, loading it first if needed
+     * @returns {Object} Store data
+     */
+    get() {
+        return this.load();
+    }
+
+    /**
+     * Persist the current data. Writes are queued so they never interleave.
+     * @returns {Promise<void>} Resolves when this write has reached disk
+     */
+    save() {
+        const snapshot = JSON.stringify(this.load(), null, 2);
+
+        this.writeQueue = this.writeQueue
+            .then(() => this.writeToDisk(snapshot))
+            .catch((error) => {
+                logger.error(`❌ Failed to persist store ${path.basename(this.filePath)}:`, error);
+            });
+
+        return this.writeQueue;
+    }
+
+    /**
+     * Write a snapshot to a temp file and rename it over the store file
+     * @param {string} snapshot - Serialized store data
+     */
+    async writeToDisk(snapshot) {
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(tempPath, snapshot, 'utf8');
+        await fs.promises.rename(tempPath, this.filePath);
+    }
+
+    /**
+     * Wait for all pending writes to finish
+     * @returns {Promise<void>}
+     */
+    flush() {
+        return this.writeQueue;
+    }
+
+    /**
+     * Resolve a file name inside the configured data directory (DATA_DIR, default ./data)
+     * @param {string} filename - File name such as "dsu-store.json"
+     * @returns {string} Absolute file path
+     */
+    static resolvePath(filename) {
+        const dataDir = process.env.DATA_DIR
+            ? path.resolve(process.env.DATA_DIR)
+            : path.join(process.cwd(), 'data');
+        return path.join(dataDir, filename);
+    }
+}
+
+module.exports = JsonStore;
@@ -0,0 +1,234 @@
+/**
+ * Send Ledger
+ *
+ * @author opisboy29
+ * @repository git@github.com:opisboy29/discord-dsu-bot.git
+ * @description Records which DSU went out per team, type and local date so it is never posted twice
+ */
+
+const fs = require('fs');
+const path = require('path');
+const JsonStore = require('./json-store');
+const logger = require('../utils/logger');
+const { getLocalDateKey, addDays } = require('../utils/time-utils');
+
+// A claim still "sending" after this long belongs to a send that crashed and can be taken over
+const SENDING_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Days of entries kept
+const RETENTION_DAYS = 14;
+
+// Lock file around each ledger update, shared by every process using the same data directory
+const LOCK_RETRY_MS = 25;
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_STALE_MS = 10 * 1000;
+
+class SendLedger {
+    /**
+     * @param {string} storePath - Ledger file (defaults to DATA_DIR/send-ledger.json)
+     */
+    constructor(storePath = JsonStore.resolvePath('send-ledger.json')) {
+        // entries: "team:type:YYYY-MM-DD" -> { status ('sending', 'queued' or 'sent'), source, claimedAt, sentAt?, messageId?, channelId?, scheduledFor? }
+        this.store = new JsonStore(storePath, { entries: {} });
+        this.lockPath = `${storePath}.lock`;
+        this.updates = Promise.resolve();
+    }
+
+    /**
+     * @param {string} teamId - Team ID
+     * @param {string} type - 'morning' or 'evening'
+     * @param {string} dateKey - Local date of the DSU (YYYY-MM-DD)
+     * @returns {string} Ledger key
+     */
+    static key(teamId, type, dateKey) {
+        return `${teamId}:${type}:${dateKey}`;
+    }
+
+    /**
+     * Entry of a DSU that was sent or is being sent
+     * @param {string} teamId - Team ID
+     * @param {string} type - 'morning' or 'evening'
+     * @param {string} dateKey - Local date of the DSU (YYYY-MM-DD)
+     * @returns {Object|null} Entry, or null if the DSU can be sent
+     */
+    get(teamId, type, dateKey) {
+        const entry = this.store.get().entries[SendLedger.key(teamId, type, dateKey)];
+        if (!entry) {
+            return null;
+        }
+        if (entry.status === 'sending' && Date.now() - new Date(entry.claimedAt).getTime() > SENDING_TIMEOUT_MS) {
+            return null;
+        }
+        return entry;
+    }
+
+    /**
+     * Claim a DSU before sending it. The check and the claim happen in one step against the ledger
+     * file, so two sends racing for the same DSU (a cron tick and a catch-up, two commands, or two
+     * bot processes on the same data directory) post it once.
+     * @param {string} teamId - Team ID
+     * @param {string} type - 'morning' or 'evening'
+     * @param {string} dateKey - Local date of the DSU (YYYY-MM-DD)
+     * @param {Object} details - Stored with the entry, e.g. { source: 'scheduled', scheduledFor }
+     * @param {Object} options
+     * @param {boolean} options.force - Claim even if the DSU was already sent
+     * @returns {Promise<{claimed: boolean, entry: Object}>} The new entry, or the existing one when not claimed; resolves once saved
+     */
+    claim(teamId, type, dateKey, details = {}, { force = false } = {}) {
+        return this.update(() => {
+            const existing = this.get(teamId, type, dateKey);
+            if (existing && !force) {
+                return { claimed: false, entry: existing };
+            }
+
+            const entry = { ...details, status: 'sending', claimedAt: new Date().toISOString() };
+            this.store.get().entries[SendLedger.key(teamId, type, dateKey)] = entry;
+            this.prune();
+            return { claimed: true, entry };
+        });
+    }
+
+    /**
+     * Mark a claimed DSU as sent
+     * @param {string} teamId - Team ID
+     * @param {string} type - 'morning' or 'evening'
+     * @param {string} dateKey - Local date of the DSU (YYYY-MM-DD)
+     * @param {Object} details - e.g. { messageId, channelId }
+     * @returns {Promise<void>}
+     */
+    complete(teamId, type, dateKey, details = {}) {
+        return this.update((entries) => {
+            const key = SendLedger.key(teamId, type, dateKey);
+            entries[key] = { ...entries[key], ...details, status: 'sent', sentAt: new Date().toISOString() };
+        });
+    }
+
+    /**
+     * Keep a claim while the outbox retries its send. Queued claims never go stale, so a
+     * catch-up or cron tick does not post the DSU a second time.
+     * @param {string} teamId - Team ID
+     * @param {string} type - 'morning' or 'evening'
+     * @param {string} dateKey - Local date of the DSU (YYYY-MM-DD)
+     * @returns {Promise<void>}
+     */
+    markQueued(teamId, type, dateKey) {
+        return this.update((entries) => {
+            const key = SendLedger.key(teamId, type, dateKey);
+            if (entries[key] && entries[key].status !== 'sent') {
+                entries[key].status = 'queued';
+            }
+        });
+    }
+
+    /**
+     * Drop a claim whose send failed so it can be retried
+     * @param {string} teamId - Team ID
+     * @param {string} type - 'morning' or 'evening'
+     * @param {string} dateKey - Local date of the DSU (YYYY-MM-DD)
+     * @returns {Promise<void>}
+     */
+    release(teamId, type, dateKey) {
+        return this.update((entries) => {
+            const key = SendLedger.key(teamId, type, dateKey);
+            if (entries[key] && entries[key].status !== 'sent') {
+                delete entries[key];
+            }
+        });
+    }
+
+    /**
+     * Re-read the ledger file, change it and save it while holding the lock file.
+     * Updates from this process run one at a time.
+     * @param {Function} change - (entries) => result, applied to the freshly read entries
+     * @returns {Promise<*>} Result of change, once the ledger is saved
+     */
+    update(change) {
+        const run = this.updates.then(async () => {
+            await this.lock();
+            try {
+                const result = change(this.store.reload().entries);
+                await this.store.save();
+                return result;
+            } finally {
+                fs.rmSync(this.lockPath, { force: true });
+            }
+        });
+        this.updates = run.catch(() => {});
+        return run;
+    }
+
+    async lock() {
+        await fs.promises.mkdir(path.dirname(this.lockPath), { recursive: true });
+        const started = Date.now();
+
+        for (;;) {
+            try {
+                // "wx" fails if the file exists, so only one process holds it
+                await fs.promises.writeFile(this.lockPath, String(process.pid), { flag: 'wx' });
+                return;
+            } catch (error) {
+                if (error.code !== 'EEXIST') {
+                    throw error;
+                }
+            }
+
+            // A lock this old belongs to a process that died mid-update
+            try {
+                const stats = await fs.promises.stat(this.lockPath);
+                if (Date.now() - stats.mtimeMs > LOCK_STALE_MS) {
+                    logger.warn('⚠️ Removing stale send ledger lock');
+                    await fs.promises.rm(this.lockPath, { force: true });
+                    continue;
+                }
+            } catch (error) {
+                continue; // Released while we looked
+            }
+
+            if (Date.now() - started > LOCK_TIMEOUT_MS) {
+                throw new Error(`Send ledger is locked by another process (${this.lockPath})`);
+            }
+            await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+        }
+    }
+
+    /**
+     * Entries of a team for one day
+     * @param {string} teamId - Team ID
+     * @param {string} dateKey - Local date (YYYY-MM-DD)
+     * @returns {Object} { morning, evening } entries (null when not sent)
+     */
+    getDay(teamId, dateKey) {
+        return {
+            morning: this.get(teamId, 'morning', dateKey),
+            evening: this.get(teamId, 'evening', dateKey)
+        };
+    }
+
+    /**
+     * Remove entries older than the retention period
+     */
+    prune() {
+        // UTC is close enough for a two-week cut-off
+        const cutoff = addDays(getLocalDateKey('UTC'), -RETENTION_DAYS);
+        const entries = this.store.get().entries;
+        Object.keys(entries).forEach(key => {
+            if (key.slice(key.lastIndexOf(':') + 1) < cutoff) {
+                delete entries[key];
+                logger.debug(`🧾 Pruned send ledger entry ${key}`);
+            }
+        });
+    }
+
+    /**
+     * Wait for pending ledger writes (used during graceful shutdown)
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        await this.updates;
+        await this.store.flush();
+    }
+}
+
+// Export singleton instance (class exposed for tests)
+module.exports = new SendLedger();
+module.exports.SendLedger = SendLedger;
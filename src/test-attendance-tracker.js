@@ -0,0 +1,234 @@
+/**
+ * Attendance Tracker Test Script
+ *
+ * @author opisboy29
+ * @repository git@github.com:opisboy29/discord-dsu-bot.git
+ * @description Offline tests for missing-responder detection, DM nudges and the still-missing list
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Collection, IntentsBitField, GatewayIntentBits } = require('discord.js');
+const { DSURepository } = require('./storage/dsu-repository');
+const AttendanceTracker = require('./utils/attendance-tracker');
+const logger = require('./utils/logger');
+
+const THREAD_ID = '900000000000000001';
+const ROLE_ID = '400000000000000001';
+
+class AttendanceTrackerTester {
+    constructor() {
+        this.testResults = [];
+        this.tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dsu-attendance-test-'));
+        this.repository = new DSURepository(path.join(this.tempDir, 'dsu-store.json'));
+    }
+
+    async runTests() {
+        logger.info('🧪 Starting attendance tracker tests...');
+
+        try {
+            await this.seedResponses();
+            await this.testRosterExpansion();
+            await this.testMissingDetection();
+            await this.testDirectMessageNudges();
+            await this.testPingMode();
+            await this.testMissingList();
+        } finally {
+            fs.rmSync(this.tempDir, { recursive: true, force: true });
+        }
+
+        this.displayResults();
+        process.exit(this.testResults.every(r => r.passed) ? 0 : 1);
+    }
+
+    async seedResponses() {
+        await this.repository.registerThread({ threadId: THREAD_ID, type: 'morning', date: '2025-08-18' });
+        await this.repository.saveResponse({
+            messageId: '600000000000000001',
+            threadId: THREAD_ID,
+            authorId: '100000000000000001',
+            type: 'morning',
+            date: '2025-08-18',
+            content: 'Yesterday: x'
+        });
+    }
+
+    createTracker(mode = 'dm') {
+        const tracker = new AttendanceTracker(this.repository, {
+            users: ['100000000000000001', '100000000000000002'],
+            roles: [ROLE_ID]
+        });
+        tracker.followUpConfig.mode = mode;
+        return tracker;
+    }
+
+    mockUser(id, { bot = false, dmClosed = false } = {}) {
+        const user = {
+            id,
+            tag: `user${id.slice(-1)}#0001`,
+            bot,
+            dms: [],
+            send: async (text) => {
+                if (dmClosed) {
+                    const error = new Error('Cannot send messages to this user');
+                    error.code = 50007;
+                    throw error;
+                }
+                user.dms.push(text);
+            }
+        };
+        return user;
+    }
+
+    mockThread() {
+        this.users = {
+            alice: this.mockUser('100000000000000001'),
+            bob: this.mockUser('100000000000000002'),
+            carol: this.mockUser('100000000000000003', { dmClosed: true }),
+            dave: this.mockUser('100000000000000004'),
+            roleBot: this.mockUser('100000000000000009', { bot: true })
+        };
+
+        const member = (user, roles = []) => ({ id: user.id, user, roles: new Collection(roles.map(r => [r, true])) });
+        const members = new Collection([
+            [this.users.alice.id, member(this.users.alice)],
+            [this.users.bob.id, member(this.users.bob)],
+            [this.users.carol.id, member(this.users.carol, [ROLE_ID])],
+            [this.users.dave.id, member(this.users.dave, [ROLE_ID])],
+            [this.users.roleBot.id, member(this.users.roleBot, [ROLE_ID])]
+        ]);
+
+        const role = { id: ROLE_ID, members: members.filter(m => m.roles.has(ROLE_ID)) };
+        const threadMessages = new Collection([
+            ['600000000000000002', { author: this.users.dave }]
+        ]);
+
+        const thread = {
+            id: THREAD_ID,
+            sent: [],
+            send: async (text) => thread.sent.push(text),
+            messages: { fetch: async () => threadMessages },
+            guild: {
+                name: 'Test Guild',
+                members: {
+                    fetch: async (id) => (id ? members.get(id) : members)
+                },
+                roles: { cache: new Collection([[ROLE_ID, role]]) }
+            }
+        };
+        return thread;
+    }
+
+    async testRosterExpansion() {
+        logger.info('\n🧪 Test 1: Roster Expansion');
+
+        const roster = await this.createTracker().resolveRoster(this.mockThread().guild);
+        const ids = [...roster.keys()].sort();
+
+        this.addTestResult('Users And Role Members Included', ids.length === 4, `${ids.length} roster member(s)`);
+        this.addTestResult('Bots Excluded From Roster', !roster.has(this.users.roleBot.id),
+            roster.has(this.users.roleBot.id) ? 'Bot included' : 'Bot excluded');
+
+        // Without the Server Members intent the full member fetch is skipped and cached role members are used
+        const guild = this.mockThread().guild;
+        const fetchMember = guild.members.fetch;
+        let fetchedAll = false;
+        guild.client = { options: { intents: new IntentsBitField([GatewayIntentBits.Guilds, GatewayIntentBits.GuildMessages]) } };
+        guild.members.fetch = async (id) => {
+            fetchedAll = fetchedAll || !id;
+            return fetchMember(id);
+        };
+        const cachedRoster = await this.createTracker().resolveRoster(guild);
+        this.addTestResult('No Members Intent Uses Cache', !fetchedAll && cachedRoster.size === 4,
+            `${cachedRoster.size} roster member(s), full fetch ${fetchedAll ? 'attempted' : 'skipped'}`);
+
+        const tracker = this.createTracker();
+        const team = (roles) => ({ mentions: { users: ['100000000000000001'], roles } });
+        const withRole = tracker.needsMembersIntent([team([]), team([ROLE_ID])]);
+        const withoutRole = tracker.needsMembersIntent([team([]), team([' '])]);
+        tracker.followUpConfig = { ...tracker.followUpConfig, enabled: false };
+        const followUpsOff = tracker.needsMembersIntent([team([ROLE_ID])]);
+        this.addTestResult('Members Intent Only For Role Follow-ups', withRole && !withoutRole && !followUpsOff,
+            `role: ${withRole}, no role: ${withoutRole}, follow-ups off: ${followUpsOff}`);
+    }
+
+    async testMissingDetection() {
+        logger.info('\n🧪 Test 2: Missing Detection');
+
+        const missing = await this.createTracker().findMissing(this.mockThread());
+        const ids = missing.map(user => user.id).sort();
+
+        // Alice replied (stored), Dave replied (seen in thread history)
+        this.addTestResult('Missing = Roster - Participants',
+            JSON.stringify(ids) === JSON.stringify([this.users.bob.id, this.users.carol.id]),
+            `Missing: ${ids.join(', ')}`);
+    }
+
+    async testDirectMessageNudges() {
+        logger.info('\n🧪 Test 3: DM Nudges');
+
+        const thread = this.mockThread();
+        await this.createTracker('dm').sendNudges(thread, 'morning');
+
+        this.addTestResult('Missing Members DMed', this.users.bob.dms.length === 1 && this.users.alice.dms.length === 0,
+            `Bob DMs: ${this.users.bob.dms.length}, Alice DMs: ${this.users.alice.dms.length}`);
+        this.addTestResult('Closed DMs Fall Back To Ping', thread.sent.length === 1 && thread.sent[0].includes(this.users.carol.id),
+            thread.sent[0] || 'No thread message');
+    }
+
+    async testPingMode() {
+        logger.info('\n🧪 Test 4: Ping Mode');
+
+        const thread = this.mockThread();
+        await this.createTracker('ping').sendNudges(thread, 'morning');
+
+        const pinged = thread.sent[0] || '';
+        this.addTestResult('Ping Mentions All Missing', pinged.includes(this.users.bob.id) && pinged.includes(this.users.carol.id),
+            pinged || 'No thread message');
+        this.addTestResult('Ping Mode Sends No DMs', this.users.bob.dms.length === 0, `${this.users.bob.dms.length} DM(s)`);
+    }
+
+    async testMissingList() {
+        logger.info('\n🧪 Test 5: Still Missing List');
+
+        const thread = this.mockThread();
+        const missing = await this.createTracker().postMissingList(thread, 'morning');
+
+        this.addTestResult('Missing List Posted', missing.length === 2 && thread.sent[0].includes('Still missing'),
+            thread.sent[0] ? thread.sent[0].split('\n')[0] : 'Nothing posted');
+    }
+
+    addTestResult(name, passed, message) {
+        this.testResults.push({ name, passed, message });
+        const status = passed ? '✅' : '❌';
+        logger.info(`   ${status} ${name}: ${message}`);
+    }
+
+    displayResults() {
+        logger.info('\n📊 Attendance Tracker Test Summary:');
+
+        const passed = this.testResults.filter(r => r.passed).length;
+        const total = this.testResults.length;
+
+        logger.info(`Results: ${passed}/${total} tests passed`);
+
+        if (passed === total) {
+            logger.success('🎉 All attendance tracker tests passed!');
+        } else {
+            logger.error(`❌ ${total - passed} test(s) failed`);
+        }
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    const tester = new AttendanceTrackerTester();
+    tester.runTests().catch(error => {
+        logger.error('❌ Attendance tracker test failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = AttendanceTrackerTester;
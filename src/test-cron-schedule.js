@@ -0,0 +1,239 @@
+/**
+ * Cron Schedule Test Script
+ *
+ * @author opisboy29
+ * @repository git@github.com:opisboy29/discord-dsu-bot.git
+ * @description Offline tests for cron next-run computation, timezones, skipped days and cron descriptions
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const cron = require('node-cron');
+const { parseCron, getNextRuns } = require('./utils/cron-schedule');
+const { describeCron } = require('./utils/cron-description');
+const { HolidayCalendar } = require('./utils/holiday-calendar');
+const { TeamRegistry } = require('./utils/team-registry');
+const { DSUScheduler } = require('./schedulers/dsu-scheduler');
+const { buildStatusEmbed, buildHelpEmbed } = require('./commands/command-embeds');
+const logger = require('./utils/logger');
+
+// Monday, October 19, 2026 00:00 UTC
+const FROM = new Date('2026-10-19T00:00:00Z');
+
+class CronScheduleTester {
+    constructor() {
+        this.testResults = [];
+        this.tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dsu-cron-test-'));
+        process.env.DSU_CHANNEL_ID = process.env.DSU_CHANNEL_ID || '999999999999999999';
+    }
+
+    async runTests() {
+        logger.info('🧪 Starting cron schedule tests...');
+
+        try {
+            this.testParsing();
+            this.testNextRuns();
+            this.testTimezones();
+            this.testAgainstNodeCron();
+            this.testSchedulerStatus();
+            this.testDescriptions();
+        } finally {
+            fs.rmSync(this.tempDir, { recursive: true, force: true });
+        }
+
+        this.displayResults();
+        process.exit(this.testResults.every(r => r.passed) ? 0 : 1);
+    }
+
+    testParsing() {
+        logger.info('\n🧪 Test 1: Parsing');
+
+        const schedule = parseCron('*/15 9-17 * jan,Jul mon-fri');
+        this.addTestResult('Steps, Ranges And Names', schedule.minute.join(',') === '0,15,30,45' &&
+            schedule.hour.length === 9 && schedule.month.join(',') === '1,7' && schedule.weekday.join(',') === '1,2,3,4,5',
+            `${schedule.minute} | ${schedule.month} | ${schedule.weekday}`);
+
+        this.addTestResult('Sunday As 7', parseCron('0 9 * * 7').weekday.join(',') === '0', parseCron('0 9 * * 7').weekday.join(','));
+
+        const invalid = ['0 25 * * *', '0 9 * *', 'every morning', '0 9 * * funday'].filter(expression => {
+            try {
+                parseCron(expression);
+                return false;
+            } catch (error) {
+                return true;
+            }
+        });
+        this.addTestResult('Invalid Expressions Rejected', invalid.length === 4, `${invalid.length}/4 rejected`);
+    }
+
+    testNextRuns() {
+        logger.info('\n🧪 Test 2: Next Runs');
+
+        const toLocal = (runs) => runs.map(run => run.toLocaleString('en-US', {
+            timeZone: 'Asia/Jakarta', weekday: 'short', hour: 'numeric', minute: '2-digit'
+        }));
+
+        const mwf = toLocal(getNextRuns('30 8 * * 1,3,5', { timezone: 'Asia/Jakarta', count: 4, from: FROM }));
+        this.addTestResult('Mon/Wed/Fri Schedule', mwf.join(', ') === 'Mon 8:30 AM, Wed 8:30 AM, Fri 8:30 AM, Mon 8:30 AM', mwf.join(', '));
+
+        const twiceDaily = toLocal(getNextRuns('0 9,17 * * *', { timezone: 'Asia/Jakarta', count: 3, from: FROM }));
+        this.addTestResult('Several Hours A Day', twiceDaily.join(', ') === 'Mon 9:00 AM, Mon 5:00 PM, Tue 9:00 AM', twiceDaily.join(', '));
+
+        const skipped = getNextRuns('0 9 * * *', {
+            timezone: 'Asia/Jakarta', count: 2, from: FROM, skipDate: dateKey => dateKey === '2026-10-19'
+        });
+        this.addTestResult('Skipped Days Left Out', skipped[0].toISOString() === '2026-10-20T02:00:00.000Z', skipped[0].toISOString());
+
+        const leapDay = getNextRuns('0 9 29 2 *', { timezone: 'UTC', count: 1, from: FROM, maxDays: 2000 });
+        this.addTestResult('Rare Dates Found', leapDay.length === 1 && leapDay[0].toISOString() === '2028-02-29T09:00:00.000Z',
+            leapDay.map(run => run.toISOString()).join(', '));
+    }
+
+    testTimezones() {
+        logger.info('\n🧪 Test 3: Timezones And DST');
+
+        const london = getNextRuns('0 9 * * *', { timezone: 'Europe/London', count: 2, from: new Date('2026-10-24T12:00:00Z') });
+        this.addTestResult('Offset Changes At DST End', london[0].toISOString() === '2026-10-25T09:00:00.000Z' &&
+            london[1].toISOString() === '2026-10-26T09:00:00.000Z' &&
+            getNextRuns('0 9 * * *', { timezone: 'Europe/London', count: 1, from: FROM })[0].toISOString() === '2026-10-19T08:00:00.000Z',
+            london.map(run => run.toISOString()).join(', '));
+
+        // 02:30 does not exist in New York on March 8, 2026
+        const gap = getNextRuns('30 2 * * *', { timezone: 'America/New_York', count: 2, from: new Date('2026-03-07T12:00:00Z') });
+        this.addTestResult('Nonexistent Time Skipped', gap[0].toISOString() === '2026-03-09T06:30:00.000Z',
+            gap.map(run => run.toISOString()).join(', '));
+    }
+
+    testAgainstNodeCron() {
+        logger.info('\n🧪 Test 4: Matches node-cron');
+
+        // node-cron's own matcher decides when jobs fire, so compare a minute-by-minute scan against it
+        const TimeMatcher = require('node-cron/src/time-matcher');
+        const expressions = ['30 8 * * 1,3,5', '0 9,17 * * *', '5-59/20 10 * * 1-5', '0 9 1-7 * mon', '0 0 */10 * *'];
+        const mismatches = [];
+
+        expressions.forEach(expression => {
+            const matcher = new TimeMatcher(expression, 'Asia/Jakarta');
+            const expected = [];
+            for (let minute = 1; minute <= 14 * 24 * 60 && expected.length < 3; minute++) {
+                const instant = new Date(FROM.getTime() + minute * 60000);
+                if (matcher.match(instant)) {
+                    expected.push(instant.toISOString());
+                }
+            }
+
+            const actual = getNextRuns(expression, { timezone: 'Asia/Jakarta', count: expected.length, from: FROM })
+                .map(run => run.toISOString());
+            if (actual.join() !== expected.join()) {
+                mismatches.push(`${expression}: ${actual.join(', ')} vs ${expected.join(', ')}`);
+            }
+        });
+
+        this.addTestResult('Same Fire Times As node-cron', mismatches.length === 0 && expressions.every(cron.validate),
+            mismatches.length === 0 ? `${expressions.length} expressions` : mismatches.join('; '));
+    }
+
+    testSchedulerStatus() {
+        logger.info('\n🧪 Test 5: Scheduler Status');
+
+        const holidayFile = path.join(this.tempDir, 'holidays.json');
+        fs.writeFileSync(holidayFile, JSON.stringify({ holidays: [{ name: 'Team Day', date: '2026-10-20' }] }));
+        const calendar = new HolidayCalendar(holidayFile, path.join(this.tempDir, 'holiday-store.json'));
+        const registry = new TeamRegistry(path.join(this.tempDir, 'missing.yaml'));
+        const team = {
+            ...registry.getDefaultTeam(),
+            timezone: 'Asia/Jakarta',
+            schedule: { morning: '0 9 * * *', evening: '0 17 * * *' }
+        };
+        const scheduler = new DSUScheduler(registry, calendar);
+
+        // Friday 23 Oct 18:00 WIB: the weekend is skipped, Tuesday 20 Oct is a holiday but already past
+        const runs = scheduler.getNextRuns(team, 3, new Date('2026-10-23T11:00:00Z'));
+        this.addTestResult('Weekends Skipped', runs.map(run => run.time).join() ===
+            '2026-10-26T02:00:00.000Z,2026-10-26T10:00:00.000Z,2026-10-27T02:00:00.000Z',
+            runs.map(run => `${run.type} ${run.localTime}`).join(', '));
+
+        const holidayRuns = scheduler.getNextRuns(team, 2, FROM);
+        this.addTestResult('Holidays Skipped', holidayRuns.map(run => run.localTime).join(' | ') ===
+            'Mon, Oct 19, 9:00 AM | Mon, Oct 19, 5:00 PM' && !scheduler.getNextRuns(team, 4, FROM).some(run => run.time.startsWith('2026-10-20')),
+            scheduler.getNextRuns(team, 4, FROM).map(run => run.localTime).join(' | '));
+
+        const status = scheduler.getStatus();
+        const field = buildStatusEmbed(status).fields.find(candidate => candidate.name === '⏭️ Next DSUs');
+        this.addTestResult('Status Lists Next DSUs', status.nextRuns.length === 5 && status.teams[0].nextRuns.length === 5 &&
+            Boolean(field) && field.value.split('\n').length === 5, field ? field.value.split('\n')[0] : 'No field');
+    }
+
+    testDescriptions() {
+        logger.info('\n🧪 Test 6: Descriptions');
+
+        const cases = [
+            ['0 9 * * 1-5', 'At 9:00 AM, Monday through Friday', 'Pukul 09.00, hari Senin sampai Jumat'],
+            ['30 8 * * 1,3,5', 'At 8:30 AM, on Monday, Wednesday and Friday', 'Pukul 08.30, pada hari Senin, Rabu dan Jumat'],
+            ['0 9,17 * * *', 'At 9:00 AM and 5:00 PM, every day', 'Pukul 09.00 dan 17.00, setiap hari'],
+            ['*/15 9-17 * * 1-5', 'Every 15 minutes, between 9:00 AM and 5:59 PM, Monday through Friday',
+                'Setiap 15 menit, antara pukul 09.00 dan 17.59, hari Senin sampai Jumat'],
+            ['0 9 1,15 jan-mar *', 'At 9:00 AM, on days 1 and 15 of the month, January through March',
+                'Pukul 09.00, pada tanggal 1 dan 15, bulan Januari sampai Maret'],
+            ['0 */2 * */3 *', 'At minute 0 past the hour, every 2 hours, every 3 months',
+                'Pada menit ke-0, setiap 2 jam, setiap 3 bulan'],
+            ['0 9 */2 * *', 'At 9:00 AM, on even days of the month', 'Pukul 09.00, pada tanggal genap'],
+            ['0 9 1-15/5 * *', 'At 9:00 AM, on days of the month divisible by 5, on days 1 through 15 of the month',
+                'Pukul 09.00, pada tanggal yang habis dibagi 5, pada tanggal 1 sampai 15']
+        ];
+
+        ['en', 'id'].forEach((language, index) => {
+            const wrong = cases.filter(testCase => describeCron(testCase[0], language) !== testCase[index + 1])
+                .map(testCase => `${testCase[0]} -> ${describeCron(testCase[0], language)}`);
+            this.addTestResult(`${language === 'en' ? 'English' : 'Indonesian'} Descriptions`, wrong.length === 0,
+                wrong.length === 0 ? `${cases.length} expressions` : wrong.join('; '));
+        });
+
+        this.addTestResult('Seconds Field Described', describeCron('30 0 9 * * *', 'en') === 'At 9:00:30 AM, every day' &&
+            describeCron('*/30 * * * * *', 'en') === 'Every 30 seconds, every day', describeCron('*/30 * * * * *', 'en'));
+        this.addTestResult('Invalid Expression Shown As Is', describeCron('every morning', 'en') === 'every morning', describeCron('every morning', 'en'));
+
+        const status = {
+            schedule: { morning: describeCron('30 8 * * 1,3,5', 'en'), evening: describeCron('0 17 * * 1-5', 'en') },
+            timezone: 'Asia/Jakarta',
+            teams: []
+        };
+        const field = buildHelpEmbed({ commands: [], legacyEnabled: false, status }).fields.find(candidate => candidate.name === '📅 Automatic Schedule');
+        this.addTestResult('Help Embed Uses Configured Schedule', field.value.includes('At 8:30 AM, on Monday, Wednesday and Friday'),
+            field.value.split('\n')[0]);
+    }
+
+    addTestResult(name, passed, message) {
+        this.testResults.push({ name, passed: Boolean(passed), message });
+        const status = passed ? '✅' : '❌';
+        logger.info(`   ${status} ${name}: ${message}`);
+    }
+
+    displayResults() {
+        logger.info('\n📊 Cron Schedule Test Summary:');
+
+        const passed = this.testResults.filter(r => r.passed).length;
+        const total = this.testResults.length;
+
+        logger.info(`Results: ${passed}/${total} tests passed`);
+
+        if (passed === total) {
+            logger.success('🎉 All cron schedule tests passed!');
+        } else {
+            logger.error(`❌ ${total - passed} test(s) failed`);
+        }
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    const tester = new CronScheduleTester();
+    tester.runTests().catch(error => {
+        logger.error('❌ Cron schedule test failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = CronScheduleTester;
@@ -0,0 +1,176 @@
+/**
+ * Daily Summary Test Script
+ *
+ * @author opisboy29
+ * @repository git@github.com:opisboy29/discord-dsu-bot.git
+ * @description Offline tests for aggregating DSU responses into the end-of-day summary embed
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DSURepository } = require('./storage/dsu-repository');
+const DailySummary = require('./utils/daily-summary');
+const { validateTemplate, getSummaryTemplate, DSU_CONFIG } = require('../config/dsu-templates');
+const logger = require('./utils/logger');
+
+const DATE = '2025-08-18';
+const CHANNEL_ID = '800000000000000001';
+const GUILD_ID = '700000000000000001';
+
+class DailySummaryTester {
+    constructor() {
+        this.testResults = [];
+        this.tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dsu-summary-test-'));
+        this.repository = new DSURepository(path.join(this.tempDir, 'dsu-store.json'));
+        this.dailySummary = new DailySummary(this.repository);
+    }
+
+    async runTests() {
+        logger.info('🧪 Starting daily summary tests...');
+
+        try {
+            await this.seed();
+            this.testAggregation();
+            this.testThreadLinks();
+            await this.testEmbed();
+            this.testEmptyDay();
+            this.testEmbedSizeLimit();
+        } finally {
+            fs.rmSync(this.tempDir, { recursive: true, force: true });
+        }
+
+        this.displayResults();
+        process.exit(this.testResults.every(r => r.passed) ? 0 : 1);
+    }
+
+    async seed() {
+        const base = { channelId: CHANNEL_ID, guildId: GUILD_ID, date: DATE };
+        await this.repository.registerThread({ ...base, threadId: '900000000000000001', type: 'morning' });
+        await this.repository.registerThread({ ...base, threadId: '900000000000000002', type: 'evening' });
+
+        const responses = [
+            { messageId: '1', threadId: '900000000000000001', type: 'morning', authorId: 'A', authorTag: 'alice',
+                parseStatus: 'parsed', sections: { yesterday: ['x'], today: ['build API'], blockers: ['waiting on design'] } },
+            { messageId: '2', threadId: '900000000000000002', type: 'evening', authorId: 'A', authorTag: 'alice',
+                parseStatus: 'parsed', sections: { completed: ['build API'], inProgress: [], tomorrow: ['write docs'], reflections: [] } },
+            { messageId: '3', threadId: '900000000000000002', type: 'evening', authorId: 'B', authorTag: 'bob',
+                parseStatus: 'unparsed', sections: {} }
+        ];
+
+        for (const response of responses) {
+            await this.repository.saveResponse({ ...base, content: 'update', ...response });
+        }
+    }
+
+    testAggregation() {
+        logger.info('\n🧪 Test 1: Per-Person Aggregation');
+
+        const summary = this.dailySummary.buildSummary(DATE, CHANNEL_ID);
+        const alice = summary.people.find(person => person.authorId === 'A');
+        const bob = summary.people.find(person => person.authorId === 'B');
+
+        this.addTestResult('Everyone Who Reported Listed', summary.people.length === 2, `${summary.people.length} reporter(s)`);
+        this.addTestResult('Completed/Blockers/Tomorrow Grouped',
+            alice.completed[0] === 'build API' && alice.blockers[0] === 'waiting on design' && alice.tomorrow[0] === 'write docs',
+            JSON.stringify({ completed: alice.completed, blockers: alice.blockers, tomorrow: alice.tomorrow }));
+        this.addTestResult('Unstructured Replies Noted', bob.unstructured === true, `unstructured: ${bob.unstructured}`);
+    }
+
+    testThreadLinks() {
+        logger.info('\n🧪 Test 2: Thread Links');
+
+        const summary = this.dailySummary.buildSummary(DATE, CHANNEL_ID);
+        this.addTestResult('Morning Thread Linked',
+            summary.morningThreadUrl === `https://discord.com/channels/${GUILD_ID}/900000000000000001`, summary.morningThreadUrl);
+        this.addTestResult('Evening Thread Linked',
+            summary.eveningThreadUrl === `https://discord.com/channels/${GUILD_ID}/900000000000000002`, summary.eveningThreadUrl);
+    }
+
+    async testEmbed() {
+        logger.info('\n🧪 Test 3: Summary Embed');
+
+        const sent = [];
+        const channel = { id: CHANNEL_ID, name: 'dsu', send: async (payload) => sent.push(payload) };
+        await this.dailySummary.postSummary(channel, DATE);
+
+        const payload = sent[0];
+        const embed = payload.embeds[0];
+        this.addTestResult('Summary Embed Valid', validateTemplate(payload), embed.title);
+        this.addTestResult('Warning Color When Blockers Outstanding', embed.color === DSU_CONFIG.colors.warning,
+            `#${embed.color.toString(16)}`);
+        this.addTestResult('One Field Per Person Plus Overview', embed.fields.length === 3, `${embed.fields.length} field(s)`);
+    }
+
+    testEmptyDay() {
+        logger.info('\n🧪 Test 4: Day Without Responses');
+
+        const summary = this.dailySummary.buildSummary('2025-08-19', CHANNEL_ID);
+        this.addTestResult('Empty Day Has No Reporters', summary.people.length === 0 && summary.morningThreadUrl === null,
+            `${summary.people.length} reporter(s)`);
+    }
+
+    testEmbedSizeLimit() {
+        logger.info('\n🧪 Test 5: Embed Size Limit');
+
+        // 20 people with long updates would be ~20k characters without the total budget
+        const longItem = 'Refactored the billing reconciliation job and added retries for the payment provider webhooks';
+        const people = Array.from({ length: 20 }, (_, index) => ({
+            authorId: `10000000000000000${index}`,
+            authorTag: `engineer${index}`,
+            completed: Array(6).fill(longItem),
+            blockers: Array(2).fill(longItem),
+            tomorrow: Array(4).fill(longItem),
+            unstructured: false
+        }));
+        const embed = getSummaryTemplate({ displayDate: 'Monday, August 18, 2025', morningThreadUrl: null, eveningThreadUrl: null, people }).embeds[0];
+
+        const size = [embed.title, embed.description, embed.footer.text, ...embed.fields.flatMap(field => [field.name, field.value])]
+            .reduce((total, text) => total + text.length, 0);
+        const shown = embed.fields.length - 1;
+        this.addTestResult('Embed Stays Under 6000 Characters', size <= 6000 && embed.fields.every(field => field.value.length <= 1024),
+            `${size} character(s)`);
+        // 300 reporters would need ~6600 characters of mentions alone
+        const crowd = Array.from({ length: 300 }, (_, index) => ({ ...people[0], authorId: `2000000000000${String(index).padStart(5, '0')}` }));
+        const crowded = getSummaryTemplate({ displayDate: 'Monday, August 18, 2025', morningThreadUrl: null, eveningThreadUrl: null, people: crowd }).embeds[0];
+        const crowdedSize = [crowded.title, crowded.description, crowded.footer.text, ...crowded.fields.flatMap(field => [field.name, field.value])]
+            .reduce((total, text) => total + text.length, 0);
+        this.addTestResult('Reporter Mentions Capped', crowded.description.length <= 4096 && crowded.description.endsWith('…and 250 more') &&
+            crowdedSize <= 6000, `${crowded.description.length} description / ${crowdedSize} total character(s)`);
+        this.addTestResult('Dropped People Noted In Footer', shown > 0 && shown < people.length &&
+            embed.footer.text.startsWith(`Showing ${shown} of ${people.length} people`), embed.footer.text);
+    }
+
+    addTestResult(name, passed, message) {
+        this.testResults.push({ name, passed, message });
+        const status = passed ? '✅' : '❌';
+        logger.info(`   ${status} ${name}: ${message}`);
+    }
+
+    displayResults() {
+        logger.info('\n📊 Daily Summary Test Summary:');
+
+        const passed = this.testResults.filter(r => r.passed).length;
+        const total = this.testResults.length;
+
+        logger.info(`Results: ${passed}/${total} tests passed`);
+
+        if (passed === total) {
+            logger.success('🎉 All daily summary tests passed!');
+        } else {
+            logger.error(`❌ ${total - passed} test(s) failed`);
+        }
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    const tester = new DailySummaryTester();
+    tester.runTests().catch(error => {
+        logger.error('❌ Daily summary test failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = DailySummaryTester;
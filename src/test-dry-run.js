@@ -0,0 +1,179 @@
+/**
+ * Dry Run Test Script
+ *
+ * @author opisboy29
+ * @repository git@github.com:opisboy29/discord-dsu-bot.git
+ * @description Offline tests for DRY_RUN: DSUs, threads, replies, form posts and DMs are logged and written to a file instead of sent
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TeamRegistry } = require('./utils/team-registry');
+const { SendLedger } = require('./storage/send-ledger');
+const DSUDispatcher = require('./utils/dsu-dispatcher');
+const ThreadManager = require('./utils/thread-manager');
+const AttendanceTracker = require('./utils/attendance-tracker');
+const ResponseCollector = require('./utils/response-collector');
+const DSUSubmission = require('./utils/dsu-submission');
+const { DSURepository } = require('./storage/dsu-repository');
+const dryRun = require('./utils/dry-run');
+const { getLocalDateKey } = require('./utils/time-utils');
+const logger = require('./utils/logger');
+
+class DryRunTester {
+    constructor() {
+        this.testResults = [];
+        this.tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dsu-dry-run-test-'));
+        process.env.DSU_CHANNEL_ID = process.env.DSU_CHANNEL_ID || '999999999999999999';
+        this.registry = new TeamRegistry(path.join(this.tempDir, 'missing.yaml'));
+        this.team = this.registry.getDefaultTeam();
+        this.today = getLocalDateKey(this.team.timezone);
+        this.outputFile = path.join(this.tempDir, 'out', 'dry-run.jsonl');
+    }
+
+    async runTests() {
+        logger.info('🧪 Starting dry run tests...');
+
+        const original = { enabled: dryRun.enabled, outputFile: dryRun.outputFile };
+        try {
+            dryRun.enabled = true;
+            dryRun.outputFile = this.outputFile;
+            await this.testDispatch();
+            await this.testDirectMessages();
+            await this.testRepliesAndForms();
+
+            dryRun.enabled = false;
+            await this.testPassThrough();
+        } finally {
+            Object.assign(dryRun, original);
+            fs.rmSync(this.tempDir, { recursive: true, force: true });
+        }
+
+        this.displayResults();
+        process.exit(this.testResults.every(r => r.passed) ? 0 : 1);
+    }
+
+    createChannel(sent) {
+        const client = { user: { id: 'BOT' } };
+        const channel = {
+            id: this.team.channelId,
+            name: 'dsu',
+            type: 0,
+            client,
+            guild: { id: 'G1', name: 'Test Guild' },
+            permissionsFor: () => ({ has: () => true }),
+            send: async (payload) => {
+                sent.push(payload);
+                return { id: `M${sent.length}`, channel, client };
+            }
+        };
+        return channel;
+    }
+
+    readOutput() {
+        if (!fs.existsSync(this.outputFile)) {
+            return [];
+        }
+        return fs.readFileSync(this.outputFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    }
+
+    async testDispatch() {
+        logger.info('\n🧪 Test 1: DSU And Thread');
+
+        const sent = [];
+        const ledger = new SendLedger(path.join(this.tempDir, 'ledger.json'));
+        const dispatcher = new DSUDispatcher({ threadManager: new ThreadManager(), sendLedger: ledger });
+        const channel = this.createChannel(sent);
+
+        await dispatcher.claim('morning', this.team, this.today, { source: 'scheduled' });
+        const result = await dispatcher.dispatch('morning', { channel, clientUser: channel.client.user, team: this.team },
+            { format: 'text', dateKey: this.today, source: 'scheduled' });
+        const lines = this.readOutput();
+
+        this.addTestResult('Nothing Posted', sent.length === 0 && result.message.dryRun, `${sent.length} message(s) sent`);
+        this.addTestResult('Payloads Written', lines.map(line => line.kind).join(',') === 'message,thread,thread-message' &&
+            typeof lines[0].payload === 'string' && lines[0].targetId === channel.id && lines[2].targetId === result.thread.id,
+            lines.map(line => `${line.kind} -> ${line.to}`).join(', '));
+        this.addTestResult('Ledger Claim Released', !ledger.get(this.team.id, 'morning', this.today),
+            JSON.stringify(ledger.get(this.team.id, 'morning', this.today)));
+        await ledger.flush();
+    }
+
+    async testDirectMessages() {
+        logger.info('\n🧪 Test 2: Follow-up DMs');
+
+        const user = { id: 'U1', tag: 'alice', bot: false, send: async () => { throw new Error('DM was sent'); } };
+        const tracker = new AttendanceTracker({ getRespondents: () => new Set() }, { users: ['U1'], roles: [] });
+        tracker.followUpConfig = { ...tracker.followUpConfig, mode: 'dm' };
+        const thread = await dryRun.startThread(
+            { channel: this.createChannel([]), guild: { id: 'G1', name: 'Test Guild', members: { fetch: async () => ({ id: 'U1', user }) } } },
+            { name: 'Morning DSU' });
+
+        const nudged = await tracker.sendNudges(thread, 'morning', { users: ['U1'], roles: [] });
+        const dm = this.readOutput().find(line => line.kind === 'dm');
+        this.addTestResult('DM Recorded', nudged.length === 1 && dm && dm.targetId === 'U1' && dm.payload.includes(`<#${thread.id}>`),
+            dm ? dm.to : 'no DM recorded');
+    }
+
+    async testRepliesAndForms() {
+        logger.info('\n🧪 Test 3: Reformat Prompts And Form Posts');
+
+        const posted = [];
+        const thread = this.createChannel(posted);
+        const repository = new DSURepository(path.join(this.tempDir, 'dsu-store.json'));
+        const message = { id: 'R1', author: { tag: 'alice' }, channel: thread, reply: async (payload) => posted.push(payload) };
+        await new ResponseCollector(repository).promptReformat(message, { messageId: 'R1', threadId: thread.id, authorId: 'U1', type: 'morning' });
+
+        const previous = { id: 'P1', channel: thread, edit: async (payload) => posted.push(payload) };
+        const edited = await new DSUSubmission(repository).publish({ ...thread, messages: { fetch: async () => previous } }, { content: 'form' },
+            { messageId: 'P1' });
+        const created = await new DSUSubmission(repository).publish(thread, { content: 'form' }, null);
+
+        const kinds = this.readOutput().map(line => line.kind);
+        this.addTestResult('Replies And Form Posts Recorded', posted.length === 0 && edited.id === 'P1' && created.dryRun &&
+            ['reply', 'edit', 'thread-message'].every(kind => kinds.includes(kind)), `${posted.length} sent, recorded: ${kinds.join(', ')}`);
+    }
+
+    async testPassThrough() {
+        logger.info('\n🧪 Test 4: Dry Run Off');
+
+        const sent = [];
+        const channel = this.createChannel(sent);
+        const message = await dryRun.send(channel, 'hello');
+        this.addTestResult('Sent Normally', sent[0] === 'hello' && message.id === 'M1' && !message.dryRun, `message ${message.id}`);
+    }
+
+    addTestResult(name, passed, message) {
+        this.testResults.push({ name, passed: Boolean(passed), message });
+        const status = passed ? '✅' : '❌';
+        logger.info(`   ${status} ${name}: ${message}`);
+    }
+
+    displayResults() {
+        logger.info('\n📊 Dry Run Test Summary:');
+
+        const passed = this.testResults.filter(r => r.passed).length;
+        const total = this.testResults.length;
+
+        logger.info(`Results: ${passed}/${total} tests passed`);
+
+        if (passed === total) {
+            logger.success('🎉 All dry run tests passed!');
+        } else {
+            logger.error(`❌ ${total - passed} test(s) failed`);
+        }
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    const tester = new DryRunTester();
+    tester.runTests().catch(error => {
+        logger.error('❌ Dry run test failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = DryRunTester;
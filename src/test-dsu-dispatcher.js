@@ -0,0 +1,200 @@
+/**
+ * DSU Dispatcher Test Script
+ *
+ * @author opisboy29
+ * @repository git@github.com:opisboy29/discord-dsu-bot.git
+ * @description Offline tests for the shared DSU send pipeline and the registry of DSU types
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TeamRegistry } = require('./utils/team-registry');
+const { SendLedger } = require('./storage/send-ledger');
+const DSUDispatcher = require('./utils/dsu-dispatcher');
+const { registerDSUType, getDSUType, isDSUType } = require('./utils/dsu-types');
+
+// Types are registered before the commands load, so /dsu retro exists
+registerDSUType('retro', {
+    emoji: '🔁',
+    label: 'Retro',
+    render: (format) => format === 'text' ? '🔁 Retro time!' : { content: '', embeds: [{ title: '🔁 Retro', color: 0x5865F2, fields: [] }] }
+});
+
+const CommandRegistry = require('./commands/command-registry');
+const { getLocalDateKey } = require('./utils/time-utils');
+const logger = require('./utils/logger');
+
+class DSUDispatcherTester {
+    constructor() {
+        this.testResults = [];
+        this.tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dsu-dispatch-test-'));
+        process.env.DSU_CHANNEL_ID = process.env.DSU_CHANNEL_ID || '999999999999999999';
+        this.registry = new TeamRegistry(path.join(this.tempDir, 'missing.yaml'));
+        this.team = this.registry.getDefaultTeam();
+        this.today = getLocalDateKey(this.team.timezone);
+    }
+
+    async runTests() {
+        logger.info('🧪 Starting DSU dispatcher tests...');
+
+        try {
+            this.testTypeRegistry();
+            await this.testPipeline();
+            await this.testCustomType();
+        } finally {
+            fs.rmSync(this.tempDir, { recursive: true, force: true });
+        }
+
+        this.displayResults();
+        process.exit(this.testResults.every(r => r.passed) ? 0 : 1);
+    }
+
+    createDispatcher(name) {
+        const calls = { followUps: [], summaries: [], threads: [] };
+        const dispatcher = new DSUDispatcher({
+            threadManager: {
+                createDSUThread: async (message, title, type) => {
+                    calls.threads.push(type);
+                    return { id: `T${calls.threads.length}`, name: title };
+                }
+            },
+            attendanceTracker: { scheduleFollowUp: (thread, type) => calls.followUps.push(type) },
+            dailySummary: { scheduleSummary: (channel, date) => calls.summaries.push(date) },
+            sendLedger: new SendLedger(path.join(this.tempDir, `${name}-ledger.json`))
+        });
+        return { dispatcher, calls };
+    }
+
+    createChannel(sent, id = this.team.channelId) {
+        const channel = {
+            id,
+            name: 'dsu',
+            permissionsFor: () => ({ has: () => true }),
+            send: async (payload) => {
+                if (channel.down) {
+                    throw new Error('Missing Access');
+                }
+                sent.push(payload);
+                return { id: `M${sent.length}`, channel };
+            }
+        };
+        return channel;
+    }
+
+    testTypeRegistry() {
+        logger.info('\n🧪 Test 1: DSU Types');
+
+        this.addTestResult('Built-in Types Registered', getDSUType('morning').emoji === '🌅' && getDSUType('evening').dailySummary &&
+            !getDSUType('morning').dailySummary, 'morning, evening');
+
+        let duplicate = null;
+        let unknown = null;
+        try {
+            registerDSUType('morning', { emoji: '☀️', label: 'Morning' });
+        } catch (error) {
+            duplicate = error.message;
+        }
+        try {
+            getDSUType('weekly');
+        } catch (error) {
+            unknown = error.message;
+        }
+        this.addTestResult('Duplicate And Unknown Types Rejected', duplicate && unknown && !isDSUType('weekly'), `${duplicate} / ${unknown}`);
+    }
+
+    async testPipeline() {
+        logger.info('\n🧪 Test 2: Pipeline');
+
+        const sent = [];
+        const { dispatcher, calls } = this.createDispatcher('pipeline');
+        const channel = this.createChannel(sent);
+        const target = { channel, clientUser: { id: 'BOT' }, team: this.team };
+
+        await dispatcher.claim('evening', this.team, this.today, { source: 'manual' });
+        const result = await dispatcher.dispatch('evening', target,
+            { format: 'text', note: '⏰ Late', dateKey: this.today, source: 'manual', followUps: true });
+        const entry = dispatcher.sendLedger.get(this.team.id, 'evening', this.today);
+        this.addTestResult('Posted With Note And Recorded', typeof sent[0] === 'string' && sent[0].startsWith('⏰ Late\n\n') &&
+            result.format === 'text' && entry.status === 'sent' && entry.messageId === 'M1', JSON.stringify(entry));
+        this.addTestResult('Thread, Follow-ups And Summary', result.thread && calls.threads[0] === 'evening' &&
+            calls.followUps[0] === 'evening' && calls.summaries[0] === this.today, JSON.stringify(calls));
+
+        // Test posts outside the team's DSU don't nudge the roster
+        await dispatcher.dispatch('morning', { ...target, team: null }, { source: 'manual' });
+        this.addTestResult('No Follow-ups Without A Team DSU', sent.length === 2 && calls.followUps.length === 1 &&
+            calls.threads.length === 2, `${calls.followUps.length} follow-up(s)`);
+
+        channel.down = true;
+        await dispatcher.claim('morning', this.team, this.today, { source: 'manual' });
+        let failure = null;
+        try {
+            await dispatcher.dispatch('morning', target, { dateKey: this.today, source: 'manual', followUps: true });
+        } catch (error) {
+            failure = error.message;
+        }
+        this.addTestResult('Failed Post Releases Claim', failure === 'Missing Access' &&
+            !dispatcher.sendLedger.get(this.team.id, 'morning', this.today), failure);
+        await dispatcher.sendLedger.flush();
+    }
+
+    async testCustomType() {
+        logger.info('\n🧪 Test 3: Registered Type');
+
+        const sent = [];
+        const { dispatcher, calls } = this.createDispatcher('retro');
+        const commands = new CommandRegistry({ dsuDispatcher: dispatcher, teamRegistry: this.registry });
+        commands.legacyEnabled = true;
+        const subcommands = commands.buildCommandData().options.map(option => option.name);
+        this.addTestResult('Manual Command Added', subcommands.includes('retro'), subcommands.join(', '));
+
+        const replies = [];
+        const channel = this.createChannel(sent);
+        await commands.handleLegacyMessage({
+            content: '!dsu-retro',
+            client: { user: { id: 'BOT' } },
+            channel,
+            guild: { id: 'G1' },
+            member: { permissions: { has: () => true } },
+            author: { id: 'U1', tag: 'alice' },
+            reply: async (payload) => replies.push(payload)
+        });
+        const entry = dispatcher.sendLedger.get(this.team.id, 'retro', this.today);
+        this.addTestResult('Custom Type Dispatched', sent.length === 1 && sent[0].embeds[0].title === '🔁 Retro' &&
+            calls.threads[0] === 'retro' && entry && entry.source === 'manual', JSON.stringify(replies.map(String)));
+        await dispatcher.sendLedger.flush();
+    }
+
+    addTestResult(name, passed, message) {
+        this.testResults.push({ name, passed: Boolean(passed), message });
+        const status = passed ? '✅' : '❌';
+        logger.info(`   ${status} ${name}: ${message}`);
+    }
+
+    displayResults() {
+        logger.info('\n📊 DSU Dispatcher Test Summary:');
+
+        const passed = this.testResults.filter(r => r.passed).length;
+        const total = this.testResults.length;
+
+        logger.info(`Results: ${passed}/${total} tests passed`);
+
+        if (passed === total) {
+            logger.success('🎉 All DSU dispatcher tests passed!');
+        } else {
+            logger.error(`❌ ${total - passed} test(s) failed`);
+        }
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    const tester = new DSUDispatcherTester();
+    tester.runTests().catch(error => {
+        logger.error('❌ DSU dispatcher test failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = DSUDispatcherTester;
@@ -0,0 +1,346 @@
+/**
+ * DSU Outbox Test Script
+ *
+ * @author opisboy29
+ * @repository git@github.com:opisboy29/discord-dsu-bot.git
+ * @description Offline tests for retrying failed DSU posts and threads with backoff, and alerting when they give up
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TeamRegistry } = require('./utils/team-registry');
+const { HolidayCalendar } = require('./utils/holiday-calendar');
+const { DSUScheduler } = require('./schedulers/dsu-scheduler');
+const { SendLedger } = require('./storage/send-ledger');
+const DSUOutbox = require('./utils/dsu-outbox');
+const { isRetryableError, getRetryAfterMs, getRetryDelayMs } = require('./utils/retry-policy');
+const { getLocalDateKey } = require('./utils/time-utils');
+const logger = require('./utils/logger');
+
+/**
+ * Error shaped like a discord.js HTTP error
+ */
+function createError(message, props = {}) {
+    return Object.assign(new Error(message), props);
+}
+
+/**
+ * Resolve once a condition holds (retries run on short timers)
+ */
+async function waitFor(condition, timeoutMs = 3000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!condition()) {
+        if (Date.now() > deadline) {
+            return false;
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    return true;
+}
+
+class DSUOutboxTester {
+    constructor() {
+        this.testResults = [];
+        this.tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dsu-outbox-test-'));
+        process.env.DSU_CHANNEL_ID = process.env.DSU_CHANNEL_ID || '999999999999999999';
+        this.registry = new TeamRegistry(path.join(this.tempDir, 'missing.yaml'));
+        this.calendar = new HolidayCalendar(path.join(this.tempDir, 'holidays.json'), path.join(this.tempDir, 'holiday-store.json'));
+        this.team = this.registry.getDefaultTeam();
+        this.outboxes = [];
+    }
+
+    async runTests() {
+        logger.info('🧪 Starting DSU outbox tests...');
+
+        const originalFetch = global.fetch;
+        try {
+            this.testRetryPolicy();
+            await this.testRetries();
+            await this.testGiveUp();
+            await this.testPersistence();
+            await this.testScheduledSends();
+        } finally {
+            global.fetch = originalFetch;
+            this.outboxes.forEach(outbox => outbox.stop());
+            fs.rmSync(this.tempDir, { recursive: true, force: true });
+        }
+
+        this.displayResults();
+        process.exit(this.testResults.every(r => r.passed) ? 0 : 1);
+    }
+
+    createOutbox(storeName, processors, { maxAttempts = 3, client = null } = {}) {
+        const outbox = new DSUOutbox(path.join(this.tempDir, storeName), processors);
+        outbox.outboxConfig = { ...outbox.outboxConfig, maxAttempts, baseDelayMs: 10, maxDelayMs: 40, alertChannelId: null, alertWebhookUrl: null };
+        outbox.client = client;
+        this.outboxes.push(outbox);
+        return outbox;
+    }
+
+    testRetryPolicy() {
+        logger.info('\n🧪 Test 1: Retry Policy');
+
+        const retryable = [
+            createError('Too Many Requests', { status: 429 }),
+            createError('Service Unavailable', { status: 503 }),
+            createError('socket hang up', { code: 'ECONNRESET' }),
+            createError('fetch failed', { cause: { code: 'UND_ERR_CONNECT_TIMEOUT' } })
+        ];
+        const permanent = [
+            createError('Missing Permissions', { status: 403, code: 50013 }),
+            createError('Unknown Channel', { status: 404, code: 10003 }),
+            new Error('Discord is down')
+        ];
+        this.addTestResult('Transient Errors Retried', retryable.every(isRetryableError) && !permanent.some(isRetryableError),
+            `${retryable.filter(isRetryableError).length}/4 retryable, ${permanent.filter(isRetryableError).length}/3 permanent retried`);
+
+        const rateLimited = createError('You are being rate limited', { status: 429, rawError: { retry_after: 2.5 } });
+        const headers = createError('Too Many Requests', { headers: new Map([['retry-after', '3']]) });
+        this.addTestResult('Retry-After Read', getRetryAfterMs(rateLimited) === 2500 && getRetryAfterMs(headers) === 3000 &&
+            getRetryAfterMs(createError('Slow down', { retryAfter: 700 })) === 700, `${getRetryAfterMs(rateLimited)}ms / ${getRetryAfterMs(headers)}ms`);
+
+        const delays = [1, 2, 3, 10].map(attempt => getRetryDelayMs(attempt, { baseMs: 1000, maxMs: 5000 }));
+        const limited = getRetryDelayMs(1, { baseMs: 1000, maxMs: 5000, error: rateLimited });
+        this.addTestResult('Backoff With Jitter', delays[0] >= 500 && delays[0] <= 1000 && delays[1] >= 1000 && delays[1] <= 2000 &&
+            delays[3] >= 2500 && delays[3] <= 5000 && limited >= 2500 && limited <= 3500, `${delays.join(', ')} / rate limited ${limited}`);
+    }
+
+    async testRetries() {
+        logger.info('\n🧪 Test 2: Retries');
+
+        let calls = 0;
+        let done = null;
+        const outbox = this.createOutbox('retries.json', {
+            flaky: {
+                run: async () => {
+                    calls++;
+                    if (calls < 3) {
+                        throw createError('Service Unavailable', { status: 503 });
+                    }
+                    done = 'posted';
+                    return done;
+                },
+                describe: () => 'Flaky job'
+            }
+        });
+
+        const first = await outbox.enqueue('flaky', {});
+        const queued = outbox.getOutboxConfig().pending;
+        await waitFor(() => done);
+        this.addTestResult('Transient Failure Retried Until Success', first === null && queued === 1 && calls === 3 &&
+            outbox.getOutboxConfig().pending === 0, `${calls} attempts, ${queued} queued after the first`);
+
+        let permanentCalls = 0;
+        const permanent = this.createOutbox('permanent.json', {
+            denied: {
+                run: async () => {
+                    permanentCalls++;
+                    throw createError('Missing Permissions', { status: 403, code: 50013 });
+                },
+                describe: () => 'Denied job'
+            }
+        });
+        await permanent.enqueue('denied', {});
+        await new Promise(resolve => setTimeout(resolve, 100));
+        this.addTestResult('Permanent Failure Not Retried', permanentCalls === 1 && permanent.getOutboxConfig().pending === 0,
+            `${permanentCalls} attempt(s)`);
+    }
+
+    async testGiveUp() {
+        logger.info('\n🧪 Test 3: Giving Up');
+
+        const alerts = [];
+        const webhooks = [];
+        const alertChannel = { send: async (payload) => alerts.push(payload.content) };
+        global.fetch = async (url, options) => {
+            webhooks.push({ url, body: JSON.parse(options.body) });
+            return { ok: true, status: 204 };
+        };
+
+        let calls = 0;
+        let gaveUp = null;
+        const outbox = this.createOutbox('give-up.json', {
+            down: {
+                run: async () => {
+                    calls++;
+                    throw createError('Bad Gateway', { status: 502 });
+                },
+                describe: ({ name }) => `Job ${name}`,
+                onGiveUp: (payload) => { gaveUp = payload; }
+            }
+        }, { maxAttempts: 2, client: { channels: { fetch: async () => alertChannel } } });
+        outbox.outboxConfig.alertChannelId = 'C-ALERTS';
+        outbox.outboxConfig.alertWebhookUrl = 'https://example.test/hook';
+
+        await outbox.enqueue('down', { name: 'A' });
+        await waitFor(() => gaveUp && webhooks.length > 0);
+        this.addTestResult('Gave Up After Max Attempts', calls === 2 && gaveUp && gaveUp.name === 'A' &&
+            outbox.getOutboxConfig().pending === 0, `${calls} attempts`);
+        this.addTestResult('Admins Alerted', alerts.length === 1 && alerts[0].includes('Job A') && alerts[0].includes('Bad Gateway') &&
+            webhooks.length === 1 && webhooks[0].url === 'https://example.test/hook' && webhooks[0].body.content === alerts[0],
+            alerts[0] || 'no alert');
+
+        // A throwing give-up hook on a timed retry is logged, not left as an unhandled rejection
+        const unhandled = [];
+        const onUnhandled = (reason) => unhandled.push(reason);
+        process.on('unhandledRejection', onUnhandled);
+        let hookCalls = 0;
+        const failing = this.createOutbox('hook-error.json', {
+            down: {
+                run: async () => { throw createError('Bad Gateway', { status: 502 }); },
+                describe: () => 'Hook job',
+                onGiveUp: () => {
+                    hookCalls++;
+                    throw new Error('hook failed');
+                }
+            }
+        }, { maxAttempts: 2 });
+        await failing.enqueue('down', {});
+        await waitFor(() => hookCalls > 0);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        process.removeListener('unhandledRejection', onUnhandled);
+        this.addTestResult('Retry Errors Caught', hookCalls === 1 && unhandled.length === 0, `${unhandled.length} unhandled rejection(s)`);
+    }
+
+    async testPersistence() {
+        logger.info('\n🧪 Test 4: Persistence');
+
+        const processors = (runs) => ({
+            post: {
+                run: async (payload) => {
+                    runs.push(payload.id);
+                    if (runs.length === 1) {
+                        throw createError('Too Many Requests', { status: 429, retryAfter: 20 });
+                    }
+                },
+                describe: () => 'Persisted job'
+            }
+        });
+
+        const firstRuns = [];
+        const first = this.createOutbox('persisted.json', processors(firstRuns));
+        await first.enqueue('post', { id: 'P1' });
+        first.stop();
+        await first.flush();
+
+        // A restart picks the job up again
+        const secondRuns = [...firstRuns];
+        const second = this.createOutbox('persisted.json', processors(secondRuns));
+        const resumed = second.getOutboxConfig().pending;
+        second.start(null);
+        await waitFor(() => second.getOutboxConfig().pending === 0);
+        await second.flush();
+        this.addTestResult('Queued Job Survives Restart', resumed === 1 && secondRuns.join(',') === 'P1,P1' &&
+            new DSUOutbox(path.join(this.tempDir, 'persisted.json')).getOutboxConfig().pending === 0,
+            `${resumed} resumed, runs ${secondRuns.join(',')}`);
+    }
+
+    createClient(sent, { sendFailures = 0, threadFailures = 0 } = {}) {
+        const threads = [];
+        const messages = new Map();
+        const channel = {
+            id: this.team.channelId,
+            name: 'dsu',
+            type: 0,
+            permissionsFor: () => ({ has: () => true }),
+            send: async (payload) => {
+                if (sendFailures > 0) {
+                    sendFailures--;
+                    throw createError('read ECONNRESET', { code: 'ECONNRESET' });
+                }
+                sent.push(payload);
+                const message = {
+                    id: `M${sent.length}`,
+                    channel,
+                    client: { user: { id: 'BOT' } },
+                    startThread: async ({ name }) => {
+                        if (threadFailures > 0) {
+                            threadFailures--;
+                            throw createError('Internal Server Error', { status: 500 });
+                        }
+                        const thread = { id: `T${threads.length + 1}`, name, send: async () => ({}) };
+                        threads.push(thread);
+                        return thread;
+                    }
+                };
+                messages.set(message.id, message);
+                return message;
+            },
+            messages: { fetch: async (id) => messages.get(id) }
+        };
+        return { user: { id: 'BOT' }, channels: { fetch: async () => channel }, threads };
+    }
+
+    createScheduler(name, client) {
+        const scheduler = new DSUScheduler(this.registry, this.calendar, path.join(this.tempDir, `${name}-store.json`),
+            new SendLedger(path.join(this.tempDir, `${name}-ledger.json`)), path.join(this.tempDir, `${name}-outbox.json`));
+        scheduler.client = client;
+        scheduler.outbox.outboxConfig = { ...scheduler.outbox.outboxConfig, baseDelayMs: 10, maxDelayMs: 40, alertChannelId: null, alertWebhookUrl: null };
+        scheduler.threadManager.threadConfig.enabled = true;
+        scheduler.threadManager.repository = { registerThread: async () => {} };
+        this.outboxes.push(scheduler.outbox);
+        return scheduler;
+    }
+
+    async testScheduledSends() {
+        logger.info('\n🧪 Test 5: Scheduled DSUs');
+
+        const today = getLocalDateKey(this.team.timezone);
+        const sent = [];
+        const client = this.createClient(sent, { sendFailures: 1 });
+        const scheduler = this.createScheduler('flaky', client);
+
+        const first = await scheduler.sendMorningDSU(this.team);
+        const entry = { ...scheduler.sendLedger.get(this.team.id, 'morning', today) };
+        // A catch-up or repeated cron tick while the post waits for its retry
+        await scheduler.sendMorningDSU(this.team);
+        await waitFor(() => sent.length > 0 && client.threads.length > 0);
+        this.addTestResult('Failed Post Queued And Retried Once', first === null && entry.status === 'queued' && sent.length === 1 &&
+            scheduler.sendLedger.get(this.team.id, 'morning', today).status === 'sent', `${entry.status} → ${sent.length} sent`);
+
+        const threadSent = [];
+        const threadClient = this.createClient(threadSent, { threadFailures: 1 });
+        const threadScheduler = this.createScheduler('thread', threadClient);
+        const message = await threadScheduler.sendEveningDSU(this.team);
+        await waitFor(() => threadClient.threads.length > 0);
+        this.addTestResult('Thread Retried Without Reposting', message && threadSent.length === 1 && threadClient.threads.length === 1,
+            `${threadSent.length} sent, ${threadClient.threads.length} thread(s)`);
+
+        [scheduler, threadScheduler].forEach(instance => instance.stop());
+        await Promise.all([scheduler.flush(), threadScheduler.flush()]);
+    }
+
+    addTestResult(name, passed, message) {
+        this.testResults.push({ name, passed: Boolean(passed), message });
+        const status = passed ? '✅' : '❌';
+        logger.info(`   ${status} ${name}: ${message}`);
+    }
+
+    displayResults() {
+        logger.info('\n📊 DSU Outbox Test Summary:');
+
+        const passed = this.testResults.filter(r => r.passed).length;
+        const total = this.testResults.length;
+
+        logger.info(`Results: ${passed}/${total} tests passed`);
+
+        if (passed === total) {
+            logger.success('🎉 All DSU outbox tests passed!');
+        } else {
+            logger.error(`❌ ${total - passed} test(s) failed`);
+        }
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    const tester = new DSUOutboxTester();
+    tester.runTests().catch(error => {
+        logger.error('❌ DSU outbox test failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = DSUOutboxTester;
@@ -0,0 +1,235 @@
+/**
+ * DSU Form Submission Test Script
+ *
+ * @author opisboy29
+ * @repository git@github.com:opisboy29/discord-dsu-bot.git
+ * @description Offline tests for the "Submit my update" button and form
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MessageFlags } = require('discord.js');
+const { DSURepository } = require('./storage/dsu-repository');
+const DSUSubmission = require('./utils/dsu-submission');
+const { TeamRegistry } = require('./utils/team-registry');
+const { TemplateLoader } = require('./utils/template-loader');
+const { getMorningTemplate, getEveningTemplate, validateTemplate } = require('../config/dsu-templates');
+const logger = require('./utils/logger');
+
+class DSUSubmissionTester {
+    constructor() {
+        this.testResults = [];
+        this.tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dsu-submission-test-'));
+        this.repository = new DSURepository(path.join(this.tempDir, 'dsu-store.json'));
+        this.submission = new DSUSubmission(this.repository);
+        this.submission.planReview.reviewConfig = { enabled: false, delivery: 'thread' };
+
+        this.threadMessages = new Map();
+        this.thread = {
+            id: 'T-M',
+            sent: [],
+            send: async (payload) => {
+                const message = {
+                    id: `P${this.thread.sent.length + 1}`,
+                    payload,
+                    edit: async (updated) => {
+                        message.payload = updated;
+                        message.edited = true;
+                        return message;
+                    }
+                };
+                this.thread.sent.push(message);
+                this.threadMessages.set(message.id, message);
+                return message;
+            },
+            messages: { fetch: async (id) => this.threadMessages.get(id) }
+        };
+    }
+
+    async runTests() {
+        logger.info('🧪 Starting DSU form submission tests...');
+
+        try {
+            this.testTemplatesHaveButton();
+            await this.repository.registerThread({
+                threadId: 'T-M', messageId: 'T-M', channelId: 'C1', guildId: 'G1', type: 'morning', date: '2025-08-18'
+            });
+            await this.testButtonOpensForm();
+            await this.testButtonWithoutThread();
+            await this.testFormSubmission();
+            await this.testResubmissionEdits();
+            this.testTeamWording();
+        } finally {
+            fs.rmSync(this.tempDir, { recursive: true, force: true });
+        }
+
+        this.displayResults();
+        process.exit(this.testResults.every(r => r.passed) ? 0 : 1);
+    }
+
+    createInteraction({ customId, messageId = null, values = {}, replies }) {
+        const isModal = customId.includes('-modal:');
+        return {
+            customId,
+            message: messageId ? { id: messageId } : null,
+            user: { id: 'A', tag: 'alice', displayAvatarURL: () => null },
+            client: { channels: { fetch: async () => this.thread } },
+            isButton: () => !isModal,
+            isModalSubmit: () => isModal,
+            fields: { getTextInputValue: (key) => values[key] || '' },
+            showModal: async (modal) => replies.push({ modal: modal.toJSON() }),
+            reply: async (payload) => replies.push(payload),
+            deferReply: async () => {},
+            editReply: async (payload) => replies.push(payload)
+        };
+    }
+
+    testTemplatesHaveButton() {
+        logger.info('\n🧪 Test 1: Submit Button On Templates');
+
+        const morning = getMorningTemplate();
+        const evening = getEveningTemplate();
+        const customIds = [morning, evening].map(template => template.components[0].components[0].custom_id);
+
+        this.addTestResult('Button Attached To Morning And Evening', customIds.join(',') === 'dsu-submit:morning,dsu-submit:evening',
+            customIds.join(', '));
+        this.addTestResult('Templates Still Valid', validateTemplate(morning) && validateTemplate(evening), 'Validated');
+    }
+
+    async testButtonOpensForm() {
+        logger.info('\n🧪 Test 2: Button Opens Form');
+
+        const replies = [];
+        await this.submission.handleInteraction(this.createInteraction({ customId: 'dsu-submit:morning', messageId: 'T-M', replies }));
+
+        const modal = replies[0] && replies[0].modal;
+        const inputs = modal ? modal.components.map(row => row.components[0]) : [];
+        this.addTestResult('Form Targets Thread', Boolean(modal) && modal.custom_id === 'dsu-submit-modal:T-M',
+            modal ? modal.custom_id : 'No modal');
+        this.addTestResult('Form Mirrors Template Sections', inputs.map(input => input.custom_id).join(',') === 'yesterday,today,blockers',
+            inputs.map(input => `${input.custom_id}${input.required ? '*' : ''}`).join(', '));
+    }
+
+    async testButtonWithoutThread() {
+        logger.info('\n🧪 Test 3: Button Without Thread');
+
+        const replies = [];
+        await this.submission.handleInteraction(this.createInteraction({ customId: 'dsu-submit:morning', messageId: 'UNKNOWN', replies }));
+
+        this.addTestResult('Ephemeral Notice Sent', replies.length === 1 && replies[0].flags === MessageFlags.Ephemeral,
+            replies[0] ? replies[0].content : 'No reply');
+    }
+
+    async testFormSubmission() {
+        logger.info('\n🧪 Test 4: Form Submission');
+
+        const replies = [];
+        await this.submission.handleInteraction(this.createInteraction({
+            customId: 'dsu-submit-modal:T-M',
+            values: { yesterday: '- fixed login bug', today: 'write API docs\nreview PR#12', blockers: 'none' },
+            replies
+        }));
+
+        const posted = this.thread.sent[0];
+        this.addTestResult('Embed Posted In Thread', Boolean(posted) && validateTemplate(posted.payload),
+            posted ? posted.payload.embeds[0].fields.map(field => field.value.replace(/\n/g, ' ')).join(' | ') : 'Nothing posted');
+
+        const record = this.repository.getResponse('P1');
+        this.addTestResult('Structured Answer Stored', Boolean(record) && record.parseFormat === 'form' &&
+            record.sections.today.length === 2 && record.sections.blockers.length === 0,
+            record ? JSON.stringify(record.sections) : 'No record');
+        this.addTestResult('Counts As Thread Response', this.repository.getRespondents('T-M').has('A'), 'Respondent recorded');
+    }
+
+    async testResubmissionEdits() {
+        logger.info('\n🧪 Test 5: Resubmission');
+
+        const openReplies = [];
+        await this.submission.handleInteraction(this.createInteraction({ customId: 'dsu-submit:morning', messageId: 'T-M', replies: openReplies }));
+        const todayInput = openReplies[0].modal.components[1].components[0];
+        this.addTestResult('Form Prefilled With Previous Answer', todayInput.value === 'write API docs\nreview PR#12',
+            JSON.stringify(todayInput.value));
+
+        const replies = [];
+        await this.submission.handleInteraction(this.createInteraction({
+            customId: 'dsu-submit-modal:T-M',
+            values: { yesterday: 'fixed login bug', today: 'write API docs' },
+            replies
+        }));
+
+        const responses = this.repository.getResponses({ threadId: 'T-M', authorId: 'A' });
+        this.addTestResult('Previous Post Edited', this.thread.sent.length === 1 && this.thread.sent[0].edited === true,
+            `${this.thread.sent.length} post(s)`);
+        this.addTestResult('Single Stored Answer Updated', responses.length === 1 && responses[0].sections.today.length === 1 && Boolean(responses[0].editedAt),
+            `${responses.length} response(s)`);
+    }
+
+    testTeamWording() {
+        logger.info('\n🧪 Test 6: Form Uses The DSU Wording');
+
+        // The team changes one question and a template file rewords another
+        const teamFile = path.join(this.tempDir, 'teams.yaml');
+        fs.writeFileSync(teamFile, [
+            'teams:',
+            '  - id: web',
+            '    name: Web',
+            '    channelId: "111111111111111111"',
+            '    template:',
+            '      questions:',
+            '        morning:',
+            '          today: What ships today?'
+        ].join('\n'));
+        const templateDir = path.join(this.tempDir, 'templates');
+        fs.mkdirSync(templateDir);
+        fs.writeFileSync(path.join(templateDir, 'morning.yaml'), [
+            'type: morning',
+            'title: Morning',
+            'fields:',
+            '  - name: "🚧 **Anything blocking {team}?**"',
+            '    value: Tell us early'
+        ].join('\n'));
+
+        const submission = new DSUSubmission(this.repository, this.submission.planReview, {
+            teamRegistry: new TeamRegistry(teamFile),
+            templateLoader: new TemplateLoader(templateDir, this.repository)
+        });
+        const modal = submission.buildModal({ threadId: 'T-W', teamId: 'web', type: 'morning', date: '2025-08-18' }, null).toJSON();
+        const labels = modal.components.map(row => row.components[0].label);
+        this.addTestResult('Questions Follow Team And Template File', labels[0] === '🔙 What did you do yesterday?' &&
+            labels[1] === '🎯 What ships today?' && labels[2] === '🚧 Anything blocking Web?', labels.join(' | '));
+    }
+
+    addTestResult(name, passed, message) {
+        this.testResults.push({ name, passed: Boolean(passed), message });
+        const status = passed ? '✅' : '❌';
+        logger.info(`   ${status} ${name}: ${message}`);
+    }
+
+    displayResults() {
+        logger.info('\n📊 DSU Form Submission Test Summary:');
+
+        const passed = this.testResults.filter(r => r.passed).length;
+        const total = this.testResults.length;
+
+        logger.info(`Results: ${passed}/${total} tests passed`);
+
+        if (passed === total) {
+            logger.success('🎉 All DSU form submission tests passed!');
+        } else {
+            logger.error(`❌ ${total - passed} test(s) failed`);
+        }
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    const tester = new DSUSubmissionTester();
+    tester.runTests().catch(error => {
+        logger.error('❌ DSU form submission test failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = DSUSubmissionTester;
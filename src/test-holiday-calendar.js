@@ -0,0 +1,250 @@
+/**
+ * Holiday Calendar Test Script
+ *
+ * @author opisboy29
+ * @repository git@github.com:opisboy29/discord-dsu-bot.git
+ * @description Offline tests for holiday files, holiday commands and skipped scheduled DSUs
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { HolidayCalendar, parseICS } = require('./utils/holiday-calendar');
+const { TeamRegistry } = require('./utils/team-registry');
+const { DSUScheduler } = require('./schedulers/dsu-scheduler');
+const CommandRegistry = require('./commands/command-registry');
+const { buildStatusEmbed } = require('./commands/command-embeds');
+const logger = require('./utils/logger');
+
+const HOLIDAYS_JSON = {
+    holidays: [
+        { name: 'Independence Day', date: '08-17' },
+        { name: 'Year End Break', date: '12-30', end: '01-02' },
+        { name: 'Eid al-Fitr', date: '2026-03-20', end: '2026-03-24' },
+        { name: 'Backend Offsite', date: '2026-11-12', teams: ['backend'] },
+        { name: 'Broken', date: '2026-02-30' }
+    ]
+};
+
+const HOLIDAYS_ICS = [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    'UID:labour-day',
+    'SUMMARY:Labour Day',
+    'DTSTART;VALUE=DATE:20250501',
+    'DTEND;VALUE=DATE:20250502',
+    'RRULE:FREQ=YEARLY',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:retreat',
+    'SUMMARY:Company Retreat\\, Bali',
+    'DTSTART;VALUE=DATE:20260610',
+    'DTEND;VALUE=DATE:20260613',
+    'END:VEVENT',
+    'END:VCALENDAR'
+].join('\r\n');
+
+class HolidayCalendarTester {
+    constructor() {
+        this.testResults = [];
+        this.tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dsu-holiday-test-'));
+        this.holidayFile = path.join(this.tempDir, 'holidays.json');
+        this.storePath = path.join(this.tempDir, 'holiday-store.json');
+        process.env.DSU_CHANNEL_ID = process.env.DSU_CHANNEL_ID || '999999999999999999';
+    }
+
+    async runTests() {
+        logger.info('🧪 Starting holiday calendar tests...');
+
+        try {
+            this.testJsonFile();
+            this.testICS();
+            await this.testAddRemove();
+            this.testScheduling();
+            await this.testLegacyCommands();
+        } finally {
+            fs.rmSync(this.tempDir, { recursive: true, force: true });
+        }
+
+        this.displayResults();
+        process.exit(this.testResults.every(r => r.passed) ? 0 : 1);
+    }
+
+    createCalendar() {
+        return new HolidayCalendar(this.holidayFile, this.storePath);
+    }
+
+    testJsonFile() {
+        logger.info('\n🧪 Test 1: JSON Holiday File');
+
+        fs.writeFileSync(this.holidayFile, JSON.stringify(HOLIDAYS_JSON));
+        const calendar = this.createCalendar();
+        const result = calendar.load();
+
+        this.addTestResult('Valid Holidays Loaded', result.loaded === 4 && result.errors.length === 1,
+            `${result.loaded} loaded, errors: ${result.errors.join('; ')}`);
+
+        const yearly = calendar.getHoliday('2031-08-17');
+        this.addTestResult('Yearly Holiday Repeats', Boolean(yearly) && yearly.name === 'Independence Day', yearly ? yearly.name : 'Not found');
+
+        const acrossYears = ['2030-12-31', '2031-01-02'].map(dateKey => calendar.getHoliday(dateKey));
+        this.addTestResult('Yearly Range Across New Year', acrossYears.every(holiday => holiday && holiday.name === 'Year End Break') &&
+            !calendar.getHoliday('2031-01-03'), acrossYears.map(holiday => (holiday ? holiday.name : 'none')).join(', '));
+
+        this.addTestResult('Date Range Covered', Boolean(calendar.getHoliday('2026-03-24')) && !calendar.getHoliday('2026-03-25'),
+            'Eid al-Fitr 2026-03-20 → 2026-03-24');
+
+        this.addTestResult('Team Holiday Only Applies To Team', Boolean(calendar.getHoliday('2026-11-12', 'backend')) &&
+            !calendar.getHoliday('2026-11-12', 'design'), 'Backend Offsite');
+
+        // 2026-08-15 is a Saturday; the weekend is skipped anyway, so the next skip is Monday the 17th
+        const nextSkip = calendar.getNextSkip({ timezone: 'UTC', from: new Date('2026-08-15T12:00:00Z') });
+        this.addTestResult('Next Skipped DSU Found', Boolean(nextSkip) && nextSkip.date === '2026-08-17',
+            nextSkip ? `${nextSkip.name} on ${nextSkip.date}` : 'None');
+    }
+
+    testICS() {
+        logger.info('\n🧪 Test 2: ICS Holiday File');
+
+        const entries = parseICS(HOLIDAYS_ICS);
+        this.addTestResult('Events Parsed', entries.length === 2 && entries[1].name === 'Company Retreat, Bali',
+            entries.map(entry => entry.name).join(', '));
+        this.addTestResult('Exclusive All-Day End', entries[1].end === '2026-06-12', `${entries[1].date} → ${entries[1].end}`);
+
+        const icsFile = path.join(this.tempDir, 'holidays.ics');
+        fs.writeFileSync(icsFile, HOLIDAYS_ICS);
+        const calendar = new HolidayCalendar(icsFile, this.storePath);
+        calendar.load();
+        const labourDay = calendar.getHoliday('2029-05-01');
+        this.addTestResult('RRULE Yearly Repeats', Boolean(labourDay) && labourDay.id === 'labour-day', labourDay ? labourDay.id : 'Not found');
+    }
+
+    async testAddRemove() {
+        logger.info('\n🧪 Test 3: Holidays Added By Command');
+
+        const calendar = this.createCalendar();
+        const added = await calendar.add({ name: 'Team Day', date: '2026-09-09' });
+        await calendar.flush();
+
+        const reloaded = this.createCalendar();
+        this.addTestResult('Added Holiday Persisted', Boolean(reloaded.getHoliday('2026-09-09')), added.id);
+
+        let duplicateRejected = false;
+        try {
+            await reloaded.add({ name: 'Team Day', date: '2026-09-09' });
+        } catch (error) {
+            duplicateRejected = true;
+        }
+        this.addTestResult('Duplicate Holiday Rejected', duplicateRejected, duplicateRejected ? 'Rejected' : 'Accepted');
+
+        let fileEntryProtected = false;
+        try {
+            await reloaded.remove(reloaded.getHoliday('2030-08-17').id);
+        } catch (error) {
+            fileEntryProtected = error.message.includes('edit the file');
+        }
+        this.addTestResult('File Holiday Not Removable', fileEntryProtected, fileEntryProtected ? 'Rejected' : 'Removed');
+
+        await reloaded.remove(added.id);
+        await reloaded.flush();
+        this.addTestResult('Holiday Removed', !this.createCalendar().getHoliday('2026-09-09'), added.id);
+
+        const upcoming = reloaded.list({ from: '2026-08-01' }).map(holiday => holiday.next.start);
+        this.addTestResult('List Sorted By Next Occurrence', upcoming[0] === '2026-08-17' &&
+            upcoming.every((start, index) => index === 0 || upcoming[index - 1] <= start), upcoming.join(', '));
+    }
+
+    testScheduling() {
+        logger.info('\n🧪 Test 4: Scheduled DSU Skips');
+
+        const calendar = this.createCalendar();
+        const registry = new TeamRegistry(path.join(this.tempDir, 'missing.yaml'));
+        const scheduler = new DSUScheduler(registry, calendar);
+        const team = registry.getDefaultTeam();
+
+        // Pin "today" to a weekday holiday so the test does not depend on the real date
+        scheduler.isWeekday = () => true;
+        calendar.getHoliday = (dateKey, teamId) => ({ id: 'test-day', name: 'Test Day', dateKey, teamId });
+        const reason = scheduler.getSkipReason(team);
+        this.addTestResult('Holiday Skips Scheduled DSU', reason === 'Holiday: Test Day', reason);
+
+        delete calendar.getHoliday;
+        scheduler.isWeekday = () => false;
+        this.addTestResult('Weekend Still Skipped', scheduler.getSkipReason(team) === 'Weekend detected', scheduler.getSkipReason(team));
+
+        const status = scheduler.getStatus();
+        status.nextSkip = { name: 'Independence Day', date: '2026-08-17', displayDate: 'Monday, August 17, 2026' };
+        const field = buildStatusEmbed(status).fields.find(candidate => candidate.name === '📊 Current Status');
+        this.addTestResult('Status Embed Shows Next Skip', field.value.includes('Next DSU skipped: Independence Day'), field.value.split('\n')[1]);
+    }
+
+    async testLegacyCommands() {
+        logger.info('\n🧪 Test 5: Holiday Commands');
+
+        const calendar = this.createCalendar();
+        const registry = new CommandRegistry({ holidayCalendar: calendar });
+        registry.legacyEnabled = true;
+
+        const sent = [];
+        const createMessage = (content) => ({
+            content,
+            client: { user: { id: 'BOT' } },
+            channel: {
+                id: 'C1',
+                name: 'dsu',
+                permissionsFor: () => ({ has: () => true }),
+                send: async (payload) => sent.push(payload)
+            },
+            guild: { id: 'G1' },
+            member: { permissions: { has: () => true } },
+            author: { id: 'U1', tag: 'alice' },
+            reply: async (payload) => sent.push(payload)
+        });
+
+        await registry.handleLegacyMessage(createMessage('!dsu-holiday add date:2026-12-24 Christmas Eve'));
+        const added = calendar.getHoliday('2026-12-24');
+        this.addTestResult('Legacy Holiday Add', Boolean(added) && added.name === 'Christmas Eve', added ? added.id : JSON.stringify(sent));
+
+        await registry.handleLegacyMessage(createMessage('!dsu-holiday list'));
+        const embed = sent.length > 0 && sent[sent.length - 1].embeds ? sent[sent.length - 1].embeds[0] : null;
+        this.addTestResult('Legacy Holiday List', Boolean(embed) && embed.description.includes('Christmas Eve'),
+            embed ? embed.title : 'No embed');
+
+        await registry.handleLegacyMessage(createMessage(`!dsu-holiday remove ${added ? added.id : 'missing'}`));
+        await calendar.flush();
+        this.addTestResult('Legacy Holiday Remove', !calendar.getHoliday('2026-12-24'), `${sent.length} message(s)`);
+    }
+
+    addTestResult(name, passed, message) {
+        this.testResults.push({ name, passed: Boolean(passed), message });
+        const status = passed ? '✅' : '❌';
+        logger.info(`   ${status} ${name}: ${message}`);
+    }
+
+    displayResults() {
+        logger.info('\n📊 Holiday Calendar Test Summary:');
+
+        const passed = this.testResults.filter(r => r.passed).length;
+        const total = this.testResults.length;
+
+        logger.info(`Results: ${passed}/${total} tests passed`);
+
+        if (passed === total) {
+            logger.success('🎉 All holiday calendar tests passed!');
+        } else {
+            logger.error(`❌ ${total - passed} test(s) failed`);
+        }
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    const tester = new HolidayCalendarTester();
+    tester.runTests().catch(error => {
+        logger.error('❌ Holiday calendar test failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = HolidayCalendarTester;
@@ -0,0 +1,292 @@
+/**
+ * Logger Test Script
+ *
+ * @author opisboy29
+ * @repository git@github.com:opisboy29/discord-dsu-bot.git
+ * @description Offline tests for log levels, JSON-lines output, file output, console colors, timestamps and log rotation
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const logger = require('./utils/logger');
+const { Logger } = require('./utils/logger');
+const LogRotator = require('./utils/log-rotator');
+
+const LOG_ENV = ['LOG_LEVEL', 'LOG_FORMAT', 'LOG_COLORS', 'ENABLE_FILE_LOGGING', 'NODE_ENV', 'TIMEZONE', 'LOG_TIMEZONE', 'LOG_TIMESTAMP_FORMAT'];
+
+class LoggerTester {
+    constructor() {
+        this.testResults = [];
+        this.tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dsu-logger-test-'));
+    }
+
+    async runTests() {
+        logger.info('🧪 Starting logger tests...');
+
+        try {
+            this.testLevels();
+            await this.testJsonOutput();
+            await this.testFileLogging();
+            this.testColors();
+            this.testTimestamps();
+            await this.testRotation();
+            await this.testRetention();
+        } finally {
+            fs.rmSync(this.tempDir, { recursive: true, force: true });
+        }
+
+        this.displayResults();
+        process.exit(this.testResults.every(r => r.passed) ? 0 : 1);
+    }
+
+    /**
+     * Build a logger with the given environment, writing into its own temp directory
+     */
+    createLogger(env = {}, { tty = false } = {}) {
+        const saved = {};
+        LOG_ENV.forEach(name => {
+            saved[name] = process.env[name];
+            delete process.env[name];
+        });
+        Object.assign(process.env, env);
+        const isTTY = process.stdout.isTTY;
+        process.stdout.isTTY = tty;
+
+        const cwd = process.cwd();
+        const dir = fs.mkdtempSync(path.join(this.tempDir, 'logger-'));
+        process.chdir(dir);
+        try {
+            return new Logger();
+        } finally {
+            process.chdir(cwd);
+            process.stdout.isTTY = isTTY;
+            LOG_ENV.forEach(name => {
+                if (saved[name] === undefined) {
+                    delete process.env[name];
+                } else {
+                    process.env[name] = saved[name];
+                }
+            });
+        }
+    }
+
+    /**
+     * Run a function and return what it printed to the console
+     */
+    capture(run) {
+        const lines = [];
+        const original = { log: console.log, warn: console.warn, error: console.error };
+        ['log', 'warn', 'error'].forEach(method => {
+            console[method] = (line) => lines.push(line);
+        });
+        try {
+            run();
+        } finally {
+            Object.assign(console, original);
+        }
+        return lines;
+    }
+
+    testLevels() {
+        logger.info('\n🧪 Test 1: Log Levels');
+
+        const warnOnly = this.createLogger({ LOG_LEVEL: 'warn', ENABLE_FILE_LOGGING: 'false' });
+        const printed = this.capture(() => {
+            warnOnly.debug('debug');
+            warnOnly.info('info');
+            warnOnly.success('success');
+            warnOnly.dsu('dsu');
+            warnOnly.warn('warn');
+            warnOnly.error('error');
+        });
+        this.addTestResult('LOG_LEVEL Filters Lower Levels', printed.length === 2 && printed[0].includes('[WARN] warn') &&
+            printed[1].includes('[ERROR] error'), `${printed.length} line(s) printed`);
+
+        const development = this.createLogger({ NODE_ENV: 'development', ENABLE_FILE_LOGGING: 'false' });
+        const production = this.createLogger({ NODE_ENV: 'production', LOG_LEVEL: 'verbose', ENABLE_FILE_LOGGING: 'false' });
+        this.addTestResult('Default Level', development.getLogConfig().level === 'debug' && production.getLogConfig().level === 'info',
+            `development: ${development.getLogConfig().level}, invalid LOG_LEVEL: ${production.getLogConfig().level}`);
+    }
+
+    async testJsonOutput() {
+        logger.info('\n🧪 Test 2: JSON Lines');
+
+        const jsonLogger = this.createLogger({ LOG_FORMAT: 'json' });
+        const error = Object.assign(new Error('Missing Access'), { code: 50001 });
+        const printed = this.capture(() => {
+            jsonLogger.dsu('🌅 Morning DSU sent', null, { event: 'dsu.sent', team: 'web', channelId: 'C1', messageId: 'M1' });
+            jsonLogger.error('❌ Post failed:', error, { event: 'dsu.failed', team: 'web' });
+            jsonLogger.info('Status', { pending: 2 });
+        });
+        const [sent, failed, info] = printed.map(line => JSON.parse(line));
+
+        this.addTestResult('Context Fields', sent.level === 'dsu' && sent.event === 'dsu.sent' && sent.team === 'web' &&
+            sent.channelId === 'C1' && sent.messageId === 'M1' && !isNaN(Date.parse(sent.timestamp)) && /(Z|[+-]\d{2}:\d{2})$/.test(sent.timestamp),
+            printed[0]);
+        this.addTestResult('Error Stack', failed.error && failed.error.code === 50001 && failed.error.stack.includes('Missing Access') &&
+            info.data.pending === 2, `${failed.error ? failed.error.message : 'no error'} / ${JSON.stringify(info.data)}`);
+
+        await jsonLogger.flush();
+        const combined = fs.readFileSync(path.join(jsonLogger.logsDir, 'combined.log'), 'utf8').trim().split('\n');
+        this.addTestResult('Files Get JSON Lines', combined.length === 3 && JSON.parse(combined[0]).event === 'dsu.sent' &&
+            fs.existsSync(path.join(jsonLogger.logsDir, 'dsu.log')), `${combined.length} line(s) in combined.log`);
+    }
+
+    async testFileLogging() {
+        logger.info('\n🧪 Test 3: File Output Switch');
+
+        const noFiles = this.createLogger({ ENABLE_FILE_LOGGING: 'false' });
+        this.capture(() => {
+            noFiles.info('info');
+            noFiles.error('error');
+        });
+        await noFiles.flush();
+        this.addTestResult('No Files Written', !fs.existsSync(noFiles.logsDir), noFiles.logsDir);
+    }
+
+    testColors() {
+        logger.info('\n🧪 Test 4: Colors');
+
+        const colored = (options, env = {}) => {
+            const instance = this.createLogger({ ENABLE_FILE_LOGGING: 'false', ...env }, options);
+            return this.capture(() => instance.info('info'))[0].includes('\x1b[');
+        };
+        this.addTestResult('Colors Follow The Terminal', colored({ tty: true }) && !colored({ tty: false }) &&
+            !colored({ tty: true }, { LOG_COLORS: 'false' }) && !colored({ tty: true }, { LOG_FORMAT: 'json' }),
+            'TTY colored; piped, LOG_COLORS=false and JSON plain');
+    }
+
+    testTimestamps() {
+        logger.info('\n🧪 Test 5: Timestamps');
+
+        // 2025-01-15 02:30 UTC: no daylight saving time in London, New York is still on the previous day
+        const instant = new Date('2025-01-15T02:30:00.250Z');
+        const london = this.createLogger({ TIMEZONE: 'Europe/London', ENABLE_FILE_LOGGING: 'false' });
+        const newYork = this.createLogger({ TIMEZONE: 'Asia/Jakarta', LOG_TIMEZONE: 'America/New_York', ENABLE_FILE_LOGGING: 'false' });
+        const utcIso = this.createLogger({ LOG_TIMEZONE: 'UTC', LOG_TIMESTAMP_FORMAT: 'iso', ENABLE_FILE_LOGGING: 'false' });
+        const invalid = this.createLogger({ LOG_TIMEZONE: 'Mars/Base', ENABLE_FILE_LOGGING: 'false' });
+        const stamps = [london, newYork, utcIso, invalid].map(instance => instance.getTimestamp(instant));
+
+        this.addTestResult('Configured Timezone With Offset', stamps[0] === '01/15/2025, 02:30:00 +00:00' &&
+            stamps[1] === '01/14/2025, 21:30:00 -05:00' && newYork.getTimestamp(new Date('2025-07-01T12:00:00Z')).endsWith('-04:00'),
+            `${stamps[0]} / ${stamps[1]}`);
+        this.addTestResult('ISO And Fallback', stamps[2] === '2025-01-15T02:30:00.250Z' && invalid.getLogConfig().timezone === 'UTC' &&
+            london.getTimestamp(instant, 'Asia/Kolkata', 'iso') === '2025-01-15T08:00:00.250+05:30', `${stamps[2]} / ${stamps[3]}`);
+
+        const printed = this.capture(() => {
+            london.setTeamTimezones([{ id: 'jkt', timezone: 'Asia/Jakarta' }, { id: 'ldn', timezone: 'Europe/London' }]);
+            london.info('multi-team', null, { team: 'jkt' });
+            london.info('no team');
+            london.setTeamTimezones([{ id: 'ldn', timezone: 'Europe/London' }]);
+            london.info('single team', null, { team: 'ldn' });
+        });
+        this.addTestResult('Team Timezone Tag', /\[INFO\] \[jkt \d{2}:\d{2}:\d{2} \+07:00\] multi-team$/.test(printed[0]) &&
+            printed[1].includes('[INFO] no team') && printed[2].includes('[INFO] single team'), printed[0]);
+    }
+
+    createRotator(options = {}) {
+        const dir = fs.mkdtempSync(path.join(this.tempDir, 'rotation-'));
+        const rotations = [];
+        const rotator = new LogRotator(dir, {
+            maxBytes: 100, daily: true, compress: false, maxFiles: 5, maxAgeDays: 0, timezone: 'UTC',
+            onRotate: (filename, rotated, removed) => rotations.push({ filename, rotated, removed }),
+            ...options
+        });
+        const backups = () => fs.readdirSync(dir).filter(name => name.includes('.backup')).sort();
+        return { dir, rotator, rotations, backups };
+    }
+
+    async testRotation() {
+        logger.info('\n🧪 Test 6: Rotation');
+
+        const bySize = this.createRotator();
+        const lines = Array.from({ length: 6 }, (_, i) => `line ${i} ${'x'.repeat(30)}\n`);
+        // Not awaited one by one: writes to a file must still land in order
+        await Promise.all(lines.map(line => bySize.rotator.write('app.log', line)));
+        const current = fs.readFileSync(path.join(bySize.dir, 'app.log'), 'utf8');
+        const rotated = bySize.backups().map(name => fs.readFileSync(path.join(bySize.dir, name), 'utf8'));
+        this.addTestResult('Rotated By Size', bySize.rotations.length === 2 && rotated.every(content => content.length <= 100) &&
+            rotated.join('') + current === lines.join(''), `${bySize.rotations.length} rotation(s): ${bySize.backups().join(', ')}`);
+
+        const daily = this.createRotator({ maxBytes: 0, compress: true });
+        const yesterday = new Date(Date.now() - 26 * 60 * 60 * 1000);
+        fs.writeFileSync(path.join(daily.dir, 'error.log'), 'old entry\n');
+        fs.utimesSync(path.join(daily.dir, 'error.log'), yesterday, yesterday);
+        await daily.rotator.write('error.log', 'new entry\n');
+        const [gzipped] = daily.backups();
+        this.addTestResult('Rotated Daily And Compressed', gzipped && gzipped.endsWith('.backup.gz') &&
+            zlib.gunzipSync(fs.readFileSync(path.join(daily.dir, gzipped))).toString() === 'old entry\n' &&
+            fs.readFileSync(path.join(daily.dir, 'error.log'), 'utf8') === 'new entry\n', gzipped || 'not rotated');
+
+        const sameDay = this.createRotator({ maxBytes: 0 });
+        await sameDay.rotator.write('combined.log', 'a\n');
+        await sameDay.rotator.write('combined.log', 'b\n');
+        await sameDay.rotator.rotateIfNeeded('combined.log');
+        this.addTestResult('No Rotation Below Limits', sameDay.backups().length === 0, `${sameDay.backups().length} backup(s)`);
+    }
+
+    async testRetention() {
+        logger.info('\n🧪 Test 7: Retention');
+
+        const { dir, rotator, backups } = this.createRotator({ maxFiles: 2, maxAgeDays: 7 });
+        const old = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000);
+        ['2026-01-01T00-00-00-000Z', '2026-01-02T00-00-00-000Z', '2026-01-03T00-00-00-000Z'].forEach(stamp => {
+            fs.writeFileSync(path.join(dir, `dsu.log.${stamp}.backup`), 'x');
+        });
+        fs.writeFileSync(path.join(dir, 'app.log.2026-01-01T00-00-00-000Z.backup'), 'other log');
+        // The newest of the old backups is past LOG_MAX_AGE_DAYS
+        fs.utimesSync(path.join(dir, 'dsu.log.2026-01-03T00-00-00-000Z.backup'), old, old);
+
+        const removed = await rotator.prune('dsu.log');
+        this.addTestResult('Count And Age Limits', removed.length === 2 && backups().length === 2 &&
+            backups().includes('dsu.log.2026-01-02T00-00-00-000Z.backup') && backups().includes('app.log.2026-01-01T00-00-00-000Z.backup'),
+            `removed ${removed.join(', ')}`);
+
+        const saved = { LOG_ROTATION_SIZE: process.env.LOG_ROTATION_SIZE, LOG_MAX_FILES: process.env.LOG_MAX_FILES };
+        Object.assign(process.env, { LOG_ROTATION_SIZE: '2', LOG_MAX_FILES: '9' });
+        const config = LogRotator.getEnvConfig();
+        Object.entries(saved).forEach(([name, value]) => {
+            if (value === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = value;
+            }
+        });
+        this.addTestResult('Environment Settings', config.maxBytes === 2 * 1024 * 1024 && config.maxFiles === 9, JSON.stringify(config));
+    }
+
+    addTestResult(name, passed, message) {
+        this.testResults.push({ name, passed: Boolean(passed), message });
+        const status = passed ? '✅' : '❌';
+        logger.info(`   ${status} ${name}: ${message}`);
+    }
+
+    displayResults() {
+        logger.info('\n📊 Logger Test Summary:');
+
+        const passed = this.testResults.filter(r => r.passed).length;
+        const total = this.testResults.length;
+
+        logger.info(`Results: ${passed}/${total} tests passed`);
+
+        if (passed === total) {
+            logger.success('🎉 All logger tests passed!');
+        } else {
+            logger.error(`❌ ${total - passed} test(s) failed`);
+        }
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    const tester = new LoggerTester();
+    tester.runTests().catch(error => {
+        logger.error('❌ Logger test failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = LoggerTester;
@@ -0,0 +1,215 @@
+/**
+ * Missed DSU Catch-up Test Script
+ *
+ * @author opisboy29
+ * @repository git@github.com:opisboy29/discord-dsu-bot.git
+ * @description Offline tests for sending scheduled DSUs missed while the bot was offline
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TeamRegistry } = require('./utils/team-registry');
+const { HolidayCalendar } = require('./utils/holiday-calendar');
+const { DSUScheduler } = require('./schedulers/dsu-scheduler');
+const { SendLedger } = require('./storage/send-ledger');
+const { getLocalDateKey } = require('./utils/time-utils');
+const logger = require('./utils/logger');
+
+const MINUTE = 60 * 1000;
+
+class MissedRunsTester {
+    constructor() {
+        this.testResults = [];
+        this.tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dsu-catchup-test-'));
+        process.env.DSU_CHANNEL_ID = process.env.DSU_CHANNEL_ID || '999999999999999999';
+        this.registry = new TeamRegistry(path.join(this.tempDir, 'missing.yaml'));
+        this.calendar = new HolidayCalendar(path.join(this.tempDir, 'holidays.json'), path.join(this.tempDir, 'holiday-store.json'));
+        // Every day, so the test doesn't depend on the weekday it runs on
+        this.team = { ...this.registry.getDefaultTeam(), schedule: { morning: '0 9 * * *', evening: '0 17 * * *' } };
+        this.sent = [];
+        this.history = [];
+        this.client = this.createClient();
+        this.schedulers = [];
+    }
+
+    async runTests() {
+        logger.info('🧪 Starting missed DSU catch-up tests...');
+
+        try {
+            // Tomorrow's morning DSU and the evening DSU after it stand in for the missed runs
+            const runs = new DSUScheduler(this.registry, this.calendar, path.join(this.tempDir, 'probe.json'))
+                .getNextRuns(this.team, 4, new Date(Date.now() + 24 * 60 * MINUTE));
+            const morningIndex = runs.findIndex(run => run.type === 'morning');
+            this.morning = new Date(runs[morningIndex].time);
+            this.evening = new Date(runs[morningIndex + 1].time);
+
+            await this.testCatchUp();
+            await this.testNoDoublePosting();
+            await this.testWindowAndControls();
+            await this.testSeveralMissedRuns();
+            await this.testOtherBotMessages();
+        } finally {
+            this.schedulers.forEach(scheduler => scheduler.stop());
+            fs.rmSync(this.tempDir, { recursive: true, force: true });
+        }
+
+        this.displayResults();
+        process.exit(this.testResults.every(r => r.passed) ? 0 : 1);
+    }
+
+    createClient() {
+        const channel = {
+            id: this.team.channelId,
+            name: 'dsu',
+            permissionsFor: () => ({ has: () => true }),
+            send: async (payload) => {
+                this.sent.push(payload);
+                return { id: `M${this.sent.length}`, channel };
+            },
+            messages: {
+                fetch: async () => new Map(this.history.map((message, index) => [`H${index}`, message]))
+            }
+        };
+        return { user: { id: 'BOT' }, channels: { fetch: async () => channel } };
+    }
+
+    createScheduler(storeName, graceMinutes = 60) {
+        const scheduler = new DSUScheduler(this.registry, this.calendar, path.join(this.tempDir, storeName),
+            new SendLedger(path.join(this.tempDir, `ledger-${storeName}`)));
+        scheduler.catchUpConfig.graceMinutes = graceMinutes;
+        scheduler.start(this.client, [this.team]);
+        this.schedulers.push(scheduler);
+        return scheduler;
+    }
+
+    async testCatchUp() {
+        logger.info('\n🧪 Test 1: Catch-up');
+
+        const scheduler = this.createScheduler('store.json');
+        const caughtUp = await scheduler.catchUpMissedRuns(new Date(this.morning.getTime() + 20 * MINUTE));
+        const [payload] = this.sent;
+        this.addTestResult('Missed Morning DSU Sent Late', caughtUp.length === 1 && caughtUp[0].type === 'morning' &&
+            caughtUp[0].scheduledFor === this.morning.toISOString() && this.sent.length === 1, JSON.stringify(caughtUp));
+        this.addTestResult('Delayed Note Added', Boolean(payload) && typeof payload.content === 'string' &&
+            payload.content.startsWith('⏰ Delayed') && Array.isArray(payload.embeds), payload ? payload.content.split('\n')[0] : 'Nothing sent');
+
+        const record = scheduler.sendLedger.get(this.team.id, 'morning', getLocalDateKey(this.team.timezone, this.morning));
+        this.addTestResult('Send Recorded', record && record.scheduledFor === this.morning.toISOString() && record.source === 'catch-up' &&
+            record.status === 'sent' && record.messageId === 'M1', JSON.stringify(record));
+        await scheduler.flush();
+    }
+
+    async testNoDoublePosting() {
+        logger.info('\n🧪 Test 2: No Double Posting');
+
+        const now = new Date(this.morning.getTime() + 30 * MINUTE);
+        const scheduler = this.createScheduler('store.json');
+        const again = await scheduler.catchUpMissedRuns(now);
+        this.addTestResult('Recorded Run Not Sent Again', again.length === 0 && this.sent.length === 1, `${this.sent.length} sent`);
+
+        // The bot posted but crashed before recording it
+        const crashed = this.createScheduler('crashed.json');
+        const [posted] = this.sent;
+        this.history = [{ id: 'H1', author: { id: 'BOT' }, createdTimestamp: this.morning.getTime() + MINUTE,
+            content: posted.content, embeds: posted.embeds, components: [] }];
+        const skipped = await crashed.catchUpMissedRuns(now);
+        this.history = [];
+        this.addTestResult('Posted Message Found In Channel', skipped.length === 0 && this.sent.length === 1 &&
+            crashed.wasSent(this.team, 'morning', this.morning), `${this.sent.length} sent`);
+
+        // Cron firing while catch-up is sending the same run
+        const racing = this.createScheduler('racing.json');
+        await Promise.all([
+            racing.sendDSU(this.team, 'morning', { scheduledFor: this.morning }),
+            racing.catchUpMissedRuns(now)
+        ]);
+        this.addTestResult('Concurrent Sends Post Once', this.sent.length === 2, `${this.sent.length - 1} sent`);
+    }
+
+    async testWindowAndControls() {
+        logger.info('\n🧪 Test 3: Grace Window & Controls');
+
+        const late = this.createScheduler('late.json');
+        const outside = await late.catchUpMissedRuns(new Date(this.morning.getTime() + 90 * MINUTE));
+        this.addTestResult('Runs Outside Grace Window Ignored', outside.length === 0, `${outside.length} sent`);
+
+        const disabled = this.createScheduler('disabled.json', 0);
+        const none = await disabled.catchUpMissedRuns(new Date(this.morning.getTime() + 5 * MINUTE));
+        this.addTestResult('Grace Of 0 Disables Catch-up', none.length === 0, `${none.length} sent`);
+
+        const paused = this.createScheduler('paused.json');
+        paused.scheduleStore.get().skips[this.team.id] = [{ date: getLocalDateKey(this.team.timezone, this.morning), type: null }];
+        const skipped = await paused.catchUpMissedRuns(new Date(this.morning.getTime() + 5 * MINUTE));
+        this.addTestResult('Skipped Days Not Caught Up', skipped.length === 0 && this.sent.length === 2, `${skipped.length} sent`);
+    }
+
+    async testSeveralMissedRuns() {
+        logger.info('\n🧪 Test 4: Several Missed Runs');
+
+        const scheduler = this.createScheduler('several.json', 24 * 60);
+        const now = new Date(this.evening.getTime() + 10 * MINUTE);
+        const caughtUp = await scheduler.catchUpMissedRuns(now);
+        this.addTestResult('Morning And Evening Both Sent', caughtUp.map(run => run.type).join(',') === 'morning,evening' &&
+            this.sent.length === 4, JSON.stringify(caughtUp.map(run => run.type)));
+
+        // With two mornings in the window only the latest one is sent
+        const latest = scheduler.getLastScheduledRun(this.team, 'morning', now, 48 * 60 * MINUTE);
+        this.addTestResult('Only Latest Run Per Type', latest && latest.getTime() === this.morning.getTime(),
+            latest ? latest.toISOString() : 'None');
+        await scheduler.flush();
+    }
+
+    async testOtherBotMessages() {
+        logger.info('\n🧪 Test 5: Other Bot Messages');
+
+        // A daily summary, a test post and the evening DSU (late outbox retry) are not the morning DSU
+        const scheduler = this.createScheduler('others.json');
+        const evening = scheduler.dispatcher.render('evening', { team: this.team, format: 'full' }).template;
+        const at = this.morning.getTime() + MINUTE;
+        this.history = [
+            { id: 'H1', author: { id: 'BOT' }, createdTimestamp: at, content: '', embeds: [{ title: '📊 **Daily Standup Summary**' }], components: [] },
+            { id: 'H2', author: { id: 'BOT' }, createdTimestamp: at, content: '🧪 Channel validation test message', embeds: [], components: [] },
+            { id: 'H3', author: { id: 'BOT' }, createdTimestamp: at, content: '', embeds: evening.embeds, components: evening.components }
+        ];
+        const before = this.sent.length;
+        const caughtUp = await scheduler.catchUpMissedRuns(new Date(this.morning.getTime() + 20 * MINUTE));
+        this.history = [];
+        this.addTestResult('Only The Same DSU Counts As Posted', caughtUp.length === 1 && caughtUp[0].type === 'morning' &&
+            this.sent.length === before + 1, `${this.sent.length - before} sent`);
+        await scheduler.flush();
+    }
+
+    addTestResult(name, passed, message) {
+        this.testResults.push({ name, passed: Boolean(passed), message });
+        const status = passed ? '✅' : '❌';
+        logger.info(`   ${status} ${name}: ${message}`);
+    }
+
+    displayResults() {
+        logger.info('\n📊 Missed DSU Catch-up Test Summary:');
+
+        const passed = this.testResults.filter(r => r.passed).length;
+        const total = this.testResults.length;
+
+        logger.info(`Results: ${passed}/${total} tests passed`);
+
+        if (passed === total) {
+            logger.success('🎉 All missed DSU catch-up tests passed!');
+        } else {
+            logger.error(`❌ ${total - passed} test(s) failed`);
+        }
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    const tester = new MissedRunsTester();
+    tester.runTests().catch(error => {
+        logger.error('❌ Missed DSU catch-up test failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = MissedRunsTester;
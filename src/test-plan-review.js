@@ -0,0 +1,130 @@
+/**
+ * Plan vs Done Test Script
+ *
+ * @author opisboy29
+ * @repository git@github.com:opisboy29/discord-dsu-bot.git
+ * @description Offline tests for comparing morning plans with evening updates
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DSURepository } = require('./storage/dsu-repository');
+const ResponseCollector = require('./utils/response-collector');
+const { comparePlan } = require('./utils/plan-comparator');
+const { validateTemplate } = require('../config/dsu-templates');
+const logger = require('./utils/logger');
+
+class PlanReviewTester {
+    constructor() {
+        this.testResults = [];
+        this.tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dsu-plan-test-'));
+        this.repository = new DSURepository(path.join(this.tempDir, 'dsu-store.json'));
+    }
+
+    async runTests() {
+        logger.info('🧪 Starting plan vs done tests...');
+
+        try {
+            this.testComparison();
+            this.testNoOverlap();
+            await this.testEveningReplyTriggersReview();
+        } finally {
+            fs.rmSync(this.tempDir, { recursive: true, force: true });
+        }
+
+        this.displayResults();
+        process.exit(this.testResults.every(r => r.passed) ? 0 : 1);
+    }
+
+    testComparison() {
+        logger.info('\n🧪 Test 1: Plan Comparison');
+
+        const diff = comparePlan({
+            planned: ['Deploy new feature to staging', 'Review PR#123 for auth module', 'Design dashboard mockups'],
+            completed: ['Deployed the new feature to staging', 'Fixed flaky CI job'],
+            inProgress: ['Dashboard mockups 50%']
+        });
+
+        this.addTestResult('Completed Plan Items Matched', diff.done.length === 1 && diff.done[0].planned.startsWith('Deploy'),
+            JSON.stringify(diff.done.map(entry => entry.planned)));
+        this.addTestResult('In-Progress Plan Items Matched', diff.inProgress.length === 1 && diff.inProgress[0].planned.startsWith('Design'),
+            JSON.stringify(diff.inProgress.map(entry => entry.planned)));
+        this.addTestResult('Unfinished Items Carried Over', JSON.stringify(diff.carriedOver) === JSON.stringify(['Review PR#123 for auth module']),
+            JSON.stringify(diff.carriedOver));
+        this.addTestResult('Unplanned Work Detected', JSON.stringify(diff.unplanned) === JSON.stringify(['Fixed flaky CI job']),
+            JSON.stringify(diff.unplanned));
+    }
+
+    testNoOverlap() {
+        logger.info('\n🧪 Test 2: No Overlap');
+
+        const diff = comparePlan({ planned: ['write docs'], completed: ['customer call'], inProgress: [] });
+        this.addTestResult('Unrelated Items Not Matched', diff.done.length === 0 && diff.carriedOver.length === 1 && diff.unplanned.length === 1,
+            `${diff.done.length} done, ${diff.carriedOver.length} carried, ${diff.unplanned.length} unplanned`);
+    }
+
+    async testEveningReplyTriggersReview() {
+        logger.info('\n🧪 Test 3: Evening Reply Triggers Review');
+
+        const base = { channelId: '800000000000000001', guildId: '700000000000000001', date: '2025-08-18' };
+        await this.repository.registerThread({ ...base, threadId: 'T-M', type: 'morning' });
+        await this.repository.registerThread({ ...base, threadId: 'T-E', type: 'evening' });
+
+        const collector = new ResponseCollector(this.repository);
+        collector.planReview.reviewConfig = { enabled: true, delivery: 'thread' };
+
+        const threadPosts = { 'T-M': [], 'T-E': [] };
+        const message = (id, threadId, content) => ({
+            id,
+            content,
+            createdAt: new Date(),
+            reply: async () => {},
+            author: { id: 'A', tag: 'alice', bot: false, send: async () => {} },
+            channel: { id: threadId, isThread: () => true, send: async (payload) => threadPosts[threadId].push(payload) }
+        });
+
+        await collector.handleMessage(message('1', 'T-M', 'Yesterday: x\nToday:\n- write API docs\n- fix login bug\nBlockers: none'));
+        await collector.handleMessage(message('2', 'T-E', 'Completed: wrote the API docs\nIn progress: none\nTomorrow: fix login bug'));
+
+        const posted = threadPosts['T-E'][0];
+        this.addTestResult('Diff Posted In Evening Thread', Boolean(posted) && validateTemplate(posted),
+            posted ? posted.embeds[0].description.replace(/\n/g, ' ') : 'Nothing posted');
+
+        await collector.handleMessage(message('3', 'T-E', 'Completed: one more thing'));
+        this.addTestResult('Only One Review Per Day', threadPosts['T-E'].length === 1, `${threadPosts['T-E'].length} review(s)`);
+    }
+
+    addTestResult(name, passed, message) {
+        this.testResults.push({ name, passed, message });
+        const status = passed ? '✅' : '❌';
+        logger.info(`   ${status} ${name}: ${message}`);
+    }
+
+    displayResults() {
+        logger.info('\n📊 Plan vs Done Test Summary:');
+
+        const passed = this.testResults.filter(r => r.passed).length;
+        const total = this.testResults.length;
+
+        logger.info(`Results: ${passed}/${total} tests passed`);
+
+        if (passed === total) {
+            logger.success('🎉 All plan vs done tests passed!');
+        } else {
+            logger.error(`❌ ${total - passed} test(s) failed`);
+        }
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    const tester = new PlanReviewTester();
+    tester.runTests().catch(error => {
+        logger.error('❌ Plan vs done test failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = PlanReviewTester;
@@ -0,0 +1,143 @@
+/**
+ * DSU Response Parser Test Script
+ *
+ * @author opisboy29
+ * @repository git@github.com:opisboy29/discord-dsu-bot.git
+ * @description Offline tests for splitting DSU replies into template sections
+ */
+
+require('dotenv').config();
+const { parseResponse, getFormatExample } = require('./utils/response-parser');
+const logger = require('./utils/logger');
+
+class ResponseParserTester {
+    constructor() {
+        this.testResults = [];
+    }
+
+    runTests() {
+        logger.info('🧪 Starting DSU response parser tests...');
+
+        this.testTextHeadings();
+        this.testEmojiHeadings();
+        this.testBulletGroups();
+        this.testEveningSections();
+        this.testPartialAndUnparseable();
+        this.testFormatExample();
+
+        this.displayResults();
+        process.exit(this.testResults.every(r => r.passed) ? 0 : 1);
+    }
+
+    testTextHeadings() {
+        logger.info('\n🧪 Test 1: Text Headings');
+
+        const result = parseResponse(
+            '**Yesterday:** fixed login bug\n- reviewed PR#12\n\nToday:\n• write tests\n• deploy to staging\n\nBlockers: none',
+            'morning'
+        );
+
+        this.addTestResult('Headings Parsed', result.status === 'parsed' && result.format === 'headings', result.status);
+        this.addTestResult('Inline Heading Item', this.same(result.sections.yesterday, ['fixed login bug', 'reviewed PR#12']),
+            JSON.stringify(result.sections.yesterday));
+        this.addTestResult('Bullets Under Heading', this.same(result.sections.today, ['write tests', 'deploy to staging']),
+            JSON.stringify(result.sections.today));
+        this.addTestResult('"None" Means No Blockers', result.sections.blockers.length === 0,
+            JSON.stringify(result.sections.blockers));
+    }
+
+    testEmojiHeadings() {
+        logger.info('\n🧪 Test 2: Emoji Headings');
+
+        const result = parseResponse('🔙 Finished payment refactor\n🎯 Today: pair on search\n🚧 Waiting for API docs', 'morning');
+
+        this.addTestResult('Emoji Prefixes Parsed', result.status === 'parsed', result.status);
+        this.addTestResult('Emoji Yesterday', this.same(result.sections.yesterday, ['Finished payment refactor']),
+            JSON.stringify(result.sections.yesterday));
+        this.addTestResult('Emoji With Label', this.same(result.sections.today, ['pair on search']),
+            JSON.stringify(result.sections.today));
+        this.addTestResult('Emoji Blockers', this.same(result.sections.blockers, ['Waiting for API docs']),
+            JSON.stringify(result.sections.blockers));
+    }
+
+    testBulletGroups() {
+        logger.info('\n🧪 Test 3: Bullet Groups In Order');
+
+        const result = parseResponse('- shipped v2\n- fixed CI\n\n- start notifications\n\n- none', 'morning');
+
+        this.addTestResult('Bullet Groups Parsed', result.status === 'parsed' && result.format === 'bullets', String(result.format));
+        this.addTestResult('First Group Is Yesterday', this.same(result.sections.yesterday, ['shipped v2', 'fixed CI']),
+            JSON.stringify(result.sections.yesterday));
+        this.addTestResult('Second Group Is Today', this.same(result.sections.today, ['start notifications']),
+            JSON.stringify(result.sections.today));
+    }
+
+    testEveningSections() {
+        logger.info('\n🧪 Test 4: Evening Sections');
+
+        const result = parseResponse(
+            'Completed: API docs\nIn progress: migration 70%\nTomorrow: sprint planning\nReflections: smaller PRs review faster',
+            'evening'
+        );
+
+        this.addTestResult('Evening Parsed', result.status === 'parsed' && result.missing.length === 0,
+            `missing: ${result.missing.join(', ') || 'none'}`);
+        this.addTestResult('In Progress Section', this.same(result.sections.inProgress, ['migration 70%']),
+            JSON.stringify(result.sections.inProgress));
+    }
+
+    testPartialAndUnparseable() {
+        logger.info('\n🧪 Test 5: Partial and Unparseable Replies');
+
+        const partial = parseResponse('Today: write docs', 'morning');
+        this.addTestResult('Partial Reply Lists Missing Sections', this.same(partial.missing, ['yesterday', 'blockers']),
+            partial.missing.join(', '));
+
+        const raw = parseResponse('worked on stuff, will keep going tomorrow', 'morning');
+        this.addTestResult('Free Text Flagged Unparsed', raw.status === 'unparsed', raw.status);
+
+        const item = parseResponse('- planning meeting notes', 'morning');
+        this.addTestResult('Alias Prefix Inside Word Ignored', item.status === 'unparsed', item.status);
+    }
+
+    testFormatExample() {
+        logger.info('\n🧪 Test 6: Format Example');
+
+        const example = getFormatExample('evening');
+        this.addTestResult('Example Lists All Sections', ['✅', '🔄', '📋', '💭'].every(emoji => example.includes(emoji)),
+            example.replace(/\n/g, ' | '));
+    }
+
+    same(actual, expected) {
+        return JSON.stringify(actual) === JSON.stringify(expected);
+    }
+
+    addTestResult(name, passed, message) {
+        this.testResults.push({ name, passed, message });
+        const status = passed ? '✅' : '❌';
+        logger.info(`   ${status} ${name}: ${message}`);
+    }
+
+    displayResults() {
+        logger.info('\n📊 Response Parser Test Summary:');
+
+        const passed = this.testResults.filter(r => r.passed).length;
+        const total = this.testResults.length;
+
+        logger.info(`Results: ${passed}/${total} tests passed`);
+
+        if (passed === total) {
+            logger.success('🎉 All response parser tests passed!');
+        } else {
+            logger.error(`❌ ${total - passed} test(s) failed`);
+        }
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    const tester = new ResponseParserTester();
+    tester.runTests();
+}
+
+module.exports = ResponseParserTester;
@@ -0,0 +1,205 @@
+/**
+ * DSU Response Store Test Script
+ *
+ * @author opisboy29
+ * @repository git@github.com:opisboy29/discord-dsu-bot.git
+ * @description Offline tests for the DSU response repository and thread reply collector
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DSURepository } = require('./storage/dsu-repository');
+const ResponseCollector = require('./utils/response-collector');
+const logger = require('./utils/logger');
+
+class ResponseStoreTester {
+    constructor() {
+        this.testResults = [];
+        this.tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dsu-store-test-'));
+        this.storePath = path.join(this.tempDir, 'dsu-store.json');
+    }
+
+    async runTests() {
+        logger.info('🧪 Starting DSU response store tests...');
+
+        try {
+            await this.testThreadRegistration();
+            await this.testResponseCapture();
+            await this.testIgnoredMessages();
+            await this.testEditsAndDeletes();
+            await this.testPersistenceAcrossRestart();
+            await this.testStructuredSections();
+        } finally {
+            fs.rmSync(this.tempDir, { recursive: true, force: true });
+        }
+
+        this.displayResults();
+        process.exit(this.testResults.every(r => r.passed) ? 0 : 1);
+    }
+
+    async testThreadRegistration() {
+        logger.info('\n🧪 Test 1: Thread Registration');
+
+        this.repository = new DSURepository(this.storePath);
+        this.collector = new ResponseCollector(this.repository);
+
+        await this.repository.registerThread({
+            threadId: '900000000000000001',
+            messageId: '900000000000000001',
+            channelId: '800000000000000001',
+            guildId: '700000000000000001',
+            type: 'morning',
+            date: '2025-08-18'
+        });
+
+        const thread = this.repository.getThread('900000000000000001');
+        this.addTestResult('Thread Registered', Boolean(thread) && thread.type === 'morning',
+            thread ? `Stored ${thread.type} thread for ${thread.date}` : 'Thread not found');
+
+        const found = this.repository.findThreads({ date: '2025-08-18', type: 'morning' });
+        this.addTestResult('Thread Lookup By Date', found.length === 1, `Found ${found.length} thread(s)`);
+    }
+
+    async testResponseCapture() {
+        logger.info('\n🧪 Test 2: Reply Capture');
+
+        const captured = await this.collector.handleMessage(this.mockMessage({
+            id: '600000000000000001',
+            content: 'Yesterday: fixed login bug\nToday: write tests\nBlockers: none'
+        }));
+
+        const stored = this.repository.getResponse('600000000000000001');
+        const correct = captured && stored &&
+            stored.authorId === '500000000000000001' &&
+            stored.type === 'morning' &&
+            stored.date === '2025-08-18' &&
+            stored.threadId === '900000000000000001';
+
+        this.addTestResult('Reply Stored With Author/Date/Type/Thread', Boolean(correct),
+            correct ? 'Reply linked to author, date, type and thread' : 'Stored record is incomplete');
+
+        const respondents = this.repository.getRespondents('900000000000000001');
+        this.addTestResult('Respondents Listed', respondents.has('500000000000000001'),
+            `${respondents.size} respondent(s)`);
+    }
+
+    async testIgnoredMessages() {
+        logger.info('\n🧪 Test 3: Ignored Messages');
+
+        const botCaptured = await this.collector.handleMessage(this.mockMessage({
+            id: '600000000000000002',
+            bot: true
+        }));
+        this.addTestResult('Bot Messages Ignored', !botCaptured, botCaptured ? 'Bot message captured' : 'Ignored');
+
+        const otherThreadCaptured = await this.collector.handleMessage(this.mockMessage({
+            id: '600000000000000003',
+            channelId: '900000000000000099'
+        }));
+        this.addTestResult('Non-DSU Threads Ignored', !otherThreadCaptured,
+            otherThreadCaptured ? 'Unrelated thread captured' : 'Ignored');
+
+        const channelCaptured = await this.collector.handleMessage(this.mockMessage({
+            id: '600000000000000004',
+            isThread: false
+        }));
+        this.addTestResult('Regular Channel Messages Ignored', !channelCaptured,
+            channelCaptured ? 'Channel message captured' : 'Ignored');
+    }
+
+    async testEditsAndDeletes() {
+        logger.info('\n🧪 Test 4: Edits and Deletes');
+
+        await this.collector.handleMessageUpdate(this.mockMessage({
+            id: '600000000000000001',
+            content: 'Yesterday: fixed login bug\nToday: write more tests\nBlockers: none'
+        }));
+
+        const edited = this.repository.getResponse('600000000000000001');
+        this.addTestResult('Edit Updates Response', edited.content.includes('write more tests') && Boolean(edited.editedAt),
+            'Edited content stored');
+
+        await this.collector.handleMessage(this.mockMessage({ id: '600000000000000005', content: 'temp' }));
+        const removed = await this.collector.handleMessageDelete({ id: '600000000000000005' });
+        this.addTestResult('Delete Removes Response', removed && !this.repository.getResponse('600000000000000005'),
+            removed ? 'Response removed' : 'Response still present');
+    }
+
+    async testPersistenceAcrossRestart() {
+        logger.info('\n🧪 Test 5: Persistence Across Restart');
+
+        await this.repository.flush();
+
+        const reloaded = new DSURepository(this.storePath);
+        const thread = reloaded.getThread('900000000000000001');
+        const response = reloaded.getResponse('600000000000000001');
+
+        this.addTestResult('Data Survives Restart', Boolean(thread && response),
+            thread && response ? 'Thread and response reloaded from disk' : 'Data missing after reload');
+    }
+
+    async testStructuredSections() {
+        logger.info('\n🧪 Test 6: Structured Sections');
+
+        const stored = this.repository.getResponse('600000000000000001');
+        const parsed = stored.parseStatus === 'parsed' && stored.sections.today.includes('write more tests');
+        this.addTestResult('Reply Stored With Sections', parsed,
+            parsed ? 'Sections stored alongside raw content' : `Status: ${stored.parseStatus}`);
+
+        const replies = [];
+        const message = this.mockMessage({ id: '600000000000000006', content: 'just chatting about the release' });
+        message.reply = async (text) => replies.push(text);
+
+        await this.collector.handleMessage(message);
+        const raw = this.repository.getResponse('600000000000000006');
+        this.addTestResult('Unparseable Reply Kept Raw And Flagged', raw.needsReformat && raw.content === message.content,
+            raw.needsReformat ? 'Flagged for reformat' : 'Not flagged');
+        this.addTestResult('Author Asked To Reformat Once', replies.length === 1 && Boolean(raw.reformatPromptedAt),
+            `${replies.length} prompt(s) sent`);
+    }
+
+    mockMessage({ id, content = 'update', bot = false, channelId = '900000000000000001', isThread = true }) {
+        return {
+            id,
+            content,
+            createdAt: new Date(),
+            reply: async () => ({ id: `${id}-reply` }),
+            author: { id: '500000000000000001', tag: 'tester#0001', bot },
+            channel: { id: channelId, isThread: () => isThread }
+        };
+    }
+
+    addTestResult(name, passed, message) {
+        this.testResults.push({ name, passed, message });
+        const status = passed ? '✅' : '❌';
+        logger.info(`   ${status} ${name}: ${message}`);
+    }
+
+    displayResults() {
+        logger.info('\n📊 Response Store Test Summary:');
+
+        const passed = this.testResults.filter(r => r.passed).length;
+        const total = this.testResults.length;
+
+        logger.info(`Results: ${passed}/${total} tests passed`);
+
+        if (passed === total) {
+            logger.success('🎉 All response store tests passed!');
+        } else {
+            logger.error(`❌ ${total - passed} test(s) failed`);
+        }
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    const tester = new ResponseStoreTester();
+    tester.runTests().catch(error => {
+        logger.error('❌ Response store test failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = ResponseStoreTester;
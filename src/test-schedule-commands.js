@@ -0,0 +1,193 @@
+/**
+ * Schedule Commands Test Script
+ *
+ * @author opisboy29
+ * @repository git@github.com:opisboy29/discord-dsu-bot.git
+ * @description Offline tests for /dsu schedule set|show|reset, live rescheduling and persisted schedules
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TeamRegistry } = require('./utils/team-registry');
+const { HolidayCalendar } = require('./utils/holiday-calendar');
+const { DSUScheduler } = require('./schedulers/dsu-scheduler');
+const CommandRegistry = require('./commands/command-registry');
+const ConfigValidator = require('./utils/config-validator');
+const logger = require('./utils/logger');
+
+class ScheduleCommandsTester {
+    constructor() {
+        this.testResults = [];
+        this.tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dsu-schedule-test-'));
+        this.storePath = path.join(this.tempDir, 'schedule-store.json');
+        process.env.DSU_CHANNEL_ID = process.env.DSU_CHANNEL_ID || '999999999999999999';
+        this.registry = new TeamRegistry(path.join(this.tempDir, 'missing.yaml'));
+        this.calendar = new HolidayCalendar(path.join(this.tempDir, 'holidays.json'), path.join(this.tempDir, 'holiday-store.json'));
+        this.team = this.registry.getDefaultTeam();
+        this.client = { user: { id: 'BOT' }, channels: { fetch: async () => null } };
+    }
+
+    async runTests() {
+        logger.info('🧪 Starting schedule command tests...');
+
+        const schedulers = [];
+        try {
+            await this.testValidation(schedulers);
+            await this.testLiveReschedule(schedulers);
+            await this.testPersistence(schedulers);
+            await this.testCommands(schedulers);
+        } finally {
+            schedulers.forEach(scheduler => scheduler.stop());
+            fs.rmSync(this.tempDir, { recursive: true, force: true });
+        }
+
+        this.displayResults();
+        process.exit(this.testResults.every(r => r.passed) ? 0 : 1);
+    }
+
+    createScheduler(schedulers) {
+        const scheduler = new DSUScheduler(this.registry, this.calendar, this.storePath);
+        schedulers.push(scheduler);
+        return scheduler;
+    }
+
+    async testValidation(schedulers) {
+        logger.info('\n🧪 Test 1: Validation');
+
+        this.addTestResult('Validator Shared With Config Check', ConfigValidator.validateCronExpression('30 8 * * 1-5') === null &&
+            ConfigValidator.validateCronExpression('30 25 * * 1-5') !== null && ConfigValidator.validateCronExpression('') !== null,
+            String(ConfigValidator.validateCronExpression('30 25 * * 1-5')));
+
+        const scheduler = this.createScheduler(schedulers);
+        const rejected = [];
+        for (const [type, expression] of [['morning', 'every morning'], ['lunch', '0 12 * * *']]) {
+            try {
+                await scheduler.setSchedule(this.team, type, expression);
+            } catch (error) {
+                rejected.push(error.message);
+            }
+        }
+        this.addTestResult('Invalid Schedules Rejected', rejected.length === 2 && !fs.existsSync(this.storePath), rejected.join('; '));
+    }
+
+    async testLiveReschedule(schedulers) {
+        logger.info('\n🧪 Test 2: Live Rescheduling');
+
+        const scheduler = this.createScheduler(schedulers);
+        scheduler.start(this.client, [this.team]);
+        const oldJob = scheduler.jobs.get(this.team.id).morning;
+
+        await scheduler.setSchedule(this.team, 'morning', '30  8 * * 1,3,5');
+        const jobs = scheduler.jobs.get(this.team.id);
+        this.addTestResult('Jobs Recreated With New Cron', jobs.morning !== oldJob && jobs.team.schedule.morning === '30 8 * * 1,3,5' &&
+            jobs.morning._customRunning === true, jobs.team.schedule.morning);
+        this.addTestResult('Other DSU Unchanged', jobs.team.schedule.evening === this.team.schedule.evening, jobs.team.schedule.evening);
+        this.addTestResult('Registry Team Untouched', this.team.schedule.morning !== '30 8 * * 1,3,5', this.team.schedule.morning);
+
+        const status = scheduler.getTeamStatus(this.team);
+        this.addTestResult('Status Shows New Schedule', status.cronExpressions.morning === '30 8 * * 1,3,5' &&
+            status.schedule.morning.includes('8:30') && status.scheduleOverrides.morning === '30 8 * * 1,3,5', status.schedule.morning);
+
+        scheduler.stop();
+    }
+
+    async testPersistence(schedulers) {
+        logger.info('\n🧪 Test 3: Persistence');
+
+        // A fresh scheduler stands in for a restart
+        const scheduler = this.createScheduler(schedulers);
+        scheduler.start(this.client, [this.team]);
+        this.addTestResult('Schedule Survives Restart', scheduler.jobs.get(this.team.id).team.schedule.morning === '30 8 * * 1,3,5',
+            scheduler.jobs.get(this.team.id).team.schedule.morning);
+
+        await scheduler.resetSchedule(this.team, 'morning');
+        await scheduler.flush();
+        const stored = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+        this.addTestResult('Reset Restores Configured Cron', scheduler.jobs.get(this.team.id).team.schedule.morning === this.team.schedule.morning &&
+            !stored.teams[this.team.id], JSON.stringify(stored));
+
+        scheduler.stop();
+    }
+
+    async testCommands(schedulers) {
+        logger.info('\n🧪 Test 4: Commands');
+
+        const scheduler = this.createScheduler(schedulers);
+        scheduler.start(this.client, [this.team]);
+        const registry = new CommandRegistry({ dsuScheduler: scheduler, teamRegistry: this.registry });
+        registry.legacyEnabled = true;
+
+        const sent = [];
+        const createMessage = (content, admin = true) => ({
+            content,
+            client: { user: { id: 'BOT' } },
+            channel: {
+                id: 'C1',
+                name: 'dsu',
+                permissionsFor: () => ({ has: () => true }),
+                send: async (payload) => sent.push(payload)
+            },
+            guild: { id: 'G1' },
+            member: { permissions: { has: () => admin } },
+            author: { id: 'U1', tag: 'alice' },
+            reply: async (payload) => sent.push(payload)
+        });
+
+        await registry.handleLegacyMessage(createMessage('!dsu-schedule set evening 0 16 * * 1-5', false));
+        this.addTestResult('Non-Admin Cannot Change Schedule', scheduler.getSchedule(this.team).evening === this.team.schedule.evening,
+            scheduler.getSchedule(this.team).evening);
+
+        await registry.handleLegacyMessage(createMessage('!dsu-schedule set evening 0 16 * * 1-5'));
+        const reply = sent[sent.length - 1];
+        this.addTestResult('Legacy Set Applies Live', scheduler.jobs.get(this.team.id).team.schedule.evening === '0 16 * * 1-5' &&
+            typeof reply.content === 'string' && reply.content.includes('4:00 PM'), reply.content || JSON.stringify(reply));
+
+        await registry.handleLegacyMessage(createMessage('!dsu-schedule set evening 0 99 * * *'));
+        this.addTestResult('Invalid Cron Reported', String(sent[sent.length - 1]).includes('Invalid cron expression') &&
+            scheduler.getSchedule(this.team).evening === '0 16 * * 1-5', String(sent[sent.length - 1]));
+
+        await registry.handleLegacyMessage(createMessage('!dsu-schedule show'));
+        const embed = sent[sent.length - 1].embeds ? sent[sent.length - 1].embeds[0] : null;
+        this.addTestResult('Show Lists Both Schedules', Boolean(embed) && embed.fields[1].value.includes('0 16 * * 1-5') &&
+            embed.fields[1].value.includes('/dsu schedule set'), embed ? embed.fields[1].value.split('\n')[0] : 'No embed');
+
+        await registry.handleLegacyMessage(createMessage('!dsu-schedule reset'));
+        this.addTestResult('Legacy Reset', scheduler.jobs.get(this.team.id).team.schedule.evening === this.team.schedule.evening,
+            scheduler.jobs.get(this.team.id).team.schedule.evening);
+        await scheduler.flush();
+    }
+
+    addTestResult(name, passed, message) {
+        this.testResults.push({ name, passed: Boolean(passed), message });
+        const status = passed ? '✅' : '❌';
+        logger.info(`   ${status} ${name}: ${message}`);
+    }
+
+    displayResults() {
+        logger.info('\n📊 Schedule Command Test Summary:');
+
+        const passed = this.testResults.filter(r => r.passed).length;
+        const total = this.testResults.length;
+
+        logger.info(`Results: ${passed}/${total} tests passed`);
+
+        if (passed === total) {
+            logger.success('🎉 All schedule command tests passed!');
+        } else {
+            logger.error(`❌ ${total - passed} test(s) failed`);
+        }
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    const tester = new ScheduleCommandsTester();
+    tester.runTests().catch(error => {
+        logger.error('❌ Schedule command test failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = ScheduleCommandsTester;
@@ -0,0 +1,285 @@
+/**
+ * Scheduler Controls Test Script
+ *
+ * @author opisboy29
+ * @repository git@github.com:opisboy29/discord-dsu-bot.git
+ * @description Offline tests for /dsu pause, /dsu resume, /dsu skip and /dsu scheduling
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TeamRegistry } = require('./utils/team-registry');
+const { HolidayCalendar } = require('./utils/holiday-calendar');
+const { DSUScheduler } = require('./schedulers/dsu-scheduler');
+const { SendLedger } = require('./storage/send-ledger');
+const InstanceLock = require('./utils/instance-lock');
+const CommandRegistry = require('./commands/command-registry');
+const { buildStatusEmbed } = require('./commands/command-embeds');
+const { getLocalDateKey, addDays } = require('./utils/time-utils');
+const logger = require('./utils/logger');
+
+class SchedulerControlsTester {
+    constructor() {
+        this.testResults = [];
+        this.tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dsu-controls-test-'));
+        this.storePath = path.join(this.tempDir, 'schedule-store.json');
+        process.env.DSU_CHANNEL_ID = process.env.DSU_CHANNEL_ID || '999999999999999999';
+        this.registry = new TeamRegistry(path.join(this.tempDir, 'missing.yaml'));
+        this.calendar = new HolidayCalendar(path.join(this.tempDir, 'holidays.json'), path.join(this.tempDir, 'holiday-store.json'));
+        // Every day, so skips and pauses are not hidden by weekends
+        this.team = { ...this.registry.getDefaultTeam(), schedule: { morning: '0 9 * * *', evening: '0 17 * * *' } };
+        this.today = getLocalDateKey(this.team.timezone);
+    }
+
+    async runTests() {
+        logger.info('🧪 Starting scheduler control tests...');
+
+        try {
+            await this.testPause();
+            await this.testSkip();
+            await this.testPersistence();
+            await this.testCommands();
+            await this.testSchedulingToggle();
+        } finally {
+            fs.rmSync(this.tempDir, { recursive: true, force: true });
+        }
+
+        this.displayResults();
+        process.exit(this.testResults.every(r => r.passed) ? 0 : 1);
+    }
+
+    createScheduler() {
+        return new DSUScheduler(this.registry, this.calendar, this.storePath);
+    }
+
+    async testPause() {
+        logger.info('\n🧪 Test 1: Pause & Resume');
+
+        const scheduler = this.createScheduler();
+        const rejected = [];
+        for (const until of [this.today, '2020-01-01', 'next week']) {
+            try {
+                await scheduler.pause(this.team, { until });
+            } catch (error) {
+                rejected.push(error.message);
+            }
+        }
+        this.addTestResult('Invalid Pause Dates Rejected', rejected.length === 3 && !scheduler.getPause(this.team), rejected[0]);
+
+        const until = addDays(this.today, 3);
+        await scheduler.pause(this.team, { until, by: 'alice' });
+        const runs = scheduler.getNextRuns(this.team, 2);
+        this.addTestResult('Next Runs Start After Pause', runs.length === 2 && runs.every(run => run.date === until),
+            runs.map(run => `${run.type} ${run.date}`).join(', '));
+        this.addTestResult('Scheduled DSU Skipped While Paused', scheduler.getSkipReason(this.team, 'morning') === `Paused until ${until}`,
+            String(scheduler.getSkipReason(this.team, 'morning')));
+
+        const status = scheduler.getStatus();
+        this.addTestResult('Status Shows Pause', status.paused && status.paused.until === until && status.paused.by === 'alice' &&
+            buildStatusEmbed(status).fields[4].value.includes('Paused until'), JSON.stringify(status.paused));
+
+        // A pause ending today is dropped on the next job run
+        scheduler.scheduleStore.get().pauses[this.team.id].until = this.today;
+        await scheduler.pruneControls(this.team);
+        this.addTestResult('Pause Expires On Its End Date', !scheduler.getPause(this.team) &&
+            !scheduler.scheduleStore.get().pauses[this.team.id] && scheduler.getSkipReason(this.team, 'morning') === null,
+            String(scheduler.getSkipReason(this.team, 'morning')));
+
+        await scheduler.pause(this.team, {});
+        const indefinite = scheduler.getNextRuns(this.team);
+        const resumed = await scheduler.resume(this.team);
+        this.addTestResult('Indefinite Pause Until Resume', indefinite.length === 0 && resumed === true &&
+            scheduler.getNextRuns(this.team).length > 0 && await scheduler.resume(this.team) === false,
+            `${indefinite.length} runs while paused`);
+    }
+
+    async testSkip() {
+        logger.info('\n🧪 Test 2: Skip');
+
+        const scheduler = this.createScheduler();
+        const [next] = scheduler.getNextRuns(this.team, 1);
+        const skip = await scheduler.skip(this.team);
+        const [after] = scheduler.getNextRuns(this.team, 1);
+        this.addTestResult('Skip Next Drops One Run', skip.date === next.date && skip.type === next.type && after.time > next.time,
+            `${next.type} ${next.date} -> ${after.type} ${after.date}`);
+
+        const date = addDays(this.today, 5);
+        await scheduler.skip(this.team, date);
+        const runs = scheduler.getNextRuns(this.team, 10);
+        this.addTestResult('Skip Date Drops Whole Day', runs.every(run => run.date !== date) &&
+            scheduler.isSkippedDate(this.team, date, 'evening'), runs.map(run => run.date).join(', '));
+
+        const rejected = [];
+        for (const when of [date, addDays(this.today, -1), '2026-02-30']) {
+            try {
+                await scheduler.skip(this.team, when);
+            } catch (error) {
+                rejected.push(error.message);
+            }
+        }
+        this.addTestResult('Duplicate And Past Skips Rejected', rejected.length === 3, rejected.join('; '));
+
+        // Skips in the past are pruned
+        scheduler.scheduleStore.get().skips[this.team.id].push({ date: addDays(this.today, -2), type: null });
+        await scheduler.pruneControls(this.team);
+        const skips = scheduler.scheduleStore.get().skips[this.team.id];
+        this.addTestResult('Past Skips Pruned', skips.length === 2 && scheduler.getStatus().skips.length === 2 &&
+            scheduler.getStatus().skips[1].displayDate.length > 0, JSON.stringify(skips));
+    }
+
+    async testPersistence() {
+        logger.info('\n🧪 Test 3: Persistence');
+
+        const scheduler = this.createScheduler();
+        await scheduler.pause(this.team, { until: addDays(this.today, 1) });
+        await scheduler.flush();
+
+        const restarted = this.createScheduler();
+        this.addTestResult('Controls Survive Restart', Boolean(restarted.getPause(this.team)) && restarted.getSkips(this.team).length === 2,
+            fs.readFileSync(this.storePath, 'utf8'));
+
+        await restarted.resume(this.team);
+        delete restarted.scheduleStore.get().skips[this.team.id];
+        await restarted.scheduleStore.save();
+    }
+
+    async testCommands() {
+        logger.info('\n🧪 Test 4: Commands');
+
+        const scheduler = this.createScheduler();
+        const registry = new CommandRegistry({
+            dsuScheduler: scheduler,
+            teamRegistry: { ...this.registry, getTeam: () => this.team, getTeams: () => [this.team], findByChannel: () => this.team, getDefaultTeam: () => this.team }
+        });
+        registry.legacyEnabled = true;
+
+        const sent = [];
+        const createMessage = (content, admin = true) => ({
+            content,
+            client: { user: { id: 'BOT' } },
+            channel: {
+                id: 'C1',
+                name: 'dsu',
+                permissionsFor: () => ({ has: () => true }),
+                send: async (payload) => sent.push(payload)
+            },
+            guild: { id: 'G1' },
+            member: { permissions: { has: () => admin } },
+            author: { id: 'U1', tag: 'alice' },
+            reply: async (payload) => sent.push(payload)
+        });
+        const lastReply = () => {
+            const reply = sent[sent.length - 1];
+            return typeof reply === 'string' ? reply : reply.content;
+        };
+
+        await registry.handleLegacyMessage(createMessage('!dsu-pause', false));
+        this.addTestResult('Non-Admin Cannot Pause', !scheduler.getPause(this.team), lastReply());
+
+        const until = addDays(this.today, 2);
+        await registry.handleLegacyMessage(createMessage(`!dsu-pause ${until}`));
+        this.addTestResult('Legacy Pause', scheduler.getPause(this.team) && scheduler.getPause(this.team).until === until &&
+            lastReply().includes('paused until'), lastReply());
+
+        await registry.handleLegacyMessage(createMessage('!dsu-resume'));
+        this.addTestResult('Legacy Resume', !scheduler.getPause(this.team) && lastReply().includes('resumed'), lastReply());
+
+        await registry.handleLegacyMessage(createMessage('!dsu-skip next'));
+        this.addTestResult('Legacy Skip Next', scheduler.getSkips(this.team).length === 1 && lastReply().includes('will be skipped'), lastReply());
+
+        await registry.handleLegacyMessage(createMessage('!dsu-skip someday'));
+        this.addTestResult('Invalid Skip Reported', lastReply().includes('YYYY-MM-DD') && scheduler.getSkips(this.team).length === 1, lastReply());
+        await scheduler.flush();
+    }
+
+    async testSchedulingToggle() {
+        logger.info('\n🧪 Test 5: Scheduling On/Off');
+
+        const enableScheduling = process.env.ENABLE_SCHEDULING;
+        process.env.ENABLE_SCHEDULING = 'false';
+        const scheduler = new DSUScheduler(this.registry, this.calendar, this.storePath,
+            new SendLedger(path.join(this.tempDir, 'ledger.json')), path.join(this.tempDir, 'outbox.json'));
+        if (enableScheduling === undefined) {
+            delete process.env.ENABLE_SCHEDULING;
+        } else {
+            process.env.ENABLE_SCHEDULING = enableScheduling;
+        }
+
+        let notStarted = null;
+        try {
+            scheduler.setSchedulingEnabled(true);
+        } catch (error) {
+            notStarted = error.message;
+        }
+        this.addTestResult('Enabling Before Start Rejected', notStarted && !scheduler.schedulingConfig.enabled, notStarted);
+
+        const lock = new InstanceLock(path.join(this.tempDir, 'scheduler.lock'));
+        const started = scheduler.start({ user: { id: 'BOT' } }, [this.team], lock);
+        const status = scheduler.getStatus();
+        const embed = JSON.stringify(buildStatusEmbed(status));
+        this.addTestResult('Disabled By Environment', !started && scheduler.jobs.size === 0 && !lock.held &&
+            !status.schedulingConfig.enabled && status.nextRuns.length === 0 && embed.includes('Scheduling disabled'),
+            `${scheduler.jobs.size} job(s), lock ${lock.held ? 'held' : 'free'}`);
+
+        const registry = new CommandRegistry({ dsuScheduler: scheduler, teamRegistry: this.registry });
+        registry.legacyEnabled = true;
+        const replies = [];
+        const send = (content) => registry.handleLegacyMessage({
+            content,
+            client: { user: { id: 'BOT' } },
+            channel: { id: 'C1', name: 'dsu', permissionsFor: () => ({ has: () => true }), send: async (payload) => replies.push(payload) },
+            guild: { id: 'G1' },
+            member: { permissions: { has: () => true } },
+            author: { id: 'U1', tag: 'alice' },
+            reply: async (payload) => replies.push(payload)
+        });
+        const lastReply = () => replies[replies.length - 1].content || replies[replies.length - 1];
+
+        await send('!dsu-scheduling on');
+        this.addTestResult('Enabled By Command', scheduler.jobs.size === 1 && lock.held && scheduler.getStatus().nextRuns.length > 0 &&
+            scheduler.getStatus().schedulingConfig.changedBy === 'alice', lastReply());
+
+        await send('!dsu-scheduling off');
+        this.addTestResult('Disabled By Command', scheduler.jobs.size === 0 && !lock.held && !scheduler.getStatus().schedulingConfig.running,
+            lastReply());
+
+        await send('!dsu-scheduling off');
+        this.addTestResult('Already Disabled Reported', lastReply().includes('already disabled'), lastReply());
+        scheduler.stop();
+        await scheduler.flush();
+    }
+
+    addTestResult(name, passed, message) {
+        this.testResults.push({ name, passed: Boolean(passed), message });
+        const status = passed ? '✅' : '❌';
+        logger.info(`   ${status} ${name}: ${message}`);
+    }
+
+    displayResults() {
+        logger.info('\n📊 Scheduler Control Test Summary:');
+
+        const passed = this.testResults.filter(r => r.passed).length;
+        const total = this.testResults.length;
+
+        logger.info(`Results: ${passed}/${total} tests passed`);
+
+        if (passed === total) {
+            logger.success('🎉 All scheduler control tests passed!');
+        } else {
+            logger.error(`❌ ${total - passed} test(s) failed`);
+        }
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    const tester = new SchedulerControlsTester();
+    tester.runTests().catch(error => {
+        logger.error('❌ Scheduler control test failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = SchedulerControlsTester;
@@ -0,0 +1,228 @@
+/**
+ * Send Ledger Test Script
+ *
+ * @author opisboy29
+ * @repository git@github.com:opisboy29/discord-dsu-bot.git
+ * @description Offline tests for duplicate-post protection: the send ledger, forced manual sends and the scheduler lock
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TeamRegistry } = require('./utils/team-registry');
+const { HolidayCalendar } = require('./utils/holiday-calendar');
+const { DSUScheduler } = require('./schedulers/dsu-scheduler');
+const { SendLedger } = require('./storage/send-ledger');
+const InstanceLock = require('./utils/instance-lock');
+const CommandRegistry = require('./commands/command-registry');
+const { getLocalDateKey, addDays } = require('./utils/time-utils');
+const logger = require('./utils/logger');
+
+class SendLedgerTester {
+    constructor() {
+        this.testResults = [];
+        this.tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dsu-ledger-test-'));
+        this.ledgerPath = path.join(this.tempDir, 'send-ledger.json');
+        process.env.DSU_CHANNEL_ID = process.env.DSU_CHANNEL_ID || '999999999999999999';
+        this.registry = new TeamRegistry(path.join(this.tempDir, 'missing.yaml'));
+        this.calendar = new HolidayCalendar(path.join(this.tempDir, 'holidays.json'), path.join(this.tempDir, 'holiday-store.json'));
+        this.team = this.registry.getDefaultTeam();
+        this.today = getLocalDateKey(this.team.timezone);
+    }
+
+    async runTests() {
+        logger.info('🧪 Starting send ledger tests...');
+
+        try {
+            await this.testLedger();
+            await this.testScheduledSends();
+            await this.testManualCommands();
+            this.testInstanceLock();
+        } finally {
+            fs.rmSync(this.tempDir, { recursive: true, force: true });
+        }
+
+        this.displayResults();
+        process.exit(this.testResults.every(r => r.passed) ? 0 : 1);
+    }
+
+    async testLedger() {
+        logger.info('\n🧪 Test 1: Ledger');
+
+        const ledger = new SendLedger(this.ledgerPath);
+        const first = await ledger.claim('team', 'morning', this.today, { source: 'scheduled' });
+        const second = await ledger.claim('team', 'morning', this.today, { source: 'manual' });
+        const otherType = await ledger.claim('team', 'evening', this.today, { source: 'scheduled' });
+        this.addTestResult('Second Claim Refused', first.claimed && !second.claimed && second.entry.source === 'scheduled' &&
+            otherType.claimed, `${first.claimed}/${second.claimed}/${otherType.claimed}`);
+
+        await ledger.release('team', 'evening', this.today);
+        await ledger.complete('team', 'morning', this.today, { messageId: 'M1' });
+        const forced = await ledger.claim('team', 'morning', this.today, { source: 'manual' }, { force: true });
+        this.addTestResult('Release And Force', !ledger.get('team', 'evening', this.today) && forced.claimed &&
+            forced.entry.source === 'manual', JSON.stringify(forced.entry));
+
+        // A claim left by a send that crashed can be taken over
+        await ledger.update((entries) => {
+            entries[SendLedger.key('team', 'evening', this.today)] = {
+                status: 'sending', source: 'scheduled', claimedAt: new Date(Date.now() - 10 * 60 * 1000).toISOString()
+            };
+        });
+        this.addTestResult('Stale Claim Taken Over', (await ledger.claim('team', 'evening', this.today)).claimed, 'claimed');
+
+        await ledger.update((entries) => {
+            entries[SendLedger.key('team', 'morning', addDays(this.today, -30))] = { status: 'sent' };
+        });
+        await ledger.claim('team', 'morning', addDays(this.today, 1));
+        await ledger.flush();
+        const reloaded = new SendLedger(this.ledgerPath);
+        this.addTestResult('Old Entries Pruned And Ledger Persisted', Object.keys(reloaded.store.get().entries).length === 3 &&
+            reloaded.get('team', 'morning', this.today).status === 'sending', Object.keys(reloaded.store.get().entries).join(', '));
+
+        // A second process on the same data directory (npm run dev next to PM2) sees the claim on disk
+        const other = new SendLedger(this.ledgerPath);
+        other.store.get();
+        const mine = await ledger.claim('team', 'morning', addDays(this.today, 2), { source: 'scheduled' });
+        const theirs = await other.claim('team', 'morning', addDays(this.today, 2), { source: 'manual' });
+        this.addTestResult('Claims Shared Between Processes', mine.claimed && !theirs.claimed && theirs.entry.source === 'scheduled' &&
+            !fs.existsSync(`${this.ledgerPath}.lock`), `${mine.claimed}/${theirs.claimed}`);
+    }
+
+    createClient(sent) {
+        const channel = {
+            id: this.team.channelId,
+            name: 'dsu',
+            permissionsFor: () => ({ has: () => true }),
+            send: async (payload) => {
+                sent.push(payload);
+                return { id: `M${sent.length}`, channel };
+            }
+        };
+        return { user: { id: 'BOT' }, channels: { fetch: async () => channel }, channel };
+    }
+
+    async testScheduledSends() {
+        logger.info('\n🧪 Test 2: Scheduled Sends');
+
+        const sent = [];
+        this.scheduler = new DSUScheduler(this.registry, this.calendar, path.join(this.tempDir, 'schedule-store.json'),
+            new SendLedger(path.join(this.tempDir, 'scheduler-ledger.json')));
+        this.scheduler.client = this.createClient(sent);
+
+        // A retried cron tick, or two ticks racing
+        await Promise.all([this.scheduler.sendMorningDSU(this.team), this.scheduler.sendMorningDSU(this.team)]);
+        await this.scheduler.sendMorningDSU(this.team);
+        this.addTestResult('Morning DSU Posted Once', sent.length === 1, `${sent.length} sent`);
+
+        const failing = new DSUScheduler(this.registry, this.calendar, path.join(this.tempDir, 'failing-store.json'),
+            new SendLedger(path.join(this.tempDir, 'failing-ledger.json')));
+        failing.client = { user: { id: 'BOT' }, channels: { fetch: async () => { throw new Error('Discord is down'); } } };
+        await failing.sendEveningDSU(this.team);
+        failing.client = this.createClient(sent);
+        await failing.sendEveningDSU(this.team);
+        this.addTestResult('Failed Send Can Be Retried', sent.length === 2, `${sent.length} sent`);
+        await failing.flush();
+    }
+
+    async testManualCommands() {
+        logger.info('\n🧪 Test 3: Manual Commands');
+
+        const sent = [];
+        const client = this.createClient(sent);
+        const registry = new CommandRegistry({
+            dsuScheduler: this.scheduler,
+            dsuDispatcher: this.scheduler.dispatcher,
+            teamRegistry: this.registry
+        });
+        registry.legacyEnabled = true;
+
+        const replies = [];
+        const createMessage = (content, channel = client.channel) => ({
+            content,
+            client: { user: { id: 'BOT' } },
+            channel,
+            guild: { id: 'G1' },
+            member: { permissions: { has: () => true } },
+            author: { id: 'U1', tag: 'alice' },
+            reply: async (payload) => replies.push(payload)
+        });
+
+        await registry.handleLegacyMessage(createMessage('!dsu-morning'));
+        const refusal = String(replies[replies.length - 1]);
+        this.addTestResult('Manual Duplicate Refused', sent.length === 0 && refusal.includes('already posted') && refusal.includes('force:true'),
+            refusal);
+
+        await registry.handleLegacyMessage(createMessage('!dsu-morning force:true'));
+        const entry = this.scheduler.sendLedger.get(this.team.id, 'morning', this.today);
+        this.addTestResult('Force Posts Again', sent.length === 1 && entry.source === 'manual' && entry.status === 'sent',
+            JSON.stringify(entry));
+
+        await registry.handleLegacyMessage(createMessage('!dsu-evening'));
+        const otherChannel = { ...client.channel, id: 'C-TEST', send: client.channel.send };
+        await registry.handleLegacyMessage(createMessage('!dsu-evening', otherChannel));
+        this.addTestResult('Manual Send Recorded, Other Channels Unaffected', sent.length === 3 &&
+            this.scheduler.sendLedger.get(this.team.id, 'evening', this.today).source === 'manual', `${sent.length} sent`);
+
+        // The scheduled evening DSU now sees the manual one
+        this.scheduler.client = client;
+        await this.scheduler.sendEveningDSU(this.team);
+        this.addTestResult('Scheduled DSU Skips After Manual Send', sent.length === 3, `${sent.length} sent`);
+        await this.scheduler.flush();
+    }
+
+    testInstanceLock() {
+        logger.info('\n🧪 Test 4: Instance Lock');
+
+        const lockPath = path.join(this.tempDir, 'scheduler.lock');
+        const lock = new InstanceLock(lockPath);
+        const acquired = lock.acquire();
+        this.addTestResult('Lock Acquired', acquired && lock.getOwner().pid === process.pid, JSON.stringify(lock.getOwner()));
+        lock.release();
+        this.addTestResult('Lock Released', !fs.existsSync(lockPath), 'removed');
+
+        // The parent process (npm or the shell) stands in for a running bot
+        fs.writeFileSync(lockPath, JSON.stringify({ pid: process.ppid, startedAt: new Date().toISOString() }));
+        const second = new InstanceLock(lockPath);
+        this.addTestResult('Second Process Refused', !second.acquire() && second.getOwner().pid === process.ppid,
+            `held by ${process.ppid}`);
+
+        fs.writeFileSync(lockPath, JSON.stringify({ pid: 2147483646, startedAt: new Date().toISOString() }));
+        const stale = new InstanceLock(lockPath);
+        this.addTestResult('Stale Lock Taken Over', stale.acquire() && stale.getOwner().pid === process.pid,
+            JSON.stringify(stale.getOwner()));
+        stale.release();
+    }
+
+    addTestResult(name, passed, message) {
+        this.testResults.push({ name, passed: Boolean(passed), message });
+        const status = passed ? '✅' : '❌';
+        logger.info(`   ${status} ${name}: ${message}`);
+    }
+
+    displayResults() {
+        logger.info('\n📊 Send Ledger Test Summary:');
+
+        const passed = this.testResults.filter(r => r.passed).length;
+        const total = this.testResults.length;
+
+        logger.info(`Results: ${passed}/${total} tests passed`);
+
+        if (passed === total) {
+            logger.success('🎉 All send ledger tests passed!');
+        } else {
+            logger.error(`❌ ${total - passed} test(s) failed`);
+        }
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    const tester = new SendLedgerTester();
+    tester.runTests().catch(error => {
+        logger.error('❌ Send ledger test failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = SendLedgerTester;
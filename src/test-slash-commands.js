@@ -0,0 +1,225 @@
+/**
+ * Slash Command Test Script
+ *
+ * @author opisboy29
+ * @repository git@github.com:opisboy29/discord-dsu-bot.git
+ * @description Offline tests for /dsu command registration and routing
+ */
+
+require('dotenv').config();
+const { ApplicationCommandOptionType, MessageFlags } = require('discord.js');
+const CommandRegistry = require('./commands/command-registry');
+const DSUDispatcher = require('./utils/dsu-dispatcher');
+const logger = require('./utils/logger');
+
+const STATUS = {
+    morningJobRunning: true,
+    eveningJobRunning: true,
+    timezone: 'Asia/Jakarta',
+    currentTime: 'Monday, August 18, 2025 at 09:00:00',
+    schedule: { morning: '9:00 AM (Mon-Fri)', evening: '5:00 PM (Mon-Fri)' },
+    isWeekday: true,
+    threadConfig: { enabled: true, autoArchiveDurationHours: 24, sendInitialMessage: true },
+    followUpConfig: { enabled: true, mode: 'dm', delayMinutes: 60, pending: 0 },
+    summaryConfig: { enabled: true, delayMinutes: 120 },
+    outboxConfig: { maxAttempts: 5, alerts: [], pending: 0 }
+};
+
+class SlashCommandTester {
+    constructor() {
+        this.testResults = [];
+        this.services = {
+            dsuScheduler: { getStatus: () => STATUS },
+            dsuDispatcher: new DSUDispatcher({ threadManager: { createDSUThread: async () => ({ id: 'T1', name: 'thread' }) } })
+        };
+    }
+
+    async runTests() {
+        logger.info('🧪 Starting slash command tests...');
+
+        this.testCommandData();
+        await this.testStatusIsEphemeral();
+        await this.testManualMorning();
+        await this.testLegacyMode();
+        await this.testAdminOnly();
+
+        this.displayResults();
+        process.exit(this.testResults.every(r => r.passed) ? 0 : 1);
+    }
+
+    createRegistry(commands) {
+        return commands ? new CommandRegistry(this.services, commands) : new CommandRegistry(this.services);
+    }
+
+    createChannel(sent) {
+        return {
+            id: 'C1',
+            name: 'dsu',
+            permissionsFor: () => ({ has: () => true }),
+            send: async (payload) => {
+                sent.push(payload);
+                return { id: `M${sent.length}` };
+            }
+        };
+    }
+
+    createInteraction(subcommand, replies, { group = null, channel, admin = true } = {}) {
+        const interaction = {
+            client: { user: { id: 'BOT' } },
+            channel,
+            guild: { id: 'G1' },
+            member: {},
+            user: { id: 'U1', tag: 'alice' },
+            commandName: 'dsu',
+            deferred: false,
+            replied: false,
+            memberPermissions: { has: () => admin },
+            isChatInputCommand: () => true,
+            options: {
+                getSubcommand: () => subcommand,
+                getSubcommandGroup: () => group,
+                getString: () => null,
+                getBoolean: () => null,
+                getChannel: () => null
+            },
+            deferReply: async (options) => {
+                interaction.deferred = true;
+                replies.push({ deferred: true, ...options });
+            },
+            reply: async (payload) => {
+                interaction.replied = true;
+                replies.push(payload);
+            },
+            editReply: async (payload) => {
+                replies.push({ edited: true, ...payload });
+            },
+            followUp: async (payload) => replies.push(payload)
+        };
+        return interaction;
+    }
+
+    testCommandData() {
+        logger.info('\n🧪 Test 1: Command Data');
+
+        const registry = this.createRegistry();
+        const data = registry.buildCommandData();
+        const subcommands = data.options
+            .filter(option => option.type === ApplicationCommandOptionType.Subcommand)
+            .map(option => option.name);
+        const group = data.options.find(option => option.type === ApplicationCommandOptionType.SubcommandGroup && option.name === 'schedule');
+
+        this.addTestResult('Top-Level Command Named dsu', data.name === 'dsu', data.name);
+        this.addTestResult('Subcommands Registered', ['morning', 'evening', 'status', 'help'].every(name => subcommands.includes(name)),
+            subcommands.join(', '));
+        this.addTestResult('Subcommand Groups Supported', Boolean(group) && ['set', 'show', 'reset'].every(name => group.options.some(option => option.name === name)),
+            group ? `${group.name} ${group.options.map(option => option.name).join(',')}` : 'No group');
+
+        let duplicateRejected = false;
+        try {
+            registry.register({ name: 'status', description: 'again', execute: async () => {} });
+        } catch (error) {
+            duplicateRejected = true;
+        }
+        this.addTestResult('Duplicate Command Rejected', duplicateRejected, duplicateRejected ? 'Rejected' : 'Accepted');
+    }
+
+    async testStatusIsEphemeral() {
+        logger.info('\n🧪 Test 2: Ephemeral Status');
+
+        const registry = this.createRegistry();
+        const replies = [];
+        await registry.handleInteraction(this.createInteraction('status', replies, { channel: this.createChannel([]) }));
+
+        const reply = replies[0];
+        this.addTestResult('Status Replied Ephemerally', Boolean(reply) && reply.flags === MessageFlags.Ephemeral,
+            reply ? `flags=${reply.flags}` : 'No reply');
+        this.addTestResult('Status Embed Included', Boolean(reply && reply.embeds && reply.embeds[0].title.includes('Status')),
+            reply && reply.embeds ? reply.embeds[0].title : 'No embed');
+    }
+
+    async testManualMorning() {
+        logger.info('\n🧪 Test 3: Manual Morning DSU');
+
+        const registry = this.createRegistry();
+        const replies = [];
+        const sent = [];
+        await registry.handleInteraction(this.createInteraction('morning', replies, { channel: this.createChannel(sent) }));
+
+        this.addTestResult('DSU Posted To Channel', sent.length === 1 && Boolean(sent[0].embeds), `${sent.length} message(s)`);
+        this.addTestResult('Interaction Deferred And Confirmed', replies[0] && replies[0].deferred && replies[1] && replies[1].edited,
+            JSON.stringify(replies.map(reply => Object.keys(reply))));
+    }
+
+    async testLegacyMode() {
+        logger.info('\n🧪 Test 4: Legacy Mode');
+
+        const sent = [];
+        const message = {
+            content: '!dsu-status',
+            client: { user: { id: 'BOT' } },
+            channel: this.createChannel(sent),
+            guild: { id: 'G1' },
+            member: {},
+            author: { id: 'U1', tag: 'alice' },
+            reply: async () => {}
+        };
+
+        const registry = this.createRegistry();
+        registry.legacyEnabled = false;
+        const ignored = !(await registry.handleLegacyMessage(message));
+        this.addTestResult('Legacy Ignored When Disabled', ignored && sent.length === 0, `${sent.length} message(s)`);
+
+        registry.legacyEnabled = true;
+        await registry.handleLegacyMessage(message);
+        this.addTestResult('Legacy Handled When Enabled', sent.length === 1 && Boolean(sent[0].embeds), `${sent.length} message(s)`);
+
+        const options = registry.parseLegacyOptions(['until:2025-08-20', 'next']);
+        this.addTestResult('Legacy Options Parsed', options.until === '2025-08-20' && options.arg1 === 'next', JSON.stringify(options));
+    }
+
+    async testAdminOnly() {
+        logger.info('\n🧪 Test 5: Admin-Only Commands');
+
+        let executed = false;
+        const registry = this.createRegistry([
+            { name: 'secret', description: 'Admin command', adminOnly: true, execute: async () => { executed = true; } }
+        ]);
+        const replies = [];
+        await registry.handleInteraction(this.createInteraction('secret', replies, { channel: this.createChannel([]), admin: false }));
+
+        this.addTestResult('Non-Admin Rejected', !executed && replies.length === 1 && replies[0].flags === MessageFlags.Ephemeral,
+            replies[0] ? replies[0].content : 'No reply');
+    }
+
+    addTestResult(name, passed, message) {
+        this.testResults.push({ name, passed: Boolean(passed), message });
+        const status = passed ? '✅' : '❌';
+        logger.info(`   ${status} ${name}: ${message}`);
+    }
+
+    displayResults() {
+        logger.info('\n📊 Slash Command Test Summary:');
+
+        const passed = this.testResults.filter(r => r.passed).length;
+        const total = this.testResults.length;
+
+        logger.info(`Results: ${passed}/${total} tests passed`);
+
+        if (passed === total) {
+            logger.success('🎉 All slash command tests passed!');
+        } else {
+            logger.error(`❌ ${total - passed} test(s) failed`);
+        }
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    const tester = new SlashCommandTester();
+    tester.runTests().catch(error => {
+        logger.error('❌ Slash command test failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = SlashCommandTester;
@@ -0,0 +1,206 @@
+/**
+ * Team Registry Test Script
+ *
+ * @author opisboy29
+ * @repository git@github.com:opisboy29/discord-dsu-bot.git
+ * @description Offline tests for multi-team configuration and per-team scheduling
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TeamRegistry } = require('./utils/team-registry');
+const { DSUScheduler } = require('./schedulers/dsu-scheduler');
+const { SendLedger } = require('./storage/send-ledger');
+const { buildStatusEmbed } = require('./commands/command-embeds');
+const { generateThreadTitle, getTemplate, getTimeZoneLabel } = require('../config/dsu-templates');
+const logger = require('./utils/logger');
+
+const TEAMS_YAML = `
+teams:
+  - id: backend
+    name: Backend
+    channelId: "111111111111111111"
+    mentions:
+      roles: "222222222222222222"
+    template:
+      templateFormat: compact
+      colors:
+        morning: "112233"
+  - id: design
+    channelId: "333333333333333333"
+    timezone: Europe/London
+    schedule:
+      morning: "30 9 * * 1-5"
+    threads:
+      autoArchiveDuration: 4320
+      titles:
+        morning: "Design DSU [Day]"
+  - id: backend
+    channelId: "444444444444444444"
+  - id: broken
+    channelId: "not-a-channel"
+    schedule:
+      evening: "every evening"
+`;
+
+class TeamRegistryTester {
+    constructor() {
+        this.testResults = [];
+        this.tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dsu-team-test-'));
+        this.teamFile = path.join(this.tempDir, 'teams.yaml');
+        process.env.DSU_CHANNEL_ID = '999999999999999999';
+    }
+
+    async runTests() {
+        logger.info('🧪 Starting team registry tests...');
+
+        try {
+            this.testEnvFallback();
+            this.testTeamFile();
+            this.testTeamConfig();
+            await this.testPerTeamScheduling();
+        } finally {
+            fs.rmSync(this.tempDir, { recursive: true, force: true });
+        }
+
+        this.displayResults();
+        process.exit(this.testResults.every(r => r.passed) ? 0 : 1);
+    }
+
+    testEnvFallback() {
+        logger.info('\n🧪 Test 1: Environment Fallback');
+
+        const registry = new TeamRegistry(path.join(this.tempDir, 'missing.yaml'));
+        const teams = registry.getTeams();
+
+        this.addTestResult('Single Team From Environment', teams.length === 1 && teams[0].id === 'default' &&
+            teams[0].channelId === '999999999999999999', teams.map(team => `${team.id}:${team.channelId}`).join(', '));
+    }
+
+    testTeamFile() {
+        logger.info('\n🧪 Test 2: Team File');
+
+        fs.writeFileSync(this.teamFile, TEAMS_YAML);
+        this.registry = new TeamRegistry(this.teamFile);
+        const result = this.registry.load();
+
+        this.addTestResult('Valid Teams Loaded In Order', result.loaded.join(',') === 'backend,design', result.loaded.join(', '));
+        this.addTestResult('Duplicate Team Rejected', (result.errors.backend || []).some(error => error.includes('duplicate')),
+            (result.errors.backend || []).join('; '));
+        this.addTestResult('Invalid Team Reported', (result.errors.broken || []).length === 2, (result.errors.broken || []).join('; '));
+
+        const design = this.registry.getTeam('design');
+        this.addTestResult('Defaults Inherited', design.schedule.evening === (process.env.EVENING_SCHEDULE || '0 17 * * 1-5') &&
+            design.schedule.morning === '30 9 * * 1-5' && design.name === 'design',
+            `${design.name}: ${design.schedule.morning} / ${design.schedule.evening}`);
+        this.addTestResult('Team Found By Channel', this.registry.findByChannel('333333333333333333') === design, design.id);
+    }
+
+    testTeamConfig() {
+        logger.info('\n🧪 Test 3: Team Template Configuration');
+
+        const backend = this.registry.getTeam('backend');
+        const design = this.registry.getTeam('design');
+
+        this.addTestResult('Template Overrides Applied', backend.config.templateFormat === 'compact' &&
+            backend.config.colors.morning === 0x112233, `${backend.config.templateFormat} #${backend.config.colors.morning.toString(16)}`);
+        this.addTestResult('Mentions Normalized', backend.mentions.roles.join(',') === '222222222222222222', backend.mentions.roles.join(','));
+        this.addTestResult('Timezone In Template Config', design.config.timezone === 'Europe/London', design.config.timezone);
+
+        const title = generateThreadTitle('morning', design.config);
+        this.addTestResult('Team Thread Title', title.startsWith('Design DSU '), title);
+
+        // Times are labelled with the team's zone, not a fixed WIB
+        const zone = getTimeZoneLabel(design.config);
+        const morning = getTemplate('morning', 'full', design.config).embeds[0].description;
+        const evening = getTemplate('evening', 'text', design.config);
+        const defaultTitle = generateThreadTitle('evening', design.config);
+        this.addTestResult('Team Time Zone Label', /^(GMT|BST)$/.test(zone) && morning.includes(` ${zone}**`) &&
+            evening.includes(` ${zone}\n`) && !`${morning}${evening}${defaultTitle}`.includes('WIB') &&
+            getTimeZoneLabel(backend.config) === 'WIB', `${zone} / ${defaultTitle}`);
+    }
+
+    async testPerTeamScheduling() {
+        logger.info('\n🧪 Test 4: Per-Team Scheduling');
+
+        const sent = [];
+        const client = {
+            user: { id: 'BOT' },
+            channels: {
+                fetch: async (channelId) => ({
+                    id: channelId,
+                    name: `dsu-${channelId.slice(0, 3)}`,
+                    permissionsFor: () => ({ has: () => true }),
+                    send: async (payload) => {
+                        sent.push({ channelId, payload });
+                        return { id: `M${sent.length}`, channel: { id: channelId, name: 'dsu' } };
+                    }
+                })
+            }
+        };
+
+        const scheduler = new DSUScheduler(this.registry, undefined, path.join(this.tempDir, 'schedule-store.json'),
+            new SendLedger(path.join(this.tempDir, 'send-ledger.json')));
+        scheduler.start(client);
+
+        try {
+            const status = scheduler.getStatus();
+            this.addTestResult('Jobs Created Per Team', scheduler.jobs.size === 2 &&
+                status.teams.every(team => team.morningJobRunning && team.eveningJobRunning),
+                status.teams.map(team => `${team.id}:${team.morningJobRunning}/${team.eveningJobRunning}`).join(', '));
+            this.addTestResult('Status Reports Team Timezones', status.teams[1].timezone === 'Europe/London' &&
+                status.teams[1].threadConfig.autoArchiveDuration === 4320,
+                `${status.teams[1].timezone}, ${status.teams[1].threadConfig.autoArchiveDuration} min`);
+
+            const embed = buildStatusEmbed(status);
+            const teamFields = embed.fields.filter(field => field.name.startsWith('👥'));
+            this.addTestResult('Status Embed Lists Teams', teamFields.length === 2, teamFields.map(field => field.name).join(', '));
+
+            await scheduler.sendDSU(this.registry.getTeam('backend'), 'morning');
+            const [message] = sent;
+            const embedColor = message && message.payload.embeds ? message.payload.embeds[0].color : null;
+            this.addTestResult('DSU Sent To Team Channel With Team Template', Boolean(message) &&
+                message.channelId === '111111111111111111' && embedColor === 0x112233 &&
+                message.payload.content.includes('<@&222222222222222222>'),
+                message ? `${message.channelId} #${(embedColor || 0).toString(16)}` : 'Nothing sent');
+        } finally {
+            scheduler.stop();
+        }
+
+        this.addTestResult('Jobs Stopped', scheduler.jobs.size === 0, `${scheduler.jobs.size} team(s) scheduled`);
+    }
+
+    addTestResult(name, passed, message) {
+        this.testResults.push({ name, passed: Boolean(passed), message });
+        const status = passed ? '✅' : '❌';
+        logger.info(`   ${status} ${name}: ${message}`);
+    }
+
+    displayResults() {
+        logger.info('\n📊 Team Registry Test Summary:');
+
+        const passed = this.testResults.filter(r => r.passed).length;
+        const total = this.testResults.length;
+
+        logger.info(`Results: ${passed}/${total} tests passed`);
+
+        if (passed === total) {
+            logger.success('🎉 All team registry tests passed!');
+        } else {
+            logger.error(`❌ ${total - passed} test(s) failed`);
+        }
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    const tester = new TeamRegistryTester();
+    tester.runTests().catch(error => {
+        logger.error('❌ Team registry test failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = TeamRegistryTester;
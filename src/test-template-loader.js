@@ -0,0 +1,182 @@
+/**
+ * Template File Test Script
+ *
+ * @author opisboy29
+ * @repository git@github.com:opisboy29/discord-dsu-bot.git
+ * @description Offline tests for JSON/YAML template files, placeholders and hot reload
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DSURepository } = require('./storage/dsu-repository');
+const { TemplateLoader, validateDefinition, renderPlaceholders } = require('./utils/template-loader');
+const { validateTemplate, DSU_CONFIG } = require('../config/dsu-templates');
+const logger = require('./utils/logger');
+
+const MORNING_YAML = `
+type: morning
+title: "Morning for {team}"
+description: "{date} at {time} ({timezone}) - streak {streak} - {unknown}"
+color: "112233"
+fields:
+  - name: Yesterday
+    value: What did you do?
+  - name: Today
+    value: What will you do?
+    inline: true
+`;
+
+class TemplateLoaderTester {
+    constructor() {
+        this.testResults = [];
+        this.tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dsu-template-test-'));
+        this.templateDir = path.join(this.tempDir, 'templates');
+        fs.mkdirSync(this.templateDir);
+        this.repository = new DSURepository(path.join(this.tempDir, 'dsu-store.json'));
+        this.loader = new TemplateLoader(this.templateDir, this.repository);
+    }
+
+    async runTests() {
+        logger.info('🧪 Starting template file tests...');
+
+        try {
+            this.testSchemaValidation();
+            this.testPlaceholders();
+            await this.testLoadAndRender();
+            await this.testHotReload();
+        } finally {
+            this.loader.stop();
+            fs.rmSync(this.tempDir, { recursive: true, force: true });
+        }
+
+        this.displayResults();
+        process.exit(this.testResults.every(r => r.passed) ? 0 : 1);
+    }
+
+    writeTemplate(file, content) {
+        fs.writeFileSync(path.join(this.templateDir, file), content);
+    }
+
+    testSchemaValidation() {
+        logger.info('\n🧪 Test 1: Schema Validation');
+
+        const valid = validateDefinition({ type: 'evening', format: 'text', text: 'Evening {date}' });
+        const invalid = validateDefinition({ type: 'lunch', title: '', color: 'blue', fields: [{ name: 'x' }] });
+
+        this.addTestResult('Valid Text Template Accepted', valid.length === 0, valid.join('; ') || 'No errors');
+        this.addTestResult('Invalid Template Rejected', invalid.length === 4, invalid.join('; '));
+    }
+
+    testPlaceholders() {
+        logger.info('\n🧪 Test 2: Placeholders');
+
+        const rendered = renderPlaceholders('{team} {streak} {missing}', { team: 'Core', streak: 0 });
+        this.addTestResult('Known Placeholders Replaced', rendered === 'Core 0 {missing}', rendered);
+    }
+
+    async testLoadAndRender() {
+        logger.info('\n🧪 Test 3: Load And Render');
+
+        await this.repository.registerThread({ threadId: 'T1', type: 'morning', date: '2025-08-15' });
+        await this.repository.registerThread({ threadId: 'T2', type: 'morning', date: '2025-08-18' });
+        await this.repository.saveResponse({ messageId: 'M1', threadId: 'T1', authorId: 'A', type: 'morning', date: '2025-08-15' });
+        await this.repository.saveResponse({ messageId: 'M2', threadId: 'T2', authorId: 'A', type: 'morning', date: '2025-08-18' });
+
+        this.writeTemplate('morning.yaml', MORNING_YAML);
+        this.writeTemplate('evening-text.json', JSON.stringify({ type: 'evening', format: 'text', content: '', text: 'Evening in {timezone}' }));
+        this.writeTemplate('broken.json', '{ "type": "morning", ');
+        this.writeTemplate('morning.example.yaml', MORNING_YAML);
+
+        const result = this.loader.load();
+        this.addTestResult('Valid Files Loaded', result.loaded.sort().join(',') === 'evening:text,morning:full', result.loaded.join(', '));
+        this.addTestResult('Broken File Reported', Boolean(result.errors['broken.json']) && !result.errors['morning.example.yaml'],
+            Object.keys(result.errors).join(', '));
+
+        const morning = this.loader.render('morning', 'full', { team: 'Core' });
+        const embed = morning.embeds[0];
+        this.addTestResult('YAML Template Rendered', validateTemplate(morning) && embed.title === 'Morning for Core' && embed.color === 0x112233,
+            `${embed.title} / #${embed.color.toString(16)}`);
+        this.addTestResult('Streak And Unknown Placeholders', embed.description.includes('streak 2') && embed.description.includes('{unknown}'),
+            embed.description);
+        // Each team counts only its own threads: web answered today, core didn't
+        await this.repository.registerThread({ threadId: 'T3', teamId: 'core', type: 'morning', date: '2025-08-19' });
+        await this.repository.registerThread({ threadId: 'T4', teamId: 'web', type: 'morning', date: '2025-08-19' });
+        await this.repository.saveResponse({ messageId: 'M4', threadId: 'T4', authorId: 'B', type: 'morning', date: '2025-08-19' });
+        const streak = (teamId) => this.loader.getPlaceholderContext('morning', { ...DSU_CONFIG, teamId }).streak;
+        this.addTestResult('Streak Per Team', streak('core') === 0 && streak('web') === 1,
+            `core: ${streak('core')}, web: ${streak('web')}`);
+        this.addTestResult('Submit Button Attached', Array.isArray(morning.components), `${(morning.components || []).length} row(s)`);
+
+        const evening = this.loader.render('evening', 'text');
+        this.addTestResult('JSON Text Template Rendered', typeof evening === 'string' && evening.startsWith('Evening in '), evening);
+        this.writeTemplate('evening-text.json', JSON.stringify({ type: 'evening', format: 'text', content: 'Hi {team}', text: 'Evening in {timezone}' }));
+        this.loader.load();
+        const greeted = this.loader.render('evening', 'text', { team: 'Core' });
+        this.addTestResult('Text Content Separated From Text', greeted.startsWith('Hi Core\n\nEvening in '), JSON.stringify(greeted));
+        this.addTestResult('Missing Format Uses Built-In', this.loader.render('morning', 'compact') === null, 'No compact file');
+    }
+
+    async testHotReload() {
+        logger.info('\n🧪 Test 4: Hot Reload');
+
+        this.loader.watch();
+        this.writeTemplate('morning.yaml', MORNING_YAML.replace('Morning for {team}', 'Updated morning'));
+
+        const reloaded = await this.waitFor(() => {
+            const template = this.loader.get('morning', 'full');
+            return template && template.title === 'Updated morning';
+        });
+        this.addTestResult('Edits Picked Up Without Restart', reloaded, reloaded ? 'Reloaded' : 'Not reloaded');
+
+        this.writeTemplate('morning.yaml', 'type: morning\ntitle: [unclosed');
+        this.loader.load();
+        const kept = this.loader.get('morning', 'full');
+        this.addTestResult('Last Good Version Kept On Bad Edit', Boolean(kept) && kept.title === 'Updated morning',
+            kept ? kept.title : 'Template dropped');
+    }
+
+    async waitFor(check, timeoutMs = 3000) {
+        const started = Date.now();
+        while (Date.now() - started < timeoutMs) {
+            if (check()) {
+                return true;
+            }
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+        return false;
+    }
+
+    addTestResult(name, passed, message) {
+        this.testResults.push({ name, passed: Boolean(passed), message });
+        const status = passed ? '✅' : '❌';
+        logger.info(`   ${status} ${name}: ${message}`);
+    }
+
+    displayResults() {
+        logger.info('\n📊 Template File Test Summary:');
+
+        const passed = this.testResults.filter(r => r.passed).length;
+        const total = this.testResults.length;
+
+        logger.info(`Results: ${passed}/${total} tests passed`);
+
+        if (passed === total) {
+            logger.success('🎉 All template file tests passed!');
+        } else {
+            logger.error(`❌ ${total - passed} test(s) failed`);
+        }
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    const tester = new TemplateLoaderTester();
+    tester.runTests().catch(error => {
+        logger.error('❌ Template file test failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = TemplateLoaderTester;
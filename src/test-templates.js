@@ -2,6 +2,7 @@
 
 require('dotenv').config();
 const templates = require('../config/dsu-templates');
+const { resolveDSUTemplate } = require('./utils/template-resolver');
 
 console.log('🎨 Testing DSU Message Templates...\n');
 
@@ -23,6 +24,7 @@ class TemplateTester {
         this.testTextTemplates();
         this.testMentions();
         this.testCustomization();
+        this.testTemplateFormats();
         this.testValidation();
         
         console.log('\n✅ All template tests completed!');
@@ -197,6 +199,29 @@ class TemplateTester {
             console.log('   - ✅ morning-compact (short format)');
             console.log('   - ✅ evening-compact (short format)');
             
+            // Overrides must actually change the generated template
+            const overrides = {
+                colors: { morning: '2ecc71' },
+                messages: { morningGreeting: 'Custom greeting!', morningFooter: 'Custom footer' },
+                mentions: { roles: ['123456789012345678'], users: [], everyone: false, here: false },
+                questions: { morning: { today: 'What is your focus today?' } }
+            };
+            const overridden = this.templates.getCustomTemplate('morning', overrides).embeds[0];
+            const overriddenContent = this.templates.getCustomTemplate('morning', overrides).content;
+            const checks = [
+                ['Color override', overridden.color === 0x2ecc71],
+                ['Greeting override', overridden.description.startsWith('Custom greeting!')],
+                ['Footer override', overridden.footer.text === 'Custom footer'],
+                ['Mention override', overriddenContent.trim() === '<@&123456789012345678>'],
+                ['Question override', overridden.fields[1].name.includes('What is your focus today?')],
+                ['Other questions kept', overridden.fields[0].name.includes('What did you do yesterday?')],
+                ['Defaults untouched', this.templates.getMorningTemplate().embeds[0].color === this.templates.DSU_CONFIG.colors.morning],
+                ['Text variant override', this.templates.getCustomTemplate('morning-text', overrides).includes('Custom greeting!')]
+            ];
+            checks.forEach(([name, passed]) => {
+                console.log(`   ${passed ? '✅' : '❌'} ${name}`);
+            });
+            
             // Test invalid template type
             try {
                 this.templates.getCustomTemplate('invalid');
@@ -211,6 +236,32 @@ class TemplateTester {
         console.log();
     }
 
+    testTemplateFormats() {
+        console.log('🗂️ Testing Template Format Resolution:');
+        
+        try {
+            this.templates.TEMPLATE_FORMATS.forEach(format => {
+                const { template } = resolveDSUTemplate('morning', { format });
+                const isText = typeof template === 'string';
+                const ok = this.templates.validateTemplate(template) && isText === (format === 'text');
+                console.log(`   ${ok ? '✅' : '❌'} ${format}: ${isText ? 'plain text' : `${template.embeds[0].fields.length} embed fields`}`);
+            });
+            
+            const noEmbedChannel = {
+                name: 'no-embeds',
+                permissionsFor: () => ({ has: (permission) => permission !== 'EmbedLinks' })
+            };
+            const fallback = resolveDSUTemplate('evening', { format: 'full', channel: noEmbedChannel, clientUser: {} });
+            console.log(`   ${fallback.fallback && typeof fallback.template === 'string' ? '✅' : '❌'} Falls back to text without EmbedLinks`);
+            
+            const defaulted = resolveDSUTemplate('morning');
+            console.log(`   ${defaulted.format === this.templates.DSU_CONFIG.templateFormat ? '✅' : '❌'} Defaults to TEMPLATE_FORMAT (${defaulted.format})`);
+        } catch (error) {
+            console.log('   ❌ Error testing template formats:', error.message);
+        }
+        console.log();
+    }
+
     testValidation() {
         console.log('✅ Testing Template Validation:');
         
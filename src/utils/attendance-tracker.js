@@ -0,0 +1,255 @@
+/**
+ * DSU Attendance Tracker
+ *
+ * @author opisboy29
+ * @repository git@github.com:opisboy29/discord-dsu-bot.git
+ * @description Follows up on DSU threads: nudges roster members who haven't posted and lists who is still missing
+ */
+
+const { GatewayIntentBits } = require('discord.js');
+const logger = require('./logger');
+const dryRun = require('./dry-run');
+const dsuRepository = require('../storage/dsu-repository');
+const { DSU_CONFIG } = require('../../config/dsu-templates');
+
+class AttendanceTracker {
+    /**
+     * @param {DSURepository} repository - Response store (defaults to the shared repository)
+     * @param {Object} mentions - Mention config ({ users, roles }) defining the roster
+     */
+    constructor(repository = dsuRepository, mentions = DSU_CONFIG.mentions) {
+        this.repository = repository;
+        this.mentions = mentions;
+        this.followUpConfig = {
+            enabled: process.env.ENABLE_FOLLOWUPS !== 'false',
+            delayMinutes: parseInt(process.env.FOLLOWUP_DELAY_MINUTES) || 60,
+            finalDelayMinutes: parseInt(process.env.FOLLOWUP_FINAL_DELAY_MINUTES) || 60,
+            mode: process.env.FOLLOWUP_MODE === 'ping' ? 'ping' : 'dm'
+        };
+        this.timers = new Set();
+    }
+
+    /**
+     * Schedule the nudge and the final "still missing" list for a DSU thread
+     * @param {ThreadChannel} thread - DSU thread created by the bot
+     * @param {string} type - 'morning' or 'evening'
+     * @param {Object} mentions - Team mentions that make up the roster (defaults to MENTION_*)
+     */
+    scheduleFollowUp(thread, type, mentions = this.mentions) {
+        if (!this.followUpConfig.enabled) {
+            logger.debug('🔕 DSU follow-ups are disabled');
+            return;
+        }
+
+        if (!thread) {
+            return;
+        }
+
+        const { delayMinutes, finalDelayMinutes } = this.followUpConfig;
+        logger.info(`⏰ ${type} DSU follow-up scheduled in ${delayMinutes} min (final list ${finalDelayMinutes} min later)`);
+
+        this.schedule(delayMinutes, async () => {
+            await this.sendNudges(thread, type, mentions);
+            this.schedule(finalDelayMinutes, () => this.postMissingList(thread, type, mentions));
+        });
+    }
+
+    schedule(minutes, task) {
+        const timer = setTimeout(async () => {
+            this.timers.delete(timer);
+            try {
+                await task();
+            } catch (error) {
+                logger.error('❌ DSU follow-up failed:', error);
+            }
+        }, minutes * 60 * 1000);
+
+        this.timers.add(timer);
+    }
+
+    /**
+     * Cancel all pending follow-ups (used when the scheduler stops)
+     */
+    cancelAll() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+    }
+
+    /**
+     * Whether the bot has to request the privileged Server Members intent: only to expand
+     * mention roles into follow-up rosters
+     * @param {Array<Object>} teams - Teams with their mentions
+     * @returns {boolean} True when follow-ups are on and a team mentions a role
+     */
+    needsMembersIntent(teams) {
+        return this.followUpConfig.enabled &&
+            teams.some(team => team.mentions.roles.some(id => id.trim()));
+    }
+
+    /**
+     * Expand the configured mentions into the list of people expected to post
+     * @param {Guild} guild - Guild the DSU thread belongs to
+     * @param {Object} mentions - Mentions to expand
+     * @returns {Promise<Map<string, User>>} Roster keyed by user ID
+     */
+    async resolveRoster(guild, mentions = this.mentions) {
+        const roster = new Map();
+        const userIds = mentions.users.map(id => id.trim()).filter(Boolean);
+        const roleIds = mentions.roles.map(id => id.trim()).filter(Boolean);
+
+        for (const userId of userIds) {
+            try {
+                const member = await guild.members.fetch(userId);
+                if (!member.user.bot) {
+                    roster.set(member.id, member.user);
+                }
+            } catch (error) {
+                logger.warn(`⚠️ Roster user ${userId} is not a member of ${guild.name}`);
+            }
+        }
+
+        if (roleIds.length > 0) {
+            const intents = guild.client && guild.client.options.intents;
+            if (intents && !intents.has(GatewayIntentBits.GuildMembers)) {
+                // Fetching every member without the intent would only time out
+                logger.warn('⚠️ Server Members intent not requested - role rosters use cached members only');
+            } else {
+                try {
+                    // Fills the member cache used below
+                    await guild.members.fetch();
+                } catch (error) {
+                    logger.warn('⚠️ Could not fetch guild members - role rosters use cached members only:', error.message);
+                }
+            }
+
+            for (const roleId of roleIds) {
+                const role = guild.roles.cache.get(roleId);
+                if (!role) {
+                    logger.warn(`⚠️ Roster role ${roleId} not found in ${guild.name}`);
+                    continue;
+                }
+
+                role.members
+                    .filter(member => !member.user.bot)
+                    .forEach(member => roster.set(member.id, member.user));
+            }
+        }
+
+        return roster;
+    }
+
+    /**
+     * Collect everyone who has posted in a DSU thread
+     * @param {ThreadChannel} thread - DSU thread
+     * @returns {Promise<Set<string>>} User IDs of participants
+     */
+    async getParticipants(thread) {
+        const participants = this.repository.getRespondents(thread.id);
+
+        // Also look at the thread itself in case replies were posted while the bot was offline
+        try {
+            const messages = await thread.messages.fetch({ limit: 100 });
+            messages.forEach(message => {
+                if (!message.author.bot) {
+                    participants.add(message.author.id);
+                }
+            });
+        } catch (error) {
+            logger.debug(`Could not fetch messages for thread ${thread.id}: ${error.message}`);
+        }
+
+        return participants;
+    }
+
+    /**
+     * Compare the roster with the thread's participants
+     * @param {ThreadChannel} thread - DSU thread
+     * @param {Object} mentions - Mentions that make up the roster
+     * @returns {Promise<Array<User>>} Roster members who haven't posted
+     */
+    async findMissing(thread, mentions = this.mentions) {
+        const roster = await this.resolveRoster(thread.guild, mentions);
+        const participants = await this.getParticipants(thread);
+
+        return [...roster.values()].filter(user => !participants.has(user.id));
+    }
+
+    /**
+     * Nudge everyone who hasn't posted yet, by DM or by a ping in the thread
+     * @param {ThreadChannel} thread - DSU thread
+     * @param {string} type - 'morning' or 'evening'
+     * @param {Object} mentions - Mentions that make up the roster
+     * @returns {Promise<Array<User>>} Users that were nudged
+     */
+    async sendNudges(thread, type, mentions = this.mentions) {
+        const missing = await this.findMissing(thread, mentions);
+        if (missing.length === 0) {
+            logger.info(`🎉 Everyone has posted their ${type} DSU update`);
+            return missing;
+        }
+
+        logger.info(`📨 Nudging ${missing.length} member(s) missing from the ${type} DSU`);
+
+        const unreachable = [];
+        if (this.followUpConfig.mode === 'dm') {
+            for (const user of missing) {
+                try {
+                    await dryRun.send(user,
+                        `👋 Friendly reminder: you haven't posted your ${type} DSU update yet. ` +
+                        `Please share it in <#${thread.id}>.`,
+                        'dm');
+                } catch (error) {
+                    // 50007: user has DMs closed - fall back to a ping in the thread
+                    logger.warn(`⚠️ Could not DM ${user.tag}: ${error.message}`);
+                    unreachable.push(user);
+                }
+            }
+        }
+
+        const toPing = this.followUpConfig.mode === 'ping' ? missing : unreachable;
+        if (toPing.length > 0) {
+            await dryRun.send(thread,
+                `👋 ${toPing.map(user => `<@${user.id}>`).join(' ')} friendly reminder to post your ${type} DSU update here!`,
+                'thread-message');
+        }
+
+        return missing;
+    }
+
+    /**
+     * Post the final list of people who still haven't posted
+     * @param {ThreadChannel} thread - DSU thread
+     * @param {string} type - 'morning' or 'evening'
+     * @param {Object} mentions - Mentions that make up the roster
+     * @returns {Promise<Array<User>>} Users still missing
+     */
+    async postMissingList(thread, type, mentions = this.mentions) {
+        const missing = await this.findMissing(thread, mentions);
+
+        if (missing.length === 0) {
+            logger.info(`✅ No one is missing from the ${type} DSU`);
+            return missing;
+        }
+
+        await dryRun.send(thread,
+            `📋 **Still missing ${type} DSU updates (${missing.length}):**\n` +
+            missing.map(user => `• <@${user.id}>`).join('\n'),
+            'thread-message');
+        logger.info(`📋 Posted ${type} DSU missing list (${missing.length} member(s))`);
+
+        return missing;
+    }
+
+    /**
+     * Get follow-up configuration status
+     * @returns {Object} Follow-up configuration information
+     */
+    getFollowUpConfig() {
+        return {
+            ...this.followUpConfig,
+            pending: this.timers.size
+        };
+    }
+}
+
+module.exports = AttendanceTracker;
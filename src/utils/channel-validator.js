@@ -7,6 +7,7 @@
  */
 
 const logger = require('./logger');
+const dryRun = require('./dry-run');
 
 class ChannelValidator {
     constructor(client) {
@@ -47,11 +48,16 @@ class ChannelValidator {
             // Step 5: Validate bot permissions
             await this.validateBotPermissions();
 
-            // Step 6: Test message sending capability
-            await this.testMessageSending();
+            // Steps 6 and 7 post (and delete) test messages, which a dry run must not do
+            if (dryRun.enabled) {
+                logger.info('🧪 [DRY RUN] Skipping test messages - permissions were checked instead');
+            } else {
+                // Step 6: Test message sending capability
+                await this.testMessageSending();
 
-            // Step 7: Validate embed support
-            await this.validateEmbedSupport();
+                // Step 7: Validate embed support
+                await this.validateEmbedSupport();
+            }
 
             // Final assessment
             this.assessValidationResults();
@@ -8,6 +8,7 @@
 
 const cron = require('node-cron');
 const logger = require('./logger');
+const { isValidTimezone } = require('./time-utils');
 
 class ConfigValidator {
     constructor() {
@@ -52,6 +53,15 @@ class ConfigValidator {
             // Step 8: Thread configuration validation
             this.validateThreadConfig();
 
+            // Step 8b: Follow-up configuration validation
+            this.validateFollowUpConfig();
+
+            // Step 8c: Team registry validation
+            this.validateTeamConfig();
+
+            // Step 8d: Holiday calendar validation
+            this.validateHolidayConfig();
+
             // Step 9: Security validation
             this.validateSecurityConfig();
 
@@ -86,6 +96,8 @@ class ConfigValidator {
                 key: 'DSU_CHANNEL_ID',
                 description: 'Discord channel ID for DSU messages',
                 validator: (value) => {
+                    // Each team in the team file has its own channel
+                    if (!value && this.hasTeamFile()) return null;
                     if (!value) return 'Missing Discord channel ID';
                     if (!/^\d{17,19}$/.test(value)) return 'Channel ID must be 17-19 digits';
                     return null;
@@ -148,6 +160,21 @@ class ConfigValidator {
         logger.success('✅ Discord configuration validated');
     }
 
+    /**
+     * Check a DSU cron expression (the rules used for MORNING_SCHEDULE/EVENING_SCHEDULE and /dsu schedule set)
+     * @param {string} expression - Cron expression
+     * @returns {string|null} Problem description, or null if the expression is valid
+     */
+    static validateCronExpression(expression) {
+        if (typeof expression !== 'string' || !expression.trim()) {
+            return 'Cron expression is empty';
+        }
+        if (!cron.validate(expression.trim())) {
+            return `Invalid cron expression: ${expression}`;
+        }
+        return null;
+    }
+
     validateSchedulingConfig() {
         logger.debug('🔍 Step 3: Validating scheduling configuration');
 
@@ -164,22 +191,31 @@ class ConfigValidator {
         const morningSchedule = process.env.MORNING_SCHEDULE || '0 9 * * 1-5';
         const eveningSchedule = process.env.EVENING_SCHEDULE || '0 17 * * 1-5';
 
-        if (!cron.validate(morningSchedule)) {
+        if (ConfigValidator.validateCronExpression(morningSchedule)) {
             this.addError('INVALID_MORNING_SCHEDULE', `Invalid morning cron expression: ${morningSchedule}`);
         } else {
             this.validationResults.config.MORNING_SCHEDULE = morningSchedule;
         }
 
-        if (!cron.validate(eveningSchedule)) {
+        if (ConfigValidator.validateCronExpression(eveningSchedule)) {
             this.addError('INVALID_EVENING_SCHEDULE', `Invalid evening cron expression: ${eveningSchedule}`);
         } else {
             this.validationResults.config.EVENING_SCHEDULE = eveningSchedule;
         }
 
+        // Validate schedule description language (unknown languages fall back to English)
+        const { LANGUAGES } = require('./cron-description');
+        const scheduleLanguage = process.env.SCHEDULE_LANGUAGE || 'en';
+        if (!Object.keys(LANGUAGES).includes(scheduleLanguage)) {
+            this.addWarning('INVALID_SCHEDULE_LANGUAGE', `SCHEDULE_LANGUAGE must be one of: ${Object.keys(LANGUAGES).join(', ')} (using en)`);
+        } else {
+            this.validationResults.config.SCHEDULE_LANGUAGE = scheduleLanguage;
+        }
+
         // Validate scheduling enabled
         const enableScheduling = process.env.ENABLE_SCHEDULING !== 'false';
         if (!enableScheduling) {
-            this.addWarning('SCHEDULING_DISABLED', 'Automatic scheduling is disabled');
+            this.addWarning('SCHEDULING_DISABLED', 'Automatic scheduling is disabled - only manual commands post DSUs until /dsu scheduling on');
         }
 
         logger.success('✅ Scheduling configuration validated');
@@ -244,6 +280,13 @@ class ConfigValidator {
             }
         }
 
+        // Validate template files in config/templates/ (invalid files are skipped at runtime)
+        const { TemplateLoader } = require('./template-loader');
+        const templateFiles = new TemplateLoader().load();
+        for (const [file, messages] of Object.entries(templateFiles.errors)) {
+            this.addWarning('INVALID_TEMPLATE_FILE', `Template file ${file} will be ignored: ${messages.join('; ')}`);
+        }
+
         logger.success('✅ Template configuration validated');
     }
 
@@ -257,6 +300,16 @@ class ConfigValidator {
             this.addError('INVALID_LOG_LEVEL', `LOG_LEVEL must be one of: ${validLevels.join(', ')}`);
         }
 
+        const logTimezone = process.env.LOG_TIMEZONE;
+        if (logTimezone && !isValidTimezone(logTimezone)) {
+            this.addWarning('INVALID_LOG_TIMEZONE', `Invalid LOG_TIMEZONE: ${logTimezone} (log times use UTC)`);
+        }
+
+        const logFormat = process.env.LOG_FORMAT || 'text';
+        if (!['text', 'json'].includes(logFormat)) {
+            this.addWarning('INVALID_LOG_FORMAT', 'LOG_FORMAT must be text or json (using text)');
+        }
+
         // Validate log rotation settings
         const rotationSize = parseInt(process.env.LOG_ROTATION_SIZE) || 10;
         if (rotationSize < 1 || rotationSize > 100) {
@@ -357,6 +410,87 @@ class ConfigValidator {
         logger.success('✅ Thread configuration validated');
     }
 
+    validateFollowUpConfig() {
+        logger.debug('🔍 Step 8b: Validating follow-up configuration');
+
+        const followUpsEnabled = process.env.ENABLE_FOLLOWUPS !== 'false';
+
+        const mode = process.env.FOLLOWUP_MODE || 'dm';
+        if (!['dm', 'ping'].includes(mode)) {
+            this.addError('INVALID_FOLLOWUP_MODE', `FOLLOWUP_MODE must be one of: dm, ping, got: ${mode}`);
+        }
+
+        const planDelivery = process.env.PLAN_REVIEW_DELIVERY || 'thread';
+        if (!['thread', 'dm'].includes(planDelivery)) {
+            this.addError('INVALID_PLAN_REVIEW_DELIVERY', `PLAN_REVIEW_DELIVERY must be one of: thread, dm, got: ${planDelivery}`);
+        }
+
+        const delays = ['FOLLOWUP_DELAY_MINUTES', 'FOLLOWUP_FINAL_DELAY_MINUTES', 'SUMMARY_DELAY_MINUTES'];
+        for (const delayKey of delays) {
+            const value = process.env[delayKey];
+            if (value && (!/^\d+$/.test(value) || parseInt(value) < 1)) {
+                this.addError(`INVALID_${delayKey}`, `${delayKey} must be a positive number of minutes, got: ${value}`);
+            }
+        }
+
+        if (followUpsEnabled && !process.env.MENTION_USERS && !process.env.MENTION_ROLES) {
+            this.addRecommendation('FOLLOWUP_EMPTY_ROSTER',
+                'Follow-ups are enabled but MENTION_USERS/MENTION_ROLES are empty - no one will be nudged');
+        }
+
+        logger.success('✅ Follow-up configuration validated');
+    }
+
+    validateTeamConfig() {
+        logger.debug('🔍 Step 8c: Validating team configuration');
+
+        // Invalid teams are skipped at runtime; the bot needs at least one valid team
+        const { TeamRegistry } = require('./team-registry');
+        const registry = new TeamRegistry();
+        if (!registry.hasTeamFile()) {
+            // Single team from DSU_CHANNEL_ID/TIMEZONE/*_SCHEDULE, validated in the steps above
+            logger.debug('No team file found, using the single team from environment variables');
+            return;
+        }
+
+        const teams = registry.load();
+
+        for (const [team, messages] of Object.entries(teams.errors)) {
+            if (team === 'file') {
+                this.addError('INVALID_TEAM_FILE', messages.join('; '));
+            } else {
+                this.addError('INVALID_TEAM_CONFIG', `Team ${team}: ${messages.join('; ')}`);
+            }
+        }
+
+        const channels = registry.getTeams().map(team => team.channelId);
+        if (new Set(channels).size !== channels.length) {
+            this.addWarning('SHARED_TEAM_CHANNEL', 'Several teams post to the same channel - their DSUs and summaries will be mixed');
+        }
+
+        this.validationResults.config.TEAMS = teams.loaded.join(', ');
+        logger.success(`✅ Team configuration validated (${teams.loaded.length} team(s))`);
+    }
+
+    validateHolidayConfig() {
+        logger.debug('🔍 Step 8d: Validating holiday calendar');
+
+        // Invalid holidays are skipped at runtime, so they only warn
+        const { HolidayCalendar } = require('./holiday-calendar');
+        const holidays = new HolidayCalendar().load();
+        holidays.errors.forEach(message => {
+            this.addWarning('INVALID_HOLIDAY', `Holiday will be ignored: ${message}`);
+        });
+
+        this.validationResults.config.HOLIDAYS = holidays.loaded;
+        logger.success(`✅ Holiday calendar validated (${holidays.loaded} holiday(s) from file)`);
+    }
+
+    hasTeamFile() {
+        const { TeamRegistry } = require('./team-registry');
+        return new TeamRegistry().hasTeamFile();
+    }
+
     validateSecurityConfig() {
         logger.debug('🔍 Step 9: Validating security configuration');
 
@@ -499,7 +633,7 @@ class ConfigValidator {
             return false;
         }
 
-        if (!channelId || !/^\d{17,19}$/.test(channelId)) {
+        if (!this.hasTeamFile() && (!channelId || !/^\d{17,19}$/.test(channelId))) {
             logger.error('❌ Missing or invalid DSU_CHANNEL_ID');
             return false;
         }
@@ -0,0 +1,198 @@
+/**
+ * Cron Description
+ *
+ * @author opisboy29
+ * @repository git@github.com:opisboy29/discord-dsu-bot.git
+ * @description Renders cron expressions as readable English or Indonesian text
+ */
+
+const { parseCron } = require('./cron-schedule');
+
+const DEFAULT_LANGUAGE = 'en';
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Words and phrases per language. Field wrappers receive the joined values and
+ * { plural, range } (range = the field is a single range such as "1-5").
+ */
+const LANGUAGES = {
+    en: {
+        and: 'and',
+        through: 'through',
+        everyDay: 'every day',
+        months: ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+            'August', 'September', 'October', 'November', 'December'],
+        weekdays: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+        units: {
+            second: ['second', 'seconds'],
+            minute: ['minute', 'minutes'],
+            hour: ['hour', 'hours'],
+            day: ['day', 'days'],
+            month: ['month', 'months'],
+            weekday: ['day of the week', 'days of the week']
+        },
+        every: (count, [one, many]) => (count === 1 ? `every ${one}` : `every ${count} ${many}`),
+        dayStep: (step) => (step === 2 ? 'on even days of the month' : `on days of the month divisible by ${step}`),
+        time: (hour, minute, second = 0) => {
+            const suffix = hour >= 12 ? 'PM' : 'AM';
+            const displayHour = hour % 12 === 0 ? 12 : hour % 12;
+            return `${displayHour}:${pad(minute)}${second ? `:${pad(second)}` : ''} ${suffix}`;
+        },
+        at: (times) => `at ${times}`,
+        hourRange: (from, to) => `between ${from} and ${to}`,
+        fields: {
+            second: (text, { plural }) => `at second${plural ? 's' : ''} ${text}`,
+            minute: (text, { plural }) => `at minute${plural ? 's' : ''} ${text} past the hour`,
+            hour: (text) => text,
+            day: (text, { plural }) => `on day${plural ? 's' : ''} ${text} of the month`,
+            month: (text, { range }) => (range ? text : `in ${text}`),
+            weekday: (text, { range }) => (range ? text : `on ${text}`)
+        }
+    },
+    id: {
+        and: 'dan',
+        through: 'sampai',
+        everyDay: 'setiap hari',
+        months: ['Januari', 'Februari', 'Maret', 'April', 'Mei', 'Juni', 'Juli',
+            'Agustus', 'September', 'Oktober', 'November', 'Desember'],
+        weekdays: ['Minggu', 'Senin', 'Selasa', 'Rabu', 'Kamis', 'Jumat', 'Sabtu'],
+        units: {
+            second: ['detik', 'detik'],
+            minute: ['menit', 'menit'],
+            hour: ['jam', 'jam'],
+            day: ['hari', 'hari'],
+            month: ['bulan', 'bulan'],
+            weekday: ['hari', 'hari']
+        },
+        every: (count, [one, many]) => (count === 1 ? `setiap ${one}` : `setiap ${count} ${many}`),
+        dayStep: (step) => (step === 2 ? 'pada tanggal genap' : `pada tanggal yang habis dibagi ${step}`),
+        // Indonesian times use the 24-hour clock with a dot, e.g. 17.00
+        time: (hour, minute, second = 0) => `${pad(hour)}.${pad(minute)}${second ? `.${pad(second)}` : ''}`,
+        at: (times) => `pukul ${times}`,
+        hourRange: (from, to) => `antara pukul ${from} dan ${to}`,
+        fields: {
+            second: (text) => `pada detik ke-${text}`,
+            minute: (text) => `pada menit ke-${text}`,
+            hour: (text) => text,
+            day: (text) => `pada tanggal ${text}`,
+            month: (text, { range }) => (range ? `bulan ${text}` : `pada bulan ${text}`),
+            weekday: (text, { range }) => (range ? `hari ${text}` : `pada hari ${text}`)
+        }
+    }
+};
+
+/**
+ * Join items as "a, b and c"
+ * @param {Array<string>} items - Items to join
+ * @param {Object} language - Language definition
+ * @returns {string} Joined text
+ */
+function joinList(items, language) {
+    if (items.length <= 1) {
+        return items.join('');
+    }
+    return `${items.slice(0, -1).join(', ')} ${language.and} ${items[items.length - 1]}`;
+}
+
+/**
+ * Describe one field, e.g. "every 15 minutes" or "on Monday, Wednesday and Friday"
+ * @param {string} name - Field name
+ * @param {Array<Object>} parts - Parsed field parts
+ * @param {Object} language - Language definition
+ * @returns {string|null} Description, or null when the field matches everything
+ */
+function describeField(name, parts, language) {
+    if (parts.some(part => part.any && part.step === 1)) {
+        return null;
+    }
+
+    const format = {
+        second: value => String(value),
+        minute: value => String(value),
+        day: value => String(value),
+        month: value => language.months[value - 1],
+        weekday: value => language.weekdays[value % 7]
+    }[name];
+
+    // Hours read best as clock ranges, e.g. "between 9:00 AM and 5:59 PM"
+    const describeRange = (first, last) => (name === 'hour'
+        ? language.hourRange(language.time(first, 0), language.time(last, 59))
+        : (first === last ? format(first) : `${format(first)} ${language.through} ${format(last)}`));
+
+    const steps = parts
+        .filter(part => part.step > 1)
+        .map(part => {
+            // node-cron keeps the days divisible by the step, so "*/2" skips from the 30th to the 2nd
+            const every = name === 'day' ? language.dayStep(part.step) : language.every(part.step, language.units[name]);
+            return part.any ? every : `${every}, ${language.fields[name](describeRange(part.first, part.last), { plural: true, range: true })}`;
+        });
+
+    const values = parts.filter(part => part.step === 1);
+    const described = [...steps];
+    if (values.length > 0) {
+        const text = joinList(values.map(part => describeRange(part.first, part.last)), language);
+        const range = values.length === 1 && values[0].first !== values[0].last;
+        described.push(language.fields[name](text, { plural: values.length > 1 || range, range }));
+    }
+
+    return described.join(', ');
+}
+
+/**
+ * Describe the time of day. Fixed times are listed ("at 9:00 AM and 5:00 PM");
+ * anything else is described field by field.
+ * @param {Object} schedule - Result of parseCron()
+ * @param {Object} language - Language definition
+ * @returns {string} Description
+ */
+function describeTime(schedule, language) {
+    const isFixed = (name) => schedule.parts[name].every(part => !part.any && part.step === 1 && part.first === part.last);
+    const timeCount = schedule.second.length * schedule.minute.length * schedule.hour.length;
+
+    if (['second', 'minute', 'hour'].every(isFixed) && timeCount <= 6) {
+        const times = schedule.hour.flatMap(hour => schedule.minute.flatMap(minute =>
+            schedule.second.map(second => language.time(hour, minute, second))));
+        return language.at(joinList(times, language));
+    }
+
+    // Seconds only matter in 6-field expressions that don't fire at second 0
+    const seconds = schedule.fields.second === '0'
+        ? null
+        : describeField('second', schedule.parts.second, language) || language.every(1, language.units.second);
+    const segments = [
+        seconds,
+        describeField('minute', schedule.parts.minute, language) || (seconds ? null : language.every(1, language.units.minute)),
+        describeField('hour', schedule.parts.hour, language)
+    ];
+    return segments.filter(Boolean).join(', ');
+}
+
+/**
+ * Render a cron expression as text, e.g. "0 9 * * 1-5" -> "At 9:00 AM, Monday through Friday"
+ * @param {string} expression - Cron expression (5 or 6 fields)
+ * @param {string} languageCode - 'en' or 'id' (defaults to SCHEDULE_LANGUAGE)
+ * @returns {string} Description, or the expression itself if it can't be parsed
+ */
+function describeCron(expression, languageCode = process.env.SCHEDULE_LANGUAGE || DEFAULT_LANGUAGE) {
+    const language = LANGUAGES[languageCode] || LANGUAGES[DEFAULT_LANGUAGE];
+
+    let schedule;
+    try {
+        schedule = parseCron(expression);
+    } catch (error) {
+        return expression;
+    }
+
+    const days = ['day', 'month', 'weekday']
+        .map(name => describeField(name, schedule.parts[name], language))
+        .filter(Boolean);
+    const text = [describeTime(schedule, language), ...(days.length > 0 ? days : [language.everyDay])].join(', ');
+
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+module.exports = {
+    describeCron,
+    LANGUAGES
+};
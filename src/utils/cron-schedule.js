@@ -0,0 +1,222 @@
+/**
+ * Cron Schedule
+ *
+ * @author opisboy29
+ * @repository git@github.com:opisboy29/discord-dsu-bot.git
+ * @description Parses node-cron expressions and computes their next fire times in a timezone
+ */
+
+const { addDays, getDayOfWeek, getLocalDateKey } = require('./time-utils');
+
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+    'august', 'september', 'october', 'november', 'december'];
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Field order of a 6-field expression; 5-field expressions have no seconds
+const FIELDS = [
+    { name: 'second', min: 0, max: 59 },
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+    { name: 'weekday', min: 0, max: 7, names: WEEKDAY_NAMES, offset: 0 }
+];
+
+const formatters = new Map();
+
+/**
+ * Replace month/weekday names ("jan", "Monday") with their numbers
+ * @param {string} value - Field text
+ * @param {Object} field - Field definition
+ * @returns {string} Field text with numbers only
+ */
+function replaceNames(value, field) {
+    if (!field.names) {
+        return value;
+    }
+    return value.toLowerCase().replace(/[a-z]+/g, word => {
+        const index = field.names.findIndex(name => name === word || name.slice(0, 3) === word);
+        if (index === -1) {
+            throw new Error(`Invalid ${field.name} name: ${word}`);
+        }
+        return String(index + field.offset);
+    });
+}
+
+/**
+ * Split one cron field into its comma-separated parts
+ * @param {string} value - Field text, e.g. "*", "1-5", "0,30", "*\/15"
+ * @param {Object} field - Field definition
+ * @returns {Array<Object>} Parts { first, last, step, any } with names replaced by numbers
+ */
+function parseParts(value, field) {
+    return replaceNames(value, field).split(',').map(part => {
+        const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+        if (!match) {
+            throw new Error(`Invalid ${field.name} field: ${value}`);
+        }
+
+        const any = match[1] === '*';
+        let [first, last] = any ? [field.min, field.max] : match[1].split('-').map(Number);
+        if (last === undefined) {
+            last = match[2] ? field.max : first;
+        }
+        if (first > last) {
+            [first, last] = [last, first];
+        }
+        if (first < field.min || last > field.max) {
+            throw new Error(`Invalid ${field.name} field: ${value} (allowed ${field.min}-${field.max})`);
+        }
+
+        const step = match[2] ? Number(match[2]) : 1;
+        if (step < 1) {
+            throw new Error(`Invalid ${field.name} step: ${value}`);
+        }
+        return { first, last, step, any };
+    });
+}
+
+/**
+ * Expand the parts of a cron field into the sorted values it matches
+ * @param {Array<Object>} parts - Result of parseParts()
+ * @param {Object} field - Field definition
+ * @returns {Array<number>} Matching values
+ */
+function expandParts(parts, field) {
+    const values = new Set();
+
+    for (const { first, last, step } of parts) {
+        for (let current = first; current <= last; current++) {
+            // node-cron keeps the values divisible by the step (e.g. "5-59/10" fires at 10, 20, ...)
+            if (step === 1 || current % step === 0) {
+                values.add(field.name === 'weekday' && current === 7 ? 0 : current);
+            }
+        }
+    }
+
+    return [...values].sort((a, b) => a - b);
+}
+
+/**
+ * Parse a 5- or 6-field cron expression (node-cron syntax)
+ * @param {string} expression - Cron expression, e.g. "30 8 * * 1,3,5"
+ * @returns {Object} { expression, fields: raw field texts, parts: parsed field parts,
+ *                    second, minute, hour, day, month, weekday: matching values }
+ * @throws {Error} If the expression is invalid
+ */
+function parseCron(expression) {
+    const parts = String(expression || '').trim().split(/\s+/);
+    if (parts.length !== 5 && parts.length !== 6) {
+        throw new Error(`Cron expression must have 5 or 6 fields: "${expression}"`);
+    }
+    if (parts.length === 5) {
+        parts.unshift('0');
+    }
+
+    const schedule = { expression, fields: {}, parts: {} };
+    FIELDS.forEach((field, index) => {
+        schedule.fields[field.name] = parts[index];
+        schedule.parts[field.name] = parseParts(parts[index], field);
+        schedule[field.name] = expandParts(schedule.parts[field.name], field);
+    });
+    return schedule;
+}
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ * @param {Date|number} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} { year, month, day, hour, minute, second }
+ */
+function getZonedParts(date, timezone) {
+    if (!formatters.has(timezone)) {
+        formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }));
+    }
+
+    const parts = {};
+    formatters.get(timezone).formatToParts(date).forEach(({ type, value }) => {
+        if (type !== 'literal') {
+            parts[type] = Number(value);
+        }
+    });
+    return parts;
+}
+
+/**
+ * Convert a wall-clock time in a timezone to an instant
+ * @param {Object} parts - { year, month, day, hour, minute, second }
+ * @param {string} timezone - IANA timezone
+ * @returns {Date|null} Instant, or null if the time doesn't exist (skipped by a DST change)
+ */
+function fromZonedTime(parts, timezone) {
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    const offsetAt = (instant) => {
+        const local = getZonedParts(instant, timezone);
+        return Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second) - instant;
+    };
+
+    // Two passes settle the offset on either side of a DST change
+    let instant = wallClock - offsetAt(wallClock);
+    instant = wallClock - offsetAt(instant);
+
+    const check = getZonedParts(instant, timezone);
+    const exists = ['day', 'hour', 'minute'].every(key => check[key] === parts[key]);
+    return exists ? new Date(instant) : null;
+}
+
+/**
+ * Compute the next times a cron expression fires
+ * @param {string|Object} expression - Cron expression or result of parseCron()
+ * @param {Object} options
+ * @param {string} options.timezone - IANA timezone the job runs in
+ * @param {number} [options.count] - Number of fire times to return
+ * @param {Date} [options.from] - Only times after this instant (defaults to now)
+ * @param {Function} [options.skipDate] - (dateKey) => true to leave out a whole local day
+ * @param {number} [options.maxDays] - How many days ahead to search
+ * @returns {Array<Date>} Fire times, soonest first
+ */
+function getNextRuns(expression, { timezone, count = 5, from = new Date(), skipDate = null, maxDays = 366 }) {
+    const schedule = typeof expression === 'string' ? parseCron(expression) : expression;
+    const runs = [];
+    let dateKey = getLocalDateKey(timezone, from);
+
+    for (let i = 0; i <= maxDays && runs.length < count; i++, dateKey = addDays(dateKey, 1)) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        // Like node-cron, day of month and day of week must both match
+        if (!schedule.month.includes(month) || !schedule.day.includes(day) ||
+            !schedule.weekday.includes(getDayOfWeek(dateKey)) || (skipDate && skipDate(dateKey))) {
+            continue;
+        }
+
+        for (const hour of schedule.hour) {
+            for (const minute of schedule.minute) {
+                for (const second of schedule.second) {
+                    const run = fromZonedTime({ year, month, day, hour, minute, second }, timezone);
+                    if (run && run > from) {
+                        runs.push(run);
+                        if (runs.length === count) {
+                            return runs;
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    return runs;
+}
+
+module.exports = {
+    parseCron,
+    getNextRuns,
+    getZonedParts
+};
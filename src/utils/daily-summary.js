@@ -0,0 +1,146 @@
+/**
+ * Daily DSU Summary
+ *
+ * @author opisboy29
+ * @repository git@github.com:opisboy29/discord-dsu-bot.git
+ * @description Aggregates the day's DSU responses and posts an end-of-day summary embed
+ */
+
+const logger = require('./logger');
+const dryRun = require('./dry-run');
+const dsuRepository = require('../storage/dsu-repository');
+const { getSummaryTemplate, DSU_CONFIG } = require('../../config/dsu-templates');
+const { formatDateKey } = require('./time-utils');
+
+class DailySummary {
+    /**
+     * @param {DSURepository} repository - Response store (defaults to the shared repository)
+     */
+    constructor(repository = dsuRepository) {
+        this.repository = repository;
+        this.summaryConfig = {
+            enabled: process.env.ENABLE_DAILY_SUMMARY !== 'false',
+            delayMinutes: parseInt(process.env.SUMMARY_DELAY_MINUTES) || 120
+        };
+        this.timers = new Set();
+    }
+
+    /**
+     * Post the summary once the evening thread has been open for the configured delay
+     * @param {TextChannel} channel - Main DSU channel to post the summary in
+     * @param {string} date - Local DSU date (YYYY-MM-DD)
+     * @param {Object} config - Template configuration of the team (see mergeConfig)
+     */
+    scheduleSummary(channel, date, config = DSU_CONFIG) {
+        if (!this.summaryConfig.enabled) {
+            logger.debug('🔕 Daily DSU summary is disabled');
+            return;
+        }
+
+        logger.info(`⏰ Daily DSU summary for ${date} scheduled in ${this.summaryConfig.delayMinutes} min`);
+
+        const timer = setTimeout(async () => {
+            this.timers.delete(timer);
+            try {
+                await this.postSummary(channel, date, config);
+            } catch (error) {
+                logger.error('❌ Failed to post daily DSU summary:', error);
+            }
+        }, this.summaryConfig.delayMinutes * 60 * 1000);
+
+        this.timers.add(timer);
+    }
+
+    /**
+     * Cancel pending summaries (used when the scheduler stops)
+     */
+    cancelAll() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+    }
+
+    /**
+     * Aggregate a day's responses per person
+     * @param {string} date - Local DSU date (YYYY-MM-DD)
+     * @param {string} channelId - Optional parent channel to restrict the summary to
+     * @returns {Object} Summary data for getSummaryTemplate()
+     */
+    buildSummary(date, channelId = undefined) {
+        const [morningThread] = this.repository.findThreads({ date, type: 'morning', channelId }).slice(-1);
+        const [eveningThread] = this.repository.findThreads({ date, type: 'evening', channelId }).slice(-1);
+
+        const people = new Map();
+        const responses = this.repository.getResponses({ date, channelId });
+
+        for (const response of responses) {
+            if (!people.has(response.authorId)) {
+                people.set(response.authorId, {
+                    authorId: response.authorId,
+                    authorTag: response.authorTag,
+                    completed: [],
+                    blockers: [],
+                    tomorrow: [],
+                    unstructured: false
+                });
+            }
+
+            const person = people.get(response.authorId);
+            const sections = response.sections || {};
+
+            if (response.parseStatus !== 'parsed') {
+                person.unstructured = true;
+                continue;
+            }
+
+            if (response.type === 'morning') {
+                person.blockers.push(...(sections.blockers || []));
+            } else if (response.type === 'evening') {
+                person.completed.push(...(sections.completed || []));
+                person.tomorrow.push(...(sections.tomorrow || []));
+            }
+        }
+
+        return {
+            date,
+            displayDate: formatDateKey(date),
+            morningThreadUrl: this.getThreadUrl(morningThread),
+            eveningThreadUrl: this.getThreadUrl(eveningThread),
+            people: [...people.values()]
+        };
+    }
+
+    /**
+     * Build and send the summary embed
+     * @param {TextChannel} channel - Main DSU channel
+     * @param {string} date - Local DSU date (YYYY-MM-DD)
+     * @param {Object} config - Template configuration of the team (see mergeConfig)
+     * @returns {Promise<Message>} Sent summary message
+     */
+    async postSummary(channel, date, config = DSU_CONFIG) {
+        const summary = this.buildSummary(date, channel.id);
+        const message = await dryRun.send(channel, getSummaryTemplate(summary, config));
+
+        logger.dsu(`📊 Daily DSU summary for ${date} posted to #${channel.name} (${summary.people.length} reporter(s))`);
+        return message;
+    }
+
+    getThreadUrl(thread) {
+        if (!thread || !thread.guildId) {
+            return null;
+        }
+        return `https://discord.com/channels/${thread.guildId}/${thread.threadId}`;
+    }
+
+    /**
+     * Get summary configuration status
+     * @returns {Object} Summary configuration information
+     */
+    getSummaryConfig() {
+        return {
+            ...this.summaryConfig,
+            pending: this.timers.size
+        };
+    }
+}
+
+module.exports = DailySummary;
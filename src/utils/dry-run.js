@@ -0,0 +1,155 @@
+/**
+ * Dry Run
+ *
+ * @author opisboy29
+ * @repository git@github.com:opisboy29/discord-dsu-bot.git
+ * @description DRY_RUN mode: DSUs, threads, thread messages, replies and DMs are logged (or written to a file) instead of sent
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+class DryRun {
+    constructor() {
+        this.enabled = process.env.DRY_RUN === 'true';
+        // JSON lines file the payloads are appended to (logs only when unset)
+        this.outputFile = process.env.DRY_RUN_FILE ? path.resolve(process.env.DRY_RUN_FILE) : null;
+        this.count = 0;
+    }
+
+    /**
+     * Send a message to a channel, thread or user - or only record it in dry-run mode.
+     * Targets created by a dry run (fake threads) are always recorded.
+     * @param {TextChannel|ThreadChannel|User} target - Where the message goes
+     * @param {Object|string} payload - Message payload
+     * @param {string} kind - 'message', 'thread-message' or 'dm' (for logs)
+     * @returns {Promise<Message|Object>} Sent message, or a stand-in with an ID and the payload
+     */
+    async send(target, payload, kind = 'message') {
+        if (!this.enabled && !target.dryRun) {
+            return target.send(payload);
+        }
+
+        await this.record(kind, target, payload);
+        return this.standIn(target, payload, this.nextId());
+    }
+
+    /**
+     * Reply to a message - or only record the reply in dry-run mode
+     * @param {Message} message - Message replied to
+     * @param {Object|string} payload - Reply payload
+     * @returns {Promise<Message|Object>} Sent reply, or a stand-in
+     */
+    async reply(message, payload) {
+        if (!this.enabled && !message.dryRun) {
+            return message.reply(payload);
+        }
+
+        await this.record('reply', message.channel, payload);
+        return this.standIn(message.channel, payload, this.nextId());
+    }
+
+    /**
+     * Edit a message - or only record the new payload in dry-run mode
+     * @param {Message} message - Message to edit
+     * @param {Object|string} payload - New payload
+     * @returns {Promise<Message|Object>} Edited message, or a stand-in keeping its ID
+     */
+    async edit(message, payload) {
+        if (!this.enabled && !message.dryRun) {
+            return message.edit(payload);
+        }
+
+        await this.record('edit', message.channel, payload);
+        return this.standIn(message.channel, payload, message.id);
+    }
+
+    standIn(target, payload, id) {
+        const body = typeof payload === 'string' ? { content: payload } : payload;
+        return {
+            ...body,
+            id,
+            channel: target,
+            channelId: target.id,
+            guild: target.guild || null,
+            client: target.client,
+            dryRun: true
+        };
+    }
+
+    /**
+     * Start a thread on a message - or only record it in dry-run mode
+     * @param {Message} message - DSU message
+     * @param {Object} options - startThread options ({ name, autoArchiveDuration, reason })
+     * @returns {Promise<ThreadChannel|Object>} Created thread, or a stand-in whose messages are recorded too
+     */
+    async startThread(message, options) {
+        if (!this.enabled && !message.dryRun) {
+            return message.startThread(options);
+        }
+
+        await this.record('thread', message.channel, options);
+        const thread = {
+            id: this.nextId(),
+            name: options.name,
+            parentId: message.channel.id,
+            guild: message.guild || null,
+            guildId: message.guild ? message.guild.id : null,
+            client: message.client,
+            dryRun: true
+        };
+        thread.send = (payload) => this.send(thread, payload, 'thread-message');
+        return thread;
+    }
+
+    /**
+     * Log a payload that would have been sent and append it to DRY_RUN_FILE
+     * @param {string} kind - 'message', 'thread', 'thread-message', 'dm', 'reply' or 'edit'
+     * @param {Object} target - Channel, thread or user
+     * @param {Object|string} payload - Payload that would have been sent
+     */
+    async record(kind, target, payload) {
+        const to = this.describeTarget(target);
+        const action = { thread: 'start a thread in', reply: 'reply in', edit: 'edit a message in' }[kind] || `send a ${kind} to`;
+        logger.info(`🧪 [DRY RUN] Would ${action} ${to}:`, payload);
+
+        if (!this.outputFile) {
+            return;
+        }
+        const line = JSON.stringify({ at: new Date().toISOString(), kind, to, targetId: target.id, payload });
+        try {
+            await fs.promises.mkdir(path.dirname(this.outputFile), { recursive: true });
+            await fs.promises.appendFile(this.outputFile, `${line}\n`, 'utf8');
+        } catch (error) {
+            logger.error(`❌ Failed to write dry-run payload to ${this.outputFile}:`, error);
+        }
+    }
+
+    /**
+     * @param {Object} target - Channel, thread or user
+     * @returns {string} e.g. "#dsu (123)" or "@alice (456)"
+     */
+    describeTarget(target) {
+        if (target.tag || target.username) {
+            return `@${target.tag || target.username} (${target.id})`;
+        }
+        return `#${target.name || 'unknown'} (${target.id})`;
+    }
+
+    nextId() {
+        this.count++;
+        return `dry-run-${this.count}`;
+    }
+
+    /**
+     * @returns {Object} { enabled, outputFile, recorded }
+     */
+    getDryRunConfig() {
+        return { enabled: this.enabled, outputFile: this.outputFile, recorded: this.count };
+    }
+}
+
+// Export singleton instance (class exposed for tests)
+module.exports = new DryRun();
+module.exports.DryRun = DryRun;
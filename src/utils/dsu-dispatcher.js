@@ -0,0 +1,228 @@
+/**
+ * DSU Dispatcher
+ *
+ * @author opisboy29
+ * @repository git@github.com:opisboy29/discord-dsu-bot.git
+ * @description One send pipeline for every DSU type: template, send ledger, post, thread and follow-ups
+ */
+
+const logger = require('./logger');
+const ThreadManager = require('./thread-manager');
+const defaultSendLedger = require('../storage/send-ledger');
+const defaultDryRun = require('./dry-run');
+const { generateThreadTitle, SUBMIT_BUTTON_PREFIX, TEMPLATE_FORMATS } = require('../../config/dsu-templates');
+const { resolveDSUTemplate } = require('./template-resolver');
+const { getDSUType } = require('./dsu-types');
+const { isRetryableError } = require('./retry-policy');
+const { getLocalDateKey } = require('./time-utils');
+
+/**
+ * Show a note above a DSU message
+ * @param {Object|string} template - Rendered DSU template
+ * @param {string} note - Note to add
+ * @returns {Object|string} Template with the note
+ */
+function addNote(template, note) {
+    if (typeof template === 'string') {
+        return `${note}\n\n${template}`;
+    }
+    return { ...template, content: template.content ? `${note}\n${template.content}` : note };
+}
+
+class DSUDispatcher {
+    /**
+     * @param {Object} services
+     * @param {ThreadManager} services.threadManager - Opens DSU threads
+     * @param {AttendanceTracker|null} services.attendanceTracker - Nudges roster members who haven't replied
+     * @param {DailySummary|null} services.dailySummary - Posts the end-of-day summary
+     * @param {SendLedger} services.sendLedger - DSUs already sent per team, type and day
+     * @param {DryRun} services.dryRun - Records DSUs instead of posting them when DRY_RUN is on
+     */
+    constructor({ threadManager = new ThreadManager(), attendanceTracker = null, dailySummary = null, sendLedger = defaultSendLedger,
+        dryRun = defaultDryRun } = {}) {
+        this.threadManager = threadManager;
+        this.attendanceTracker = attendanceTracker;
+        this.dailySummary = dailySummary;
+        this.sendLedger = sendLedger;
+        this.dryRun = dryRun;
+    }
+
+    /**
+     * Claim a team's DSU for a day before sending it (see SendLedger.claim)
+     * @param {string} type - DSU type
+     * @param {Object} team - Team from the team registry
+     * @param {string} dateKey - Local date of the DSU (YYYY-MM-DD)
+     * @param {Object} details - Stored with the claim, e.g. { source: 'manual', by }
+     * @param {Object} options
+     * @param {boolean} options.force - Claim even if the DSU was already sent
+     * @returns {Promise<{claimed: boolean, entry: Object}>} The new entry, or the existing one when not claimed
+     */
+    async claim(type, team, dateKey, details = {}, { force = false } = {}) {
+        const claim = await this.sendLedger.claim(team.id, type, dateKey, details, { force });
+        if (!claim.claimed) {
+            logger.warn(`⏭️ [${team.id}] ${getDSUType(type).label} DSU for ${dateKey} was already ` +
+                `${claim.entry.status === 'sent' ? 'sent' : 'being sent'} (${claim.entry.source}) - not posting it again`, null,
+                { event: 'dsu.duplicate', team: team.id, messageId: claim.entry.messageId });
+        }
+        return claim;
+    }
+
+    /**
+     * Render a DSU for a channel (throws if the template is invalid)
+     * @param {string} type - DSU type
+     * @param {Object} options
+     * @param {TextChannel} [options.channel] - Target channel, used to detect missing EmbedLinks
+     * @param {ClientUser} [options.clientUser] - The bot user
+     * @param {Object|null} [options.team] - Team whose template settings apply
+     * @param {string|null} [options.format] - Requested format (defaults to the team's or TEMPLATE_FORMAT)
+     * @param {string|null} [options.note] - Text shown above the DSU, e.g. the delayed note of a catch-up
+     * @returns {{template: Object|string, format: string, fallback: boolean, source: string}} See resolveDSUTemplate
+     */
+    render(type, { channel = null, clientUser = null, team = null, format = null, note = null } = {}) {
+        const resolved = resolveDSUTemplate(type, { format, channel, clientUser, config: team ? team.config : undefined });
+        return note ? { ...resolved, template: addNote(resolved.template, note) } : resolved;
+    }
+
+    /**
+     * Whether a posted message is a DSU of a type: its thread is registered for that type, or it carries
+     * the type's submit button or the title the team's template renders for it
+     * @param {Message} message - Message from the team's channel
+     * @param {string} type - DSU type
+     * @param {Object|null} team - Team whose template settings apply
+     * @returns {boolean} True if the message is that DSU (not a summary, alert or other DSU type)
+     */
+    isDSUMessage(message, type, team = null) {
+        if (this.threadManager.repository.findThreads({ messageId: message.id, type }).length > 0) {
+            return true;
+        }
+
+        const customIds = (message.components || []).flatMap(row => (row.components || []).map(component => component.customId));
+        if (customIds.includes(`${SUBMIT_BUTTON_PREFIX}:${type}`)) {
+            return true;
+        }
+
+        const embedTitles = (message.embeds || []).map(embed => embed.title);
+        return this.getTitles(type, team).some(title => embedTitles.includes(title) || (message.content || '').includes(title));
+    }
+
+    /**
+     * @param {string} type - DSU type
+     * @param {Object|null} team - Team whose template settings apply
+     * @returns {Array<string>} Embed titles and text headings (without mentions) the team's templates render for a type
+     */
+    getTitles(type, team) {
+        const titles = [];
+        for (const format of TEMPLATE_FORMATS) {
+            try {
+                const { template } = this.render(type, { team, format });
+                const title = typeof template === 'string'
+                    ? template.split('\n')[0].replace(/<@[!&]?\d+>|@everyone|@here/g, '').trim()
+                    : (template.embeds && template.embeds[0] ? template.embeds[0].title : null);
+                if (title) {
+                    titles.push(title);
+                }
+            } catch (error) {
+                logger.debug(`Could not render ${type} DSU (${format}) to match its title: ${error.message}`);
+            }
+        }
+        return titles;
+    }
+
+    /**
+     * Post a DSU. With a dateKey the team's send ledger claim is marked as sent
+     * (a dry run releases it instead, so the real DSU can still go out).
+     * @param {string} type - DSU type
+     * @param {Object} target
+     * @param {TextChannel} target.channel - Channel to post in
+     * @param {ClientUser} target.clientUser - The bot user
+     * @param {Object|null} target.team - Team whose template settings apply
+     * @param {Object} options
+     * @param {string|null} options.format - Requested template format
+     * @param {string|null} options.note - Text shown above the DSU
+     * @param {string|null} options.dateKey - Local date of the claimed DSU
+     * @param {string} options.source - 'scheduled', 'catch-up' or 'manual' (for logs)
+     * @returns {Promise<{message: Message, format: string, fallback: boolean}>} Posted message and the format used
+     */
+    async post(type, { channel, clientUser, team = null }, { format = null, note = null, dateKey = null, source = 'scheduled' } = {}) {
+        const resolved = this.render(type, { channel, clientUser, team, format, note });
+        const message = await this.dryRun.send(channel, resolved.template);
+        if (team && dateKey) {
+            if (message.dryRun) {
+                await this.sendLedger.release(team.id, type, dateKey);
+            } else {
+                await this.sendLedger.complete(team.id, type, dateKey, { messageId: message.id, channelId: channel.id });
+            }
+        }
+
+        logger.dsu(`${team ? `[${team.id}] ` : ''}${getDSUType(type).label} DSU ${message.dryRun ? 'rendered (dry run) for' : 'sent to'} ` +
+            `#${channel.name} (${source}, ${resolved.format} format${note ? ', with note' : ''})`, null,
+            { event: message.dryRun ? 'dsu.dry-run' : 'dsu.sent', team: team ? team.id : null, channelId: channel.id, messageId: message.id });
+        logger.debug(`Message ID: ${message.id}`);
+        return { message, format: resolved.format, fallback: resolved.fallback };
+    }
+
+    /**
+     * Open the thread of a posted DSU. With followUps the team's roster is nudged later,
+     * and types with a daily summary schedule it.
+     * @param {string} type - DSU type
+     * @param {Message} message - Posted DSU message
+     * @param {Object} options
+     * @param {Object|null} options.team - Team whose thread settings and roster apply
+     * @param {boolean} options.followUps - Schedule nudges and the daily summary (the team's own DSU)
+     * @param {boolean} options.throwRetryable - Rethrow transient Discord errors so the outbox can retry
+     * @returns {Promise<Thread|null>} Created thread or null
+     */
+    async openThread(type, message, { team = null, followUps = false, throwRetryable = false } = {}) {
+        let thread = null;
+        try {
+            const threadTitle = generateThreadTitle(type, team ? team.config : undefined);
+            thread = await this.threadManager.createDSUThread(message, threadTitle, type, team, { throwRetryable });
+            if (thread) {
+                logger.success(`🧵 ${type} DSU thread created: #${thread.name}`, null,
+                    { event: 'thread.created', team: team ? team.id : null, channelId: thread.id, messageId: message.id });
+            }
+        } catch (error) {
+            if (throwRetryable && isRetryableError(error)) {
+                throw error;
+            }
+            // A missing thread shouldn't undo the DSU
+            logger.warn(`⚠️ Failed to create ${type} DSU thread:`, error.message,
+                { event: 'thread.failed', team: team ? team.id : null, messageId: message.id });
+        }
+
+        if (followUps && team) {
+            if (this.attendanceTracker) {
+                this.attendanceTracker.scheduleFollowUp(thread, type, team.mentions);
+            }
+            if (this.dailySummary && getDSUType(type).dailySummary) {
+                this.dailySummary.scheduleSummary(message.channel, getLocalDateKey(team.timezone), team.config);
+            }
+        }
+        return thread;
+    }
+
+    /**
+     * Post a DSU and open its thread in one go (manual sends; scheduled sends run both steps
+     * as separate outbox jobs). A failed post releases the ledger claim so it can be sent again.
+     * @param {string} type - DSU type
+     * @param {Object} target - { channel, clientUser, team } (see post)
+     * @param {Object} options - post options plus followUps (see openThread)
+     * @returns {Promise<{message: Message, thread: Thread|null, format: string, fallback: boolean}>} Result
+     */
+    async dispatch(type, target, { followUps = false, ...options } = {}) {
+        let posted;
+        try {
+            posted = await this.post(type, target, options);
+        } catch (error) {
+            if (target.team && options.dateKey) {
+                await this.sendLedger.release(target.team.id, type, options.dateKey);
+            }
+            throw error;
+        }
+
+        const thread = await this.openThread(type, posted.message, { team: target.team, followUps });
+        return { ...posted, thread };
+    }
+}
+
+module.exports = DSUDispatcher;
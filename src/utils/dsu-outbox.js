@@ -0,0 +1,223 @@
+/**
+ * DSU Outbox
+ *
+ * @author opisboy29
+ * @repository git@github.com:opisboy29/discord-dsu-bot.git
+ * @description Persistent queue that retries failed DSU posts and thread creation, then alerts admins
+ */
+
+const crypto = require('crypto');
+const logger = require('./logger');
+const JsonStore = require('../storage/json-store');
+const { isRetryableError, getRetryDelayMs } = require('./retry-policy');
+
+class DSUOutbox {
+    /**
+     * @param {string} storePath - File with jobs waiting for a retry (defaults to DATA_DIR/outbox.json)
+     * @param {Object} processors - Job kind -> { run(payload, context), describe(payload), onRetry?(payload), onGiveUp?(payload) }
+     */
+    constructor(storePath = JsonStore.resolvePath('outbox.json'), processors = {}) {
+        // jobs: [{ id, kind, payload, attempts, nextAttemptAt, lastError, createdAt }]
+        this.store = new JsonStore(storePath, { jobs: [] });
+        this.processors = processors;
+        this.client = null;
+        this.timers = new Map(); // job ID -> retry timer
+        this.outboxConfig = {
+            maxAttempts: Math.max(1, parseInt(process.env.OUTBOX_MAX_ATTEMPTS) || 5),
+            baseDelayMs: (parseInt(process.env.OUTBOX_RETRY_BASE_SECONDS) || 30) * 1000,
+            maxDelayMs: (parseInt(process.env.OUTBOX_RETRY_MAX_SECONDS) || 900) * 1000,
+            alertChannelId: process.env.ALERT_CHANNEL_ID || null,
+            alertWebhookUrl: process.env.ALERT_WEBHOOK_URL || null
+        };
+    }
+
+    /**
+     * Resume jobs left in the outbox by a previous run
+     * @param {Client} discordClient - Discord client (used for channel alerts)
+     */
+    start(discordClient) {
+        this.client = discordClient;
+
+        const jobs = this.store.get().jobs;
+        jobs.forEach(job => this.scheduleRetry(job));
+        if (jobs.length > 0) {
+            logger.info(`📮 Resumed ${jobs.length} DSU outbox job(s)`);
+        }
+    }
+
+    /**
+     * Run a job now. If it fails with a transient error it is saved and retried with backoff.
+     * @param {string} kind - Processor name
+     * @param {Object} payload - JSON-serializable job data
+     * @param {Object} context - Extra data for this first attempt only (not persisted), e.g. a message object
+     * @returns {Promise<*>} Result of the processor, or null if the first attempt failed
+     */
+    async enqueue(kind, payload, context = {}) {
+        if (!this.processors[kind]) {
+            throw new Error(`Unknown outbox job kind: ${kind}`);
+        }
+
+        const job = { id: crypto.randomUUID(), kind, payload, attempts: 0, createdAt: new Date().toISOString() };
+        return this.attempt(job, context);
+    }
+
+    /**
+     * @param {Object} job - Outbox job
+     * @param {Object} context - Extra data for this attempt
+     * @returns {Promise<*>} Result of the processor, or null on failure
+     */
+    async attempt(job, context = {}) {
+        const processor = this.processors[job.kind];
+        job.attempts++;
+
+        try {
+            const result = await processor.run(job.payload, context);
+            if (job.attempts > 1) {
+                logger.success(`📮 ${processor.describe(job.payload)} succeeded on attempt ${job.attempts}`);
+            }
+            this.remove(job);
+            return result;
+        } catch (error) {
+            await this.handleFailure(job, error);
+            return null;
+        }
+    }
+
+    /**
+     * Schedule the next attempt of a failed job, or give up and alert
+     * @param {Object} job - Outbox job
+     * @param {Error} error - The failure
+     */
+    async handleFailure(job, error) {
+        const processor = this.processors[job.kind];
+        const description = processor.describe(job.payload);
+        job.lastError = error.message;
+
+        if (isRetryableError(error) && job.attempts < this.outboxConfig.maxAttempts) {
+            const delayMs = getRetryDelayMs(job.attempts, {
+                baseMs: this.outboxConfig.baseDelayMs,
+                maxMs: this.outboxConfig.maxDelayMs,
+                error
+            });
+            job.nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+            logger.warn(`📮 ${description} failed (attempt ${job.attempts}/${this.outboxConfig.maxAttempts}): ${error.message} - ` +
+                `retrying in ${Math.round(delayMs / 1000)}s`, null, { event: 'outbox.retry', team: job.payload.teamId });
+
+            const jobs = this.store.get().jobs;
+            const index = jobs.findIndex(candidate => candidate.id === job.id);
+            if (index === -1) {
+                jobs.push(job);
+            } else {
+                jobs[index] = job;
+            }
+            await this.store.save();
+            if (processor.onRetry) {
+                await processor.onRetry(job.payload);
+            }
+            this.scheduleRetry(job);
+            return;
+        }
+
+        logger.error(`❌ ${description} failed after ${job.attempts} attempt(s), giving up:`, error,
+            { event: 'outbox.give-up', team: job.payload.teamId });
+        this.remove(job);
+        if (processor.onGiveUp) {
+            await processor.onGiveUp(job.payload);
+        }
+        await this.alert(`🚨 ${description} failed after ${job.attempts} attempt(s): ${error.message}`);
+    }
+
+    /**
+     * @param {Object} job - Outbox job with nextAttemptAt
+     */
+    scheduleRetry(job) {
+        clearTimeout(this.timers.get(job.id));
+        const delayMs = Math.max(0, new Date(job.nextAttemptAt || 0).getTime() - Date.now());
+        const timer = setTimeout(() => {
+            this.timers.delete(job.id);
+            this.attempt(job).catch(error => logger.error(`❌ Outbox retry of job ${job.id} failed:`, error,
+                { event: 'outbox.retry-error', team: job.payload.teamId }));
+        }, delayMs);
+        this.timers.set(job.id, timer);
+    }
+
+    /**
+     * @param {Object} job - Outbox job that finished (or was given up)
+     */
+    remove(job) {
+        clearTimeout(this.timers.get(job.id));
+        this.timers.delete(job.id);
+
+        const data = this.store.get();
+        const remaining = data.jobs.filter(candidate => candidate.id !== job.id);
+        if (remaining.length !== data.jobs.length) {
+            data.jobs = remaining;
+            this.store.save();
+        }
+    }
+
+    /**
+     * Tell admins about a DSU that could not be delivered (ALERT_CHANNEL_ID and/or ALERT_WEBHOOK_URL)
+     * @param {string} content - Alert text
+     */
+    async alert(content) {
+        const { alertChannelId, alertWebhookUrl } = this.outboxConfig;
+        if (!alertChannelId && !alertWebhookUrl) {
+            logger.warn('💡 Set ALERT_CHANNEL_ID or ALERT_WEBHOOK_URL to be alerted about failed DSUs');
+            return;
+        }
+
+        if (alertChannelId && this.client) {
+            try {
+                const channel = await this.client.channels.fetch(alertChannelId);
+                await channel.send({ content });
+            } catch (error) {
+                logger.error(`❌ Failed to post alert to channel ${alertChannelId}:`, error);
+            }
+        }
+
+        if (alertWebhookUrl) {
+            try {
+                const response = await fetch(alertWebhookUrl, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ content })
+                });
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+            } catch (error) {
+                logger.error('❌ Failed to post alert to webhook:', error);
+            }
+        }
+    }
+
+    /**
+     * Cancel retry timers (jobs stay in the store and resume on the next start)
+     */
+    stop() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+    }
+
+    /**
+     * Wait for pending outbox writes
+     * @returns {Promise<void>}
+     */
+    flush() {
+        return this.store.flush();
+    }
+
+    /**
+     * @returns {Object} Outbox settings and the number of jobs waiting for a retry
+     */
+    getOutboxConfig() {
+        return {
+            maxAttempts: this.outboxConfig.maxAttempts,
+            alerts: [this.outboxConfig.alertChannelId && 'channel', this.outboxConfig.alertWebhookUrl && 'webhook'].filter(Boolean),
+            pending: this.store.get().jobs.length
+        };
+    }
+}
+
+module.exports = DSUOutbox;
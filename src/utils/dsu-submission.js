@@ -0,0 +1,244 @@
+/**
+ * DSU Form Submission
+ *
+ * @author opisboy29
+ * @repository git@github.com:opisboy29/discord-dsu-bot.git
+ * @description Handles the "Submit my update" button: opens a form, posts the answer in the DSU thread and stores it
+ */
+
+const { ModalBuilder, TextInputBuilder, TextInputStyle, ActionRowBuilder, MessageFlags } = require('discord.js');
+const logger = require('./logger');
+const dryRun = require('./dry-run');
+const dsuRepository = require('../storage/dsu-repository');
+const defaultTeamRegistry = require('./team-registry');
+const defaultTemplateLoader = require('./template-loader');
+const PlanReview = require('./plan-review');
+const { parseItems, getSections, matchHeading, stripMarkdown } = require('./response-parser');
+const { formatDateKey } = require('./time-utils');
+const { getSubmissionTemplate, SUBMIT_BUTTON_PREFIX, DSU_CONFIG } = require('../../config/dsu-templates');
+
+const MODAL_PREFIX = `${SUBMIT_BUTTON_PREFIX}-modal`;
+const MODAL_TITLE_LIMIT = 45;
+const INPUT_LABEL_LIMIT = 45;
+const FIELD_MAX_LENGTH = 1000;
+
+class DSUSubmission {
+    /**
+     * @param {DSURepository} repository - Response store (defaults to the shared repository)
+     * @param {PlanReview} planReview - Plan-vs-done reviewer for evening submissions
+     * @param {Object} services
+     * @param {TeamRegistry} services.teamRegistry - Teams whose template settings word the form
+     * @param {TemplateLoader} services.templateLoader - Template files whose field names word the form
+     */
+    constructor(repository = dsuRepository, planReview = new PlanReview(repository),
+        { teamRegistry = defaultTeamRegistry, templateLoader = defaultTemplateLoader } = {}) {
+        this.repository = repository;
+        this.planReview = planReview;
+        this.teamRegistry = teamRegistry;
+        this.templateLoader = templateLoader;
+    }
+
+    /**
+     * Handle an interactionCreate event
+     * @param {Interaction} interaction - Discord interaction
+     * @returns {Promise<boolean>} True if the interaction belonged to the DSU form
+     */
+    async handleInteraction(interaction) {
+        if (interaction.isButton() && interaction.customId.startsWith(`${SUBMIT_BUTTON_PREFIX}:`)) {
+            await this.handleButton(interaction);
+            return true;
+        }
+
+        if (interaction.isModalSubmit() && interaction.customId.startsWith(`${MODAL_PREFIX}:`)) {
+            await this.handleModalSubmit(interaction);
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Open the DSU form for the thread of the clicked DSU message
+     * @param {ButtonInteraction} interaction - Button click
+     */
+    async handleButton(interaction) {
+        const [thread] = this.repository.findThreads({ messageId: interaction.message.id });
+        if (!thread) {
+            await interaction.reply({
+                content: '🧵 This DSU has no discussion thread to post your update in. Please reply in the channel instead.',
+                flags: MessageFlags.Ephemeral
+            });
+            return;
+        }
+
+        const previous = this.getPreviousSubmission(thread.threadId, interaction.user.id);
+        await interaction.showModal(this.buildModal(thread, previous));
+        logger.debug(`📝 Opened ${thread.type} DSU form for ${interaction.user.tag}`);
+    }
+
+    /**
+     * Post and store a submitted DSU form
+     * @param {ModalSubmitInteraction} interaction - Form submission
+     */
+    async handleModalSubmit(interaction) {
+        const threadId = interaction.customId.slice(MODAL_PREFIX.length + 1);
+        const thread = this.repository.getThread(threadId);
+        if (!thread) {
+            await interaction.reply({ content: '❌ This DSU thread is no longer tracked.', flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+        const sections = {};
+        for (const section of getSections(thread.type)) {
+            sections[section.key] = parseItems(interaction.fields.getTextInputValue(section.key));
+        }
+
+        try {
+            const channel = await interaction.client.channels.fetch(thread.threadId);
+            const payload = getSubmissionTemplate({
+                type: thread.type,
+                authorTag: interaction.user.tag,
+                avatarUrl: typeof interaction.user.displayAvatarURL === 'function' ? interaction.user.displayAvatarURL() : null,
+                displayDate: formatDateKey(thread.date),
+                sections
+            });
+
+            // Resubmitting replaces the earlier form post instead of adding another one
+            const previous = this.getPreviousSubmission(thread.threadId, interaction.user.id);
+            const message = await this.publish(channel, payload, previous);
+
+            const record = await this.repository.saveResponse(this.buildRecord(message, thread, interaction.user, sections));
+            logger.info(`📝 Stored ${thread.type} DSU form from ${interaction.user.tag} (thread ${thread.threadId})`);
+
+            await this.planReview.reviewResponse(record, { thread: channel, user: interaction.user });
+            await interaction.editReply({
+                content: `✅ Your ${thread.type} update was ${previous ? 'updated' : 'posted'} in <#${thread.threadId}>`
+            });
+        } catch (error) {
+            logger.error(`❌ Failed to post ${thread.type} DSU form from ${interaction.user.tag}:`, error);
+            await interaction.editReply({ content: '❌ Something went wrong posting your update. Please try again.' });
+        }
+    }
+
+    /**
+     * Send the submission embed, editing the previous one when it still exists
+     * @param {ThreadChannel} channel - DSU thread
+     * @param {Object} payload - Message payload
+     * @param {Object|null} previous - Previous form submission record
+     * @returns {Promise<Message>} Posted message
+     */
+    async publish(channel, payload, previous) {
+        if (previous) {
+            try {
+                const message = await channel.messages.fetch(previous.messageId);
+                return await dryRun.edit(message, payload);
+            } catch (error) {
+                logger.debug(`Previous DSU form post ${previous.messageId} unavailable, posting a new one`);
+            }
+        }
+        return dryRun.send(channel, payload, 'thread-message');
+    }
+
+    /**
+     * Build the form with one text input per template section, prefilled with the previous answer
+     * @param {Object} thread - Thread record
+     * @param {Object|null} previous - Previous form submission record
+     * @returns {ModalBuilder} Discord modal
+     */
+    buildModal(thread, previous) {
+        const title = `${thread.type === 'morning' ? '🌅 Morning' : '🌆 Evening'} DSU • ${formatDateKey(thread.date)}`;
+        const modal = new ModalBuilder()
+            .setCustomId(`${MODAL_PREFIX}:${thread.threadId}`)
+            .setTitle(title.slice(0, MODAL_TITLE_LIMIT));
+
+        const rows = this.getFormSections(thread).map(section => {
+            const label = section.question.startsWith(section.emoji) ? section.question : `${section.emoji} ${section.question}`;
+            const input = new TextInputBuilder()
+                .setCustomId(section.key)
+                .setLabel(label.slice(0, INPUT_LABEL_LIMIT))
+                .setStyle(TextInputStyle.Paragraph)
+                .setPlaceholder('One item per line')
+                .setRequired(section.required)
+                .setMaxLength(FIELD_MAX_LENGTH);
+
+            const items = previous && previous.sections ? previous.sections[section.key] || [] : [];
+            if (items.length > 0) {
+                input.setValue(items.join('\n').slice(0, FIELD_MAX_LENGTH));
+            }
+
+            return new ActionRowBuilder().addComponents(input);
+        });
+
+        return modal.addComponents(...rows);
+    }
+
+    /**
+     * Sections of the form, asked the way the thread's DSU asked them: a template file field
+     * matching the section, else the team's question for it
+     * @param {Object} thread - Thread record
+     * @returns {Array<Object>} Section definitions with the question to show
+     */
+    getFormSections(thread) {
+        const team = thread.teamId ? this.teamRegistry.getTeam(thread.teamId) : this.teamRegistry.getDefaultTeam();
+        const config = team ? team.config : DSU_CONFIG;
+        const questions = config.questions[thread.type] || {};
+        const fieldNames = this.getTemplateFieldNames(thread.type, config);
+
+        return getSections(thread.type).map(section => {
+            const fieldName = fieldNames.find(name => matchHeading(name, [section]));
+            return { ...section, question: fieldName || questions[section.key] || section.question };
+        });
+    }
+
+    /**
+     * @param {string} type - DSU type
+     * @param {Object} config - Team template configuration
+     * @returns {Array<string>} Field names of the type's embed template file, without markdown (empty if there is none)
+     */
+    getTemplateFieldNames(type, config) {
+        for (const format of new Set([config.templateFormat, 'full', 'compact'])) {
+            const template = this.templateLoader.render(type, format, {}, config);
+            if (template && template.embeds) {
+                return template.embeds[0].fields.map(field => stripMarkdown(field.name));
+            }
+        }
+        return [];
+    }
+
+    /**
+     * @param {string} threadId - DSU thread ID
+     * @param {string} authorId - Discord user ID
+     * @returns {Object|null} Latest form submission by this person in the thread
+     */
+    getPreviousSubmission(threadId, authorId) {
+        const submissions = this.repository.getResponses({ threadId, authorId, parseFormat: 'form' });
+        return submissions.length > 0 ? submissions[submissions.length - 1] : null;
+    }
+
+    buildRecord(message, thread, user, sections) {
+        const sectionDefs = getSections(thread.type);
+
+        return {
+            messageId: message.id,
+            threadId: thread.threadId,
+            channelId: thread.channelId,
+            guildId: thread.guildId,
+            type: thread.type,
+            date: thread.date,
+            authorId: user.id,
+            authorTag: user.tag,
+            content: sectionDefs
+                .map(section => `${section.emoji} ${section.label}:\n${sections[section.key].map(item => `• ${item}`).join('\n')}`)
+                .join('\n'),
+            sections,
+            missingSections: sectionDefs.filter(section => sections[section.key].length === 0).map(section => section.key),
+            parseStatus: 'parsed',
+            parseFormat: 'form',
+            needsReformat: false
+        };
+    }
+}
+
+module.exports = DSUSubmission;
@@ -0,0 +1,64 @@
+/**
+ * DSU Types
+ *
+ * @author opisboy29
+ * @repository git@github.com:opisboy29/discord-dsu-bot.git
+ * @description Registry of DSU types (morning, evening, ...) dispatched by the scheduler and manual commands
+ */
+
+// type -> { type, emoji, label, render, dailySummary }
+const DSU_TYPES = new Map();
+
+/**
+ * Register a DSU type. Registered types get a manual /dsu <type> command and go through the
+ * same dispatch pipeline (template, send ledger, thread, follow-ups) as morning and evening.
+ * @param {string} type - Type ID, used in commands, ledger keys, template files and thread titles
+ * @param {Object} definition
+ * @param {string} definition.emoji - Shown in logs and replies
+ * @param {string} definition.label - Capitalized name, e.g. 'Morning'
+ * @param {Function} [definition.render] - (format, config) => template, for types without a built-in template
+ * @param {boolean} [definition.dailySummary] - Post the end-of-day summary after this DSU's thread opens
+ */
+function registerDSUType(type, { emoji, label, render = null, dailySummary = false }) {
+    if (DSU_TYPES.has(type)) {
+        throw new Error(`DSU type "${type}" is already registered`);
+    }
+    DSU_TYPES.set(type, { type, emoji, label, render, dailySummary });
+}
+
+/**
+ * @param {string} type - Type ID
+ * @returns {Object} Registered definition
+ */
+function getDSUType(type) {
+    const definition = DSU_TYPES.get(type);
+    if (!definition) {
+        throw new Error(`Unknown DSU type: ${type}`);
+    }
+    return definition;
+}
+
+/**
+ * @param {string} type - Type ID
+ * @returns {boolean} True if the type is registered
+ */
+function isDSUType(type) {
+    return DSU_TYPES.has(type);
+}
+
+/**
+ * @returns {Array<Object>} Registered definitions in registration order
+ */
+function getDSUTypes() {
+    return [...DSU_TYPES.values()];
+}
+
+registerDSUType('morning', { emoji: '🌅', label: 'Morning' });
+registerDSUType('evening', { emoji: '🌆', label: 'Evening', dailySummary: true });
+
+module.exports = {
+    registerDSUType,
+    getDSUType,
+    isDSUType,
+    getDSUTypes
+};
@@ -0,0 +1,357 @@
+/**
+ * Holiday Calendar
+ *
+ * @author opisboy29
+ * @repository git@github.com:opisboy29/discord-dsu-bot.git
+ * @description Public holidays and company days off (ICS or JSON file plus entries added by command) that skip scheduled DSUs
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const JsonStore = require('../storage/json-store');
+const { getLocalDateKey, formatDateKey, addDays, getDayOfWeek, isDateKey } = require('./time-utils');
+
+const DEFAULT_HOLIDAY_FILES = ['holidays.json', 'holidays.ics']
+    .map(file => path.join(__dirname, '../../config', file));
+const MONTH_DAY_PATTERN = /^\d{2}-\d{2}$/;
+
+/**
+ * Turn a JSON/command entry into a holiday. "MM-DD" dates repeat every year.
+ * @param {Object} entry - { name, date, end?, recurring?, teams? }
+ * @param {string} source - 'file' or 'command'
+ * @returns {Object} Holiday { id, name, start, end, recurring, teams, source }
+ */
+function normalizeEntry(entry, source) {
+    if (!entry || typeof entry !== 'object') {
+        throw new Error('holiday must be an object');
+    }
+
+    const name = typeof entry.name === 'string' ? entry.name.trim() : '';
+    if (!name) {
+        throw new Error('name is required');
+    }
+
+    const date = String(entry.date || entry.start || '');
+    let start = date;
+    let recurring = entry.recurring === true || entry.recurring === 'yearly' ? 'yearly' : null;
+    if (MONTH_DAY_PATTERN.test(start)) {
+        // Month-day only: a yearly holiday anchored in an arbitrary leap year
+        start = `2000-${start}`;
+        recurring = 'yearly';
+    }
+    if (!isDateKey(start)) {
+        throw new Error(`${name}: date must be YYYY-MM-DD (or MM-DD for yearly holidays)`);
+    }
+
+    let end = entry.end ? String(entry.end) : start;
+    if (MONTH_DAY_PATTERN.test(end)) {
+        end = `${start.slice(0, 4)}-${end}`;
+        if (end < start) {
+            end = `${Number(start.slice(0, 4)) + 1}${end.slice(4)}`;
+        }
+    }
+    if (!isDateKey(end) || end < start) {
+        throw new Error(`${name}: end must be a YYYY-MM-DD date on or after the start date`);
+    }
+
+    const teams = entry.teams || entry.team;
+    return {
+        id: String(entry.id || `${date}-${name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}`),
+        name,
+        start,
+        end,
+        recurring,
+        teams: teams ? [].concat(teams).map(String) : null,
+        source
+    };
+}
+
+/**
+ * Parse VEVENTs from an iCalendar file. All-day DTEND is exclusive; FREQ=YEARLY repeats yearly.
+ * @param {string} raw - ICS file contents
+ * @returns {Array<Object>} Entries for normalizeEntry()
+ */
+function parseICS(raw) {
+    // Unfold continuation lines (RFC 5545: a line starting with a space continues the previous one)
+    const lines = raw.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const entries = [];
+    let event = null;
+
+    const toDateKey = (value) => {
+        const match = String(value).match(/^(\d{4})(\d{2})(\d{2})/);
+        return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+    };
+
+    for (const line of lines) {
+        if (line === 'BEGIN:VEVENT') {
+            event = {};
+            continue;
+        }
+        if (line === 'END:VEVENT') {
+            if (event && event.start) {
+                const end = event.end && event.allDay ? addDays(event.end, -1) : event.end;
+                entries.push({
+                    id: event.uid,
+                    name: event.summary || 'Holiday',
+                    date: event.start,
+                    end: end && end >= event.start ? end : event.start,
+                    recurring: event.yearly
+                });
+            }
+            event = null;
+            continue;
+        }
+        if (!event) {
+            continue;
+        }
+
+        const separator = line.indexOf(':');
+        if (separator === -1) {
+            continue;
+        }
+        const [property, ...params] = line.slice(0, separator).split(';');
+        const value = line.slice(separator + 1);
+
+        switch (property.toUpperCase()) {
+            case 'SUMMARY':
+                event.summary = value.replace(/\\([,;\\])/g, '$1').replace(/\\n/gi, ' ').trim();
+                break;
+            case 'UID':
+                event.uid = value.trim();
+                break;
+            case 'DTSTART':
+                event.start = toDateKey(value);
+                event.allDay = params.some(param => param.toUpperCase() === 'VALUE=DATE') || /^\d{8}$/.test(value.trim());
+                break;
+            case 'DTEND':
+                event.end = toDateKey(value);
+                break;
+            case 'RRULE':
+                event.yearly = /FREQ=YEARLY/i.test(value);
+                break;
+        }
+    }
+
+    return entries;
+}
+
+class HolidayCalendar {
+    /**
+     * @param {string} filePath - Holiday file (defaults to HOLIDAYS_FILE or config/holidays.json|ics)
+     * @param {string} storePath - Store for holidays added by command (defaults to DATA_DIR/holiday-store.json)
+     */
+    constructor(filePath = process.env.HOLIDAYS_FILE, storePath = JsonStore.resolvePath('holiday-store.json')) {
+        this.filePath = filePath
+            ? path.resolve(filePath)
+            : DEFAULT_HOLIDAY_FILES.find(file => fs.existsSync(file)) || null;
+        this.store = new JsonStore(storePath, { holidays: [] });
+        this.fileEntries = [];
+        this.errors = [];
+        this.loaded = false;
+    }
+
+    /**
+     * Load holidays from the holiday file. Invalid entries are skipped and reported.
+     * @returns {Object} { loaded: number, errors: [messages] }
+     */
+    load() {
+        const entries = [];
+        const errors = [];
+
+        if (this.filePath && fs.existsSync(this.filePath)) {
+            try {
+                for (const entry of this.parseFile()) {
+                    try {
+                        entries.push(normalizeEntry(entry, 'file'));
+                    } catch (error) {
+                        errors.push(error.message);
+                    }
+                }
+            } catch (error) {
+                errors.push(`Could not parse ${path.basename(this.filePath)}: ${error.message}`);
+            }
+        }
+
+        this.fileEntries = entries;
+        this.errors = errors;
+        this.loaded = true;
+
+        errors.forEach(message => logger.warn(`⚠️ Holiday ignored: ${message}`));
+        if (entries.length > 0) {
+            logger.info(`🏖️ Loaded ${entries.length} holiday(s) from ${path.basename(this.filePath)}`);
+        }
+
+        return { loaded: entries.length, errors };
+    }
+
+    parseFile() {
+        const raw = fs.readFileSync(this.filePath, 'utf8');
+        if (path.extname(this.filePath).toLowerCase() === '.ics') {
+            return parseICS(raw);
+        }
+
+        const parsed = JSON.parse(raw);
+        const holidays = Array.isArray(parsed) ? parsed : (parsed && parsed.holidays);
+        if (!Array.isArray(holidays)) {
+            throw new Error('expected a list of holidays or a "holidays" list');
+        }
+        return holidays;
+    }
+
+    /**
+     * @returns {Array<Object>} Holidays from the file followed by holidays added by command
+     */
+    getEntries() {
+        if (!this.loaded) {
+            this.load();
+        }
+        return [...this.fileEntries, ...this.store.get().holidays];
+    }
+
+    /**
+     * Find the holiday covering a date
+     * @param {string} dateKey - Local date (YYYY-MM-DD)
+     * @param {string} teamId - Team to check (holidays without teams apply to every team)
+     * @returns {Object|null} Holiday or null for a working day
+     */
+    getHoliday(dateKey, teamId = null) {
+        return this.getEntries().find(entry => this.appliesTo(entry, teamId) && this.getOccurrence(entry, dateKey)) || null;
+    }
+
+    /**
+     * The occurrence of a holiday that covers a date, if any
+     * @param {Object} entry - Holiday
+     * @param {string} dateKey - Local date (YYYY-MM-DD)
+     * @returns {Object|null} { start, end }
+     */
+    getOccurrence(entry, dateKey) {
+        const occurrences = entry.recurring === 'yearly'
+            // A range may start in the previous year (e.g. Dec 30 - Jan 2)
+            ? [this.shiftYear(entry, Number(dateKey.slice(0, 4)) - 1), this.shiftYear(entry, Number(dateKey.slice(0, 4)))]
+            : [{ start: entry.start, end: entry.end }];
+
+        return occurrences.find(occurrence => occurrence.start <= dateKey && dateKey <= occurrence.end) || null;
+    }
+
+    shiftYear(entry, year) {
+        const offset = year - Number(entry.start.slice(0, 4));
+        const shift = (dateKey) => `${Number(dateKey.slice(0, 4)) + offset}${dateKey.slice(4)}`;
+        return { start: shift(entry.start), end: shift(entry.end) };
+    }
+
+    appliesTo(entry, teamId) {
+        return !entry.teams || !teamId || entry.teams.includes(teamId);
+    }
+
+    /**
+     * Find the next weekday that is a holiday, i.e. the next DSU that will be skipped
+     * @param {Object} options
+     * @param {string} options.timezone - Team timezone
+     * @param {string} [options.teamId] - Team ID
+     * @param {number} [options.days] - How far ahead to look
+     * @param {Date} [options.from] - Start instant (defaults to now)
+     * @returns {Object|null} { date, displayDate, name, id }
+     */
+    getNextSkip({ timezone, teamId = null, days = 60, from = new Date() }) {
+        let dateKey = getLocalDateKey(timezone, from);
+
+        for (let i = 0; i <= days; i++, dateKey = addDays(dateKey, 1)) {
+            const dayOfWeek = getDayOfWeek(dateKey);
+            if (dayOfWeek === 0 || dayOfWeek === 6) {
+                continue;
+            }
+
+            const holiday = this.getHoliday(dateKey, teamId);
+            if (holiday) {
+                return { date: dateKey, displayDate: formatDateKey(dateKey), name: holiday.name, id: holiday.id };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Upcoming holidays (the next occurrence of each entry), soonest first
+     * @param {Object} options
+     * @param {string} [options.from] - First date to include (YYYY-MM-DD, defaults to today in TIMEZONE)
+     * @param {string} [options.teamId] - Only holidays that apply to this team
+     * @returns {Array<Object>} Holidays with the next { start, end } occurrence
+     */
+    list({ from = getLocalDateKey(process.env.TIMEZONE || 'Asia/Jakarta'), teamId = null } = {}) {
+        return this.getEntries()
+            .filter(entry => this.appliesTo(entry, teamId))
+            .map(entry => {
+                if (entry.recurring !== 'yearly') {
+                    return { ...entry, next: { start: entry.start, end: entry.end } };
+                }
+                const year = Number(from.slice(0, 4));
+                const candidates = [year - 1, year, year + 1].map(candidate => this.shiftYear(entry, candidate));
+                return { ...entry, next: candidates.find(occurrence => occurrence.end >= from) };
+            })
+            .filter(entry => entry.next.end >= from)
+            .sort((a, b) => a.next.start.localeCompare(b.next.start));
+    }
+
+    /**
+     * Add a holiday (persisted across restarts)
+     * @param {Object} holiday - { name, date, end?, recurring?, teams? }
+     * @returns {Promise<Object>} Stored holiday
+     * @throws {Error} If the holiday is invalid or already exists
+     */
+    async add(holiday) {
+        const entry = normalizeEntry(holiday, 'command');
+        if (this.getEntries().some(existing => existing.id === entry.id)) {
+            throw new Error(`Holiday ${entry.id} already exists`);
+        }
+
+        this.store.get().holidays.push(entry);
+        await this.store.save();
+        logger.info(`🏖️ Holiday added: ${entry.name} (${entry.start}${entry.end !== entry.start ? ` to ${entry.end}` : ''})`);
+        return entry;
+    }
+
+    /**
+     * Remove a holiday added by command
+     * @param {string} id - Holiday ID
+     * @returns {Promise<Object>} Removed holiday
+     * @throws {Error} If the holiday does not exist or comes from the holiday file
+     */
+    async remove(id) {
+        const data = this.store.get();
+        const index = data.holidays.findIndex(entry => entry.id === id);
+
+        if (index === -1) {
+            if (this.fileEntries.some(entry => entry.id === id)) {
+                throw new Error(`Holiday ${id} comes from ${path.basename(this.filePath)} - edit the file to remove it`);
+            }
+            throw new Error(`Unknown holiday: ${id}`);
+        }
+
+        const [removed] = data.holidays.splice(index, 1);
+        await this.store.save();
+        logger.info(`🏖️ Holiday removed: ${removed.name}`);
+        return removed;
+    }
+
+    getCalendarStatus() {
+        return {
+            file: this.filePath && fs.existsSync(this.filePath) ? this.filePath : null,
+            entries: this.getEntries().length,
+            errors: [...this.errors]
+        };
+    }
+
+    /**
+     * Wait for pending writes (used during graceful shutdown)
+     * @returns {Promise<void>}
+     */
+    flush() {
+        return this.store.flush();
+    }
+}
+
+// Export singleton instance (class and helpers exposed for tests and validation)
+module.exports = new HolidayCalendar();
+module.exports.HolidayCalendar = HolidayCalendar;
+module.exports.parseICS = parseICS;
@@ -0,0 +1,114 @@
+/**
+ * Instance Lock
+ *
+ * @author opisboy29
+ * @repository git@github.com:opisboy29/discord-dsu-bot.git
+ * @description Lock file that lets only one bot process schedule DSUs (e.g. npm run dev next to PM2)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+class InstanceLock {
+    /**
+     * @param {string} lockPath - Lock file shared by every process using the same data directory
+     */
+    constructor(lockPath) {
+        this.lockPath = lockPath;
+        this.held = false;
+    }
+
+    /**
+     * Take the lock. A lock left behind by a process that no longer runs is taken over.
+     * @returns {boolean} True if this process now holds the lock
+     */
+    acquire() {
+        if (this.held) {
+            return true;
+        }
+
+        fs.mkdirSync(path.dirname(this.lockPath), { recursive: true });
+
+        for (let attempt = 0; attempt < 2; attempt++) {
+            try {
+                // "wx" fails if the file exists, so only one process can create it
+                fs.writeFileSync(this.lockPath, JSON.stringify({ pid: process.pid, startedAt: new Date().toISOString() }), { flag: 'wx' });
+                this.held = true;
+                logger.info(`🔒 Scheduler lock acquired (${this.lockPath})`);
+                return true;
+            } catch (error) {
+                if (error.code !== 'EEXIST') {
+                    throw error;
+                }
+            }
+
+            const owner = this.getOwner();
+            if (owner && owner.pid !== process.pid && InstanceLock.isRunning(owner.pid)) {
+                return false;
+            }
+            // An unreadable lock may be one another process is still writing
+            if (!owner && this.getAgeMs() < 10 * 1000) {
+                return false;
+            }
+
+            logger.warn(`⚠️ Removing stale scheduler lock${owner ? ` of PID ${owner.pid}` : ''}`);
+            fs.rmSync(this.lockPath, { force: true });
+        }
+
+        return false;
+    }
+
+    /**
+     * Release the lock if this process holds it
+     */
+    release() {
+        if (!this.held) {
+            return;
+        }
+
+        const owner = this.getOwner();
+        if (owner && owner.pid === process.pid) {
+            fs.rmSync(this.lockPath, { force: true });
+        }
+        this.held = false;
+    }
+
+    /**
+     * @returns {Object|null} { pid, startedAt } of the process holding the lock, or null if unreadable
+     */
+    getOwner() {
+        try {
+            return JSON.parse(fs.readFileSync(this.lockPath, 'utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * @returns {number} Milliseconds since the lock file was last written (Infinity if missing)
+     */
+    getAgeMs() {
+        try {
+            return Date.now() - fs.statSync(this.lockPath).mtimeMs;
+        } catch (error) {
+            return Infinity;
+        }
+    }
+
+    /**
+     * @param {number} pid - Process ID
+     * @returns {boolean} True if a process with this ID exists
+     */
+    static isRunning(pid) {
+        try {
+            process.kill(pid, 0);
+            return true;
+        } catch (error) {
+            // EPERM: the process exists but belongs to another user
+            return error.code === 'EPERM';
+        }
+    }
+}
+
+module.exports = InstanceLock;
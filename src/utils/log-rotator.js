@@ -0,0 +1,197 @@
+/**
+ * Log Rotator
+ *
+ * @author opisboy29
+ * @repository git@github.com:opisboy29/discord-dsu-bot.git
+ * @description Appends to log files and rotates them by size and day, with optional gzip and retention by count and age
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const { getLocalDateKey } = require('./time-utils');
+
+// Rotated files: <log file>.<ISO time>.backup, or .backup.gz when compressed
+const BACKUP_PATTERN = /\.backup(\.gz)?$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class LogRotator {
+    /**
+     * @param {string} logsDir - Directory of the log files
+     * @param {Object} options
+     * @param {number} options.maxBytes - Rotate a file before it grows past this size (0 = no size limit)
+     * @param {boolean} options.daily - Rotate a file when the local date changes
+     * @param {boolean} options.compress - Gzip rotated files
+     * @param {number} options.maxFiles - Rotated files kept per log file
+     * @param {number} options.maxAgeDays - Delete rotated files older than this (0 = keep them regardless of age)
+     * @param {string} options.timezone - Timezone of the daily rotation
+     * @param {Function} [options.onRotate] - (filename, rotatedName, removedNames) called after each rotation
+     */
+    constructor(logsDir, { maxBytes, daily, compress, maxFiles, maxAgeDays, timezone, onRotate = null }) {
+        this.logsDir = logsDir;
+        this.rotationConfig = { maxBytes, daily, compress, maxFiles, maxAgeDays, timezone };
+        this.onRotate = onRotate;
+        this.files = new Map(); // filename -> { size, dateKey, queue }
+    }
+
+    /**
+     * Rotation settings from LOG_ROTATION_SIZE (MB), LOG_ROTATE_DAILY, LOG_COMPRESS, LOG_MAX_FILES and LOG_MAX_AGE_DAYS
+     * @returns {Object} Options for the constructor
+     */
+    static getEnvConfig() {
+        const maxAgeDays = parseInt(process.env.LOG_MAX_AGE_DAYS);
+        return {
+            maxBytes: (parseInt(process.env.LOG_ROTATION_SIZE) || 10) * 1024 * 1024,
+            daily: process.env.LOG_ROTATE_DAILY !== 'false',
+            compress: process.env.LOG_COMPRESS === 'true',
+            maxFiles: Math.max(1, parseInt(process.env.LOG_MAX_FILES) || 5),
+            maxAgeDays: isNaN(maxAgeDays) ? 30 : Math.max(0, maxAgeDays),
+            timezone: process.env.LOG_TIMEZONE || process.env.TIMEZONE || 'Asia/Jakarta'
+        };
+    }
+
+    /**
+     * Append to a log file, rotating it first if needed. Writes to the same file run in order.
+     * @param {string} filename - Log file name, e.g. 'app.log'
+     * @param {string} text - Text to append
+     * @returns {Promise<void>} Resolves once written (errors are reported, not thrown)
+     */
+    write(filename, text) {
+        return this.enqueue(filename, (state) => this.append(filename, state, text));
+    }
+
+    /**
+     * Rotate a log file if it is over the size limit or from an earlier day
+     * @param {string} filename - Log file name
+     * @returns {Promise<void>}
+     */
+    rotateIfNeeded(filename) {
+        return this.enqueue(filename, (state) => this.checkRotation(filename, state, 0));
+    }
+
+    enqueue(filename, task) {
+        if (!this.files.has(filename)) {
+            this.files.set(filename, { size: null, dateKey: null, queue: Promise.resolve() });
+        }
+
+        const state = this.files.get(filename);
+        state.queue = state.queue
+            .then(() => task(state))
+            .catch(error => console.error(`Failed to write to log file ${filename}:`, error));
+        return state.queue;
+    }
+
+    async append(filename, state, text) {
+        const bytes = Buffer.byteLength(text);
+        await this.checkRotation(filename, state, bytes);
+        await fs.promises.appendFile(path.join(this.logsDir, filename), text);
+        state.size += bytes;
+    }
+
+    /**
+     * @param {string} filename - Log file name
+     * @param {Object} state - { size, dateKey } of the file
+     * @param {number} incomingBytes - Size of the entry about to be written
+     */
+    async checkRotation(filename, state, incomingBytes) {
+        const { maxBytes, daily } = this.rotationConfig;
+        const today = this.getDateKey();
+
+        if (state.size === null) {
+            // First write since startup: pick up the size and day of an existing file
+            try {
+                const stats = await fs.promises.stat(path.join(this.logsDir, filename));
+                state.size = stats.size;
+                state.dateKey = this.getDateKey(stats.mtime);
+            } catch (error) {
+                state.size = 0;
+                state.dateKey = today;
+            }
+        }
+
+        // An entry larger than the limit still goes into a fresh file
+        const tooLarge = maxBytes > 0 && state.size + incomingBytes > maxBytes;
+        const newDay = daily && state.dateKey !== today;
+        if (state.size > 0 && (tooLarge || newDay)) {
+            await this.rotate(filename);
+            state.size = 0;
+        }
+        state.dateKey = today;
+    }
+
+    /**
+     * Move a log file aside (compressing it if configured) and apply retention
+     * @param {string} filename - Log file name
+     * @returns {Promise<string>} Name of the rotated file
+     */
+    async rotate(filename) {
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        let rotatedPath = path.join(this.logsDir, `${filename}.${stamp}.backup`);
+        await fs.promises.rename(path.join(this.logsDir, filename), rotatedPath);
+
+        if (this.rotationConfig.compress) {
+            await pipeline(fs.createReadStream(rotatedPath), zlib.createGzip(), fs.createWriteStream(`${rotatedPath}.gz`));
+            await fs.promises.unlink(rotatedPath);
+            rotatedPath = `${rotatedPath}.gz`;
+        }
+
+        const removed = await this.prune(filename);
+        if (this.onRotate) {
+            this.onRotate(filename, path.basename(rotatedPath), removed);
+        }
+        return path.basename(rotatedPath);
+    }
+
+    /**
+     * Delete rotated files of a log beyond LOG_MAX_FILES or older than LOG_MAX_AGE_DAYS
+     * @param {string} filename - Log file name
+     * @param {Date} now - Current time
+     * @returns {Promise<Array<string>>} Names of the deleted files
+     */
+    async prune(filename, now = new Date()) {
+        const { maxFiles, maxAgeDays } = this.rotationConfig;
+        const names = (await fs.promises.readdir(this.logsDir))
+            .filter(name => name.startsWith(`${filename}.`) && BACKUP_PATTERN.test(name))
+            // ISO timestamps sort chronologically; newest first
+            .sort()
+            .reverse();
+
+        const removed = [];
+        for (const [index, name] of names.entries()) {
+            const filePath = path.join(this.logsDir, name);
+            let expired = index >= maxFiles;
+            if (!expired && maxAgeDays > 0) {
+                const stats = await fs.promises.stat(filePath);
+                expired = now - stats.mtime > maxAgeDays * DAY_MS;
+            }
+            if (expired) {
+                await fs.promises.unlink(filePath);
+                removed.push(name);
+            }
+        }
+        return removed;
+    }
+
+    getDateKey(date = new Date()) {
+        return getLocalDateKey(this.rotationConfig.timezone, date);
+    }
+
+    /**
+     * Wait for every queued write and rotation
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        await Promise.all([...this.files.values()].map(state => state.queue));
+    }
+
+    /**
+     * @returns {Object} { maxBytes, daily, compress, maxFiles, maxAgeDays, timezone }
+     */
+    getRotationConfig() {
+        return { ...this.rotationConfig };
+    }
+}
+
+module.exports = LogRotator;
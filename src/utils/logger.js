@@ -3,16 +3,69 @@
  * 
  * @author opisboy29
  * @repository git@github.com:opisboy29/discord-dsu-bot.git
- * @description Production-grade logging system with color coding and auto-rotation
+ * @description Production-grade logging system with level filtering, color coding, JSON output and log rotation
  */
 
 const fs = require('fs');
 const path = require('path');
+const LogRotator = require('./log-rotator');
+const { getUtcOffset, isValidTimezone } = require('./time-utils');
+
+// Lower numbers are more severe; LOG_LEVEL shows its level and everything above it
+const LOG_LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+// Console output of each logger method: severity it is filtered by, color and files it is written to
+const LEVELS = {
+    INFO: { level: 'info', color: '\x1b[36m', console: 'log', files: ['app.log'] }, // Cyan
+    SUCCESS: { level: 'info', color: '\x1b[32m', console: 'log', files: ['app.log'] }, // Green
+    WARN: { level: 'warn', color: '\x1b[33m', console: 'warn', files: ['app.log'] }, // Yellow
+    ERROR: { level: 'error', color: '\x1b[31m', console: 'error', files: ['error.log'] }, // Red
+    DEBUG: { level: 'debug', color: '\x1b[35m', console: 'log', files: ['debug.log'] }, // Magenta
+    DSU: { level: 'info', color: '\x1b[44m\x1b[37m', console: 'log', files: ['dsu.log'] } // Blue background, white text
+};
+
+// Context fields copied to the top level of JSON log lines
+const CONTEXT_FIELDS = ['event', 'team', 'channelId', 'messageId'];
+
+/**
+ * Timezone of log timestamps: LOG_TIMEZONE, then TIMEZONE (an invalid name falls back to UTC)
+ * @returns {string} IANA timezone name
+ */
+function getLogTimezone() {
+    const timezone = process.env.LOG_TIMEZONE || process.env.TIMEZONE || 'Asia/Jakarta';
+    return isValidTimezone(timezone) ? timezone : 'UTC';
+}
 
 class Logger {
     constructor() {
         this.logsDir = path.join(process.cwd(), 'logs');
-        this.ensureLogsDirectory();
+        const level = (process.env.LOG_LEVEL || '').toLowerCase();
+        this.logConfig = {
+            // Without LOG_LEVEL, debug logs are shown in development only (as before)
+            level: level in LOG_LEVELS ? level : (process.env.NODE_ENV === 'development' ? 'debug' : 'info'),
+            // text: human-readable lines; json: one JSON object per line for log shippers
+            format: process.env.LOG_FORMAT === 'json' ? 'json' : 'text',
+            fileLogging: process.env.ENABLE_FILE_LOGGING !== 'false',
+            // Escape codes only make sense in a terminal
+            colors: process.env.LOG_COLORS !== 'false' && Boolean(process.stdout.isTTY),
+            timezone: getLogTimezone(),
+            // local: 10/20/2025, 09:00:00 +07:00; iso: 2025-10-20T09:00:00.000+07:00
+            timestampFormat: process.env.LOG_TIMESTAMP_FORMAT === 'iso' ? 'iso' : 'local'
+        };
+        // team ID -> timezone, set when several teams are configured (see setTeamTimezones)
+        this.teamTimezones = new Map();
+        // Every file written below is rotated by size and day (LOG_ROTATION_SIZE, LOG_MAX_FILES, ...)
+        this.rotator = new LogRotator(this.logsDir, {
+            ...LogRotator.getEnvConfig(),
+            timezone: this.logConfig.timezone,
+            onRotate: (filename, rotated, removed) => {
+                this.info(`Log file rotated: ${filename} -> ${rotated}`);
+                removed.forEach(name => this.info(`Cleaned up old log backup: ${name}`));
+            }
+        });
+        if (this.logConfig.fileLogging) {
+            this.ensureLogsDirectory();
+        }
     }
 
     ensureLogsDirectory() {
@@ -21,23 +74,72 @@ class Logger {
         }
     }
 
-    getTimestamp() {
-        return new Date().toLocaleString('en-US', {
-            timeZone: 'Asia/Jakarta',
+    /**
+     * Timestamp with its UTC offset in the log timezone (LOG_TIMEZONE / TIMEZONE)
+     * @param {Date} date - Instant to format
+     * @param {string} timezone - IANA timezone
+     * @param {string} format - 'local' or 'iso'
+     * @returns {string} e.g. "10/20/2025, 09:00:00 +07:00" or "2025-10-20T09:00:00.000+07:00"
+     */
+    getTimestamp(date = new Date(), timezone = this.logConfig.timezone, format = this.logConfig.timestampFormat) {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
             year: 'numeric',
             month: '2-digit',
             day: '2-digit',
             hour: '2-digit',
             minute: '2-digit',
             second: '2-digit',
-            hour12: false
+            hourCycle: 'h23'
+        }).formatToParts(date).forEach(({ type, value }) => {
+            parts[type] = value;
         });
+        const offset = getUtcOffset(timezone, date);
+
+        if (format === 'iso') {
+            const ms = String(date.getUTCMilliseconds()).padStart(3, '0');
+            return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}.${ms}` +
+                (offset === '+00:00' ? 'Z' : offset);
+        }
+        return `${parts.month}/${parts.day}/${parts.year}, ${parts.hour}:${parts.minute}:${parts.second} ${offset}`;
     }
 
-    formatMessage(level, message, extra = null) {
-        const timestamp = this.getTimestamp();
+    /**
+     * Tag log lines of a team with the team's local time when teams run in several timezones
+     * @param {Array<Object>} teams - Teams from the team registry ({ id, timezone })
+     */
+    setTeamTimezones(teams) {
+        const timezones = new Set(teams.map(team => team.timezone));
+        this.teamTimezones = timezones.size > 1
+            ? new Map(teams.map(team => [team.id, team.timezone]))
+            : new Map();
+    }
+
+    /**
+     * @param {Object} context - Log context with a team ID
+     * @returns {string|null} Timezone of the team, if its lines are tagged
+     */
+    getTeamTimezone(context = {}) {
+        return (context && context.team && this.teamTimezones.get(context.team)) || null;
+    }
+
+    /**
+     * @param {string} level - 'error', 'warn', 'info' or 'debug'
+     * @returns {boolean} True if LOG_LEVEL lets messages of this level through
+     */
+    isLevelEnabled(level) {
+        return LOG_LEVELS[level] <= LOG_LEVELS[this.logConfig.level];
+    }
+
+    formatMessage(level, message, extra = null, context = {}) {
+        const now = new Date();
+        const timestamp = this.getTimestamp(now);
         const pid = process.pid;
-        let formattedMessage = `[${timestamp}] [PID:${pid}] [${level}] ${message}`;
+        const teamTimezone = this.getTeamTimezone(context);
+        // e.g. [london 02:00:00 +01:00] next to the server time of the line
+        const teamTag = teamTimezone ? ` [${context.team} ${this.getTimestamp(now, teamTimezone, 'local').split(', ')[1]}]` : '';
+        let formattedMessage = `[${timestamp}] [PID:${pid}] [${level}]${teamTag} ${message}`;
         
         if (extra) {
             if (extra instanceof Error) {
@@ -52,95 +154,121 @@ class Logger {
         return formattedMessage;
     }
 
-    writeToFile(filename, message) {
-        const filePath = path.join(this.logsDir, filename);
-        const logMessage = message + '\n';
-        
-        fs.appendFile(filePath, logMessage, (err) => {
-            if (err) {
-                console.error('Failed to write to log file:', err);
+    /**
+     * Format a log entry as one JSON line
+     * @param {string} level - Logger level, e.g. 'INFO' or 'DSU'
+     * @param {string} message - Log message
+     * @param {*} extra - Error, object or value passed with the message
+     * @param {Object} context - { event, team, channelId, messageId }
+     * @returns {string} JSON line (without the newline)
+     */
+    formatJson(level, message, extra = null, context = {}) {
+        const now = new Date();
+        const entry = { timestamp: this.getTimestamp(now, this.logConfig.timezone, 'iso'), level: level.toLowerCase(), pid: process.pid, message };
+        CONTEXT_FIELDS.forEach(field => {
+            if (context[field] !== undefined && context[field] !== null) {
+                entry[field] = context[field];
             }
         });
+        const teamTimezone = this.getTeamTimezone(context);
+        if (teamTimezone) {
+            entry.teamTimezone = teamTimezone;
+            entry.teamTime = this.getTimestamp(now, teamTimezone, 'iso');
+        }
+
+        if (extra instanceof Error) {
+            entry.error = { message: extra.message, code: extra.code, stack: extra.stack };
+        } else if (extra !== null && extra !== undefined) {
+            entry.data = extra;
+        }
+
+        try {
+            return JSON.stringify(entry);
+        } catch (error) {
+            // Circular extras (e.g. Discord objects) are logged as text
+            return JSON.stringify({ ...entry, data: String(extra) });
+        }
     }
 
-    info(message, extra = null) {
-        const formatted = this.formatMessage('INFO', message, extra);
-        console.log(`\x1b[36m${formatted}\x1b[0m`); // Cyan
-        this.writeToFile('app.log', formatted);
+    /**
+     * Print and store a log entry unless LOG_LEVEL filters it out
+     * @param {string} level - Logger level, e.g. 'INFO' or 'DSU'
+     * @param {string} message - Log message
+     * @param {*} extra - Error, object or value passed with the message
+     * @param {Object} context - { event, team, channelId, messageId } (JSON output only)
+     */
+    log(level, message, extra = null, context = {}) {
+        const { level: severity, color, console: method, files } = LEVELS[level];
+        if (!this.isLevelEnabled(severity)) {
+            return;
+        }
+
+        const formatted = this.logConfig.format === 'json'
+            ? this.formatJson(level, message, extra, context || {})
+            : this.formatMessage(level, message, extra, context || {});
+        console[method](this.logConfig.colors && this.logConfig.format === 'text' ? `${color}${formatted}\x1b[0m` : formatted);
+        files.forEach(file => this.writeToFile(file, formatted));
         this.writeToFile('combined.log', formatted);
     }
 
-    success(message, extra = null) {
-        const formatted = this.formatMessage('SUCCESS', message, extra);
-        console.log(`\x1b[32m${formatted}\x1b[0m`); // Green
-        this.writeToFile('app.log', formatted);
-        this.writeToFile('combined.log', formatted);
+    writeToFile(filename, message) {
+        if (!this.logConfig.fileLogging) {
+            return;
+        }
+
+        this.rotator.write(filename, message + '\n');
     }
 
-    warn(message, extra = null) {
-        const formatted = this.formatMessage('WARN', message, extra);
-        console.warn(`\x1b[33m${formatted}\x1b[0m`); // Yellow
-        this.writeToFile('app.log', formatted);
-        this.writeToFile('combined.log', formatted);
+    /**
+     * Wait until queued log writes reach disk (e.g. before exiting)
+     * @returns {Promise<void>}
+     */
+    flush() {
+        return this.rotator.flush();
     }
 
-    error(message, extra = null) {
-        const formatted = this.formatMessage('ERROR', message, extra);
-        console.error(`\x1b[31m${formatted}\x1b[0m`); // Red
-        this.writeToFile('error.log', formatted);
-        this.writeToFile('combined.log', formatted);
+    info(message, extra = null, context = {}) {
+        this.log('INFO', message, extra, context);
     }
 
-    debug(message, extra = null) {
-        if (process.env.NODE_ENV === 'development') {
-            const formatted = this.formatMessage('DEBUG', message, extra);
-            console.log(`\x1b[35m${formatted}\x1b[0m`); // Magenta
-            this.writeToFile('debug.log', formatted);
-            this.writeToFile('combined.log', formatted);
-        }
+    success(message, extra = null, context = {}) {
+        this.log('SUCCESS', message, extra, context);
     }
 
-    dsu(message, extra = null) {
-        const formatted = this.formatMessage('DSU', message, extra);
-        console.log(`\x1b[44m\x1b[37m${formatted}\x1b[0m`); // Blue background, white text
-        this.writeToFile('dsu.log', formatted);
-        this.writeToFile('combined.log', formatted);
+    warn(message, extra = null, context = {}) {
+        this.log('WARN', message, extra, context);
     }
 
-    // Log rotation for large files
-    rotateLogIfNeeded(filename, maxSize = 50 * 1024 * 1024) { // 50MB default
-        const filePath = path.join(this.logsDir, filename);
-        
-        if (fs.existsSync(filePath)) {
-            const stats = fs.statSync(filePath);
-            if (stats.size > maxSize) {
-                const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-                const backupPath = path.join(this.logsDir, `${filename}.${timestamp}.backup`);
-                
-                fs.renameSync(filePath, backupPath);
-                this.info(`Log file rotated: ${filename} -> ${path.basename(backupPath)}`);
-                
-                // Keep only last 5 backup files
-                this.cleanupOldLogs(filename);
-            }
-        }
+    error(message, extra = null, context = {}) {
+        this.log('ERROR', message, extra, context);
     }
 
-    cleanupOldLogs(filename) {
-        const files = fs.readdirSync(this.logsDir)
-            .filter(file => file.startsWith(filename) && file.includes('.backup'))
-            .map(file => ({
-                name: file,
-                path: path.join(this.logsDir, file),
-                mtime: fs.statSync(path.join(this.logsDir, file)).mtime
-            }))
-            .sort((a, b) => b.mtime - a.mtime);
-
-        // Keep only the 5 most recent backup files
-        files.slice(5).forEach(file => {
-            fs.unlinkSync(file.path);
-            this.info(`Cleaned up old log backup: ${file.name}`);
-        });
+    debug(message, extra = null, context = {}) {
+        this.log('DEBUG', message, extra, context);
+    }
+
+    dsu(message, extra = null, context = {}) {
+        this.log('DSU', message, extra, context);
+    }
+
+    /**
+     * @returns {Object} { level, format, fileLogging, colors, timezone, timestampFormat, rotation }
+     */
+    getLogConfig() {
+        return { ...this.logConfig, rotation: this.rotator.getRotationConfig() };
+    }
+
+    /**
+     * Rotate a log file now if it is over LOG_ROTATION_SIZE or from an earlier day
+     * (writes already check this; kept for callers that rotate explicitly)
+     * @param {string} filename - Log file name, e.g. 'dsu.log'
+     * @returns {Promise<void>}
+     */
+    rotateLogIfNeeded(filename) {
+        if (!this.logConfig.fileLogging) {
+            return Promise.resolve();
+        }
+        return this.rotator.rotateIfNeeded(filename);
     }
 
     // Application lifecycle logging
@@ -163,5 +291,6 @@ class Logger {
     }
 }
 
-// Export singleton instance
-module.exports = new Logger();
\ No newline at end of file
+// Export singleton instance (class exposed for tests)
+module.exports = new Logger();
+module.exports.Logger = Logger;
\ No newline at end of file
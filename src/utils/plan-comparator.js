@@ -0,0 +1,125 @@
+/**
+ * Plan vs Done Comparator
+ *
+ * @author opisboy29
+ * @repository git@github.com:opisboy29/discord-dsu-bot.git
+ * @description Lines up morning plan items against evening completed/in-progress items
+ */
+
+// Minimum Dice similarity between two items to count them as the same task
+const MATCH_THRESHOLD = 0.5;
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'to', 'for', 'of', 'on', 'in', 'with', 'at', 'from', 'by',
+    'my', 'our', 'some', 'more', 'finish', 'finished', 'complete', 'completed', 'start', 'started',
+    'work', 'working', 'continue', 'continued', 'done', 'wip'
+]);
+
+/**
+ * Reduce an item to its meaningful words
+ * @param {string} item - Plan or result item
+ * @returns {Set<string>} Normalized tokens
+ */
+const tokenize = (item) => {
+    const words = item
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}#\s]/gu, ' ')
+        .split(/\s+/)
+        .filter(word => word && !STOP_WORDS.has(word))
+        // Cheap stemming so "deploy"/"deployed"/"deploying" match
+        .map(word => word.replace(/(ing|ed|es|s)$/, ''));
+
+    return new Set(words.filter(Boolean));
+};
+
+/**
+ * Dice coefficient between two items
+ * @returns {number} Similarity between 0 and 1
+ */
+const similarity = (a, b) => {
+    const tokensA = tokenize(a);
+    const tokensB = tokenize(b);
+    if (tokensA.size === 0 || tokensB.size === 0) {
+        return 0;
+    }
+
+    const shared = [...tokensA].filter(token => tokensB.has(token)).length;
+    return (2 * shared) / (tokensA.size + tokensB.size);
+};
+
+/**
+ * Find the best unused match for an item
+ * @returns {number} Index of the best match or -1
+ */
+const findBestMatch = (item, candidates, used) => {
+    let bestIndex = -1;
+    let bestScore = MATCH_THRESHOLD;
+
+    candidates.forEach((candidate, index) => {
+        if (used.has(index)) {
+            return;
+        }
+        const score = similarity(item, candidate);
+        if (score >= bestScore) {
+            bestScore = score;
+            bestIndex = index;
+        }
+    });
+
+    return bestIndex;
+};
+
+/**
+ * Compare a morning plan with the evening report
+ * @param {Object} input
+ * @param {Array<string>} input.planned - Morning "today" items
+ * @param {Array<string>} input.completed - Evening "completed" items
+ * @param {Array<string>} input.inProgress - Evening "in progress" items
+ * @returns {Object} { done, inProgress, carriedOver, unplanned } - done/inProgress hold { planned, reported } pairs
+ */
+const comparePlan = ({ planned = [], completed = [], inProgress = [] }) => {
+    const usedCompleted = new Set();
+    const usedInProgress = new Set();
+    const result = {
+        done: [],
+        inProgress: [],
+        carriedOver: [],
+        unplanned: []
+    };
+
+    for (const item of planned) {
+        const completedIndex = findBestMatch(item, completed, usedCompleted);
+        if (completedIndex !== -1) {
+            usedCompleted.add(completedIndex);
+            result.done.push({ planned: item, reported: completed[completedIndex] });
+            continue;
+        }
+
+        const inProgressIndex = findBestMatch(item, inProgress, usedInProgress);
+        if (inProgressIndex !== -1) {
+            usedInProgress.add(inProgressIndex);
+            result.inProgress.push({ planned: item, reported: inProgress[inProgressIndex] });
+            continue;
+        }
+
+        result.carriedOver.push(item);
+    }
+
+    completed.forEach((item, index) => {
+        if (!usedCompleted.has(index)) {
+            result.unplanned.push(item);
+        }
+    });
+    inProgress.forEach((item, index) => {
+        if (!usedInProgress.has(index)) {
+            result.unplanned.push(item);
+        }
+    });
+
+    return result;
+};
+
+module.exports = {
+    comparePlan,
+    similarity
+};
@@ -0,0 +1,107 @@
+/**
+ * Plan Review
+ *
+ * @author opisboy29
+ * @repository git@github.com:opisboy29/discord-dsu-bot.git
+ * @description Posts a per-person plan-vs-done diff when someone submits their evening DSU
+ */
+
+const logger = require('./logger');
+const dryRun = require('./dry-run');
+const dsuRepository = require('../storage/dsu-repository');
+const { comparePlan } = require('./plan-comparator');
+const { getPlanDiffTemplate } = require('../../config/dsu-templates');
+const { formatDateKey } = require('./time-utils');
+
+class PlanReview {
+    /**
+     * @param {DSURepository} repository - Response store (defaults to the shared repository)
+     */
+    constructor(repository = dsuRepository) {
+        this.repository = repository;
+        this.reviewConfig = {
+            enabled: process.env.ENABLE_PLAN_REVIEW !== 'false',
+            delivery: process.env.PLAN_REVIEW_DELIVERY === 'dm' ? 'dm' : 'thread'
+        };
+    }
+
+    /**
+     * Build the plan-vs-done diff for one person and day
+     * @param {string} date - Local DSU date (YYYY-MM-DD)
+     * @param {string} authorId - Discord user ID
+     * @returns {Object|null} Diff or null if the person has no structured morning plan or evening update
+     */
+    buildDiff(date, authorId) {
+        const collect = (type, key) => this.repository
+            .getResponses({ date, type, authorId })
+            .filter(response => response.parseStatus === 'parsed' && response.sections)
+            .flatMap(response => response.sections[key] || []);
+
+        const planned = collect('morning', 'today');
+        const completed = collect('evening', 'completed');
+        const inProgress = collect('evening', 'inProgress');
+
+        if (planned.length === 0 || (completed.length === 0 && inProgress.length === 0)) {
+            return null;
+        }
+
+        return comparePlan({ planned, completed, inProgress });
+    }
+
+    /**
+     * Review an evening response once it is stored
+     * @param {Object} record - Stored evening response
+     * @param {Object} target - Where to deliver: { thread, user } (thread must support send())
+     * @returns {Promise<boolean>} True if a diff was delivered
+     */
+    async reviewResponse(record, target) {
+        if (!this.reviewConfig.enabled || record.type !== 'evening' || record.parseStatus !== 'parsed') {
+            return false;
+        }
+
+        // One review per person per day, even if the evening update spans several messages
+        const alreadyReviewed = this.repository
+            .getResponses({ date: record.date, type: 'evening', authorId: record.authorId })
+            .some(response => response.planReviewedAt);
+        if (alreadyReviewed) {
+            return false;
+        }
+
+        const diff = this.buildDiff(record.date, record.authorId);
+        if (!diff) {
+            logger.debug(`No morning plan to compare for ${record.authorTag} on ${record.date}`);
+            return false;
+        }
+
+        const payload = getPlanDiffTemplate({
+            authorId: record.authorId,
+            displayDate: formatDateKey(record.date),
+            diff
+        });
+
+        try {
+            if (this.reviewConfig.delivery === 'dm' && target.user) {
+                await dryRun.send(target.user, { embeds: payload.embeds }, 'dm');
+            } else {
+                await dryRun.send(target.thread, payload, 'thread-message');
+            }
+
+            await this.repository.updateResponse(record.messageId, { planReviewedAt: new Date().toISOString() });
+            logger.info(`🎯 Plan vs done posted for ${record.authorTag}: ${diff.done.length} done, ${diff.carriedOver.length} carried over, ${diff.unplanned.length} unplanned`);
+            return true;
+        } catch (error) {
+            logger.warn(`⚠️ Failed to deliver plan vs done for ${record.authorTag}:`, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Get plan review configuration status
+     * @returns {Object} Plan review configuration information
+     */
+    getReviewConfig() {
+        return { ...this.reviewConfig };
+    }
+}
+
+module.exports = PlanReview;
@@ -0,0 +1,161 @@
+/**
+ * DSU Response Collector
+ *
+ * @author opisboy29
+ * @repository git@github.com:opisboy29/discord-dsu-bot.git
+ * @description Captures replies posted in bot-created DSU threads and stores them in the repository
+ */
+
+const logger = require('./logger');
+const dryRun = require('./dry-run');
+const dsuRepository = require('../storage/dsu-repository');
+const { parseResponse, getFormatExample } = require('./response-parser');
+const PlanReview = require('./plan-review');
+
+class ResponseCollector {
+    /**
+     * @param {DSURepository} repository - Response store (defaults to the shared repository)
+     */
+    constructor(repository = dsuRepository) {
+        this.repository = repository;
+        this.reformatPromptEnabled = process.env.REFORMAT_PROMPT_ENABLED !== 'false';
+        this.planReview = new PlanReview(repository);
+    }
+
+    /**
+     * Record a new message if it was posted in a DSU thread
+     * @param {Message} message - Discord message from messageCreate
+     * @returns {Promise<boolean>} True if the message was captured as a DSU response
+     */
+    async handleMessage(message) {
+        const thread = this.getDSUThread(message);
+        if (!thread) {
+            return false;
+        }
+
+        try {
+            const record = await this.repository.saveResponse(this.buildRecord(message, thread));
+            logger.info(`📝 Captured ${thread.type} DSU response from ${message.author.tag} (thread ${thread.threadId})`);
+
+            if (record.needsReformat) {
+                await this.promptReformat(message, record);
+            } else {
+                await this.planReview.reviewResponse(record, { thread: message.channel, user: message.author });
+            }
+            return true;
+        } catch (error) {
+            logger.error(`❌ Failed to store DSU response ${message.id}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Keep stored responses in sync when the author edits their reply
+     * @param {Message} message - Updated Discord message from messageUpdate
+     * @returns {Promise<boolean>} True if a stored response was updated
+     */
+    async handleMessageUpdate(message) {
+        const thread = this.getDSUThread(message);
+        if (!thread || typeof message.content !== 'string') {
+            return false;
+        }
+
+        try {
+            await this.repository.saveResponse(this.buildRecord(message, thread));
+            logger.info(`✏️ Updated ${thread.type} DSU response from ${message.author.tag}`);
+            return true;
+        } catch (error) {
+            logger.error(`❌ Failed to update DSU response ${message.id}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Forget a response whose message was deleted
+     * @param {Message} message - Deleted Discord message (may be partial)
+     * @returns {Promise<boolean>} True if a stored response was removed
+     */
+    async handleMessageDelete(message) {
+        try {
+            const removed = await this.repository.deleteResponse(message.id);
+            if (removed) {
+                logger.info(`🗑️ Removed deleted DSU response ${message.id}`);
+            }
+            return removed;
+        } catch (error) {
+            logger.error(`❌ Failed to remove DSU response ${message.id}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Resolve the DSU thread record for a message, ignoring bots and non-DSU channels
+     * @param {Message} message - Discord message
+     * @returns {Object|null} Thread record
+     */
+    getDSUThread(message) {
+        if (!message || !message.author || message.author.bot) {
+            return null;
+        }
+
+        if (!message.channel || typeof message.channel.isThread !== 'function' || !message.channel.isThread()) {
+            return null;
+        }
+
+        return this.repository.getThread(message.channel.id);
+    }
+
+    /**
+     * Ask the author to resend their update using the template headings.
+     * Only the first unparseable reply per author and thread gets a prompt.
+     * @param {Message} message - The unparseable reply
+     * @param {Object} record - Stored response record
+     */
+    async promptReformat(message, record) {
+        if (!this.reformatPromptEnabled) {
+            return;
+        }
+
+        const alreadyPrompted = this.repository
+            .getResponses({ threadId: record.threadId, authorId: record.authorId })
+            .some(response => response.reformatPromptedAt);
+        if (alreadyPrompted) {
+            return;
+        }
+
+        try {
+            await dryRun.reply(message,
+                `🤔 I couldn't split your update into the ${record.type} DSU sections. ` +
+                `Could you edit it to use these headings?\n\`\`\`\n${getFormatExample(record.type)}\n\`\`\``
+            );
+            await this.repository.updateResponse(record.messageId, { reformatPromptedAt: new Date().toISOString() });
+            logger.info(`💬 Asked ${message.author.tag} to reformat their ${record.type} DSU response`);
+        } catch (error) {
+            logger.warn(`⚠️ Failed to ask ${message.author.tag} to reformat:`, error.message);
+        }
+    }
+
+    buildRecord(message, thread) {
+        const parsed = parseResponse(message.content, thread.type);
+
+        return {
+            messageId: message.id,
+            threadId: thread.threadId,
+            channelId: thread.channelId,
+            guildId: thread.guildId,
+            type: thread.type,
+            date: thread.date,
+            authorId: message.author.id,
+            authorTag: message.author.tag,
+            content: message.content,
+            sections: parsed.sections,
+            missingSections: parsed.missing,
+            parseStatus: parsed.status,
+            parseFormat: parsed.format,
+            needsReformat: parsed.status === 'unparsed',
+            createdAt: message.createdAt ? message.createdAt.toISOString() : undefined
+        };
+    }
+}
+
+module.exports = ResponseCollector;
@@ -0,0 +1,261 @@
+/**
+ * DSU Response Parser
+ *
+ * @author opisboy29
+ * @repository git@github.com:opisboy29/discord-dsu-bot.git
+ * @description Splits free-text DSU replies into the sections asked by the morning/evening templates
+ */
+
+const { DSU_SECTIONS } = require('../../config/dsu-templates');
+
+const BULLET_PATTERN = /^\s*(?:[-*•+▪◦]|\d+[.)])\s+/;
+const EMPTY_ITEM_PATTERN = /^(none|nothing|no blockers?|no reflections?|n\/a|na|-|tidak ada)\.?$/i;
+
+/**
+ * Get the section definitions for a DSU type
+ * @param {string} type - 'morning' or 'evening'
+ * @returns {Array<Object>} Section definitions
+ */
+const getSections = (type) => {
+    const sections = DSU_SECTIONS[type];
+    if (!sections) {
+        throw new Error(`Unknown DSU type: ${type}`);
+    }
+    return sections;
+};
+
+/**
+ * Strip markdown decoration (bold, headings, quotes) from a line
+ * @param {string} line - Raw line
+ * @returns {string} Cleaned line
+ */
+const stripMarkdown = (line) => {
+    return line
+        .replace(/^\s*(?:#{1,6}|>)\s*/, '')
+        .replace(/\*\*|__/g, '')
+        .trim();
+};
+
+/**
+ * Turn a line into a list item, or null if it carries no information
+ * @param {string} line - Raw line
+ * @returns {string|null} Clean item text
+ */
+const toItem = (line) => {
+    const item = stripMarkdown(line.replace(BULLET_PATTERN, '')).trim();
+    if (!item || EMPTY_ITEM_PATTERN.test(item)) {
+        return null;
+    }
+    return item;
+};
+
+/**
+ * Detect whether a line is a section heading
+ * @param {string} line - Raw line
+ * @param {Array<Object>} sections - Section definitions
+ * @returns {{section: Object, rest: string}|null} Matched section and any inline text after the heading
+ */
+const matchHeading = (line, sections) => {
+    // Bulleted lines are items, even when they start with an emoji
+    if (BULLET_PATTERN.test(line)) {
+        return null;
+    }
+
+    const cleaned = stripMarkdown(line);
+
+    for (const section of sections) {
+        // Emoji prefix: "🔙 fixed the login bug" or "🔙 Yesterday: fixed the login bug"
+        if (cleaned.startsWith(section.emoji)) {
+            const afterEmoji = cleaned.slice(section.emoji.length).replace(/^\uFE0F/, '').trim();
+            return { section, rest: stripAlias(afterEmoji, section) };
+        }
+    }
+
+    const lower = cleaned.toLowerCase();
+    for (const section of sections) {
+        // Longest aliases first so "what did you do yesterday" wins over "yesterday"
+        const aliases = [...section.aliases].sort((a, b) => b.length - a.length);
+        for (const alias of aliases) {
+            if (!lower.startsWith(alias)) {
+                continue;
+            }
+
+            const remainder = cleaned.slice(alias.length);
+            if (/^\s*\??\s*$/.test(remainder)) {
+                return { section, rest: '' };
+            }
+
+            const inline = remainder.match(/^\s*\??\s*[:\-–—]\s*(.*)$/);
+            if (inline) {
+                return { section, rest: inline[1].trim() };
+            }
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Remove a leading "Yesterday:" style label after an emoji heading
+ */
+const stripAlias = (text, section) => {
+    const lower = text.toLowerCase();
+    const aliases = [...section.aliases].sort((a, b) => b.length - a.length);
+    for (const alias of aliases) {
+        if (lower.startsWith(alias)) {
+            const remainder = text.slice(alias.length).replace(/^\s*\??\s*[:\-–—]?\s*/, '');
+            return remainder.trim();
+        }
+    }
+    return text.replace(/^[:\-–—]\s*/, '').trim();
+};
+
+const emptySections = (sections) => {
+    return sections.reduce((result, section) => {
+        result[section.key] = [];
+        return result;
+    }, {});
+};
+
+/**
+ * Parse a reply that uses headings ("Yesterday:") or emoji prefixes (🔙)
+ */
+const parseHeadings = (lines, sections) => {
+    const result = emptySections(sections);
+    const found = new Set();
+    const notes = [];
+    let current = null;
+
+    for (const line of lines) {
+        if (!line.trim()) {
+            continue;
+        }
+
+        const heading = matchHeading(line, sections);
+        if (heading) {
+            current = heading.section.key;
+            found.add(current);
+            const item = heading.rest ? toItem(heading.rest) : null;
+            if (item) {
+                result[current].push(item);
+            }
+            continue;
+        }
+
+        const item = toItem(line);
+        if (!item) {
+            continue;
+        }
+
+        if (current) {
+            result[current].push(item);
+        } else {
+            notes.push(item);
+        }
+    }
+
+    return { sections: result, found, notes };
+};
+
+/**
+ * Parse a reply made of bullet groups separated by blank lines, one group per section in order
+ */
+const parseBulletGroups = (lines, sections) => {
+    const groups = [];
+    let group = [];
+
+    for (const line of lines) {
+        if (!line.trim()) {
+            if (group.length) {
+                groups.push(group);
+                group = [];
+            }
+            continue;
+        }
+        group.push(line);
+    }
+    if (group.length) {
+        groups.push(group);
+    }
+
+    const allBulleted = groups.every(groupLines => groupLines.some(line => BULLET_PATTERN.test(line)));
+    if (groups.length !== sections.length || !allBulleted) {
+        return null;
+    }
+
+    const result = emptySections(sections);
+    groups.forEach((groupLines, index) => {
+        result[sections[index].key] = groupLines.map(toItem).filter(Boolean);
+    });
+    return result;
+};
+
+/**
+ * Split a DSU reply into the sections the template asked for
+ * @param {string} content - Raw reply text
+ * @param {string} type - 'morning' or 'evening'
+ * @returns {Object} Parse result: { status, format, sections, missing, notes }
+ */
+const parseResponse = (content, type) => {
+    const sections = getSections(type);
+    const lines = (content || '').split(/\r?\n/);
+
+    const headings = parseHeadings(lines, sections);
+    if (headings.found.size > 0) {
+        return {
+            status: 'parsed',
+            format: 'headings',
+            sections: headings.sections,
+            missing: sections.filter(section => !headings.found.has(section.key)).map(section => section.key),
+            notes: headings.notes
+        };
+    }
+
+    const bullets = parseBulletGroups(lines, sections);
+    if (bullets) {
+        return {
+            status: 'parsed',
+            format: 'bullets',
+            sections: bullets,
+            missing: [],
+            notes: []
+        };
+    }
+
+    return {
+        status: 'unparsed',
+        format: null,
+        sections: emptySections(sections),
+        missing: sections.map(section => section.key),
+        notes: []
+    };
+};
+
+/**
+ * Build an example reply showing the expected headings
+ * @param {string} type - 'morning' or 'evening'
+ * @returns {string} Example text
+ */
+const getFormatExample = (type) => {
+    return getSections(type)
+        .map(section => `${section.emoji} ${section.label}:\n• ...`)
+        .join('\n');
+};
+
+/**
+ * Split a free-text answer into list items (used for form fields, one section per field)
+ * @param {string} text - Raw field value
+ * @returns {Array<string>} Items
+ */
+const parseItems = (text) => {
+    return (text || '').split(/\r?\n/).map(toItem).filter(Boolean);
+};
+
+module.exports = {
+    parseResponse,
+    parseItems,
+    getFormatExample,
+    getSections,
+    matchHeading,
+    stripMarkdown
+};
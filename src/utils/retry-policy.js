@@ -0,0 +1,80 @@
+/**
+ * Retry Policy
+ *
+ * @author opisboy29
+ * @repository git@github.com:opisboy29/discord-dsu-bot.git
+ * @description Which Discord errors are worth retrying and how long to wait before the next attempt
+ */
+
+// Network failures seen from Node and undici (used by discord.js for REST calls)
+const NETWORK_ERROR_CODES = [
+    'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN',
+    'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_BODY_TIMEOUT', 'UND_ERR_SOCKET'
+];
+
+/**
+ * Transient errors (rate limits, Discord 5xx, network blips) are retried; anything else,
+ * such as missing permissions or an unknown channel, fails right away.
+ * @param {Error} error - Error thrown by a Discord call
+ * @returns {boolean} True if the call may succeed when tried again
+ */
+function isRetryableError(error) {
+    if (!error) {
+        return false;
+    }
+    if (error.status === 429 || getRetryAfterMs(error) !== null) {
+        return true;
+    }
+    if (typeof error.status === 'number') {
+        return error.status >= 500;
+    }
+
+    const code = error.code || (error.cause && error.cause.code);
+    return NETWORK_ERROR_CODES.includes(code) || error.name === 'AbortError';
+}
+
+/**
+ * Wait time Discord asked for in a rate-limit response
+ * @param {Error} error - Error thrown by a Discord call
+ * @returns {number|null} Milliseconds, or null if the error carries no retry-after
+ */
+function getRetryAfterMs(error) {
+    // RateLimitError from @discordjs/rest (milliseconds)
+    if (typeof error.retryAfter === 'number') {
+        return error.retryAfter;
+    }
+    // 429 DiscordAPIError: body field "retry_after" (seconds)
+    if (error.rawError && typeof error.rawError.retry_after === 'number') {
+        return error.rawError.retry_after * 1000;
+    }
+    // Raw "Retry-After" header (seconds)
+    const header = error.headers && (typeof error.headers.get === 'function'
+        ? error.headers.get('retry-after')
+        : error.headers['retry-after']);
+    return header && !isNaN(Number(header)) ? Number(header) * 1000 : null;
+}
+
+/**
+ * Delay before the next attempt: exponential backoff with jitter, but never shorter than
+ * a rate limit's retry-after
+ * @param {number} attempt - Attempts made so far (1 after the first failure)
+ * @param {Object} options
+ * @param {number} options.baseMs - Delay after the first failure
+ * @param {number} options.maxMs - Upper bound of the backoff
+ * @param {Error} [options.error] - The failure, checked for retry-after
+ * @returns {number} Milliseconds to wait
+ */
+function getRetryDelayMs(attempt, { baseMs, maxMs, error = null }) {
+    const backoff = Math.min(maxMs, baseMs * 2 ** (attempt - 1));
+    // "Equal jitter": half fixed, half random, so retries of several DSUs spread out
+    const jittered = backoff / 2 + Math.random() * (backoff / 2);
+
+    const retryAfter = error ? getRetryAfterMs(error) : null;
+    return Math.round(retryAfter !== null ? Math.max(retryAfter + Math.random() * 1000, jittered) : jittered);
+}
+
+module.exports = {
+    isRetryableError,
+    getRetryAfterMs,
+    getRetryDelayMs
+};
@@ -0,0 +1,289 @@
+/**
+ * Team Registry
+ *
+ * @author opisboy29
+ * @repository git@github.com:opisboy29/discord-dsu-bot.git
+ * @description Loads the teams the bot runs DSUs for, each with its own channel, schedule, timezone, mentions, template and thread settings
+ */
+
+const fs = require('fs');
+const path = require('path');
+const cron = require('node-cron');
+const YAML = require('yaml');
+const logger = require('./logger');
+const { DSU_CONFIG, TEMPLATE_FORMATS, mergeConfig } = require('../../config/dsu-templates');
+
+const DEFAULT_TEAM_FILES = ['teams.json', 'teams.yaml', 'teams.yml']
+    .map(file => path.join(__dirname, '../../config', file));
+const DEFAULT_TEAM_ID = 'default';
+const DEFAULT_SCHEDULE = {
+    morning: '0 9 * * 1-5',
+    evening: '0 17 * * 1-5'
+};
+const ARCHIVE_DURATIONS = [60, 1440, 4320, 10080];
+
+/**
+ * Build the single team described by the environment variables (used when no team file exists,
+ * and as the defaults every team in the file inherits from)
+ * @returns {Object} Raw team definition
+ */
+function getEnvTeam() {
+    return {
+        id: DEFAULT_TEAM_ID,
+        name: process.env.TEAM_NAME,
+        channelId: process.env.DSU_CHANNEL_ID,
+        timezone: process.env.TIMEZONE || 'Asia/Jakarta',
+        schedule: {
+            morning: process.env.MORNING_SCHEDULE || DEFAULT_SCHEDULE.morning,
+            evening: process.env.EVENING_SCHEDULE || DEFAULT_SCHEDULE.evening
+        },
+        mentions: DSU_CONFIG.mentions,
+        template: {},
+        threads: {
+            enabled: process.env.ENABLE_AUTO_THREADS !== 'false',
+            autoArchiveDuration: parseInt(process.env.THREAD_AUTO_ARCHIVE_DURATION) || 1440,
+            sendInitialMessage: process.env.SEND_INITIAL_THREAD_MESSAGE !== 'false',
+            titles: {
+                morning: process.env.MORNING_THREAD_TITLE,
+                evening: process.env.EVENING_THREAD_TITLE
+            },
+            messages: {
+                morning: process.env.MORNING_THREAD_MESSAGE,
+                evening: process.env.EVENING_THREAD_MESSAGE
+            }
+        }
+    };
+}
+
+/**
+ * Validate a raw team definition
+ * @param {Object} team - Team definition with defaults applied
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateTeam(team) {
+    const errors = [];
+
+    if (typeof team.id !== 'string' || !/^[a-z0-9][a-z0-9_-]*$/i.test(team.id)) {
+        errors.push('id is required (letters, numbers, "-" and "_")');
+    }
+
+    if (!/^\d{17,19}$/.test(String(team.channelId || ''))) {
+        errors.push('channelId must be a 17-19 digit Discord channel ID');
+    }
+
+    try {
+        new Date().toLocaleString('en-US', { timeZone: team.timezone });
+    } catch (error) {
+        errors.push(`invalid timezone: ${team.timezone}`);
+    }
+
+    ['morning', 'evening'].forEach(type => {
+        if (!cron.validate(String(team.schedule[type]))) {
+            errors.push(`invalid ${type} cron expression: ${team.schedule[type]}`);
+        }
+    });
+
+    const templateFormat = team.template.templateFormat;
+    if (templateFormat !== undefined && !TEMPLATE_FORMATS.includes(templateFormat)) {
+        errors.push(`template.templateFormat must be one of: ${TEMPLATE_FORMATS.join(', ')}`);
+    }
+
+    if (!ARCHIVE_DURATIONS.includes(Number(team.threads.autoArchiveDuration))) {
+        errors.push(`threads.autoArchiveDuration must be one of: ${ARCHIVE_DURATIONS.join(', ')} minutes`);
+    }
+
+    return errors;
+}
+
+class TeamRegistry {
+    /**
+     * @param {string} filePath - Team file (defaults to TEAMS_FILE or config/teams.json|yaml|yml)
+     */
+    constructor(filePath = process.env.TEAMS_FILE) {
+        this.filePath = filePath
+            ? path.resolve(filePath)
+            : DEFAULT_TEAM_FILES.find(file => fs.existsSync(file)) || null;
+        this.teams = new Map();
+        this.errors = {};
+        this.loaded = false;
+    }
+
+    /**
+     * Load teams from the team file, or the single team described by the environment variables
+     * when there is no file. Invalid teams are skipped and reported.
+     * @returns {Object} { loaded: [team IDs], errors: { teamId: [messages] }, source }
+     */
+    load() {
+        const teams = new Map();
+        const errors = {};
+        const defaults = getEnvTeam();
+        let definitions = [defaults];
+
+        if (this.hasTeamFile()) {
+            try {
+                definitions = this.parseFile();
+            } catch (error) {
+                definitions = [];
+                errors.file = [`Could not parse ${path.basename(this.filePath)}: ${error.message}`];
+            }
+        }
+
+        definitions.forEach((definition, index) => {
+            const raw = this.applyDefaults(definition, defaults);
+            const teamErrors = validateTeam(raw);
+            const key = typeof raw.id === 'string' && raw.id ? raw.id : `#${index + 1}`;
+
+            if (teams.has(raw.id)) {
+                teamErrors.push(`duplicate team id "${raw.id}"`);
+            }
+
+            if (teamErrors.length === 0) {
+                try {
+                    teams.set(raw.id, this.buildTeam(raw));
+                } catch (error) {
+                    // e.g. an invalid color in the template overrides
+                    teamErrors.push(error.message);
+                }
+            }
+
+            if (teamErrors.length > 0) {
+                errors[key] = teamErrors;
+            }
+        });
+
+        if (teams.size === 0 && !errors.file) {
+            errors.file = ['No valid teams configured'];
+        }
+
+        this.teams = teams;
+        this.errors = errors;
+        this.loaded = true;
+
+        Object.entries(errors).forEach(([team, messages]) => {
+            logger.warn(`⚠️ Team ${team} ignored: ${messages.join('; ')}`);
+        });
+        if (this.hasTeamFile()) {
+            logger.info(`👥 Loaded ${teams.size} team(s) from ${path.basename(this.filePath)}: ${[...teams.keys()].join(', ')}`);
+        }
+
+        return { loaded: [...teams.keys()], errors, source: this.hasTeamFile() ? this.filePath : 'env' };
+    }
+
+    /**
+     * @returns {Array<Object>} Configured teams, in file order
+     */
+    getTeams() {
+        if (!this.loaded) {
+            this.load();
+        }
+        return [...this.teams.values()];
+    }
+
+    /**
+     * @param {string} teamId - Team ID
+     * @returns {Object|null} Team or null if unknown
+     */
+    getTeam(teamId) {
+        return this.getTeams().find(team => team.id === teamId) || null;
+    }
+
+    /**
+     * The team used when a command doesn't target a specific team (the first team in the file)
+     * @returns {Object|null} Team
+     */
+    getDefaultTeam() {
+        return this.getTeams()[0] || null;
+    }
+
+    /**
+     * @param {string} channelId - Discord channel ID
+     * @returns {Object|null} Team whose DSU channel this is
+     */
+    findByChannel(channelId) {
+        return this.getTeams().find(team => team.channelId === channelId) || null;
+    }
+
+    hasTeamFile() {
+        return Boolean(this.filePath) && fs.existsSync(this.filePath);
+    }
+
+    /**
+     * Read the team file. Accepts either a list of teams or { teams: [...] }.
+     * @returns {Array<Object>} Raw team definitions
+     */
+    parseFile() {
+        const raw = fs.readFileSync(this.filePath, 'utf8');
+        const parsed = path.extname(this.filePath).toLowerCase() === '.json' ? JSON.parse(raw) : YAML.parse(raw);
+        const teams = Array.isArray(parsed) ? parsed : (parsed && parsed.teams);
+
+        if (!Array.isArray(teams)) {
+            throw new Error('expected a list of teams or a "teams" list');
+        }
+        return teams;
+    }
+
+    /**
+     * Fill in anything a team doesn't set from the environment defaults
+     * @param {Object} definition - Team from the file
+     * @param {Object} defaults - Environment team
+     * @returns {Object} Raw team definition
+     */
+    applyDefaults(definition, defaults) {
+        const team = definition && typeof definition === 'object' ? definition : {};
+        const threads = team.threads || {};
+
+        return {
+            ...defaults,
+            ...team,
+            // Every team in the file needs its own id; the name defaults to the id
+            id: team.id,
+            name: team.name,
+            channelId: team.channelId !== undefined ? String(team.channelId) : defaults.channelId,
+            schedule: { ...defaults.schedule, ...team.schedule },
+            mentions: { ...defaults.mentions, ...team.mentions },
+            template: { ...team.template },
+            threads: {
+                ...defaults.threads,
+                ...threads,
+                titles: { ...defaults.threads.titles, ...threads.titles },
+                messages: { ...defaults.threads.messages, ...threads.messages }
+            }
+        };
+    }
+
+    /**
+     * Turn a validated definition into a team with its resolved template configuration
+     * @param {Object} raw - Validated team definition
+     * @returns {Object} Team
+     */
+    buildTeam(raw) {
+        const config = mergeConfig({
+            ...raw.template,
+            timezone: raw.timezone,
+            mentions: raw.mentions,
+            teamId: raw.id,
+            teamName: raw.name,
+            threadTitles: raw.threads.titles
+        });
+
+        return {
+            id: raw.id,
+            name: raw.name || raw.id,
+            channelId: raw.channelId,
+            timezone: raw.timezone,
+            schedule: { ...raw.schedule },
+            mentions: config.mentions,
+            threads: {
+                ...raw.threads,
+                autoArchiveDuration: Number(raw.threads.autoArchiveDuration)
+            },
+            config
+        };
+    }
+}
+
+// Export singleton instance (class and helpers exposed for tests and validation)
+module.exports = new TeamRegistry();
+module.exports.TeamRegistry = TeamRegistry;
+module.exports.validateTeam = validateTeam;
+module.exports.DEFAULT_SCHEDULE = DEFAULT_SCHEDULE;
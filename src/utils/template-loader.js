@@ -0,0 +1,360 @@
+/**
+ * DSU Template Loader
+ *
+ * @author opisboy29
+ * @repository git@github.com:opisboy29/discord-dsu-bot.git
+ * @description Loads DSU templates from JSON/YAML files in config/templates/ with placeholders and hot reload
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const logger = require('./logger');
+const dsuRepository = require('../storage/dsu-repository');
+const {
+    DSU_CONFIG,
+    TEMPLATE_FORMATS,
+    getCurrentDate,
+    getCurrentTime,
+    buildMentionString,
+    buildSubmitComponents
+} = require('../../config/dsu-templates');
+const { isDSUType, getDSUTypes } = require('./dsu-types');
+
+const DEFAULT_TEMPLATE_DIR = path.join(__dirname, '../../config/templates');
+const TEMPLATE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+const RELOAD_DEBOUNCE_MS = 250;
+
+// Discord embed limits
+const LIMITS = {
+    content: 2000,
+    title: 256,
+    description: 4096,
+    fields: 25,
+    fieldName: 256,
+    fieldValue: 1024,
+    footer: 2048
+};
+
+const PLACEHOLDER_PATTERN = /\{(date|time|timezone|mentions|team|streak)\}/g;
+
+/**
+ * Replace {placeholders} in a string; unknown placeholders are left untouched
+ * @param {string} text - Template text
+ * @param {Object} context - Placeholder values
+ * @returns {string} Rendered text
+ */
+function renderPlaceholders(text, context) {
+    if (typeof text !== 'string') {
+        return text;
+    }
+    return text.replace(PLACEHOLDER_PATTERN, (match, key) => (context[key] !== undefined ? String(context[key]) : match));
+}
+
+/**
+ * Validate a template definition against the template file schema
+ * @param {Object} definition - Parsed template file
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateDefinition(definition) {
+    const errors = [];
+    const isString = (value) => typeof value === 'string';
+    const checkLength = (value, limit, name) => {
+        if (isString(value) && value.length > limit) {
+            errors.push(`${name} exceeds ${limit} characters`);
+        }
+    };
+
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+        return ['Template must be an object'];
+    }
+
+    if (!isDSUType(definition.type)) {
+        errors.push(`type must be one of: ${getDSUTypes().map(({ type }) => type).join(', ')}`);
+    }
+
+    const format = definition.format || 'full';
+    if (!TEMPLATE_FORMATS.includes(format)) {
+        errors.push(`format must be one of: ${TEMPLATE_FORMATS.join(', ')}`);
+    }
+
+    if (definition.content !== undefined && !isString(definition.content)) {
+        errors.push('content must be a string');
+    }
+    checkLength(definition.content, LIMITS.content, 'content');
+
+    if (format === 'text') {
+        if (!isString(definition.text) || !definition.text.trim()) {
+            errors.push('text is required for the text format');
+        }
+        checkLength(definition.text, LIMITS.content, 'text');
+        return errors;
+    }
+
+    if (!isString(definition.title) || !definition.title.trim()) {
+        errors.push('title is required');
+    }
+    checkLength(definition.title, LIMITS.title, 'title');
+
+    if (definition.description !== undefined && !isString(definition.description)) {
+        errors.push('description must be a string');
+    }
+    checkLength(definition.description, LIMITS.description, 'description');
+
+    if (definition.color !== undefined && !/^#?[0-9A-Fa-f]{6}$/.test(String(definition.color))) {
+        errors.push('color must be a 6-digit hex color, e.g. "3498db"');
+    }
+
+    if (definition.footer !== undefined && !isString(definition.footer)) {
+        errors.push('footer must be a string');
+    }
+    checkLength(definition.footer, LIMITS.footer, 'footer');
+
+    if (!Array.isArray(definition.fields) || definition.fields.length === 0) {
+        errors.push('fields must be a non-empty list');
+    } else {
+        if (definition.fields.length > LIMITS.fields) {
+            errors.push(`fields cannot have more than ${LIMITS.fields} entries`);
+        }
+        definition.fields.forEach((field, index) => {
+            if (!field || !isString(field.name) || !field.name.trim() || !isString(field.value) || !field.value.trim()) {
+                errors.push(`fields[${index}] needs a non-empty name and value`);
+                return;
+            }
+            checkLength(field.name, LIMITS.fieldName, `fields[${index}].name`);
+            checkLength(field.value, LIMITS.fieldValue, `fields[${index}].value`);
+            if (field.inline !== undefined && typeof field.inline !== 'boolean') {
+                errors.push(`fields[${index}].inline must be true or false`);
+            }
+        });
+    }
+
+    return errors;
+}
+
+class TemplateLoader {
+    /**
+     * @param {string} directory - Template directory (defaults to TEMPLATE_DIR or config/templates)
+     * @param {DSURepository} repository - Response store used for {streak}
+     */
+    constructor(directory = process.env.TEMPLATE_DIR || DEFAULT_TEMPLATE_DIR, repository = dsuRepository) {
+        this.directory = path.resolve(directory);
+        this.repository = repository;
+        this.templates = new Map();
+        this.errors = {};
+        this.watcher = null;
+        this.reloadTimer = null;
+        this.loaded = false;
+    }
+
+    /**
+     * Load every template file in the directory. Invalid files are skipped; a file that
+     * becomes invalid on reload keeps its last good version.
+     * @returns {Object} { loaded: [keys], errors: { file: [messages] } }
+     */
+    load() {
+        const previous = this.templates;
+        const templates = new Map();
+        const errors = {};
+
+        const keepLastGood = (file) => {
+            const lastGood = [...previous.entries()].find(([, template]) => template.file === file);
+            if (lastGood && !templates.has(lastGood[0])) {
+                templates.set(lastGood[0], lastGood[1]);
+            }
+        };
+
+        for (const file of this.listFiles()) {
+            let definition;
+            try {
+                definition = this.parseFile(file);
+            } catch (error) {
+                errors[file] = [`Could not parse file: ${error.message}`];
+                keepLastGood(file);
+                continue;
+            }
+
+            const fileErrors = validateDefinition(definition);
+            const key = fileErrors.length === 0 ? this.getKey(definition.type, definition.format) : null;
+
+            if (key && templates.has(key)) {
+                fileErrors.push(`Duplicate ${key} template (already defined by ${templates.get(key).file})`);
+            }
+
+            if (fileErrors.length > 0) {
+                errors[file] = fileErrors;
+                keepLastGood(file);
+                continue;
+            }
+
+            templates.set(key, { ...definition, format: definition.format || 'full', file });
+        }
+
+        this.templates = templates;
+        this.errors = errors;
+        this.loaded = true;
+
+        Object.entries(errors).forEach(([file, messages]) => {
+            logger.warn(`⚠️ Template file ${file} ignored: ${messages.join('; ')}`);
+        });
+        if (templates.size > 0) {
+            logger.info(`🎨 Loaded ${templates.size} template file(s): ${[...templates.keys()].join(', ')}`);
+        }
+
+        return { loaded: [...templates.keys()], errors };
+    }
+
+    /**
+     * Watch the template directory and reload on changes
+     * @returns {boolean} True if the watcher started
+     */
+    watch() {
+        if (this.watcher || !fs.existsSync(this.directory)) {
+            return false;
+        }
+
+        try {
+            this.watcher = fs.watch(this.directory, () => {
+                clearTimeout(this.reloadTimer);
+                this.reloadTimer = setTimeout(() => {
+                    logger.info('🔄 Template files changed, reloading...');
+                    this.load();
+                }, RELOAD_DEBOUNCE_MS);
+            });
+            this.watcher.on('error', (error) => {
+                logger.warn('⚠️ Template watcher error:', error.message);
+            });
+            logger.info(`👀 Watching ${this.directory} for template changes`);
+            return true;
+        } catch (error) {
+            logger.warn('⚠️ Could not watch template directory:', error.message);
+            return false;
+        }
+    }
+
+    stop() {
+        clearTimeout(this.reloadTimer);
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+    }
+
+    /**
+     * @param {string} type - 'morning' or 'evening'
+     * @param {string} format - 'full', 'compact' or 'text'
+     * @returns {Object|null} Template definition loaded from a file
+     */
+    get(type, format = 'full') {
+        if (!this.loaded) {
+            this.load();
+        }
+        return this.templates.get(this.getKey(type, format)) || null;
+    }
+
+    /**
+     * Render a file template into a Discord message payload
+     * @param {string} type - 'morning' or 'evening'
+     * @param {string} format - 'full', 'compact' or 'text'
+     * @param {Object} overrides - Placeholder values to override (e.g. { team })
+     * @param {Object} config - Template configuration for defaults (colors, footers, mentions, timezone)
+     * @returns {Object|string|null} Payload, or null if no file defines this template
+     */
+    render(type, format = 'full', overrides = {}, config = DSU_CONFIG) {
+        const definition = this.get(type, format);
+        if (!definition) {
+            return null;
+        }
+
+        const context = { ...this.getPlaceholderContext(type, config), ...overrides };
+        const render = (text) => renderPlaceholders(text, context);
+        const content = definition.content !== undefined ? render(definition.content) : context.mentions;
+
+        if (definition.format === 'text') {
+            const text = render(definition.text);
+            return content.trim() ? `${content.trimEnd()}\n\n${text}` : text;
+        }
+
+        return {
+            content,
+            embeds: [{
+                title: render(definition.title),
+                description: render(definition.description),
+                color: definition.color !== undefined
+                    ? parseInt(String(definition.color).replace('#', ''), 16)
+                    : config.colors[type],
+                fields: definition.fields.map(field => ({
+                    name: render(field.name),
+                    value: render(field.value),
+                    inline: Boolean(field.inline)
+                })),
+                footer: {
+                    text: render(definition.footer || config.messages[`${type}Footer`]),
+                    icon_url: null
+                },
+                timestamp: new Date().toISOString()
+            }],
+            components: buildSubmitComponents(type, config)
+        };
+    }
+
+    /**
+     * Values available to {placeholders}
+     * @param {string} type - 'morning' or 'evening'
+     * @param {Object} config - Template configuration
+     * @returns {Object} Placeholder context
+     */
+    getPlaceholderContext(type, config = DSU_CONFIG) {
+        let streak = 0;
+        try {
+            streak = this.repository.getResponseStreak(type, config.teamId);
+        } catch (error) {
+            logger.debug(`Could not compute DSU streak: ${error.message}`);
+        }
+
+        return {
+            date: getCurrentDate(config),
+            time: getCurrentTime(config),
+            timezone: config.timezone,
+            mentions: buildMentionString(config),
+            team: config.teamName || process.env.TEAM_NAME || 'team',
+            streak
+        };
+    }
+
+    getTemplateStatus() {
+        return {
+            directory: this.directory,
+            loaded: [...this.templates.keys()],
+            errors: { ...this.errors },
+            watching: Boolean(this.watcher)
+        };
+    }
+
+    listFiles() {
+        if (!fs.existsSync(this.directory)) {
+            return [];
+        }
+
+        return fs.readdirSync(this.directory)
+            .filter(file => TEMPLATE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+            // *.example.* files are documentation, copy them to enable
+            .filter(file => !/\.example\.[^.]+$/i.test(file))
+            .sort();
+    }
+
+    parseFile(file) {
+        const raw = fs.readFileSync(path.join(this.directory, file), 'utf8');
+        return path.extname(file).toLowerCase() === '.json' ? JSON.parse(raw) : YAML.parse(raw);
+    }
+
+    getKey(type, format) {
+        return `${type}:${format || 'full'}`;
+    }
+}
+
+// Export singleton instance (class and helpers exposed for tests and validation)
+module.exports = new TemplateLoader();
+module.exports.TemplateLoader = TemplateLoader;
+module.exports.validateDefinition = validateDefinition;
+module.exports.renderPlaceholders = renderPlaceholders;
@@ -0,0 +1,66 @@
+/**
+ * DSU Template Resolver
+ *
+ * @author opisboy29
+ * @repository git@github.com:opisboy29/discord-dsu-bot.git
+ * @description Single path for picking the DSU template format used by scheduled and manual sends
+ */
+
+const logger = require('./logger');
+const templateLoader = require('./template-loader');
+const { getTemplate, validateTemplate, DSU_CONFIG, TEMPLATE_FORMATS } = require('../../config/dsu-templates');
+const { getDSUType } = require('./dsu-types');
+
+/**
+ * Check whether the bot can post embeds in a channel
+ * @param {TextChannel} channel - Target channel
+ * @param {ClientUser} clientUser - The bot user
+ * @returns {boolean} True if EmbedLinks is granted (or permissions cannot be determined)
+ */
+function canEmbed(channel, clientUser) {
+    if (!channel || typeof channel.permissionsFor !== 'function' || !clientUser) {
+        return true;
+    }
+
+    const permissions = channel.permissionsFor(clientUser);
+    return !permissions || permissions.has('EmbedLinks');
+}
+
+/**
+ * Resolve the DSU template to send. Files in config/templates/ take precedence over the built-in templates.
+ * @param {string} type - Registered DSU type, e.g. 'morning' or 'evening'
+ * @param {Object} options
+ * @param {string} [options.format] - Requested format (e.g. a command option); defaults to TEMPLATE_FORMAT
+ * @param {TextChannel} [options.channel] - Target channel, used to detect missing EmbedLinks
+ * @param {ClientUser} [options.clientUser] - The bot user
+ * @param {Object} [options.config] - Template configuration with overrides (see mergeConfig)
+ * @returns {{template: Object|string, format: string, fallback: boolean, source: string}} Template, the format actually used and where it came from
+ */
+function resolveDSUTemplate(type, { format, channel, clientUser, config = DSU_CONFIG } = {}) {
+    let resolvedFormat = format || config.templateFormat;
+    if (!TEMPLATE_FORMATS.includes(resolvedFormat)) {
+        logger.warn(`⚠️ Unknown template format "${resolvedFormat}", using full`);
+        resolvedFormat = 'full';
+    }
+
+    let fallback = false;
+    if (resolvedFormat !== 'text' && !canEmbed(channel, clientUser)) {
+        logger.warn(`⚠️ Missing EmbedLinks in #${channel.name}, sending ${type} DSU as text`);
+        resolvedFormat = 'text';
+        fallback = true;
+    }
+
+    const { render } = getDSUType(type);
+    const fileTemplate = templateLoader.render(type, resolvedFormat, {}, config);
+    const template = fileTemplate || (render ? render(resolvedFormat, config) : getTemplate(type, resolvedFormat, config));
+    if (!validateTemplate(template)) {
+        throw new Error(`Invalid ${type} template format (${resolvedFormat})`);
+    }
+
+    return { template, format: resolvedFormat, fallback, source: fileTemplate ? 'file' : 'built-in' };
+}
+
+module.exports = {
+    resolveDSUTemplate,
+    canEmbed
+};
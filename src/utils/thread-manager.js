@@ -7,6 +7,10 @@
  */
 
 const logger = require('./logger');
+const dsuRepository = require('../storage/dsu-repository');
+const { getLocalDateKey } = require('./time-utils');
+const { isRetryableError } = require('./retry-policy');
+const dryRun = require('./dry-run');
 
 class ThreadManager {
     constructor() {
@@ -15,6 +19,8 @@ class ThreadManager {
             autoArchiveDuration: parseInt(process.env.THREAD_AUTO_ARCHIVE_DURATION) || 1440, // 24 hours in minutes
             reason: process.env.THREAD_CREATION_REASON || 'Automated DSU discussion thread'
         };
+        this.timezone = process.env.TIMEZONE || 'Asia/Jakarta';
+        this.repository = dsuRepository;
     }
 
     /**
@@ -22,10 +28,15 @@ class ThreadManager {
      * @param {Message} message - The Discord message to create thread from
      * @param {string} threadTitle - The title for the thread
      * @param {string} type - 'morning' or 'evening'
+     * @param {Object} team - Team from the team registry (defaults to the environment settings)
+     * @param {Object} options
+     * @param {boolean} options.throwRetryable - Rethrow transient Discord errors so the outbox can retry
      * @returns {Promise<Thread|null>} Created thread or null if failed
      */
-    async createDSUThread(message, threadTitle, type) {
-        if (!this.threadConfig.enabled) {
+    async createDSUThread(message, threadTitle, type, team = null, { throwRetryable = false } = {}) {
+        const settings = this.getSettings(team);
+
+        if (!settings.enabled) {
             logger.info('🧵 Auto-thread creation is disabled');
             return null;
         }
@@ -52,20 +63,25 @@ class ThreadManager {
             }
 
             // Create the thread
-            const thread = await message.startThread({
+            const thread = await dryRun.startThread(message, {
                 name: threadTitle,
-                autoArchiveDuration: this.threadConfig.autoArchiveDuration,
-                reason: this.threadConfig.reason
+                autoArchiveDuration: settings.autoArchiveDuration,
+                reason: settings.reason
             });
 
             if (thread) {
                 logger.success(`✅ ${type} DSU thread created successfully`);
                 logger.info(`   📍 Thread: #${thread.name}`);
                 logger.info(`   🆔 Thread ID: ${thread.id}`);
-                logger.info(`   ⏰ Auto-archive: ${this.threadConfig.autoArchiveDuration} minutes`);
+                logger.info(`   ⏰ Auto-archive: ${settings.autoArchiveDuration} minutes`);
+
+                // Remember the thread so replies posted in it are captured (dry-run threads don't exist)
+                if (!thread.dryRun) {
+                    await this.registerThread(thread, message, type, team);
+                }
 
                 // Send an initial message to the thread if configured
-                await this.sendInitialThreadMessage(thread, type);
+                await this.sendInitialThreadMessage(thread, type, team);
 
                 return thread;
             } else {
@@ -84,10 +100,38 @@ class ThreadManager {
                 logger.error('💡 Channel does not support threads');
             }
 
+            if (throwRetryable && isRetryableError(error)) {
+                throw error;
+            }
             return null;
         }
     }
 
+    /**
+     * Persist a created DSU thread in the response repository
+     * @param {Thread} thread - The created thread
+     * @param {Message} message - The DSU message the thread was started from
+     * @param {string} type - 'morning' or 'evening'
+     * @param {Object} team - Team the DSU was sent for
+     */
+    async registerThread(thread, message, type, team = null) {
+        try {
+            await this.repository.registerThread({
+                threadId: thread.id,
+                messageId: message.id,
+                channelId: message.channel.id,
+                guildId: message.guild ? message.guild.id : null,
+                teamId: team ? team.id : undefined,
+                type,
+                date: getLocalDateKey(team ? team.timezone : this.timezone),
+                title: thread.name
+            });
+        } catch (error) {
+            // Thread still works without history, so only warn
+            logger.warn(`⚠️ Failed to register ${type} DSU thread ${thread.id}:`, error.message);
+        }
+    }
+
     /**
      * Check if channel supports thread creation
      * @param {Channel} channel - Discord channel to check
@@ -103,17 +147,18 @@ class ThreadManager {
      * Send initial message to thread
      * @param {Thread} thread - The created thread
      * @param {string} type - 'morning' or 'evening'
+     * @param {Object} team - Team whose thread settings apply
      */
-    async sendInitialThreadMessage(thread, type) {
-        const sendInitialMessage = process.env.SEND_INITIAL_THREAD_MESSAGE !== 'false';
+    async sendInitialThreadMessage(thread, type, team = null) {
+        const settings = this.getSettings(team);
         
-        if (!sendInitialMessage) {
+        if (!settings.sendInitialMessage) {
             return;
         }
 
         try {
             const messages = {
-                morning: process.env.MORNING_THREAD_MESSAGE || 
+                morning: settings.messages.morning || 
                     '🧵 **Welcome to the Morning DSU Discussion!**\n\n' +
                     'Use this thread to:\n' +
                     '• Share your yesterday\'s accomplishments\n' +
@@ -122,7 +167,7 @@ class ThreadManager {
                     '• Collaborate and support each other\n\n' +
                     '*This thread will auto-archive in 24 hours.*',
                 
-                evening: process.env.EVENING_THREAD_MESSAGE || 
+                evening: settings.messages.evening || 
                     '🧵 **Welcome to the Evening DSU Discussion!**\n\n' +
                     'Use this thread to:\n' +
                     '• Celebrate today\'s achievements\n' +
@@ -133,7 +178,7 @@ class ThreadManager {
             };
 
             const message = messages[type] || messages.morning;
-            await thread.send(message);
+            await dryRun.send(thread, message, 'thread-message');
             
             logger.debug(`📝 Initial ${type} thread message sent`);
 
@@ -142,20 +187,50 @@ class ThreadManager {
         }
     }
 
+    /**
+     * Thread settings for a team, falling back to the environment settings
+     * @param {Object} team - Team from the team registry
+     * @returns {Object} { enabled, autoArchiveDuration, reason, sendInitialMessage, titles, messages }
+     */
+    getSettings(team = null) {
+        const threads = team && team.threads ? team.threads : {};
+
+        return {
+            ...this.threadConfig,
+            sendInitialMessage: process.env.SEND_INITIAL_THREAD_MESSAGE !== 'false',
+            ...threads,
+            // Auto-thread can be turned off globally (e.g. setThreadEnabled) even if a team enables it
+            enabled: this.threadConfig.enabled && threads.enabled !== false,
+            titles: {
+                morning: process.env.MORNING_THREAD_TITLE,
+                evening: process.env.EVENING_THREAD_TITLE,
+                ...threads.titles
+            },
+            messages: {
+                morning: process.env.MORNING_THREAD_MESSAGE,
+                evening: process.env.EVENING_THREAD_MESSAGE,
+                ...threads.messages
+            }
+        };
+    }
+
     /**
      * Get thread configuration status
+     * @param {Object} team - Team from the team registry (defaults to the environment settings)
      * @returns {Object} Thread configuration information
      */
-    getThreadConfig() {
+    getThreadConfig(team = null) {
+        const settings = this.getSettings(team);
+
         return {
-            enabled: this.threadConfig.enabled,
-            autoArchiveDuration: this.threadConfig.autoArchiveDuration,
-            autoArchiveDurationHours: Math.round(this.threadConfig.autoArchiveDuration / 60),
-            reason: this.threadConfig.reason,
-            sendInitialMessage: process.env.SEND_INITIAL_THREAD_MESSAGE !== 'false',
+            enabled: settings.enabled,
+            autoArchiveDuration: settings.autoArchiveDuration,
+            autoArchiveDurationHours: Math.round(settings.autoArchiveDuration / 60),
+            reason: settings.reason,
+            sendInitialMessage: settings.sendInitialMessage,
             customTitles: {
-                morning: process.env.MORNING_THREAD_TITLE || 'Default',
-                evening: process.env.EVENING_THREAD_TITLE || 'Default'
+                morning: settings.titles.morning || 'Default',
+                evening: settings.titles.evening || 'Default'
             }
         };
     }
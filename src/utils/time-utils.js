@@ -0,0 +1,107 @@
+/**
+ * Timezone & Date Helpers
+ *
+ * @author opisboy29
+ * @repository git@github.com:opisboy29/discord-dsu-bot.git
+ * @description Shared helpers for working with dates in the configured DSU timezone
+ */
+
+/**
+ * Get the local calendar date (YYYY-MM-DD) for a timezone
+ * @param {string} timezone - IANA timezone name
+ * @param {Date} date - Instant to convert (defaults to now)
+ * @returns {string} Date key such as "2025-08-17"
+ */
+function getLocalDateKey(timezone, date = new Date()) {
+    // en-CA formats dates as YYYY-MM-DD
+    return date.toLocaleDateString('en-CA', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+    });
+}
+
+/**
+ * Format a date key for display, e.g. "Monday, August 18, 2025"
+ * @param {string} dateKey - Date key (YYYY-MM-DD)
+ * @returns {string} Human readable date
+ */
+function formatDateKey(dateKey) {
+    // Noon UTC keeps the calendar day stable regardless of the host timezone
+    return new Date(`${dateKey}T12:00:00Z`).toLocaleDateString('en-US', {
+        timeZone: 'UTC',
+        weekday: 'long',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    });
+}
+
+/**
+ * @param {string} value - Candidate date key
+ * @returns {boolean} True for a real calendar date in YYYY-MM-DD form
+ */
+function isDateKey(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return false;
+    }
+    const date = new Date(`${value}T12:00:00Z`);
+    return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * @param {string} dateKey - Date key (YYYY-MM-DD)
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Shifted date key
+ */
+function addDays(dateKey, days) {
+    const date = new Date(`${dateKey}T12:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * @param {string} dateKey - Date key (YYYY-MM-DD)
+ * @returns {number} Day of week (0 = Sunday)
+ */
+function getDayOfWeek(dateKey) {
+    return new Date(`${dateKey}T12:00:00Z`).getUTCDay();
+}
+
+/**
+ * UTC offset of a timezone at an instant, e.g. "+07:00" or "-04:00"
+ * @param {string} timezone - IANA timezone name
+ * @param {Date} date - Instant (offsets change with daylight saving time)
+ * @returns {string} Offset in ±HH:MM form
+ */
+function getUtcOffset(timezone, date = new Date()) {
+    const part = new Intl.DateTimeFormat('en-US', { timeZone: timezone, timeZoneName: 'longOffset' })
+        .formatToParts(date)
+        .find(({ type }) => type === 'timeZoneName');
+    // "GMT+07:00", or just "GMT" for UTC
+    return part && part.value !== 'GMT' ? part.value.slice(3) : '+00:00';
+}
+
+/**
+ * @param {string} timezone - Candidate IANA timezone name
+ * @returns {boolean} True if Intl knows the timezone
+ */
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+module.exports = {
+    getLocalDateKey,
+    getUtcOffset,
+    isValidTimezone,
+    formatDateKey,
+    addDays,
+    getDayOfWeek,
+    isDateKey
+};